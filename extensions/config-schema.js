@@ -0,0 +1,833 @@
+/**
+ * Field config schema for the Main Branch Content Selector
+ *
+ * SCHEMA is main-branch-selector.schema.json (keep the two identical); validateConfig
+ * checks a config against it and describes every problem in a sentence an admin can act on.
+ * The validator covers the JSON Schema keywords the schema uses, not the whole spec.
+ *
+ * Works as a browser script (window.MainBranchConfigSchema) and as a CommonJS module.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MainBranchConfigSchema = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  var SCHEMA = {
+    "$schema": "http://json-schema.org/draft-07/schema#",
+    "$id": "https://contentstackresources.vercel.app/extensions/main-branch-selector.schema.json",
+    "title": "Main Branch Content Selector field config",
+    "description": "The extension's config merged with the field's config (see extension-config-example.json). \"x-group\" and \"x-expected\" are read by config-schema.js and config-builder.html; other validators ignore them.",
+    "type": "object",
+    "additionalProperties": false,
+    "properties": {
+      "source": {
+        "x-group": "Content",
+        "description": "What the field picks: entries of contentType, or files from the branches' asset libraries (contentType is then ignored).",
+        "enum": [
+          "entries",
+          "assets"
+        ],
+        "default": "entries"
+      },
+      "contentType": {
+        "x-group": "Content",
+        "description": "Content type UID to pick entries from, or several that fill the same slot (required unless source is \"assets\").",
+        "anyOf": [
+          {
+            "type": "string",
+            "pattern": "^\\s*[a-z0-9_]+(\\s*,\\s*[a-z0-9_]+)*\\s*$"
+          },
+          {
+            "type": "array",
+            "minItems": 1,
+            "items": {
+              "$ref": "#/definitions/contentTypeUid"
+            }
+          }
+        ],
+        "x-expected": "a content type UID such as \"global_header\", or an array of them",
+        "examples": [
+          "global_header",
+          [
+            "global_header",
+            "promo_banner"
+          ]
+        ]
+      },
+      "multiple": {
+        "x-group": "Content",
+        "description": "Store an array of references instead of one.",
+        "type": "boolean",
+        "default": false
+      },
+      "minItems": {
+        "x-group": "Content",
+        "description": "Fewest references the field accepts (multiple only).",
+        "type": "integer",
+        "minimum": 0
+      },
+      "maxItems": {
+        "x-group": "Content",
+        "description": "Most references the field accepts (multiple only).",
+        "type": "integer",
+        "minimum": 0
+      },
+      "query": {
+        "x-group": "Content",
+        "description": "Delivery API query narrowing the candidate entries.",
+        "type": [
+          "object",
+          "string"
+        ],
+        "x-expected": "a query object such as {\"category\": \"promo\"}",
+        "examples": [
+          {
+            "banner_type": "seasonal"
+          }
+        ]
+      },
+      "tags": {
+        "x-group": "Content",
+        "description": "Only list entries with one of these tags.",
+        "$ref": "#/definitions/fieldList"
+      },
+      "sortBy": {
+        "x-group": "Content",
+        "description": "Field UID the list is sorted on.",
+        "type": "string",
+        "minLength": 1,
+        "examples": [
+          "updated_at"
+        ]
+      },
+      "sortOrder": {
+        "x-group": "Content",
+        "description": "Sort direction for sortBy.",
+        "enum": [
+          "asc",
+          "desc"
+        ],
+        "default": "desc"
+      },
+      "only": {
+        "x-group": "Content",
+        "description": "Fetch only these fields (the displayed fields are always added).",
+        "$ref": "#/definitions/fieldList"
+      },
+      "except": {
+        "x-group": "Content",
+        "description": "Fetch every field except these.",
+        "$ref": "#/definitions/fieldList"
+      },
+      "assetFolder": {
+        "x-group": "Content",
+        "description": "UID of the asset folder to list files from (source \"assets\" only).",
+        "type": "string",
+        "pattern": "^[a-z0-9_]+$",
+        "x-expected": "a folder UID such as \"blt3f9a2c1d0b7e6a54\""
+      },
+      "mimeTypes": {
+        "x-group": "Content",
+        "description": "Only list files of these MIME types; \"image/*\" matches every image (source \"assets\" only).",
+        "anyOf": [
+          {
+            "type": "string",
+            "pattern": "^\\s*[\\w.+-]+/(\\*|[\\w.+-]+)(\\s*,\\s*[\\w.+-]+/(\\*|[\\w.+-]+))*\\s*$"
+          },
+          {
+            "type": "array",
+            "minItems": 1,
+            "items": {
+              "$ref": "#/definitions/mimeType"
+            }
+          }
+        ],
+        "x-expected": "a MIME type such as \"image/*\" or \"application/pdf\", or an array of them",
+        "examples": [
+          [
+            "image/*",
+            "application/pdf"
+          ]
+        ]
+      },
+      "targetBranch": {
+        "x-group": "Branches",
+        "description": "Branch the shared content lives in.",
+        "$ref": "#/definitions/branchUid",
+        "default": "main"
+      },
+      "currentBranch": {
+        "x-group": "Branches",
+        "description": "Branch being edited, when the SDK cannot tell.",
+        "$ref": "#/definitions/branchUid"
+      },
+      "showBothBranches": {
+        "x-group": "Branches",
+        "description": "Also list entries from the branch being edited.",
+        "type": "boolean",
+        "default": true
+      },
+      "branches": {
+        "x-group": "Branches",
+        "description": "Branches to read from, ancestors first. \"$current\" stands for the branch being edited.",
+        "type": "array",
+        "minItems": 1,
+        "items": {
+          "anyOf": [
+            {
+              "$ref": "#/definitions/branchUid"
+            },
+            {
+              "type": "object",
+              "required": [
+                "branch"
+              ],
+              "additionalProperties": false,
+              "properties": {
+                "branch": {
+                  "$ref": "#/definitions/branchUid"
+                },
+                "label": {
+                  "type": "string"
+                },
+                "badgeColor": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "deliveryToken": {
+                  "$ref": "#/definitions/token"
+                },
+                "previewToken": {
+                  "$ref": "#/definitions/token"
+                }
+              }
+            }
+          ],
+          "x-expected": "a branch UID or an object such as {\"branch\": \"main\"}"
+        },
+        "examples": [
+          [
+            {
+              "branch": "main",
+              "label": "Main"
+            },
+            {
+              "branch": "$current"
+            }
+          ]
+        ]
+      },
+      "duplicateEntries": {
+        "x-group": "Branches",
+        "description": "How to list an entry UID found in several branches.",
+        "enum": [
+          "show-all",
+          "prefer-child",
+          "prefer-parent",
+          "merge"
+        ],
+        "default": "show-all"
+      },
+      "apiKey": {
+        "x-group": "Delivery API",
+        "description": "Stack API key (defaults to the stack the extension runs in).",
+        "$ref": "#/definitions/token"
+      },
+      "deliveryToken": {
+        "x-group": "Delivery API",
+        "description": "Delivery token used for every branch without one of its own.",
+        "$ref": "#/definitions/token"
+      },
+      "mainBranchDeliveryToken": {
+        "x-group": "Delivery API",
+        "description": "Delivery token for targetBranch.",
+        "$ref": "#/definitions/token"
+      },
+      "currentBranchDeliveryToken": {
+        "x-group": "Delivery API",
+        "description": "Delivery token for the branch being edited.",
+        "$ref": "#/definitions/token"
+      },
+      "environment": {
+        "x-group": "Delivery API",
+        "description": "Publishing environment to read from (defaults to the stack's).",
+        "type": "string",
+        "minLength": 1
+      },
+      "region": {
+        "x-group": "Delivery API",
+        "description": "Contentstack region: NA, EU, AU, AZURE_NA, AZURE_EU, GCP_NA or GCP_EU.",
+        "type": "string",
+        "minLength": 1,
+        "default": "NA"
+      },
+      "host": {
+        "x-group": "Delivery API",
+        "description": "Delivery API host or URL replacing the region's (e.g. a CDN in front of it).",
+        "$ref": "#/definitions/host"
+      },
+      "preview": {
+        "x-group": "Delivery API",
+        "description": "Read unpublished content from the Preview API.",
+        "type": "boolean",
+        "default": false
+      },
+      "previewToken": {
+        "x-group": "Delivery API",
+        "description": "Preview token for preview mode.",
+        "$ref": "#/definitions/token"
+      },
+      "previewHost": {
+        "x-group": "Delivery API",
+        "description": "Preview API host or URL replacing the region's.",
+        "$ref": "#/definitions/host"
+      },
+      "proxyUrl": {
+        "x-group": "Delivery API",
+        "description": "URL of a proxy/delivery-proxy.js server holding the tokens; no token may be set with it.",
+        "$ref": "#/definitions/host"
+      },
+      "pageSize": {
+        "x-group": "Delivery API",
+        "description": "Entries fetched per request.",
+        "type": "integer",
+        "minimum": 1,
+        "maximum": 100,
+        "default": 50
+      },
+      "cacheTtl": {
+        "x-group": "Delivery API",
+        "description": "Seconds fetched pages are cached for (0 turns caching off).",
+        "type": "number",
+        "minimum": 0,
+        "default": 300
+      },
+      "eventStreamUrl": {
+        "x-group": "Delivery API",
+        "description": "URL of a proxy/event-stream.js server; published, unpublished and deleted entries then update the list live.",
+        "$ref": "#/definitions/host"
+      },
+      "titleField": {
+        "x-group": "Display",
+        "description": "Field that labels each entry.",
+        "$ref": "#/definitions/fieldPath",
+        "default": "title"
+      },
+      "subtitleField": {
+        "x-group": "Display",
+        "description": "Field shown under the title.",
+        "$ref": "#/definitions/fieldPath",
+        "default": "description"
+      },
+      "thumbnailField": {
+        "x-group": "Display",
+        "description": "File field shown as a thumbnail.",
+        "$ref": "#/definitions/fieldPath"
+      },
+      "thumbnailParams": {
+        "x-group": "Display",
+        "description": "Image transform parameters for thumbnails.",
+        "type": "object",
+        "x-expected": "an object of image transform parameters such as {\"width\": 48, \"height\": 48}",
+        "examples": [
+          {
+            "width": 48,
+            "height": 48,
+            "fit": "crop"
+          }
+        ]
+      },
+      "previewFields": {
+        "x-group": "Display",
+        "description": "Fields shown in the preview pane.",
+        "$ref": "#/definitions/fieldList"
+      },
+      "searchFields": {
+        "x-group": "Display",
+        "description": "Fields searched besides the title.",
+        "$ref": "#/definitions/fieldList"
+      },
+      "usageReportUrl": {
+        "x-group": "Display",
+        "description": "URL of a JSON report from usage-report/usage-report.js; each listed entry then shows how many entries use it.",
+        "type": "string",
+        "minLength": 1,
+        "examples": [
+          "https://reports.example.com/usage-report.json"
+        ]
+      },
+      "theme": {
+        "x-group": "Display",
+        "description": "Light or dark colours (\"auto\" follows the browser), list density, and colours replacing the defaults; badgeColors sets badge colours by branch UID or \"$current\".",
+        "type": "object",
+        "additionalProperties": false,
+        "properties": {
+          "colorScheme": {
+            "enum": [
+              "auto",
+              "light",
+              "dark"
+            ],
+            "default": "auto"
+          },
+          "density": {
+            "enum": [
+              "comfortable",
+              "compact"
+            ],
+            "default": "comfortable"
+          },
+          "colors": {
+            "$ref": "#/definitions/themeColors"
+          },
+          "darkColors": {
+            "$ref": "#/definitions/themeColors"
+          },
+          "badgeColors": {
+            "type": "object",
+            "additionalProperties": {
+              "$ref": "#/definitions/cssColor"
+            },
+            "x-expected": "an object of CSS colours by branch UID such as {\"main\": \"#6c5ce7\"}"
+          }
+        },
+        "x-expected": "an object such as {\"colorScheme\": \"auto\", \"density\": \"compact\"}",
+        "examples": [
+          {
+            "colorScheme": "auto",
+            "density": "compact",
+            "badgeColors": {
+              "main": "#6c5ce7",
+              "$current": "#007a52"
+            }
+          }
+        ]
+      },
+      "locale": {
+        "x-group": "Language",
+        "description": "Locale to read entries in (defaults to the edited entry's).",
+        "$ref": "#/definitions/languageCode",
+        "x-expected": "a locale code such as \"en-us\""
+      },
+      "fallbackLocale": {
+        "x-group": "Language",
+        "description": "List entries not localized in the locale in their fallback locale.",
+        "type": "boolean",
+        "default": true
+      },
+      "uiLanguage": {
+        "x-group": "Language",
+        "description": "Language of the extension's own text: en, de or fr.",
+        "$ref": "#/definitions/languageCode",
+        "x-expected": "a language code such as \"en\" or \"de-ch\"",
+        "default": "en"
+      },
+      "uiStrings": {
+        "x-group": "Language",
+        "description": "Replacement text by string key.",
+        "type": "object",
+        "additionalProperties": {
+          "type": "string"
+        },
+        "x-expected": "an object such as {\"noContent\": \"Nothing here yet.\"}",
+        "examples": [
+          {
+            "noContent": "Nothing here yet."
+          }
+        ]
+      },
+      "debug": {
+        "x-group": "Diagnostics",
+        "description": "true (or a log level) logs to the console and shows the diagnostics panel.",
+        "anyOf": [
+          {
+            "type": "boolean"
+          },
+          {
+            "enum": [
+              "error",
+              "warn",
+              "info",
+              "debug"
+            ]
+          }
+        ],
+        "default": false
+      }
+    },
+    "if": {
+      "properties": {
+        "source": {
+          "enum": [
+            "assets"
+          ]
+        }
+      },
+      "required": [
+        "source"
+      ]
+    },
+    "else": {
+      "required": [
+        "contentType"
+      ]
+    },
+    "definitions": {
+      "cssColor": {
+        "type": "string",
+        "pattern": "^\\s*(#[0-9a-fA-F]{3,8}|rgba?\\([\\d\\s.,%]+\\)|[a-zA-Z]+)\\s*$",
+        "x-expected": "a CSS colour such as \"#0066cc\""
+      },
+      "themeColors": {
+        "type": "object",
+        "additionalProperties": false,
+        "properties": {
+          "primary": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "text": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "textMuted": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "background": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "surface": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "surfaceMuted": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "border": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "danger": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "warning": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "success": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "badgeMain": {
+            "$ref": "#/definitions/cssColor"
+          },
+          "badgeCurrent": {
+            "$ref": "#/definitions/cssColor"
+          }
+        },
+        "x-expected": "an object of CSS colours such as {\"primary\": \"#6c5ce7\"}"
+      },
+      "contentTypeUid": {
+        "type": "string",
+        "pattern": "^[a-z0-9_]+$",
+        "x-expected": "a content type UID such as \"global_header\""
+      },
+      "mimeType": {
+        "type": "string",
+        "pattern": "^[\\w.+-]+/(\\*|[\\w.+-]+)$",
+        "x-expected": "a MIME type such as \"image/*\" or \"application/pdf\""
+      },
+      "branchUid": {
+        "type": "string",
+        "pattern": "^(\\$current|[a-z0-9_-]+)$",
+        "x-expected": "a branch UID such as \"main\""
+      },
+      "fieldPath": {
+        "type": "string",
+        "pattern": "^[\\w.]+$",
+        "x-expected": "a field UID or dot path such as \"hero.image\""
+      },
+      "fieldList": {
+        "anyOf": [
+          {
+            "type": "array",
+            "items": {
+              "type": "string"
+            }
+          },
+          {
+            "type": "string"
+          }
+        ],
+        "x-expected": "an array of field UIDs or a comma-separated string"
+      },
+      "host": {
+        "type": "string",
+        "pattern": "^\\S+$",
+        "x-expected": "a host name or URL such as \"cdn.example.com\" or \"https://proxy.example.com/cs\""
+      },
+      "languageCode": {
+        "type": "string",
+        "pattern": "^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$"
+      },
+      "token": {
+        "type": "string",
+        "minLength": 1
+      }
+    }
+  };
+
+  // How each JSON type is named in messages
+  var TYPE_NAMES = {
+    string: 'a string',
+    boolean: 'true or false',
+    integer: 'a whole number',
+    number: 'a number',
+    object: 'an object',
+    array: 'an array',
+    'null': 'null'
+  };
+
+  // Longest value quoted back in a message
+  var MAX_VALUE_LENGTH = 60;
+
+  /**
+   * Check a field config against SCHEMA
+   * Returns [{ key, path, message }]: key is the top-level option at fault (for matching
+   * other messages about it), path where in the config the problem is (e.g. "branches[1].label")
+   */
+  function validateConfig(config) {
+    var errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push({ key: '', path: '', message: 'The field config must be a JSON object.' });
+      return errors;
+    }
+    validate(SCHEMA, config, [], errors, null);
+    return errors;
+  }
+
+  /**
+   * Check a value against a schema, adding problems to errors
+   * expected: how the enclosing schema describes a valid value (its x-expected), if it does
+   */
+  function validate(schema, value, path, errors, expected) {
+    schema = resolveRef(schema);
+    expected = schema['x-expected'] || expected;
+
+    if (schema.anyOf) {
+      if (schema.anyOf.some(function(option) { return isValid(option, value); })) return;
+      // A value of the type one option expects is most likely meant for that option, so its
+      // problems (e.g. a bad key inside an object) are more useful than "must be x or y"
+      var sameType = schema.anyOf.filter(function(option) {
+        var type = resolveRef(option).type;
+        return type !== undefined && matchesType(type, value);
+      });
+      if (sameType.length === 1) {
+        validate(sameType[0], value, path, errors, expected);
+      } else {
+        addError(errors, path, 'must be ' + (expected || describeOptions(schema.anyOf)) + ', got ' + formatValue(value) + '.');
+      }
+      return;
+    }
+
+    if (schema.type !== undefined && !matchesType(schema.type, value)) {
+      addError(errors, path, 'must be ' + (expected || describeType(schema.type)) + ', got ' + formatValue(value) + '.');
+      return;
+    }
+
+    if (schema['enum'] && !schema['enum'].some(function(option) { return option === value; })) {
+      addError(errors, path, 'must be one of ' + schema['enum'].map(formatValue).join(', ') + ', got ' + formatValue(value) + '.');
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        addError(errors, path, 'must not be empty.');
+      } else if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        addError(errors, path, 'must be ' + (expected || 'in the form ' + schema.pattern) + ', got ' + formatValue(value) + '.');
+      }
+    } else if (typeof value === 'number') {
+      if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        addError(errors, path, 'must be ' + describeRange(schema) + ', got ' + formatValue(value) + '.');
+      }
+    } else if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        addError(errors, path, 'must have at least ' + schema.minItems + (schema.minItems === 1 ? ' item.' : ' items.'));
+      }
+      if (schema.items) {
+        value.forEach(function(item, index) {
+          validate(schema.items, item, path.concat(index), errors, null);
+        });
+      }
+    } else if (value && typeof value === 'object') {
+      validateObject(schema, value, path, errors);
+    }
+
+    // Options required by some settings only (e.g. contentType unless source is "assets")
+    if (schema['if']) {
+      var conditional = isValid(schema['if'], value) ? schema.then : schema['else'];
+      if (conditional) {
+        validate(conditional, value, path, errors, expected);
+      }
+    }
+  }
+
+  /**
+   * required, properties and additionalProperties
+   */
+  function validateObject(schema, value, path, errors) {
+    var properties = schema.properties || {};
+
+    (schema.required || []).forEach(function(key) {
+      if (value[key] === undefined) {
+        addError(errors, path.concat(key), 'is required.');
+      }
+    });
+
+    Object.keys(value).forEach(function(key) {
+      if (value[key] === undefined) return;
+      if (properties.hasOwnProperty(key)) {
+        validate(properties[key], value[key], path.concat(key), errors, null);
+      } else if (schema.additionalProperties === false) {
+        var suggestion = suggestKey(key, Object.keys(properties));
+        errors.push({
+          key: path.length > 0 ? String(path[0]) : key,
+          path: formatPath(path.concat(key)),
+          message: (path.length > 0 ? formatPath(path) + ': unknown option "' : 'Unknown option "') + key + '".' +
+            (suggestion ? ' Did you mean "' + suggestion + '"?' : '')
+        });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validate(schema.additionalProperties, value[key], path.concat(key), errors, null);
+      }
+    });
+  }
+
+  /**
+   * Whether a value passes a schema, without collecting messages
+   */
+  function isValid(schema, value) {
+    var errors = [];
+    validate(schema, value, [], errors, null);
+    return errors.length === 0;
+  }
+
+  /**
+   * A local "#/definitions/..." reference's target, keeping the referring schema's own keywords
+   * (description, x-expected) over the target's
+   */
+  function resolveRef(schema) {
+    if (!schema.$ref) return schema;
+    var target = schema.$ref.replace(/^#\//, '').split('/').reduce(function(node, part) {
+      return node && node[part];
+    }, SCHEMA);
+    if (!target) {
+      throw new Error('Unresolved schema reference ' + schema.$ref);
+    }
+    var merged = {};
+    Object.keys(target).forEach(function(keyword) { merged[keyword] = target[keyword]; });
+    Object.keys(schema).forEach(function(keyword) {
+      if (keyword !== '$ref') merged[keyword] = schema[keyword];
+    });
+    return resolveRef(merged);
+  }
+
+  /**
+   * Whether a value is of a JSON Schema type (or one of several)
+   */
+  function matchesType(type, value) {
+    if (Array.isArray(type)) {
+      return type.some(function(item) { return matchesType(item, value); });
+    }
+    switch (type) {
+      case 'integer': return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+      case 'number': return typeof value === 'number' && isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  function describeType(type) {
+    return [].concat(type).map(function(item) { return TYPE_NAMES[item] || item; }).join(' or ');
+  }
+
+  /**
+   * "true or false or one of ..." style description of anyOf options without an x-expected
+   */
+  function describeOptions(options) {
+    return options.map(function(option) {
+      option = resolveRef(option);
+      if (option['x-expected']) return option['x-expected'];
+      if (option['enum']) return 'one of ' + option['enum'].map(formatValue).join(', ');
+      return describeType(option.type);
+    }).join(' or ');
+  }
+
+  function describeRange(schema) {
+    var noun = schema.type === 'integer' ? 'a whole number' : 'a number';
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+      return noun + ' from ' + schema.minimum + ' to ' + schema.maximum;
+    }
+    return schema.minimum !== undefined ? noun + ' of ' + schema.minimum + ' or more' : noun + ' of ' + schema.maximum + ' or less';
+  }
+
+  /**
+   * A known option close to a mistyped one ("content_type", "multple"), or null
+   */
+  function suggestKey(key, candidates) {
+    var simplified = key.toLowerCase().replace(/[_-]/g, '');
+    var best = null;
+    var bestDistance = 3;
+    candidates.forEach(function(candidate) {
+      var distance = candidate.toLowerCase() === simplified ? 0 : editDistance(simplified, candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  function editDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) previous.push(j);
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      for (j = 1; j <= b.length; j++) {
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Add a message about the value at path; top-level options are quoted as in the other config errors
+   */
+  function addError(errors, path, text) {
+    var where = path.length === 1 ? '"' + path[0] + '"' : formatPath(path);
+    errors.push({ key: path.length > 0 ? String(path[0]) : '', path: formatPath(path), message: where + ' ' + text });
+  }
+
+  /**
+   * ['branches', 1, 'label'] -> "branches[1].label"
+   */
+  function formatPath(path) {
+    return path.reduce(function(text, part) {
+      return typeof part === 'number' ? text + '[' + part + ']' : (text ? text + '.' : '') + part;
+    }, '');
+  }
+
+  function formatValue(value) {
+    var text = JSON.stringify(value);
+    if (text === undefined) text = String(value);
+    return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 1) + '…' : text;
+  }
+
+  return {
+    SCHEMA: SCHEMA,
+    validateConfig: validateConfig
+  };
+}));
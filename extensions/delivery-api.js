@@ -0,0 +1,198 @@
+/**
+ * Contentstack Delivery API helpers shared by the Main Branch Content Selector,
+ * the Delivery API proxy and the reference resolver
+ *
+ * Works as a browser script (window.MainBranchDeliveryApi) and as a CommonJS module.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MainBranchDeliveryApi = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Delivery API and Preview API hosts of each Contentstack region (config.region)
+  var API_REGIONS = {
+    NA: { delivery: 'cdn.contentstack.io', preview: 'rest-preview.contentstack.com' },
+    EU: { delivery: 'eu-cdn.contentstack.com', preview: 'eu-rest-preview.contentstack.com' },
+    AU: { delivery: 'au-cdn.contentstack.com', preview: 'au-rest-preview.contentstack.com' },
+    AZURE_NA: { delivery: 'azure-na-cdn.contentstack.com', preview: 'azure-na-rest-preview.contentstack.com' },
+    AZURE_EU: { delivery: 'azure-eu-cdn.contentstack.com', preview: 'azure-eu-rest-preview.contentstack.com' },
+    GCP_NA: { delivery: 'gcp-na-cdn.contentstack.com', preview: 'gcp-na-rest-preview.contentstack.com' },
+    GCP_EU: { delivery: 'gcp-eu-cdn.contentstack.com', preview: 'gcp-eu-rest-preview.contentstack.com' }
+  };
+
+  // The Delivery API caps `limit` at 100
+  var MAX_PAGE_SIZE = 100;
+
+  /**
+   * Region key for API_REGIONS, accepting e.g. "eu", "azure-na" and "AWS_EU"
+   */
+  function normalizeRegion(value) {
+    var key = String(value || 'NA').trim().toUpperCase().replace(/-/g, '_').replace(/^AWS_/, '');
+    return key === 'US' ? 'NA' : key;
+  }
+
+  /**
+   * Base URL for a host name or URL ("cdn.example.com", "https://proxy.example.com/cs/"),
+   * or null when it is not one
+   */
+  function parseHost(value) {
+    if (typeof value !== 'string' || !value.trim() || /\s/.test(value.trim())) return null;
+    value = value.trim();
+    try {
+      var url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : 'https://' + value);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+      return (url.origin + url.pathname).replace(/\/+$/, '');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Base URL requests go to: the proxy, else the host (previewHost in preview mode)
+   * override, else the region's Delivery API (or Preview API) host
+   * options: { region, host, previewHost, proxyUrl, preview }
+   */
+  function getApiBaseUrl(options) {
+    if (options.proxyUrl) {
+      return parseHost(options.proxyUrl);
+    }
+    var override = parseHost(options.preview ? options.previewHost : options.host);
+    if (override) {
+      return override;
+    }
+    var hosts = API_REGIONS[normalizeRegion(options.region)] || API_REGIONS.NA;
+    return 'https://' + (options.preview ? hosts.preview : hosts.delivery);
+  }
+
+  /**
+   * URL of a page of a content type's entries in a branch
+   * params: { environment, branch, skip, limit, query (Delivery API query object),
+   *           sortBy, sortOrder ('asc' | 'desc'), locale, includeFallback, only, except (field UID arrays) }
+   */
+  function getEntriesUrl(baseUrl, contentType, params) {
+    var search = getBranchParams(params);
+    search.append('include_count', 'true');   // Returns the total so callers know when to stop paging
+    search.append('skip', String(params.skip || 0));
+    search.append('limit', String(params.limit || MAX_PAGE_SIZE));
+    if (params.query) {
+      search.append('query', JSON.stringify(params.query));
+    }
+    if (params.sortBy) {
+      search.append(params.sortOrder === 'asc' ? 'asc' : 'desc', params.sortBy);
+    }
+    appendLocaleParams(search, params);
+    (params.only || []).forEach(function(fieldUid) {
+      search.append('only[BASE][]', fieldUid);
+    });
+    (params.except || []).forEach(function(fieldUid) {
+      search.append('except[BASE][]', fieldUid);
+    });
+    return baseUrl + '/v3/content_types/' + contentType + '/entries?' + search.toString();
+  }
+
+  /**
+   * URL of a single entry in a branch
+   * params: { environment, branch, locale, includeFallback }
+   */
+  function getEntryUrl(baseUrl, contentType, entryUid, params) {
+    var search = getBranchParams(params);
+    appendLocaleParams(search, params);
+    return baseUrl + '/v3/content_types/' + contentType + '/entries/' + encodeURIComponent(entryUid) + '?' + search.toString();
+  }
+
+  /**
+   * URL of a page of a branch's published assets
+   * params: { environment, branch, skip, limit, query (Delivery API query object over asset
+   *           fields such as parent_uid and content_type), sortBy, sortOrder }
+   */
+  function getAssetsUrl(baseUrl, params) {
+    var search = getBranchParams(params);
+    search.append('include_count', 'true');
+    search.append('include_dimension', 'true');  // Returns width and height of images
+    search.append('skip', String(params.skip || 0));
+    search.append('limit', String(params.limit || MAX_PAGE_SIZE));
+    if (params.query) {
+      search.append('query', JSON.stringify(params.query));
+    }
+    if (params.sortBy) {
+      search.append(params.sortOrder === 'asc' ? 'asc' : 'desc', params.sortBy);
+    }
+    return baseUrl + '/v3/assets?' + search.toString();
+  }
+
+  /**
+   * URL of a single asset in a branch
+   * params: { environment, branch }
+   */
+  function getAssetUrl(baseUrl, assetUid, params) {
+    var search = getBranchParams(params);
+    search.append('include_dimension', 'true');
+    return baseUrl + '/v3/assets/' + encodeURIComponent(assetUid) + '?' + search.toString();
+  }
+
+  /**
+   * Query parameters every request carries; the branch goes in the query string, not a header
+   */
+  function getBranchParams(params) {
+    var search = new URLSearchParams();
+    search.append('environment', params.environment);
+    search.append('branch', params.branch);
+    search.append('include_branch', 'true');  // Returns _branch on each entry
+    return search;
+  }
+
+  /**
+   * locale, and include_fallback for entries not localized in it
+   */
+  function appendLocaleParams(search, params) {
+    if (params.locale) {
+      search.append('locale', params.locale);
+      if (params.includeFallback) {
+        search.append('include_fallback', 'true');
+      }
+    }
+  }
+
+  /**
+   * Headers for a Delivery API (or Preview API) request
+   * options: { apiKey, deliveryToken, previewToken, preview, proxy }; a proxy adds
+   * the credentials itself, so none are sent to it
+   */
+  function getRequestHeaders(options) {
+    var headers = { 'Content-Type': 'application/json' };
+
+    if (options.proxy) {
+      // Asks the proxy to forward to the Preview API
+      if (options.preview) {
+        headers['X-Contentstack-Preview'] = 'true';
+      }
+      return headers;
+    }
+
+    headers['api_key'] = options.apiKey;
+    headers['access_token'] = options.deliveryToken;
+    // The Preview API takes the preview token alongside the delivery token
+    if (options.preview) {
+      headers['preview_token'] = options.previewToken;
+    }
+    return headers;
+  }
+
+  return {
+    API_REGIONS: API_REGIONS,
+    MAX_PAGE_SIZE: MAX_PAGE_SIZE,
+    normalizeRegion: normalizeRegion,
+    parseHost: parseHost,
+    getApiBaseUrl: getApiBaseUrl,
+    getEntriesUrl: getEntriesUrl,
+    getEntryUrl: getEntryUrl,
+    getAssetsUrl: getAssetsUrl,
+    getAssetUrl: getAssetUrl,
+    getRequestHeaders: getRequestHeaders
+  };
+}));
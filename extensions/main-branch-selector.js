@@ -1,646 +1,6362 @@
 /**
- * Contentstack Custom Field Extension
- * Main Branch Content Selector
- * 
- * This extension allows authors to select content from the Main branch
- * while working in a child site branch.
- * 
- * Based on official Contentstack extension patterns
+ * Main Branch Content Selector (Contentstack custom field extension)
+ *
+ * Generated by scripts/build.js from extensions/src; do not edit. Run `npm run build`.
  */
 
 (function() {
-  'use strict';
-  
-  // Extension variables
-  var extensionField;
-  var container;
-  
-  // Initialize the extension using Contentstack UI Extension SDK
-  function initializeExtension() {
-    var config = extensionField.config || {};
-    var field = extensionField.field;
-    
-    // Configuration with defaults
-    var targetBranch = config.targetBranch || 'main';
-    var contentType = config.contentType || '';
-    var multiple = config.multiple || false;
-    // showBothBranches: explicitly check if it's set, default to true if not specified
-    var showBothBranches = config.hasOwnProperty('showBothBranches') 
-      ? config.showBothBranches === true 
-      : true; // Default to true if not specified
-    var apiKey = config.apiKey || extensionField.stack.apiKey;
-    // Support branch-specific delivery tokens
-    var mainBranchToken = config.mainBranchDeliveryToken || config.deliveryToken || '';
-    var currentBranchToken = config.currentBranchDeliveryToken || config.deliveryToken || '';
-    var deliveryToken = config.deliveryToken || '';
-    var environment = config.environment || extensionField.stack.environment || 'production';
-    var region = config.region || 'NA';
-    
-    // Get current branch (midwest, site-a, etc.)
-    // Contentstack SDK doesn't expose branch directly, so we rely on manual config
-    // Priority: 1) Manual config (currentBranch), 2) Try to get from stack, 3) Default to 'main'
-    var currentBranch = config.currentBranch;
-    
-    // Try to get from stack if not manually specified
-    if (!currentBranch) {
-      // Try various ways to get branch info (SDK may not expose it)
-      if (extensionField.stack && extensionField.stack.branch) {
-        currentBranch = extensionField.stack.branch;
-      } else if (extensionField.stack && extensionField.stack.branchName) {
-        currentBranch = extensionField.stack.branchName;
-      } else if (window.location && window.location.search) {
-        // Try to get from URL parameters if available
-        var urlParams = new URLSearchParams(window.location.search);
-        currentBranch = urlParams.get('branch') || urlParams.get('branchName');
-      }
-    }
-    
-    // Default to 'main' if still not found
-    if (!currentBranch) {
-      currentBranch = 'main';
-      console.warn('Current branch not detected. Defaulting to "main". Please set "currentBranch" in config.');
-    }
-    
-    // Debug logging
-    console.log('Extension Config:', {
-      showBothBranches: showBothBranches,
-      targetBranch: targetBranch,
-      currentBranch: currentBranch,
-      contentType: contentType,
-      stackInfo: extensionField.stack,
-      config: config
-    });
-    
-    // Get current field data
-    var currentData = field.getData() || (multiple ? [] : null);
-    
-    // Get container
-    container = document.getElementById('main-branch-selector-container');
-    if (!container) {
-      console.error('Container element not found');
-      return;
-    }
-    
-    // Enable auto-resizing (official SDK method)
-    if (extensionField.window && typeof extensionField.window.enableAutoResizing === 'function') {
-      extensionField.window.enableAutoResizing();
-    }
-    
-    // Show loading state
-    var loadingText = showBothBranches 
-      ? 'Loading content from Main and ' + currentBranch + ' branches...'
-      : 'Loading content from Main branch...';
-    container.innerHTML = '<div class="cs-extension-loading">' + loadingText + '</div>';
-    
-    // Fetch content from branches
-    var fetchPromises = [];
-    
-    // Always fetch from Main branch
-    var mainToken = mainBranchToken || deliveryToken;
-    console.log('Using token for Main branch fetch');
-    fetchPromises.push(
-      fetchContentFromBranch(targetBranch, contentType, apiKey, mainToken, environment, region)
-        .then(function(entries) {
-          console.log('Main branch returned', entries.length, 'entries');
-          return entries.map(function(entry) {
-            var newEntry = {};
-            for (var key in entry) {
-              if (entry.hasOwnProperty(key)) {
-                newEntry[key] = entry[key];
-              }
+  var definitions = [
+    // src/main.js
+    function(require, module, exports) {
+      /**
+       * Contentstack Custom Field Extension
+       * Main Branch Content Selector
+       *
+       * This extension allows authors to select content from the Main branch
+       * while working in a child site branch.
+       *
+       * Based on official Contentstack extension patterns
+       *
+       * Entry point of the bundle (see scripts/build.js): waits for the SDK, resolves the
+       * field config and wires the fetch client, selection state and renderer together
+       */
+
+      'use strict';
+
+      var escapeHtml = require(1).escapeHtml;
+      var createLogger = require(2).createLogger;
+      var resolveConfig = require(3).resolveConfig;
+      var createFetchClient = require(10).createFetchClient;
+      var createSelectionState = require(11).createSelectionState;
+      var createRenderer = require(12).createRenderer;
+      var createDiagnosticsPanel = require(14).createDiagnosticsPanel;
+      var subscribeToEntryEvents = require(15).subscribeToEntryEvents;
+      var applyTheme = require(9).applyTheme;
+
+      var logger = createLogger();
+
+      // Initialize the extension using Contentstack UI Extension SDK
+      function initializeExtension(extensionField) {
+        var config = extensionField.config || {};
+        var settings = resolveConfig(config, extensionField, logger);
+        var t = settings.text.t;
+
+        // Get container
+        var container = document.getElementById('main-branch-selector-container');
+        if (!container) {
+          logger.error('Container element not found');
+          return;
+        }
+        // Before anything is shown, so config errors are themed too
+        applyTheme(container, settings.theme);
+
+        // Enable auto-resizing (official SDK method)
+        if (extensionField.window && typeof extensionField.window.enableAutoResizing === 'function') {
+          extensionField.window.enableAutoResizing();
+        }
+
+        var diagnostics = null;
+        var renderer = null;
+        var client = createFetchClient({
+          settings: settings,
+          logger: logger,
+          stack: extensionField.stack,
+          onActivity: function() {
+            if (diagnostics) {
+              diagnostics.update();
             }
-            newEntry._branch = targetBranch;
-            newEntry._branch_label = 'Main Branch';
-            return newEntry;
-          });
-        })
-        .catch(function(error) {
-          console.error('Error fetching Main branch:', error);
-          return [];
-        })
-    );
-    
-    // Also fetch from current branch if showBothBranches is true
-    if (showBothBranches && currentBranch !== targetBranch) {
-      console.log('Fetching from current branch:', currentBranch);
-      // Use branch-specific token if available, otherwise use default
-      var branchToken = currentBranchToken || deliveryToken;
-      console.log('Using token for', currentBranch, 'branch fetch');
-      fetchPromises.push(
-        fetchContentFromBranch(currentBranch, contentType, apiKey, branchToken, environment, region)
-          .then(function(entries) {
-            console.log('Fetched ' + entries.length + ' entries from ' + currentBranch + ' branch');
-            // Log first few entry UIDs to verify they're different
-            if (entries.length > 0) {
-              console.log('Sample entry UIDs from', currentBranch + ':', entries.slice(0, 3).map(function(e) { return e.uid; }));
+          }
+        });
+
+        // Support can read the resolved config, branch and requests here without devtools
+        if (settings.logSettings.panel) {
+          diagnostics = createDiagnosticsPanel({
+            container: container,
+            sdk: extensionField,
+            logger: logger,
+            settings: settings,
+            config: config,
+            client: client,
+            getBrowsedBranches: function() {
+              return renderer ? renderer.getBrowsedBranches() : [];
             }
-            return entries.map(function(entry) {
-              var newEntry = {};
-              for (var key in entry) {
-                if (entry.hasOwnProperty(key)) {
-                  newEntry[key] = entry[key];
-                }
-              }
-              newEntry._branch = currentBranch;
-              newEntry._branch_label = currentBranch.charAt(0).toUpperCase() + currentBranch.slice(1) + ' Branch';
-              return newEntry;
+          });
+        }
+
+        // Refuse to fetch with a config the Delivery API would reject or misread
+        if (settings.errors.length > 0) {
+          logger.error('Invalid field configuration', settings.errors);
+          container.innerHTML = '<div class="cs-extension-error cs-extension-config-errors" role="alert">' +
+            escapeHtml(t('invalidConfig')) + '<ul>' +
+            settings.errors.map(function(message) { return '<li>' + escapeHtml(message) + '</li>'; }).join('') + '</ul></div>';
+          return;
+        }
+
+        renderer = createRenderer({
+          container: container,
+          sdk: extensionField,
+          settings: settings,
+          client: client,
+          selection: createSelectionState({
+            field: extensionField.field,
+            multiple: settings.multiple,
+            maxItems: settings.selectionLimits.maxItems
+          }),
+          logger: logger
+        });
+        renderer.start().then(function() {
+          // Entries published, unpublished or deleted elsewhere update the list without a reload
+          if (settings.eventStreamUrl) {
+            subscribeToEntryEvents({
+              url: settings.eventStreamUrl,
+              contentTypes: settings.contentTypes,
+              environment: settings.environment,
+              logger: logger,
+              onEvent: renderer.applyEntryEvent
             });
-          })
-          .catch(function(error) {
-            console.error('Error fetching from current branch (' + currentBranch + '):', error);
-            // Return empty array so Main branch content still shows
-            return [];
-          })
-      );
-    } else {
-      console.log('Skipping current branch fetch:', {
-        showBothBranches: showBothBranches,
-        currentBranch: currentBranch,
-        targetBranch: targetBranch,
-        reason: !showBothBranches ? 'showBothBranches is false' : 'currentBranch === targetBranch'
-      });
-    }
-    
-    // Fetch from both branches in parallel
-    Promise.all(fetchPromises)
-      .then(function(results) {
-        // Combine all entries with detailed logging
-        var allEntries = [];
-        var mainBranchUids = [];
-        var currentBranchUids = [];
-        
-        results.forEach(function(branchEntries, index) {
-          var branchName = index === 0 ? targetBranch : currentBranch;
-          var entryUids = branchEntries.map(function(e) { return e.uid; });
-          
-          console.log('Branch result ' + index + ' (' + branchName + '):', {
-            count: branchEntries.length,
-            uids: entryUids,
-            branchLabel: branchEntries[0] ? branchEntries[0]._branch_label : 'none'
-          });
-          
-          if (index === 0) {
-            mainBranchUids = entryUids;
-          } else {
-            currentBranchUids = entryUids;
           }
-          
-          allEntries = allEntries.concat(branchEntries);
         });
-        
-        // Check for duplicate UIDs between branches
-        if (mainBranchUids.length > 0 && currentBranchUids.length > 0) {
-          var duplicates = mainBranchUids.filter(function(uid) {
-            return currentBranchUids.indexOf(uid) !== -1;
-          });
-          if (duplicates.length > 0) {
-            console.warn('⚠️ DUPLICATE UIDs FOUND between branches:', duplicates);
-            console.warn('This suggests both branches are returning the same entries!');
+      }
+
+      // Initialize using Contentstack UI Extension SDK (official pattern)
+      if (typeof ContentstackUIExtension !== 'undefined') {
+        // SDK is available, initialize immediately
+        ContentstackUIExtension.init().then(function(extension) {
+          initializeExtension(extension);
+        }).catch(function(error) {
+          logger.error('Error initializing extension', error);
+          var container = document.getElementById('main-branch-selector-container');
+          if (container) {
+            container.innerHTML = '<div class="cs-extension-error">Error initializing extension. Please refresh the page.</div>';
+          }
+        });
+      } else {
+        // Wait for SDK to load
+        function waitForSDK() {
+          if (typeof ContentstackUIExtension !== 'undefined') {
+            ContentstackUIExtension.init().then(function(extension) {
+              initializeExtension(extension);
+            }).catch(function(error) {
+              logger.error('Error initializing extension', error);
+            });
           } else {
-            console.log('✅ No duplicate UIDs - branches have different entries');
+            setTimeout(waitForSDK, 100);
           }
         }
-        
-        console.log('Total entries to display:', allEntries.length);
-        console.log('Entries by branch:', {
-          main: allEntries.filter(function(e) { return e._branch === targetBranch; }).length,
-          current: allEntries.filter(function(e) { return e._branch === currentBranch; }).length
-        });
-        
-        renderContentSelector(container, allEntries, currentData, multiple, field);
-      })
-      .catch(function(error) {
-        console.error('Error fetching content:', error);
-        container.innerHTML = '<div class="cs-extension-error">Error loading content: ' + error.message + '</div>';
-      });
-    
-    /**
-     * Fetch content from a specific branch using Contentstack Delivery API
-     */
-    function fetchContentFromBranch(branch, contentType, apiKey, deliveryToken, environment, region) {
-      if (!contentType) {
-        return Promise.reject(new Error('Content type not specified'));
-      }
-      
-      // Determine API endpoint based on region
-      var apiBaseUrl = getApiBaseUrl(region);
-      
-      // Build the API URL - Contentstack Delivery API format
-      // According to docs: https://www.contentstack.com/docs/developers/apis/content-delivery-api
-      // Branch should be in query string, environment in query string
-      var url = apiBaseUrl + '/v3/content_types/' + contentType + '/entries';
-      var params = new URLSearchParams();
-      params.append('environment', environment);
-      params.append('branch', branch);
-      params.append('include_branch', 'true');  // Returns _branch in response to verify branch
-      
-      url += '?' + params.toString();
-      
-      console.log('🔍 Fetching from branch:', branch);
-      console.log('   Base URL:', apiBaseUrl);
-      console.log('   Full URL:', url);
-      console.log('   Environment:', environment);
-      console.log('   Branch param:', branch);
-      console.log('   Content Type:', contentType);
-      
-      // Make API request
-      // Contentstack Delivery API: branch in query string, headers for auth
-      var headers = {
-        'api_key': apiKey,
-        'access_token': deliveryToken,
-        'Content-Type': 'application/json'
-        // Note: Branch is in query string, not header for Delivery API
-      };
-      
-      console.log('   Request headers:', {
-        api_key: apiKey ? apiKey.substring(0, 10) + '...' : 'missing',
-        access_token: deliveryToken ? deliveryToken.substring(0, 10) + '...' : 'missing'
-      });
-      
-      return fetch(url, {
-        method: 'GET',
-        headers: headers
-      })
-      .then(function(response) {
-        if (!response.ok) {
-          var errorText = 'API request failed: ' + response.status + ' ' + response.statusText;
-          console.error('Error fetching from branch', branch, ':', errorText);
-          throw new Error(errorText);
-        }
-        return response.json();
-      })
-      .then(function(data) {
-        var entries = data.entries || [];
-        var entryUids = entries.map(function(e) { return e.uid; });
-        
-        // Check branch information from API response
-        var responseBranch = data.branch || data._branch || 'not in response';
-        var firstEntryBranch = entries.length > 0 && entries[0]._branch ? entries[0]._branch : 'none';
-        
-        console.log('API Response for branch', branch, ':', {
-          entriesCount: entries.length,
-          entryUids: entryUids,
-          firstEntryTitle: entries[0] ? (entries[0].title || entries[0].name || entries[0].uid) : 'none',
-          responseKeys: Object.keys(data),
-          apiResponseBranch: responseBranch,
-          firstEntryBranch: firstEntryBranch
+
+        // Start waiting when DOM is ready
+        if (document.readyState === 'loading') {
+          document.addEventListener('DOMContentLoaded', waitForSDK);
+        } else {
+          waitForSDK();
+        }
+      }
+    },
+    // src/html.js
+    function(require, module, exports) {
+      /**
+       * HTML helpers shared by the renderer and the diagnostics panel
+       */
+
+      'use strict';
+
+      /**
+       * Escape HTML to prevent XSS
+       */
+      function escapeHtml(text) {
+        // Quotes too: the result also goes into attribute values (aria-label, title, alt)
+        return (text == null ? '' : String(text)).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+      }
+
+      /**
+       * Escape a value for a quoted attribute selector, e.g. '[data-entry-uid="' + cssEscape(uid) + '"]'
+       * Uses CSS.escape where the browser has it
+       */
+      function cssEscape(value) {
+        var text = value == null ? '' : String(value);
+        if (typeof CSS !== 'undefined' && CSS.escape) {
+          return CSS.escape(text);
+        }
+        // The same escapes CSS.escape makes for ASCII; other characters are valid as they are
+        return text.replace(/[^\w\u0080-\uffff-]/g, function(character) {
+          return '\\' + character.charCodeAt(0).toString(16) + ' ';
         });
-        
-        // Verify entries are from the correct branch
-        if (responseBranch !== 'not in response' && responseBranch !== branch) {
-          console.warn('⚠️ WARNING: API returned branch', responseBranch, 'but requested', branch);
-        }
-        
-        // Check if entries have branch metadata (from include_branch=true)
-        if (entries.length > 0) {
-          var entryBranches = entries.map(function(e) { return e._branch; }).filter(function(b) { return b; });
-          if (entryBranches.length > 0) {
-            var uniqueBranches = entryBranches.filter(function(value, index, self) {
-              return self.indexOf(value) === index;
-            });
-            console.log('Entry branch metadata from include_branch:', uniqueBranches);
-            
-            // Warn if entries have different branch than requested
-            if (uniqueBranches.length === 1 && uniqueBranches[0] !== branch) {
-              console.warn('⚠️ WARNING: Entries have _branch:', uniqueBranches[0], 'but requested:', branch);
-            }
-          }
-        }
-        
-        return entries;
-      });
-    }
-    
-    /**
-     * Get API base URL based on region
-     * Contentstack Delivery API uses CDN endpoints, not Management API endpoints
-     */
-    function getApiBaseUrl(region) {
-      var regionMap = {
-        'NA': 'https://cdn.contentstack.io',
-        'EU': 'https://eu-cdn.contentstack.com',
-        'AZURE_NA': 'https://azure-na-cdn.contentstack.com',
-        'AZURE_EU': 'https://azure-eu-cdn.contentstack.com'
+      }
+
+      module.exports = {
+        escapeHtml: escapeHtml,
+        cssEscape: cssEscape
       };
-      return regionMap[region] || regionMap['NA'];
-    }
-    
-    /**
-     * Render the content selector UI
-     */
-    function renderContentSelector(container, entries, currentData, multiple, field) {
-      if (entries.length === 0) {
-        container.innerHTML = '<div class="cs-extension-empty">No content found.</div>';
-        return;
-      }
-      
-      // Group entries by branch
-      var groupedByBranch = {};
-      entries.forEach(function(entry) {
-        var branch = entry._branch_label || 'Unknown';
-        if (!groupedByBranch[branch]) {
-          groupedByBranch[branch] = [];
-        }
-        groupedByBranch[branch].push(entry);
-      });
-      
-      // Create search input
-      var searchHtml = '<div class="cs-extension-search">' +
-        '<input type="text" id="main-branch-search" placeholder="Search content..." class="cs-extension-search-input">' +
-        '</div>';
-      
-      // Create content list grouped by branch
-      var listHtml = '<div class="cs-extension-list" id="main-branch-list">';
-      
-      // Render each branch group
-      Object.keys(groupedByBranch).forEach(function(branchName) {
-        var branchEntries = groupedByBranch[branchName];
-        var branchClass = branchName.toLowerCase().replace(/\s+/g, '-');
-        
-        // Branch header
-        listHtml += '<div class="cs-extension-branch-group">' +
-          '<div class="cs-extension-branch-header">' + escapeHtml(branchName) + ' (' + branchEntries.length + ')</div>';
-        
-        // Branch entries
-        branchEntries.forEach(function(entry) {
-          var isSelected = isEntrySelected(entry, currentData, multiple);
-          var title = entry.title || entry.uid || 'Untitled';
-          var entryClass = 'cs-extension-item ' + (isSelected ? 'cs-extension-item-selected' : '');
-          var badgeClass = branchName === 'Main Branch' ? 'cs-extension-item-badge-main' : 'cs-extension-item-badge-current';
-          
-          listHtml += '<div class="' + entryClass + '" data-entry-uid="' + entry.uid + '" data-entry-branch="' + entry._branch + '">' +
-            '<div class="cs-extension-item-content">' +
-            '<div class="cs-extension-item-title">' + escapeHtml(title) + '</div>';
-          
-          if (entry.description) {
-            listHtml += '<div class="cs-extension-item-description">' + escapeHtml(entry.description) + '</div>';
+    },
+    // src/logger.js
+    function(require, module, exports) {
+      /**
+       * Levelled, redacting logger for the Main Branch Content Selector
+       */
+
+      'use strict';
+
+      // Console log levels, most severe first; config.debug picks how many are printed
+      var LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+      var DEFAULT_LOG_LEVEL = 'warn';
+
+      // Log entries kept for the diagnostics panel
+      var MAX_LOG_ENTRIES = 200;
+
+      // Values under keys like these are never logged
+      var SECRET_KEY_PATTERN = /token|secret|password|authorization|api_?key/i;
+
+      /**
+       * Create the extension's logger
+       * Entries at or above the level are printed to the console; all of them are kept
+       * for the diagnostics panel. Values under secret-looking keys, and every string
+       * registered with addSecret, are replaced with "[redacted]" before either
+       */
+      function createLogger() {
+        var level = DEFAULT_LOG_LEVEL;
+        var secrets = [];
+        var entries = [];
+        var listeners = [];
+
+        function write(entryLevel, args) {
+          var entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            message: redact(String(args[0])),
+            details: Array.prototype.slice.call(args, 1).map(function(detail) { return redact(detail); })
+          };
+
+          entries.push(entry);
+          if (entries.length > MAX_LOG_ENTRIES) {
+            entries.shift();
           }
-          
-          if (entry.updated_at) {
-            var date = new Date(entry.updated_at);
-            listHtml += '<div class="cs-extension-item-meta">Updated: ' + date.toLocaleDateString() + '</div>';
+
+          if (LOG_LEVELS.indexOf(entryLevel) <= LOG_LEVELS.indexOf(level)) {
+            var method = entryLevel === 'debug' ? 'log' : entryLevel;
+            console[method].apply(console, ['[Main Branch Selector] ' + entry.message].concat(entry.details));
           }
-          
-          listHtml += '</div>' +
-            '<div class="cs-extension-item-badge ' + badgeClass + '">' + escapeHtml(branchName) + '</div>' +
-            '</div>';
-        });
-        
-        listHtml += '</div>'; // Close branch group
-      });
-      
-      listHtml += '</div>';
-      
-      // Create selected items display (for multiple selection)
-      var selectedHtml = '';
-      if (multiple && currentData && currentData.length > 0) {
-        selectedHtml = '<div class="cs-extension-selected">' +
-          '<div class="cs-extension-selected-title">Selected Items (' + currentData.length + ')</div>' +
-          '<div class="cs-extension-selected-list" id="main-branch-selected-list"></div>' +
-          '</div>';
-      }
-      
-      container.innerHTML = searchHtml + selectedHtml + listHtml;
-      
-      // Attach event listeners
-      attachEventListeners(container, entries, currentData, multiple, field);
-      
-      // Render selected items if multiple
-      if (multiple && currentData && currentData.length > 0) {
-        renderSelectedItems(container, entries, currentData);
-      }
-      
-      // Update window height after rendering
-      if (extensionField && extensionField.window) {
-        extensionField.window.updateHeight();
+
+          listeners.forEach(function(listener) {
+            listener(entry);
+          });
+        }
+
+        /**
+         * Copy of a value that is safe to log (errors become { name, message, status, kind })
+         */
+        function redact(value, depth) {
+          depth = depth || 0;
+          if (typeof value === 'string') {
+            return secrets.reduce(function(text, secret) {
+              return text.split(secret).join('[redacted]');
+            }, value);
+          }
+          if (value instanceof Error) {
+            return { name: value.name, message: redact(value.message), status: value.status, kind: value.kind };
+          }
+          if (!value || typeof value !== 'object') {
+            return value;
+          }
+          if (depth >= 6) {
+            return '[...]';
+          }
+          if (Array.isArray(value)) {
+            return value.map(function(item) { return redact(item, depth + 1); });
+          }
+          var copy = {};
+          Object.keys(value).forEach(function(key) {
+            copy[key] = SECRET_KEY_PATTERN.test(key) && value[key] ? '[redacted]' : redact(value[key], depth + 1);
+          });
+          return copy;
+        }
+
+        return {
+          setLevel: function(value) { level = value; },
+          addSecret: function(value) {
+            if (typeof value === 'string' && value && secrets.indexOf(value) === -1) {
+              secrets.push(value);
+            }
+          },
+          redact: redact,
+          getEntries: function() { return entries.slice(); },
+          onEntry: function(listener) { listeners.push(listener); },
+          error: function() { write('error', arguments); },
+          warn: function() { write('warn', arguments); },
+          info: function() { write('info', arguments); },
+          debug: function() { write('debug', arguments); }
+        };
       }
-    }
-  
-    /**
-     * Check if an entry is selected
-     */
-    function isEntrySelected(entry, currentData, multiple) {
-      if (!currentData) return false;
-      
-      if (multiple) {
-        if (!Array.isArray(currentData)) return false;
-        return currentData.some(function(item) {
-          var itemUid = typeof item === 'string' ? item : item.uid;
-          var itemBranch = item._branch || 'main';
-          return itemUid === entry.uid && itemBranch === (entry._branch || 'main');
+
+      module.exports = {
+        LOG_LEVELS: LOG_LEVELS,
+        DEFAULT_LOG_LEVEL: DEFAULT_LOG_LEVEL,
+        createLogger: createLogger
+      };
+    },
+    // src/config.js
+    function(require, module, exports) {
+      /**
+       * Field config: validation against the schema, defaults, and the settings the
+       * rest of the extension reads (tokens, branches, display fields, limits, text)
+       */
+
+      'use strict';
+
+      var DeliveryApi = require(4);
+      var ConfigSchema = require(5);
+      var combineQueries = require(6).combineQueries;
+      var i18n = require(7);
+      var LOG_LEVELS = require(2).LOG_LEVELS;
+      var DEFAULT_LOG_LEVEL = require(2).DEFAULT_LOG_LEVEL;
+      var DUPLICATE_ENTRY_POLICIES = require(8).DUPLICATE_ENTRY_POLICIES;
+      var theme = require(9);
+
+      var API_REGIONS = DeliveryApi.API_REGIONS;
+      var DEFAULT_UI_LANGUAGE = i18n.DEFAULT_UI_LANGUAGE;
+      var UI_STRINGS = i18n.UI_STRINGS;
+
+      // Delivery API page size limits (the API caps `limit` at 100)
+      var DEFAULT_PAGE_SIZE = 50;
+      var MAX_PAGE_SIZE = 100;
+
+      // How long (seconds) a cached Delivery API page is served when config.cacheTtl is not set
+      var DEFAULT_CACHE_TTL_SECONDS = 300;
+
+      // Contentstack Image Delivery API parameters for list thumbnails
+      var DEFAULT_THUMBNAIL_PARAMS = { width: 48, height: 48, fit: 'crop', auto: 'webp' };
+
+      // Placeholder in config.branches for the branch the entry is being edited in
+      var CURRENT_BRANCH_PLACEHOLDER = '$current';
+
+      // What the field picks (config.source)
+      var SOURCES = ['entries', 'assets'];
+
+      // Contentstack's content type UID for assets; with source "assets" the list pages
+      // the asset library under it, as it pages a content type's entries otherwise
+      var ASSET_CONTENT_TYPE = 'sys_assets';
+
+      // Asset fields the list and the stored value need, kept in any "only" projection
+      var ASSET_FIELDS = ['url', 'filename', 'content_type', 'file_size'];
+
+      /**
+       * Validate the field config and resolve every setting the extension runs with
+       * sdk: the initialized ContentstackUIExtension (stack defaults, entry locale, branch)
+       * The logger's level is set from config.debug and the configured tokens are registered
+       * as secrets. Returns the settings; settings.errors lists every problem with the config
+       */
+      function resolveConfig(config, sdk, logger) {
+        var stack = sdk.stack || {};
+        // Every unknown option, wrong type and missing required option (see main-branch-selector.schema.json)
+        var schemaErrors = ConfigSchema.validateConfig(config);
+        var settings = {};
+
+        // How much is logged to the console, and whether the diagnostics panel is shown
+        var logSettings = parseLogLevel(config);
+        logger.setLevel(logSettings.level);
+        settings.logSettings = logSettings;
+
+        // Language of the extension's own text (see UI_STRINGS), with per-string overrides
+        var uiText = parseUiLanguage(config, logger);
+        settings.uiLanguage = uiText.language;
+        settings.text = i18n.createTranslator(uiText.strings);
+
+        settings.targetBranch = config.targetBranch || 'main';
+        // Entries of the configured content types, or files from the asset library; contentType
+        // is ignored for assets, so an extension-wide default does not get in the way
+        var assetSource = parseAssetSource(config);
+        settings.source = assetSource.source;
+        // One content type, or several that fill the same slot (e.g. headers and promo banners)
+        settings.contentTypes = settings.source === 'assets' ? [ASSET_CONTENT_TYPE] : parseFieldList(config.contentType);
+        settings.multiple = config.multiple === true;
+        // Lists the branch being edited too unless turned off
+        settings.showBothBranches = config.showBothBranches !== false;
+        settings.apiKey = config.apiKey || stack.apiKey;
+        // Support branch-specific delivery tokens
+        settings.mainBranchToken = config.mainBranchDeliveryToken || config.deliveryToken || '';
+        settings.currentBranchToken = config.currentBranchDeliveryToken || config.deliveryToken || '';
+        settings.deliveryToken = config.deliveryToken || '';
+        // Tokens never appear in logs or the diagnostics panel, whatever they are logged under
+        [config.deliveryToken, config.mainBranchDeliveryToken, config.currentBranchDeliveryToken, config.previewToken]
+          .concat(Array.isArray(config.branches) ? config.branches.map(function(item) { return item && item.deliveryToken; }) : [])
+          .concat(Array.isArray(config.branches) ? config.branches.map(function(item) { return item && item.previewToken; }) : [])
+          .forEach(logger.addSecret);
+        settings.environment = config.environment || stack.environment || 'production';
+        settings.region = config.region || 'NA';
+        // Preview mode reads unpublished content from the Preview API with a preview token;
+        // host / previewHost replace the region's endpoint (e.g. a proxy or custom CDN)
+        // proxyUrl sends every request through a companion proxy (see proxy/delivery-proxy.js)
+        // that holds the tokens server-side
+        var apiEndpoint = parseApiEndpoint(config);
+        settings.apiEndpoint = apiEndpoint;
+        settings.previewMode = apiEndpoint.preview;
+        settings.proxyMode = !!apiEndpoint.proxyUrl;
+        settings.previewToken = config.previewToken || '';
+        // Entries are fetched one page at a time; further pages load on demand
+        var pageSize = parseInt(config.pageSize, 10) || DEFAULT_PAGE_SIZE;
+        settings.pageSize = Math.max(1, Math.min(pageSize, MAX_PAGE_SIZE));
+        // Loaded pages are cached for this many seconds (0 turns caching off)
+        var cacheSettings = parseCacheTtl(config);
+        settings.cacheTtl = cacheSettings.ttl;
+        // Companion server (proxy/event-stream.js) that relays publish webhooks, for live list updates
+        var eventStream = parseEventStreamUrl(config);
+        settings.eventStreamUrl = eventStream.url;
+        // Report of which entries use each listed entry (see usage-report/usage-report.js)
+        var usageReport = parseUsageReportUrl(config);
+        settings.usageReportUrl = usageReport.url;
+        // Colour scheme, density and colour overrides (see theme.js)
+        var themeSettings = parseTheme(config);
+        settings.theme = themeSettings;
+        // Which entry fields label list items, show thumbnails and fill the preview pane
+        var displayFields = parseDisplayFields(config);
+        var titleField = displayFields.titleField;
+        settings.displayFields = displayFields;
+        settings.titleField = titleField;
+        // Fields matched by search, always including the title field (and the file name of assets)
+        settings.searchFields = [titleField].concat(settings.source === 'assets' ? ['filename'] : [], parseFieldList(config.searchFields))
+          .filter(function(fieldUid, index, list) {
+            return list.indexOf(fieldUid) === index;
+          });
+        // Per-field narrowing of the candidate list (query, tags, sort, locale, projection)
+        var entryFilters = parseEntryFilters(config);
+        // Folder and MIME type filters of the asset library
+        entryFilters.query = combineQueries(entryFilters.query, assetSource.query);
+        // A projection must still return the fields the list displays, and the locale for its badge
+        if (entryFilters.only.length > 0) {
+          displayFields.fields.concat('locale', settings.source === 'assets' ? ASSET_FIELDS : []).forEach(function(path) {
+            var fieldUid = path.split('.')[0];
+            if (entryFilters.only.indexOf(fieldUid) === -1) {
+              entryFilters.only.push(fieldUid);
+            }
+          });
+        }
+        settings.entryFilters = entryFilters;
+        // Entries are read in the locale of the entry being edited, unless "locale" pins one;
+        // with fallbackLocale, entries not localized in it come in their fallback locale
+        // Assets are not localized, so are read without a locale
+        settings.contentLocale = settings.source === 'assets' ? null : entryFilters.locale || getEntryLocale(sdk);
+        settings.includeFallback = entryFilters.fallbackLocale;
+
+        // Get current branch (midwest, site-a, etc.)
+        // Priority: 1) Manual config (currentBranch), 2) The SDK's stack branch API,
+        // 3) Older stack properties and URL parameters, 4) Default to 'main' (with a visible warning)
+        settings.branchDetection = detectCurrentBranch(config, sdk, logger);
+        settings.currentBranch = settings.branchDetection.branch;
+
+        // Debug logging (tokens are redacted by the logger)
+        logger.debug('Extension config', {
+          showBothBranches: settings.showBothBranches,
+          targetBranch: settings.targetBranch,
+          currentBranch: settings.currentBranch,
+          branchDetection: settings.branchDetection.method,
+          contentTypes: settings.contentTypes,
+          config: config
         });
-      } else {
-        var currentUid = typeof currentData === 'string' ? currentData : currentData.uid;
-        var currentBranch = currentData._branch || 'main';
-        return currentUid === entry.uid && currentBranch === (entry._branch || 'main');
+
+        // Branches to read from, in precedence order (ancestors first, e.g. main, midwest, site-a)
+        var branchList = parseBranchList(config, settings, logger);
+        // A badgeColor in config.branches wins over theme.badgeColors
+        branchList.branches.forEach(function(item) {
+          item.badgeColor = item.badgeColor || theme.getBadgeColor(themeSettings, item.branch, settings.currentBranch);
+        });
+        settings.branchList = branchList;
+        // How to treat a UID that exists in several branches (see resolveDuplicateEntries)
+        settings.duplicateEntries = config.duplicateEntries || 'show-all';
+
+        // Limits on the number of references in multiple mode
+        var selectionLimits = parseSelectionLimits(config, settings.multiple);
+        settings.selectionLimits = selectionLimits;
+
+        // The schema's messages come first; the checks below cover what it cannot express
+        // (e.g. minItems above maxItems), minus repeats about an option the schema already flagged
+        var errors = schemaErrors.map(function(error) { return error.message; })
+          .concat(withoutSchemaDuplicates(apiEndpoint.errors.concat(assetSource.errors, entryFilters.errors, branchList.errors, selectionLimits.errors,
+            displayFields.errors, cacheSettings.errors, eventStream.errors, usageReport.errors, themeSettings.errors, logSettings.errors,
+            uiText.errors), schemaErrors));
+        if (DUPLICATE_ENTRY_POLICIES.indexOf(settings.duplicateEntries) === -1 &&
+            !schemaErrors.some(function(error) { return error.key === 'duplicateEntries'; })) {
+          errors.push('"duplicateEntries" must be one of ' + DUPLICATE_ENTRY_POLICIES.join(', ') +
+            ', got "' + settings.duplicateEntries + '".');
+        }
+        settings.errors = errors;
+
+        return settings;
       }
-    }
-    
-    /**
-     * Attach event listeners
-     */
-    function attachEventListeners(container, entries, currentData, multiple, field) {
-      // Search functionality
-      var searchInput = container.querySelector('#main-branch-search');
-      if (searchInput) {
-        searchInput.addEventListener('input', function(e) {
-          var searchTerm = e.target.value.toLowerCase();
-          var list = container.querySelector('#main-branch-list');
-          var items = list.querySelectorAll('.cs-extension-item');
-          
-          items.forEach(function(item) {
-            var title = item.querySelector('.cs-extension-item-title').textContent.toLowerCase();
-            var description = item.querySelector('.cs-extension-item-description');
-            var descriptionText = description ? description.textContent.toLowerCase() : '';
-            
-            if (title.includes(searchTerm) || descriptionText.includes(searchTerm)) {
-              item.style.display = '';
-            } else {
-              item.style.display = 'none';
+
+      /**
+       * Parse and validate debug: true (log everything), false, or a level name
+       * Returns { level, panel, errors }; the diagnostics panel is shown whenever debug is set
+       */
+      function parseLogLevel(config) {
+        var errors = [];
+        var settings = { level: DEFAULT_LOG_LEVEL, panel: false, errors: errors };
+
+        if (config.debug === true) {
+          settings.level = 'debug';
+          settings.panel = true;
+        } else if (typeof config.debug === 'string' && LOG_LEVELS.indexOf(config.debug) !== -1) {
+          settings.level = config.debug;
+          settings.panel = true;
+        } else if (config.debug !== undefined && config.debug !== false) {
+          errors.push('"debug" must be true, false or one of ' + LOG_LEVELS.join(', ') + ', got "' + config.debug + '".');
+        }
+
+        return settings;
+      }
+
+      /**
+       * Parse and validate uiLanguage (e.g. "de" or "de-ch") and uiStrings (overrides by string key)
+       * Returns { language, strings, errors }; a language without a catalogue falls back to English
+       */
+      function parseUiLanguage(config, logger) {
+        var errors = [];
+        var settings = { language: DEFAULT_UI_LANGUAGE, strings: UI_STRINGS[DEFAULT_UI_LANGUAGE], errors: errors };
+
+        if (config.uiLanguage !== undefined) {
+          if (typeof config.uiLanguage !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(config.uiLanguage)) {
+            errors.push('"uiLanguage" must be a language code such as "en" or "de-ch", got "' + config.uiLanguage + '".');
+          } else {
+            // Dates are still formatted for the exact code (e.g. de-ch)
+            settings.language = config.uiLanguage.toLowerCase();
+            var catalogue = UI_STRINGS[settings.language] || UI_STRINGS[settings.language.split('-')[0]];
+            if (catalogue) {
+              settings.strings = catalogue;
+            } else if (config.uiStrings === undefined) {
+              logger.warn('No strings for uiLanguage "' + config.uiLanguage + '"; using English. Available: ' +
+                Object.keys(UI_STRINGS).join(', ') + ' (or translate with "uiStrings").');
             }
-          });
+          }
+        }
+
+        // uiStrings: { key: text } for a missing language or wording of your own
+        if (config.uiStrings !== undefined) {
+          if (!config.uiStrings || typeof config.uiStrings !== 'object' || Array.isArray(config.uiStrings)) {
+            errors.push('"uiStrings" must be an object such as {"noContent": "Nothing here yet."}.');
+          } else {
+            var strings = {};
+            Object.keys(settings.strings).forEach(function(key) {
+              strings[key] = settings.strings[key];
+            });
+            Object.keys(config.uiStrings).forEach(function(key) {
+              if (!UI_STRINGS[DEFAULT_UI_LANGUAGE].hasOwnProperty(key)) {
+                errors.push('uiStrings: unknown string "' + key + '".');
+              } else if (typeof config.uiStrings[key] !== 'string') {
+                errors.push('uiStrings.' + key + ' must be a string.');
+              } else {
+                strings[key] = config.uiStrings[key];
+              }
+            });
+            settings.strings = strings;
+          }
+        }
+
+        return settings;
+      }
+
+      /**
+       * Work out which branch the entry is being edited in
+       * Returns { branch, aliases, method } where method is 'config', 'sdk', 'stack', 'url'
+       * or 'fallback' (nothing found, 'main' assumed)
+       */
+      function detectCurrentBranch(config, sdk, logger) {
+        if (config.currentBranch) {
+          return { branch: config.currentBranch, aliases: [], method: 'config' };
+        }
+
+        var stack = sdk.stack || {};
+        var detail = getStackCurrentBranch(stack, logger);
+        if (detail) {
+          return {
+            branch: detail.uid,
+            aliases: (detail.alias || []).map(function(alias) {
+              return typeof alias === 'string' ? alias : alias.uid;
+            }).filter(Boolean),
+            method: 'sdk'
+          };
+        }
+
+        // Older SDK versions may expose the branch as a plain property
+        if (stack.branch || stack.branchName) {
+          return { branch: stack.branch || stack.branchName, aliases: [], method: 'stack' };
+        }
+
+        if (typeof window !== 'undefined' && window.location && window.location.search) {
+          var urlParams = new URLSearchParams(window.location.search);
+          var urlBranch = urlParams.get('branch') || urlParams.get('branchName');
+          if (urlBranch) {
+            return { branch: urlBranch, aliases: [], method: 'url' };
+          }
+        }
+
+        logger.warn('Current branch not detected. Defaulting to "main". Please set "currentBranch" in config.');
+        return { branch: 'main', aliases: [], method: 'fallback' };
+      }
+
+      /**
+       * The SDK's details of the branch being edited ({ uid, source, alias }), or null
+       * when this SDK version (or a stack without branches) does not provide them
+       */
+      function getStackCurrentBranch(stack, logger) {
+        if (typeof stack.getCurrentBranch !== 'function') return null;
+        try {
+          var detail = stack.getCurrentBranch();
+          return detail && typeof detail.uid === 'string' ? detail : null;
+        } catch (e) {
+          logger.warn('Could not read the current branch from the SDK', e);
+          return null;
+        }
+      }
+
+      /**
+       * Locale of the entry being edited, from the SDK's entry context (null when not known)
+       */
+      function getEntryLocale(sdk) {
+        var entry = sdk.entry;
+        if (!entry) return null;
+        var locale = entry.locale;
+        if (!locale && typeof entry.getData === 'function') {
+          try {
+            locale = (entry.getData() || {}).locale;
+          } catch (e) {
+            locale = null;
+          }
+        }
+        return typeof locale === 'string' && locale ? locale.toLowerCase() : null;
+      }
+
+      /**
+       * Parse and validate region, host, previewHost, proxyUrl and preview
+       * Returns { host, previewHost, proxyUrl, preview, errors } with base URLs for the overrides
+       */
+      function parseApiEndpoint(config) {
+        var errors = [];
+        var endpoint = { host: null, previewHost: null, proxyUrl: null, preview: config.preview === true, errors: errors };
+        var region = config.region || 'NA';
+
+        // An unknown region used to fall back to NA silently and fail with auth errors
+        if (!API_REGIONS[DeliveryApi.normalizeRegion(region)]) {
+          errors.push('Unknown "region" "' + region + '". Use one of ' + Object.keys(API_REGIONS).join(', ') +
+            ', or set "host" for a custom endpoint.');
+        }
+
+        ['host', 'previewHost', 'proxyUrl'].forEach(function(key) {
+          if (config[key] === undefined || config[key] === '') return;
+          var baseUrl = DeliveryApi.parseHost(config[key]);
+          if (baseUrl) {
+            endpoint[key] = baseUrl;
+          } else {
+            errors.push('"' + key + '" must be a host name or URL such as "cdn.example.com" or "https://proxy.example.com/cs", got "' + config[key] + '".');
+          }
         });
+
+        if (config.preview !== undefined && typeof config.preview !== 'boolean') {
+          errors.push('"preview" must be true or false, got "' + config.preview + '".');
+        }
+
+        // The point of the proxy is that no token reaches the browser, so refuse configs that still carry one
+        if (endpoint.proxyUrl) {
+          if (endpoint.host || endpoint.previewHost) {
+            errors.push('"proxyUrl" replaces "host" and "previewHost"; set the upstream host in the proxy\'s config instead.');
+          }
+          getConfiguredTokenKeys(config).forEach(function(key) {
+            errors.push('"' + key + '" must not be set with "proxyUrl"; the proxy holds the tokens.');
+          });
+        }
+
+        return endpoint;
       }
-      
-      // Item selection
-      var items = container.querySelectorAll('.cs-extension-item');
-      items.forEach(function(item) {
-        item.addEventListener('click', function() {
-          var entryUid = item.getAttribute('data-entry-uid');
-          var entryBranch = item.getAttribute('data-entry-branch');
-          var entry = entries.find(function(e) { 
-            return e.uid === entryUid && (e._branch || 'main') === entryBranch; 
+
+      /**
+       * Parse and validate source, assetFolder and mimeTypes
+       * Returns { source, query (the folder and MIME type filters as a Delivery API query, or null), errors }
+       */
+      function parseAssetSource(config) {
+        var errors = [];
+        var settings = { source: 'entries', query: null, errors: errors };
+
+        if (config.source !== undefined && SOURCES.indexOf(config.source) === -1) {
+          errors.push('"source" must be one of ' + SOURCES.join(', ') + ', got "' + config.source + '".');
+        } else if (config.source) {
+          settings.source = config.source;
+        }
+
+        if (settings.source !== 'assets') {
+          ['assetFolder', 'mimeTypes'].forEach(function(key) {
+            if (config[key] !== undefined) {
+              errors.push('"' + key + '" only applies when "source" is "assets".');
+            }
           });
-          
-          if (!entry) return;
-          
-          if (multiple) {
-            toggleMultipleSelection(entry, currentData, field, container, entries);
+          return settings;
+        }
+
+        var conditions = [];
+        if (config.assetFolder) {
+          conditions.push({ parent_uid: String(config.assetFolder).trim() });
+        }
+
+        // "image/*" matches the type's every subtype; other values match exactly
+        var mimeConditions = [];
+        parseFieldList(config.mimeTypes).forEach(function(mimeType) {
+          var match = /^([\w.+-]+)\/(\*|[\w.+-]+)$/.exec(mimeType);
+          if (!match) {
+            errors.push('"mimeTypes" must list MIME types such as "image/*" or "application/pdf", got "' + mimeType + '".');
+          } else if (match[2] === '*') {
+            mimeConditions.push({ content_type: { '$regex': '^' + match[1].replace(/[.+]/g, '\\$&') + '/' } });
           } else {
-            selectSingleEntry(entry, field);
+            mimeConditions.push({ content_type: mimeType.toLowerCase() });
           }
         });
-      });
-    }
-    
-    /**
-     * Select a single entry
-     */
-    function selectSingleEntry(entry, field) {
-      var data = {
-        uid: entry.uid,
-        _content_type_uid: entry._content_type_uid,
-        _branch: entry._branch || 'main'  // Store branch info
-      };
-      
-      field.setData(data);
-      
-      // Update UI
-      var items = document.querySelectorAll('.cs-extension-item');
-      items.forEach(function(item) {
-        item.classList.remove('cs-extension-item-selected');
-        if (item.getAttribute('data-entry-uid') === entry.uid && 
-            item.getAttribute('data-entry-branch') === entry._branch) {
-          item.classList.add('cs-extension-item-selected');
-        }
-      });
-      
-      // Resize window after selection
-      extensionField.window.updateHeight();
-    }
-    
-    /**
-     * Toggle multiple selection
-     */
-    function toggleMultipleSelection(entry, currentData, field, container, entries) {
-      var selected = currentData || [];
-      if (!Array.isArray(selected)) {
-        selected = [];
-      }
-      
-      var index = selected.findIndex(function(item) {
-        var itemUid = typeof item === 'string' ? item : item.uid;
-        var itemBranch = item._branch || 'main';
-        return itemUid === entry.uid && itemBranch === (entry._branch || 'main');
-      });
-      
-      if (index >= 0) {
-        // Deselect
-        selected.splice(index, 1);
-      } else {
-        // Select
-        selected.push({
-          uid: entry.uid,
-          _content_type_uid: entry._content_type_uid,
-          _branch: entry._branch || 'main'  // Store branch info
-        });
+        if (mimeConditions.length > 0) {
+          conditions.push(mimeConditions.length === 1 ? mimeConditions[0] : { '$or': mimeConditions });
+        }
+
+        settings.query = conditions.reduce(combineQueries, null);
+        return settings;
       }
-      
-      field.setData(selected);
-      
-      // Update UI
-      var item = container.querySelector('[data-entry-uid="' + entry.uid + '"][data-entry-branch="' + (entry._branch || 'main') + '"]');
-      if (item) {
-        if (index >= 0) {
-          item.classList.remove('cs-extension-item-selected');
-        } else {
-          item.classList.add('cs-extension-item-selected');
+
+      /**
+       * Parse and validate eventStreamUrl
+       * Returns { url (base URL, or null when live updates are off), errors }
+       */
+      function parseEventStreamUrl(config) {
+        if (config.eventStreamUrl === undefined || config.eventStreamUrl === '') {
+          return { url: null, errors: [] };
         }
+        var url = DeliveryApi.parseHost(config.eventStreamUrl);
+        if (!url) {
+          return { url: null, errors: ['"eventStreamUrl" must be a URL such as "https://events.example.com", got "' + config.eventStreamUrl + '".'] };
+        }
+        return { url: url, errors: [] };
       }
-      
-      // Update selected items display
-      renderSelectedItems(container, entries, selected);
-      
-      // Resize window after selection
-      extensionField.window.updateHeight();
-    }
-    
-    /**
-     * Render selected items display
-     */
-    function renderSelectedItems(container, entries, selected) {
-      var selectedList = container.querySelector('#main-branch-selected-list');
-      if (!selectedList) return;
-      
-      if (!selected || selected.length === 0) {
-        selectedList.innerHTML = '<div class="cs-extension-empty-selection">No items selected</div>';
-        return;
-      }
-      
-      var html = '';
-      selected.forEach(function(item) {
-        var uid = typeof item === 'string' ? item : item.uid;
-        var entry = entries.find(function(e) { return e.uid === uid; });
-        
-        if (entry) {
-          var title = entry.title || entry.uid || 'Untitled';
-          html += '<div class="cs-extension-selected-item">' +
-            '<span class="cs-extension-selected-item-title">' + escapeHtml(title) + '</span>' +
-            '<button class="cs-extension-remove-btn" data-entry-uid="' + uid + '">×</button>' +
-            '</div>';
+
+      /**
+       * Parse and validate usageReportUrl, which may be relative to the extension's page
+       * Returns { url (absolute, or null when not set), errors }
+       */
+      function parseUsageReportUrl(config) {
+        if (config.usageReportUrl === undefined || config.usageReportUrl === '') {
+          return { url: null, errors: [] };
+        }
+        var base = typeof window !== 'undefined' && window.location ? window.location.href : undefined;
+        try {
+          var url = new URL(config.usageReportUrl, base);
+          if (url.protocol === 'https:' || url.protocol === 'http:') {
+            return { url: url.href, errors: [] };
+          }
+        } catch (e) {
+          // Reported below
+        }
+        return { url: null, errors: ['"usageReportUrl" must be a URL such as "https://reports.example.com/usage-report.json", got "' + config.usageReportUrl + '".'] };
+      }
+
+      /**
+       * Parse and validate theme
+       * Returns { colorScheme, density, colors, darkColors, badgeColors, errors }; colors and
+       * darkColors are keyed like theme.THEME_COLOR_PROPERTIES, badgeColors by branch UID
+       */
+      function parseTheme(config) {
+        var settings = { colorScheme: 'auto', density: 'comfortable', colors: {}, darkColors: {}, badgeColors: {}, errors: [] };
+        var value = config.theme;
+        if (value === undefined) {
+          return settings;
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          settings.errors.push('"theme" must be an object such as {"colorScheme": "auto", "density": "compact"}.');
+          return settings;
+        }
+
+        if (value.colorScheme !== undefined) {
+          if (theme.COLOR_SCHEMES.indexOf(value.colorScheme) === -1) {
+            settings.errors.push('theme.colorScheme must be one of ' + theme.COLOR_SCHEMES.join(', ') + ', got "' + value.colorScheme + '".');
+          } else {
+            settings.colorScheme = value.colorScheme;
+          }
         }
-      });
-      
-      selectedList.innerHTML = html;
-      
-      // Attach remove button listeners
-      var removeButtons = selectedList.querySelectorAll('.cs-extension-remove-btn');
-      removeButtons.forEach(function(btn) {
-        btn.addEventListener('click', function(e) {
-          e.stopPropagation();
-          var uid = btn.getAttribute('data-entry-uid');
-          var entry = entries.find(function(e) { return e.uid === uid; });
-          if (entry) {
-            toggleMultipleSelection(entry, selected, extensionField.field, container, entries);
+        if (value.density !== undefined) {
+          if (theme.DENSITIES.indexOf(value.density) === -1) {
+            settings.errors.push('theme.density must be one of ' + theme.DENSITIES.join(', ') + ', got "' + value.density + '".');
+          } else {
+            settings.density = value.density;
+          }
+        }
+
+        ['colors', 'darkColors', 'badgeColors'].forEach(function(key) {
+          var colors = value[key];
+          if (colors === undefined) return;
+          if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+            settings.errors.push('theme.' + key + ' must be an object of CSS colours.');
+            return;
           }
+          Object.keys(colors).forEach(function(name) {
+            if (key !== 'badgeColors' && !theme.THEME_COLOR_PROPERTIES.hasOwnProperty(name)) {
+              settings.errors.push('theme.' + key + ' has no "' + name + '" colour; use ' + Object.keys(theme.THEME_COLOR_PROPERTIES).join(', ') + '.');
+            } else if (!isValidCssColor(colors[name])) {
+              settings.errors.push('theme.' + key + '.' + name + ' must be a CSS colour such as "#6c5ce7", got "' + colors[name] + '".');
+            } else {
+              settings[key][name] = colors[name].trim();
+            }
+          });
         });
-      });
-    }
-    
-    /**
-     * Escape HTML to prevent XSS
-     */
-    function escapeHtml(text) {
-      var div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    }
-  }
-  
-  // Initialize using Contentstack UI Extension SDK (official pattern)
-  if (typeof ContentstackUIExtension !== 'undefined') {
-    // SDK is available, initialize immediately
-    ContentstackUIExtension.init().then(function(extension) {
-      extensionField = extension;
-      initializeExtension();
-    }).catch(function(error) {
-      console.error('Error initializing extension:', error);
-      var container = document.getElementById('main-branch-selector-container');
-      if (container) {
-        container.innerHTML = '<div class="cs-extension-error">Error initializing extension. Please refresh the page.</div>';
-      }
-    });
-  } else {
-    // Wait for SDK to load
-    function waitForSDK() {
-      if (typeof ContentstackUIExtension !== 'undefined') {
-        ContentstackUIExtension.init().then(function(extension) {
-          extensionField = extension;
-          initializeExtension();
-        }).catch(function(error) {
-          console.error('Error initializing extension:', error);
+
+        return settings;
+      }
+
+      /**
+       * Config keys that hold a token, e.g. ["deliveryToken", "branches[1].deliveryToken"]
+       */
+      function getConfiguredTokenKeys(config) {
+        var tokenKeys = ['deliveryToken', 'mainBranchDeliveryToken', 'currentBranchDeliveryToken', 'previewToken'];
+        var found = tokenKeys.filter(function(key) {
+          return !!config[key];
         });
-      } else {
-        setTimeout(waitForSDK, 100);
+
+        if (Array.isArray(config.branches)) {
+          config.branches.forEach(function(item, index) {
+            ['deliveryToken', 'previewToken'].forEach(function(key) {
+              if (item && item[key]) {
+                found.push('branches[' + index + '].' + key);
+              }
+            });
+          });
+        }
+
+        return found;
       }
-    }
-    
-    // Start waiting when DOM is ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', waitForSDK);
-    } else {
-      waitForSDK();
-    }
-  }
-})();
 
+      /**
+       * Build the list of branches to read from
+       * Uses config.branches when present, otherwise targetBranch plus the current branch
+       * settings: the resolved targetBranch, currentBranch, showBothBranches, tokens and modes
+       * Returns { branches: [{ branch, label, token, badgeColor, primary }], errors }
+       */
+      function parseBranchList(config, settings, logger) {
+        var t = settings.text.t;
+        var targetBranch = settings.targetBranch;
+        var currentBranch = settings.currentBranch;
+        var showBothBranches = settings.showBothBranches;
+        var deliveryToken = settings.deliveryToken;
+        var previewToken = settings.previewToken;
+
+        var errors = [];
+        var branches = [];
+
+        if (config.branches === undefined) {
+          // Two-branch setup: Main plus (optionally) the branch being edited
+          branches.push({ branch: targetBranch, label: t('mainBranchLabel'), token: settings.mainBranchToken || deliveryToken, previewToken: previewToken });
+
+          if (showBothBranches && currentBranch !== targetBranch) {
+            logger.debug('Fetching from current branch: ' + currentBranch);
+            // Use branch-specific token if available, otherwise use default
+            branches.push({
+              branch: currentBranch,
+              label: getDefaultBranchLabel(currentBranch, t),
+              token: settings.currentBranchToken || deliveryToken,
+              previewToken: previewToken
+            });
+          } else {
+            logger.debug('Skipping current branch fetch', {
+              showBothBranches: showBothBranches,
+              currentBranch: currentBranch,
+              targetBranch: targetBranch,
+              reason: !showBothBranches ? 'showBothBranches is false' : 'currentBranch === targetBranch'
+            });
+          }
+        } else if (!Array.isArray(config.branches) || config.branches.length === 0) {
+          errors.push('"branches" must be a non-empty array such as [{"branch": "main"}, {"branch": "midwest"}].');
+        } else {
+          config.branches.forEach(function(item, index) {
+            // "midwest" is shorthand for {"branch": "midwest"}
+            if (typeof item === 'string') {
+              item = { branch: item };
+            }
+            if (!item || typeof item.branch !== 'string' || !item.branch.trim()) {
+              errors.push('branches[' + index + '] needs a "branch" UID.');
+              return;
+            }
+
+            // The placeholder lets one config serve every child branch
+            var isPlaceholder = item.branch === CURRENT_BRANCH_PLACEHOLDER;
+            var branch = isPlaceholder ? currentBranch : item.branch.trim();
+            var alreadyListed = branches.some(function(b) { return b.branch === branch; });
+            if (alreadyListed) {
+              // The current branch may legitimately be one of the listed ancestors
+              if (!isPlaceholder) {
+                errors.push('branches[' + index + ']: "' + branch + '" is listed more than once.');
+              }
+              return;
+            }
+
+            if (item.badgeColor !== undefined && !isValidCssColor(item.badgeColor)) {
+              errors.push('branches[' + index + '].badgeColor must be a CSS colour such as "#0066cc", got "' + item.badgeColor + '".');
+              return;
+            }
+
+            branches.push({
+              branch: branch,
+              label: item.label || getDefaultBranchLabel(branch, t),
+              token: item.deliveryToken || deliveryToken,
+              previewToken: item.previewToken || previewToken,
+              badgeColor: item.badgeColor || null
+            });
+          });
+        }
+
+        // The first branch is the root of the hierarchy and gets the "main" badge
+        if (branches.length > 0) {
+          branches[0].primary = true;
+        }
+
+        if (settings.previewMode && !settings.proxyMode) {
+          branches.forEach(function(item) {
+            if (!item.previewToken) {
+              errors.push('Preview mode needs a "previewToken" for the "' + item.branch + '" branch.');
+            }
+          });
+        }
+
+        return { branches: branches, errors: errors };
+      }
+
+      /**
+       * Default label for a branch, e.g. "midwest" -> "Midwest Branch"
+       */
+      function getDefaultBranchLabel(branch, t) {
+        return t('branchLabel', { name: branch.charAt(0).toUpperCase() + branch.slice(1) });
+      }
+
+      /**
+       * Accept hex, rgb()/rgba() and named colours only, so the value is safe to put in a style attribute
+       */
+      function isValidCssColor(value) {
+        return typeof value === 'string' &&
+          /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i.test(value.trim());
+      }
+
+      /**
+       * Parse and validate minItems/maxItems
+       * Returns { minItems, maxItems, errors } with null for a limit that is not set
+       */
+      function parseSelectionLimits(config, multiple) {
+        var errors = [];
+        var limits = { minItems: null, maxItems: null, errors: errors };
+
+        ['minItems', 'maxItems'].forEach(function(key) {
+          if (config[key] === undefined || config[key] === null || config[key] === '') return;
+          var value = Number(config[key]);
+          if (!multiple) {
+            errors.push('"' + key + '" only applies when "multiple" is true.');
+          } else if (!isFinite(value) || value < 0 || Math.floor(value) !== value) {
+            errors.push('"' + key + '" must be a whole number of 0 or more, got "' + config[key] + '".');
+          } else {
+            limits[key] = value;
+          }
+        });
+
+        if (limits.minItems !== null && limits.maxItems !== null && limits.minItems > limits.maxItems) {
+          errors.push('"minItems" (' + limits.minItems + ') cannot be greater than "maxItems" (' + limits.maxItems + ').');
+        }
+
+        return limits;
+      }
+
+      /**
+       * Parse and validate cacheTtl (seconds)
+       * Returns { ttl, errors }
+       */
+      function parseCacheTtl(config) {
+        var errors = [];
+        var ttl = DEFAULT_CACHE_TTL_SECONDS;
+
+        if (config.cacheTtl !== undefined && config.cacheTtl !== null && config.cacheTtl !== '') {
+          var value = Number(config.cacheTtl);
+          if (typeof config.cacheTtl === 'boolean' || !isFinite(value) || value < 0) {
+            errors.push('"cacheTtl" must be a number of seconds (0 turns caching off), got "' + config.cacheTtl + '".');
+          } else {
+            ttl = value;
+          }
+        }
+
+        return { ttl: ttl, errors: errors };
+      }
+
+      /**
+       * Parse and validate titleField, subtitleField, thumbnailField, thumbnailParams and previewFields
+       * Field names may be dot paths into groups, e.g. "hero.image"
+       * Returns { titleField, subtitleField, thumbnailField, thumbnailParams, previewFields, fields, errors }
+       * where fields lists every configured path (for projections)
+       */
+      function parseDisplayFields(config) {
+        var errors = [];
+        var display = {
+          titleField: 'title',
+          subtitleField: 'description',
+          thumbnailField: null,
+          thumbnailParams: DEFAULT_THUMBNAIL_PARAMS,
+          previewFields: parseFieldList(config.previewFields),
+          fields: [],
+          errors: errors
+        };
+
+        ['titleField', 'subtitleField', 'thumbnailField'].forEach(function(key) {
+          if (config[key] === undefined || config[key] === '') return;
+          if (typeof config[key] !== 'string' || !/^[\w.]+$/.test(config[key])) {
+            errors.push('"' + key + '" must be a field UID or dot path such as "hero.image", got "' + config[key] + '".');
+          } else {
+            display[key] = config[key];
+          }
+        });
+
+        if (config.thumbnailParams !== undefined) {
+          if (!config.thumbnailParams || typeof config.thumbnailParams !== 'object' || Array.isArray(config.thumbnailParams)) {
+            errors.push('"thumbnailParams" must be an object of image transform parameters such as {"width": 48, "height": 48}.');
+          } else {
+            display.thumbnailParams = config.thumbnailParams;
+          }
+        }
+
+        display.fields = [display.titleField, display.subtitleField]
+          .concat(display.thumbnailField ? [display.thumbnailField] : [], display.previewFields);
+
+        return display;
+      }
+
+      /**
+       * Parse and validate the query/sort/locale/tags/projection options of the field config
+       * Returns { query, sortBy, sortOrder, locale, fallbackLocale, only, except, errors }
+       */
+      function parseEntryFilters(config) {
+        var errors = [];
+        var filters = {
+          query: null,
+          sortBy: null,
+          sortOrder: null,
+          locale: null,
+          fallbackLocale: true,
+          only: [],
+          except: [],
+          errors: errors
+        };
+
+        // query: a Delivery API query object, or its JSON string form
+        var query = config.query;
+        if (typeof query === 'string' && query.trim()) {
+          try {
+            query = JSON.parse(query);
+          } catch (e) {
+            errors.push('"query" is not valid JSON (' + e.message + ').');
+            query = null;
+          }
+        }
+        if (query && (typeof query !== 'object' || Array.isArray(query))) {
+          errors.push('"query" must be an object such as {"category": "promo"}.');
+          query = null;
+        }
+
+        // tags: entries must carry at least one of the listed tags
+        var tags = parseFieldList(config.tags);
+        var conditions = [];
+        if (query && Object.keys(query).length > 0) {
+          conditions.push(query);
+        }
+        if (tags.length > 0) {
+          conditions.push({ tags: { '$in': tags } });
+        }
+        filters.query = conditions.reduce(combineQueries, null);
+
+        // sortBy/sortOrder map to the Delivery API's asc=<field> / desc=<field>
+        if (config.sortBy) {
+          if (typeof config.sortBy !== 'string') {
+            errors.push('"sortBy" must be a field UID such as "updated_at".');
+          } else {
+            filters.sortBy = config.sortBy.trim();
+            filters.sortOrder = 'desc';
+          }
+        }
+        if (config.sortOrder) {
+          var sortOrder = String(config.sortOrder).toLowerCase();
+          if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+            errors.push('"sortOrder" must be "asc" or "desc", got "' + config.sortOrder + '".');
+          } else if (!config.sortBy) {
+            errors.push('"sortOrder" needs "sortBy" to name the field to sort on.');
+          } else {
+            filters.sortOrder = sortOrder;
+          }
+        }
+
+        // locale: a locale code such as "en-us" or "fr-fr"
+        if (config.locale) {
+          if (typeof config.locale !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(config.locale)) {
+            errors.push('"locale" must be a locale code such as "en-us", got "' + config.locale + '".');
+          } else {
+            filters.locale = config.locale.toLowerCase();
+          }
+        }
+
+        // fallbackLocale: list entries not localized in the locale in their fallback locale (include_fallback)
+        if (config.fallbackLocale !== undefined) {
+          if (typeof config.fallbackLocale !== 'boolean') {
+            errors.push('"fallbackLocale" must be true or false, got "' + config.fallbackLocale + '".');
+          } else {
+            filters.fallbackLocale = config.fallbackLocale;
+          }
+        }
+
+        // only/except: field projection (mutually exclusive in the Delivery API)
+        var only = parseFieldList(config.only);
+        var except = parseFieldList(config.except);
+        if (only.length > 0 && except.length > 0) {
+          errors.push('"only" and "except" cannot be used together.');
+        } else if (only.length > 0) {
+          // The list always needs a title to show
+          filters.only = only.indexOf('title') === -1 ? ['title'].concat(only) : only;
+        } else if (except.indexOf('title') !== -1) {
+          errors.push('"except" cannot exclude "title"; the picker needs it to label entries.');
+        } else {
+          filters.except = except;
+        }
+
+        return filters;
+      }
+
+      /**
+       * Accept a field list as an array or a comma-separated string
+       */
+      function parseFieldList(value) {
+        if (!value) return [];
+        var list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(function(item) { return String(item).trim(); }).filter(Boolean);
+      }
+
+      /**
+       * Config errors not about an option a schema error already names
+       * (e.g. "preview": "yes" is reported once, not again by parseApiEndpoint)
+       */
+      function withoutSchemaDuplicates(messages, schemaErrors) {
+        var keys = schemaErrors.map(function(error) { return error.key; });
+        return messages.filter(function(message) {
+          return !keys.some(function(key) {
+            return key && (message.indexOf('"' + key + '"') === 0 || message.indexOf(key + '[') === 0 ||
+              message.indexOf(key + '.') === 0 || message.indexOf(key + ':') === 0);
+          });
+        });
+      }
+
+      module.exports = {
+        DEFAULT_PAGE_SIZE: DEFAULT_PAGE_SIZE,
+        MAX_PAGE_SIZE: MAX_PAGE_SIZE,
+        DEFAULT_CACHE_TTL_SECONDS: DEFAULT_CACHE_TTL_SECONDS,
+        CURRENT_BRANCH_PLACEHOLDER: CURRENT_BRANCH_PLACEHOLDER,
+        ASSET_CONTENT_TYPE: ASSET_CONTENT_TYPE,
+        resolveConfig: resolveConfig,
+        detectCurrentBranch: detectCurrentBranch,
+        parseBranchList: parseBranchList,
+        parseApiEndpoint: parseApiEndpoint,
+        parseSelectionLimits: parseSelectionLimits,
+        parseEntryFilters: parseEntryFilters,
+        parseDisplayFields: parseDisplayFields,
+        parseFieldList: parseFieldList,
+        parseTheme: parseTheme,
+        getDefaultBranchLabel: getDefaultBranchLabel,
+        isValidCssColor: isValidCssColor
+      };
+    },
+    // delivery-api.js
+    function(require, module, exports) {
+      /**
+       * Contentstack Delivery API helpers shared by the Main Branch Content Selector,
+       * the Delivery API proxy and the reference resolver
+       *
+       * Works as a browser script (window.MainBranchDeliveryApi) and as a CommonJS module.
+       */
+
+      (function(root, factory) {
+        if (typeof module === 'object' && module.exports) {
+          module.exports = factory();
+        } else {
+          root.MainBranchDeliveryApi = factory();
+        }
+      }(typeof self !== 'undefined' ? self : this, function() {
+        'use strict';
+
+        // Delivery API and Preview API hosts of each Contentstack region (config.region)
+        var API_REGIONS = {
+          NA: { delivery: 'cdn.contentstack.io', preview: 'rest-preview.contentstack.com' },
+          EU: { delivery: 'eu-cdn.contentstack.com', preview: 'eu-rest-preview.contentstack.com' },
+          AU: { delivery: 'au-cdn.contentstack.com', preview: 'au-rest-preview.contentstack.com' },
+          AZURE_NA: { delivery: 'azure-na-cdn.contentstack.com', preview: 'azure-na-rest-preview.contentstack.com' },
+          AZURE_EU: { delivery: 'azure-eu-cdn.contentstack.com', preview: 'azure-eu-rest-preview.contentstack.com' },
+          GCP_NA: { delivery: 'gcp-na-cdn.contentstack.com', preview: 'gcp-na-rest-preview.contentstack.com' },
+          GCP_EU: { delivery: 'gcp-eu-cdn.contentstack.com', preview: 'gcp-eu-rest-preview.contentstack.com' }
+        };
+
+        // The Delivery API caps `limit` at 100
+        var MAX_PAGE_SIZE = 100;
+
+        /**
+         * Region key for API_REGIONS, accepting e.g. "eu", "azure-na" and "AWS_EU"
+         */
+        function normalizeRegion(value) {
+          var key = String(value || 'NA').trim().toUpperCase().replace(/-/g, '_').replace(/^AWS_/, '');
+          return key === 'US' ? 'NA' : key;
+        }
+
+        /**
+         * Base URL for a host name or URL ("cdn.example.com", "https://proxy.example.com/cs/"),
+         * or null when it is not one
+         */
+        function parseHost(value) {
+          if (typeof value !== 'string' || !value.trim() || /\s/.test(value.trim())) return null;
+          value = value.trim();
+          try {
+            var url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : 'https://' + value);
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+            return (url.origin + url.pathname).replace(/\/+$/, '');
+          } catch (e) {
+            return null;
+          }
+        }
+
+        /**
+         * Base URL requests go to: the proxy, else the host (previewHost in preview mode)
+         * override, else the region's Delivery API (or Preview API) host
+         * options: { region, host, previewHost, proxyUrl, preview }
+         */
+        function getApiBaseUrl(options) {
+          if (options.proxyUrl) {
+            return parseHost(options.proxyUrl);
+          }
+          var override = parseHost(options.preview ? options.previewHost : options.host);
+          if (override) {
+            return override;
+          }
+          var hosts = API_REGIONS[normalizeRegion(options.region)] || API_REGIONS.NA;
+          return 'https://' + (options.preview ? hosts.preview : hosts.delivery);
+        }
+
+        /**
+         * URL of a page of a content type's entries in a branch
+         * params: { environment, branch, skip, limit, query (Delivery API query object),
+         *           sortBy, sortOrder ('asc' | 'desc'), locale, includeFallback, only, except (field UID arrays) }
+         */
+        function getEntriesUrl(baseUrl, contentType, params) {
+          var search = getBranchParams(params);
+          search.append('include_count', 'true');   // Returns the total so callers know when to stop paging
+          search.append('skip', String(params.skip || 0));
+          search.append('limit', String(params.limit || MAX_PAGE_SIZE));
+          if (params.query) {
+            search.append('query', JSON.stringify(params.query));
+          }
+          if (params.sortBy) {
+            search.append(params.sortOrder === 'asc' ? 'asc' : 'desc', params.sortBy);
+          }
+          appendLocaleParams(search, params);
+          (params.only || []).forEach(function(fieldUid) {
+            search.append('only[BASE][]', fieldUid);
+          });
+          (params.except || []).forEach(function(fieldUid) {
+            search.append('except[BASE][]', fieldUid);
+          });
+          return baseUrl + '/v3/content_types/' + contentType + '/entries?' + search.toString();
+        }
+
+        /**
+         * URL of a single entry in a branch
+         * params: { environment, branch, locale, includeFallback }
+         */
+        function getEntryUrl(baseUrl, contentType, entryUid, params) {
+          var search = getBranchParams(params);
+          appendLocaleParams(search, params);
+          return baseUrl + '/v3/content_types/' + contentType + '/entries/' + encodeURIComponent(entryUid) + '?' + search.toString();
+        }
+
+        /**
+         * URL of a page of a branch's published assets
+         * params: { environment, branch, skip, limit, query (Delivery API query object over asset
+         *           fields such as parent_uid and content_type), sortBy, sortOrder }
+         */
+        function getAssetsUrl(baseUrl, params) {
+          var search = getBranchParams(params);
+          search.append('include_count', 'true');
+          search.append('include_dimension', 'true');  // Returns width and height of images
+          search.append('skip', String(params.skip || 0));
+          search.append('limit', String(params.limit || MAX_PAGE_SIZE));
+          if (params.query) {
+            search.append('query', JSON.stringify(params.query));
+          }
+          if (params.sortBy) {
+            search.append(params.sortOrder === 'asc' ? 'asc' : 'desc', params.sortBy);
+          }
+          return baseUrl + '/v3/assets?' + search.toString();
+        }
+
+        /**
+         * URL of a single asset in a branch
+         * params: { environment, branch }
+         */
+        function getAssetUrl(baseUrl, assetUid, params) {
+          var search = getBranchParams(params);
+          search.append('include_dimension', 'true');
+          return baseUrl + '/v3/assets/' + encodeURIComponent(assetUid) + '?' + search.toString();
+        }
+
+        /**
+         * Query parameters every request carries; the branch goes in the query string, not a header
+         */
+        function getBranchParams(params) {
+          var search = new URLSearchParams();
+          search.append('environment', params.environment);
+          search.append('branch', params.branch);
+          search.append('include_branch', 'true');  // Returns _branch on each entry
+          return search;
+        }
+
+        /**
+         * locale, and include_fallback for entries not localized in it
+         */
+        function appendLocaleParams(search, params) {
+          if (params.locale) {
+            search.append('locale', params.locale);
+            if (params.includeFallback) {
+              search.append('include_fallback', 'true');
+            }
+          }
+        }
+
+        /**
+         * Headers for a Delivery API (or Preview API) request
+         * options: { apiKey, deliveryToken, previewToken, preview, proxy }; a proxy adds
+         * the credentials itself, so none are sent to it
+         */
+        function getRequestHeaders(options) {
+          var headers = { 'Content-Type': 'application/json' };
+
+          if (options.proxy) {
+            // Asks the proxy to forward to the Preview API
+            if (options.preview) {
+              headers['X-Contentstack-Preview'] = 'true';
+            }
+            return headers;
+          }
+
+          headers['api_key'] = options.apiKey;
+          headers['access_token'] = options.deliveryToken;
+          // The Preview API takes the preview token alongside the delivery token
+          if (options.preview) {
+            headers['preview_token'] = options.previewToken;
+          }
+          return headers;
+        }
+
+        return {
+          API_REGIONS: API_REGIONS,
+          MAX_PAGE_SIZE: MAX_PAGE_SIZE,
+          normalizeRegion: normalizeRegion,
+          parseHost: parseHost,
+          getApiBaseUrl: getApiBaseUrl,
+          getEntriesUrl: getEntriesUrl,
+          getEntryUrl: getEntryUrl,
+          getAssetsUrl: getAssetsUrl,
+          getAssetUrl: getAssetUrl,
+          getRequestHeaders: getRequestHeaders
+        };
+      }));
+    },
+    // config-schema.js
+    function(require, module, exports) {
+      /**
+       * Field config schema for the Main Branch Content Selector
+       *
+       * SCHEMA is main-branch-selector.schema.json (keep the two identical); validateConfig
+       * checks a config against it and describes every problem in a sentence an admin can act on.
+       * The validator covers the JSON Schema keywords the schema uses, not the whole spec.
+       *
+       * Works as a browser script (window.MainBranchConfigSchema) and as a CommonJS module.
+       */
+
+      (function(root, factory) {
+        if (typeof module === 'object' && module.exports) {
+          module.exports = factory();
+        } else {
+          root.MainBranchConfigSchema = factory();
+        }
+      }(typeof self !== 'undefined' ? self : this, function() {
+        'use strict';
+
+        var SCHEMA = {
+          "$schema": "http://json-schema.org/draft-07/schema#",
+          "$id": "https://contentstackresources.vercel.app/extensions/main-branch-selector.schema.json",
+          "title": "Main Branch Content Selector field config",
+          "description": "The extension's config merged with the field's config (see extension-config-example.json). \"x-group\" and \"x-expected\" are read by config-schema.js and config-builder.html; other validators ignore them.",
+          "type": "object",
+          "additionalProperties": false,
+          "properties": {
+            "source": {
+              "x-group": "Content",
+              "description": "What the field picks: entries of contentType, or files from the branches' asset libraries (contentType is then ignored).",
+              "enum": [
+                "entries",
+                "assets"
+              ],
+              "default": "entries"
+            },
+            "contentType": {
+              "x-group": "Content",
+              "description": "Content type UID to pick entries from, or several that fill the same slot (required unless source is \"assets\").",
+              "anyOf": [
+                {
+                  "type": "string",
+                  "pattern": "^\\s*[a-z0-9_]+(\\s*,\\s*[a-z0-9_]+)*\\s*$"
+                },
+                {
+                  "type": "array",
+                  "minItems": 1,
+                  "items": {
+                    "$ref": "#/definitions/contentTypeUid"
+                  }
+                }
+              ],
+              "x-expected": "a content type UID such as \"global_header\", or an array of them",
+              "examples": [
+                "global_header",
+                [
+                  "global_header",
+                  "promo_banner"
+                ]
+              ]
+            },
+            "multiple": {
+              "x-group": "Content",
+              "description": "Store an array of references instead of one.",
+              "type": "boolean",
+              "default": false
+            },
+            "minItems": {
+              "x-group": "Content",
+              "description": "Fewest references the field accepts (multiple only).",
+              "type": "integer",
+              "minimum": 0
+            },
+            "maxItems": {
+              "x-group": "Content",
+              "description": "Most references the field accepts (multiple only).",
+              "type": "integer",
+              "minimum": 0
+            },
+            "query": {
+              "x-group": "Content",
+              "description": "Delivery API query narrowing the candidate entries.",
+              "type": [
+                "object",
+                "string"
+              ],
+              "x-expected": "a query object such as {\"category\": \"promo\"}",
+              "examples": [
+                {
+                  "banner_type": "seasonal"
+                }
+              ]
+            },
+            "tags": {
+              "x-group": "Content",
+              "description": "Only list entries with one of these tags.",
+              "$ref": "#/definitions/fieldList"
+            },
+            "sortBy": {
+              "x-group": "Content",
+              "description": "Field UID the list is sorted on.",
+              "type": "string",
+              "minLength": 1,
+              "examples": [
+                "updated_at"
+              ]
+            },
+            "sortOrder": {
+              "x-group": "Content",
+              "description": "Sort direction for sortBy.",
+              "enum": [
+                "asc",
+                "desc"
+              ],
+              "default": "desc"
+            },
+            "only": {
+              "x-group": "Content",
+              "description": "Fetch only these fields (the displayed fields are always added).",
+              "$ref": "#/definitions/fieldList"
+            },
+            "except": {
+              "x-group": "Content",
+              "description": "Fetch every field except these.",
+              "$ref": "#/definitions/fieldList"
+            },
+            "assetFolder": {
+              "x-group": "Content",
+              "description": "UID of the asset folder to list files from (source \"assets\" only).",
+              "type": "string",
+              "pattern": "^[a-z0-9_]+$",
+              "x-expected": "a folder UID such as \"blt3f9a2c1d0b7e6a54\""
+            },
+            "mimeTypes": {
+              "x-group": "Content",
+              "description": "Only list files of these MIME types; \"image/*\" matches every image (source \"assets\" only).",
+              "anyOf": [
+                {
+                  "type": "string",
+                  "pattern": "^\\s*[\\w.+-]+/(\\*|[\\w.+-]+)(\\s*,\\s*[\\w.+-]+/(\\*|[\\w.+-]+))*\\s*$"
+                },
+                {
+                  "type": "array",
+                  "minItems": 1,
+                  "items": {
+                    "$ref": "#/definitions/mimeType"
+                  }
+                }
+              ],
+              "x-expected": "a MIME type such as \"image/*\" or \"application/pdf\", or an array of them",
+              "examples": [
+                [
+                  "image/*",
+                  "application/pdf"
+                ]
+              ]
+            },
+            "targetBranch": {
+              "x-group": "Branches",
+              "description": "Branch the shared content lives in.",
+              "$ref": "#/definitions/branchUid",
+              "default": "main"
+            },
+            "currentBranch": {
+              "x-group": "Branches",
+              "description": "Branch being edited, when the SDK cannot tell.",
+              "$ref": "#/definitions/branchUid"
+            },
+            "showBothBranches": {
+              "x-group": "Branches",
+              "description": "Also list entries from the branch being edited.",
+              "type": "boolean",
+              "default": true
+            },
+            "branches": {
+              "x-group": "Branches",
+              "description": "Branches to read from, ancestors first. \"$current\" stands for the branch being edited.",
+              "type": "array",
+              "minItems": 1,
+              "items": {
+                "anyOf": [
+                  {
+                    "$ref": "#/definitions/branchUid"
+                  },
+                  {
+                    "type": "object",
+                    "required": [
+                      "branch"
+                    ],
+                    "additionalProperties": false,
+                    "properties": {
+                      "branch": {
+                        "$ref": "#/definitions/branchUid"
+                      },
+                      "label": {
+                        "type": "string"
+                      },
+                      "badgeColor": {
+                        "$ref": "#/definitions/cssColor"
+                      },
+                      "deliveryToken": {
+                        "$ref": "#/definitions/token"
+                      },
+                      "previewToken": {
+                        "$ref": "#/definitions/token"
+                      }
+                    }
+                  }
+                ],
+                "x-expected": "a branch UID or an object such as {\"branch\": \"main\"}"
+              },
+              "examples": [
+                [
+                  {
+                    "branch": "main",
+                    "label": "Main"
+                  },
+                  {
+                    "branch": "$current"
+                  }
+                ]
+              ]
+            },
+            "duplicateEntries": {
+              "x-group": "Branches",
+              "description": "How to list an entry UID found in several branches.",
+              "enum": [
+                "show-all",
+                "prefer-child",
+                "prefer-parent",
+                "merge"
+              ],
+              "default": "show-all"
+            },
+            "apiKey": {
+              "x-group": "Delivery API",
+              "description": "Stack API key (defaults to the stack the extension runs in).",
+              "$ref": "#/definitions/token"
+            },
+            "deliveryToken": {
+              "x-group": "Delivery API",
+              "description": "Delivery token used for every branch without one of its own.",
+              "$ref": "#/definitions/token"
+            },
+            "mainBranchDeliveryToken": {
+              "x-group": "Delivery API",
+              "description": "Delivery token for targetBranch.",
+              "$ref": "#/definitions/token"
+            },
+            "currentBranchDeliveryToken": {
+              "x-group": "Delivery API",
+              "description": "Delivery token for the branch being edited.",
+              "$ref": "#/definitions/token"
+            },
+            "environment": {
+              "x-group": "Delivery API",
+              "description": "Publishing environment to read from (defaults to the stack's).",
+              "type": "string",
+              "minLength": 1
+            },
+            "region": {
+              "x-group": "Delivery API",
+              "description": "Contentstack region: NA, EU, AU, AZURE_NA, AZURE_EU, GCP_NA or GCP_EU.",
+              "type": "string",
+              "minLength": 1,
+              "default": "NA"
+            },
+            "host": {
+              "x-group": "Delivery API",
+              "description": "Delivery API host or URL replacing the region's (e.g. a CDN in front of it).",
+              "$ref": "#/definitions/host"
+            },
+            "preview": {
+              "x-group": "Delivery API",
+              "description": "Read unpublished content from the Preview API.",
+              "type": "boolean",
+              "default": false
+            },
+            "previewToken": {
+              "x-group": "Delivery API",
+              "description": "Preview token for preview mode.",
+              "$ref": "#/definitions/token"
+            },
+            "previewHost": {
+              "x-group": "Delivery API",
+              "description": "Preview API host or URL replacing the region's.",
+              "$ref": "#/definitions/host"
+            },
+            "proxyUrl": {
+              "x-group": "Delivery API",
+              "description": "URL of a proxy/delivery-proxy.js server holding the tokens; no token may be set with it.",
+              "$ref": "#/definitions/host"
+            },
+            "pageSize": {
+              "x-group": "Delivery API",
+              "description": "Entries fetched per request.",
+              "type": "integer",
+              "minimum": 1,
+              "maximum": 100,
+              "default": 50
+            },
+            "cacheTtl": {
+              "x-group": "Delivery API",
+              "description": "Seconds fetched pages are cached for (0 turns caching off).",
+              "type": "number",
+              "minimum": 0,
+              "default": 300
+            },
+            "eventStreamUrl": {
+              "x-group": "Delivery API",
+              "description": "URL of a proxy/event-stream.js server; published, unpublished and deleted entries then update the list live.",
+              "$ref": "#/definitions/host"
+            },
+            "titleField": {
+              "x-group": "Display",
+              "description": "Field that labels each entry.",
+              "$ref": "#/definitions/fieldPath",
+              "default": "title"
+            },
+            "subtitleField": {
+              "x-group": "Display",
+              "description": "Field shown under the title.",
+              "$ref": "#/definitions/fieldPath",
+              "default": "description"
+            },
+            "thumbnailField": {
+              "x-group": "Display",
+              "description": "File field shown as a thumbnail.",
+              "$ref": "#/definitions/fieldPath"
+            },
+            "thumbnailParams": {
+              "x-group": "Display",
+              "description": "Image transform parameters for thumbnails.",
+              "type": "object",
+              "x-expected": "an object of image transform parameters such as {\"width\": 48, \"height\": 48}",
+              "examples": [
+                {
+                  "width": 48,
+                  "height": 48,
+                  "fit": "crop"
+                }
+              ]
+            },
+            "previewFields": {
+              "x-group": "Display",
+              "description": "Fields shown in the preview pane.",
+              "$ref": "#/definitions/fieldList"
+            },
+            "searchFields": {
+              "x-group": "Display",
+              "description": "Fields searched besides the title.",
+              "$ref": "#/definitions/fieldList"
+            },
+            "usageReportUrl": {
+              "x-group": "Display",
+              "description": "URL of a JSON report from usage-report/usage-report.js; each listed entry then shows how many entries use it.",
+              "type": "string",
+              "minLength": 1,
+              "examples": [
+                "https://reports.example.com/usage-report.json"
+              ]
+            },
+            "theme": {
+              "x-group": "Display",
+              "description": "Light or dark colours (\"auto\" follows the browser), list density, and colours replacing the defaults; badgeColors sets badge colours by branch UID or \"$current\".",
+              "type": "object",
+              "additionalProperties": false,
+              "properties": {
+                "colorScheme": {
+                  "enum": [
+                    "auto",
+                    "light",
+                    "dark"
+                  ],
+                  "default": "auto"
+                },
+                "density": {
+                  "enum": [
+                    "comfortable",
+                    "compact"
+                  ],
+                  "default": "comfortable"
+                },
+                "colors": {
+                  "$ref": "#/definitions/themeColors"
+                },
+                "darkColors": {
+                  "$ref": "#/definitions/themeColors"
+                },
+                "badgeColors": {
+                  "type": "object",
+                  "additionalProperties": {
+                    "$ref": "#/definitions/cssColor"
+                  },
+                  "x-expected": "an object of CSS colours by branch UID such as {\"main\": \"#6c5ce7\"}"
+                }
+              },
+              "x-expected": "an object such as {\"colorScheme\": \"auto\", \"density\": \"compact\"}",
+              "examples": [
+                {
+                  "colorScheme": "auto",
+                  "density": "compact",
+                  "badgeColors": {
+                    "main": "#6c5ce7",
+                    "$current": "#007a52"
+                  }
+                }
+              ]
+            },
+            "locale": {
+              "x-group": "Language",
+              "description": "Locale to read entries in (defaults to the edited entry's).",
+              "$ref": "#/definitions/languageCode",
+              "x-expected": "a locale code such as \"en-us\""
+            },
+            "fallbackLocale": {
+              "x-group": "Language",
+              "description": "List entries not localized in the locale in their fallback locale.",
+              "type": "boolean",
+              "default": true
+            },
+            "uiLanguage": {
+              "x-group": "Language",
+              "description": "Language of the extension's own text: en, de or fr.",
+              "$ref": "#/definitions/languageCode",
+              "x-expected": "a language code such as \"en\" or \"de-ch\"",
+              "default": "en"
+            },
+            "uiStrings": {
+              "x-group": "Language",
+              "description": "Replacement text by string key.",
+              "type": "object",
+              "additionalProperties": {
+                "type": "string"
+              },
+              "x-expected": "an object such as {\"noContent\": \"Nothing here yet.\"}",
+              "examples": [
+                {
+                  "noContent": "Nothing here yet."
+                }
+              ]
+            },
+            "debug": {
+              "x-group": "Diagnostics",
+              "description": "true (or a log level) logs to the console and shows the diagnostics panel.",
+              "anyOf": [
+                {
+                  "type": "boolean"
+                },
+                {
+                  "enum": [
+                    "error",
+                    "warn",
+                    "info",
+                    "debug"
+                  ]
+                }
+              ],
+              "default": false
+            }
+          },
+          "if": {
+            "properties": {
+              "source": {
+                "enum": [
+                  "assets"
+                ]
+              }
+            },
+            "required": [
+              "source"
+            ]
+          },
+          "else": {
+            "required": [
+              "contentType"
+            ]
+          },
+          "definitions": {
+            "cssColor": {
+              "type": "string",
+              "pattern": "^\\s*(#[0-9a-fA-F]{3,8}|rgba?\\([\\d\\s.,%]+\\)|[a-zA-Z]+)\\s*$",
+              "x-expected": "a CSS colour such as \"#0066cc\""
+            },
+            "themeColors": {
+              "type": "object",
+              "additionalProperties": false,
+              "properties": {
+                "primary": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "text": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "textMuted": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "background": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "surface": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "surfaceMuted": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "border": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "danger": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "warning": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "success": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "badgeMain": {
+                  "$ref": "#/definitions/cssColor"
+                },
+                "badgeCurrent": {
+                  "$ref": "#/definitions/cssColor"
+                }
+              },
+              "x-expected": "an object of CSS colours such as {\"primary\": \"#6c5ce7\"}"
+            },
+            "contentTypeUid": {
+              "type": "string",
+              "pattern": "^[a-z0-9_]+$",
+              "x-expected": "a content type UID such as \"global_header\""
+            },
+            "mimeType": {
+              "type": "string",
+              "pattern": "^[\\w.+-]+/(\\*|[\\w.+-]+)$",
+              "x-expected": "a MIME type such as \"image/*\" or \"application/pdf\""
+            },
+            "branchUid": {
+              "type": "string",
+              "pattern": "^(\\$current|[a-z0-9_-]+)$",
+              "x-expected": "a branch UID such as \"main\""
+            },
+            "fieldPath": {
+              "type": "string",
+              "pattern": "^[\\w.]+$",
+              "x-expected": "a field UID or dot path such as \"hero.image\""
+            },
+            "fieldList": {
+              "anyOf": [
+                {
+                  "type": "array",
+                  "items": {
+                    "type": "string"
+                  }
+                },
+                {
+                  "type": "string"
+                }
+              ],
+              "x-expected": "an array of field UIDs or a comma-separated string"
+            },
+            "host": {
+              "type": "string",
+              "pattern": "^\\S+$",
+              "x-expected": "a host name or URL such as \"cdn.example.com\" or \"https://proxy.example.com/cs\""
+            },
+            "languageCode": {
+              "type": "string",
+              "pattern": "^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$"
+            },
+            "token": {
+              "type": "string",
+              "minLength": 1
+            }
+          }
+        };
+
+        // How each JSON type is named in messages
+        var TYPE_NAMES = {
+          string: 'a string',
+          boolean: 'true or false',
+          integer: 'a whole number',
+          number: 'a number',
+          object: 'an object',
+          array: 'an array',
+          'null': 'null'
+        };
+
+        // Longest value quoted back in a message
+        var MAX_VALUE_LENGTH = 60;
+
+        /**
+         * Check a field config against SCHEMA
+         * Returns [{ key, path, message }]: key is the top-level option at fault (for matching
+         * other messages about it), path where in the config the problem is (e.g. "branches[1].label")
+         */
+        function validateConfig(config) {
+          var errors = [];
+          if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            errors.push({ key: '', path: '', message: 'The field config must be a JSON object.' });
+            return errors;
+          }
+          validate(SCHEMA, config, [], errors, null);
+          return errors;
+        }
+
+        /**
+         * Check a value against a schema, adding problems to errors
+         * expected: how the enclosing schema describes a valid value (its x-expected), if it does
+         */
+        function validate(schema, value, path, errors, expected) {
+          schema = resolveRef(schema);
+          expected = schema['x-expected'] || expected;
+
+          if (schema.anyOf) {
+            if (schema.anyOf.some(function(option) { return isValid(option, value); })) return;
+            // A value of the type one option expects is most likely meant for that option, so its
+            // problems (e.g. a bad key inside an object) are more useful than "must be x or y"
+            var sameType = schema.anyOf.filter(function(option) {
+              var type = resolveRef(option).type;
+              return type !== undefined && matchesType(type, value);
+            });
+            if (sameType.length === 1) {
+              validate(sameType[0], value, path, errors, expected);
+            } else {
+              addError(errors, path, 'must be ' + (expected || describeOptions(schema.anyOf)) + ', got ' + formatValue(value) + '.');
+            }
+            return;
+          }
+
+          if (schema.type !== undefined && !matchesType(schema.type, value)) {
+            addError(errors, path, 'must be ' + (expected || describeType(schema.type)) + ', got ' + formatValue(value) + '.');
+            return;
+          }
+
+          if (schema['enum'] && !schema['enum'].some(function(option) { return option === value; })) {
+            addError(errors, path, 'must be one of ' + schema['enum'].map(formatValue).join(', ') + ', got ' + formatValue(value) + '.');
+            return;
+          }
+
+          if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+              addError(errors, path, 'must not be empty.');
+            } else if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+              addError(errors, path, 'must be ' + (expected || 'in the form ' + schema.pattern) + ', got ' + formatValue(value) + '.');
+            }
+          } else if (typeof value === 'number') {
+            if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+              addError(errors, path, 'must be ' + describeRange(schema) + ', got ' + formatValue(value) + '.');
+            }
+          } else if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+              addError(errors, path, 'must have at least ' + schema.minItems + (schema.minItems === 1 ? ' item.' : ' items.'));
+            }
+            if (schema.items) {
+              value.forEach(function(item, index) {
+                validate(schema.items, item, path.concat(index), errors, null);
+              });
+            }
+          } else if (value && typeof value === 'object') {
+            validateObject(schema, value, path, errors);
+          }
+
+          // Options required by some settings only (e.g. contentType unless source is "assets")
+          if (schema['if']) {
+            var conditional = isValid(schema['if'], value) ? schema.then : schema['else'];
+            if (conditional) {
+              validate(conditional, value, path, errors, expected);
+            }
+          }
+        }
+
+        /**
+         * required, properties and additionalProperties
+         */
+        function validateObject(schema, value, path, errors) {
+          var properties = schema.properties || {};
+
+          (schema.required || []).forEach(function(key) {
+            if (value[key] === undefined) {
+              addError(errors, path.concat(key), 'is required.');
+            }
+          });
+
+          Object.keys(value).forEach(function(key) {
+            if (value[key] === undefined) return;
+            if (properties.hasOwnProperty(key)) {
+              validate(properties[key], value[key], path.concat(key), errors, null);
+            } else if (schema.additionalProperties === false) {
+              var suggestion = suggestKey(key, Object.keys(properties));
+              errors.push({
+                key: path.length > 0 ? String(path[0]) : key,
+                path: formatPath(path.concat(key)),
+                message: (path.length > 0 ? formatPath(path) + ': unknown option "' : 'Unknown option "') + key + '".' +
+                  (suggestion ? ' Did you mean "' + suggestion + '"?' : '')
+              });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+              validate(schema.additionalProperties, value[key], path.concat(key), errors, null);
+            }
+          });
+        }
+
+        /**
+         * Whether a value passes a schema, without collecting messages
+         */
+        function isValid(schema, value) {
+          var errors = [];
+          validate(schema, value, [], errors, null);
+          return errors.length === 0;
+        }
+
+        /**
+         * A local "#/definitions/..." reference's target, keeping the referring schema's own keywords
+         * (description, x-expected) over the target's
+         */
+        function resolveRef(schema) {
+          if (!schema.$ref) return schema;
+          var target = schema.$ref.replace(/^#\//, '').split('/').reduce(function(node, part) {
+            return node && node[part];
+          }, SCHEMA);
+          if (!target) {
+            throw new Error('Unresolved schema reference ' + schema.$ref);
+          }
+          var merged = {};
+          Object.keys(target).forEach(function(keyword) { merged[keyword] = target[keyword]; });
+          Object.keys(schema).forEach(function(keyword) {
+            if (keyword !== '$ref') merged[keyword] = schema[keyword];
+          });
+          return resolveRef(merged);
+        }
+
+        /**
+         * Whether a value is of a JSON Schema type (or one of several)
+         */
+        function matchesType(type, value) {
+          if (Array.isArray(type)) {
+            return type.some(function(item) { return matchesType(item, value); });
+          }
+          switch (type) {
+            case 'integer': return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+          }
+        }
+
+        function describeType(type) {
+          return [].concat(type).map(function(item) { return TYPE_NAMES[item] || item; }).join(' or ');
+        }
+
+        /**
+         * "true or false or one of ..." style description of anyOf options without an x-expected
+         */
+        function describeOptions(options) {
+          return options.map(function(option) {
+            option = resolveRef(option);
+            if (option['x-expected']) return option['x-expected'];
+            if (option['enum']) return 'one of ' + option['enum'].map(formatValue).join(', ');
+            return describeType(option.type);
+          }).join(' or ');
+        }
+
+        function describeRange(schema) {
+          var noun = schema.type === 'integer' ? 'a whole number' : 'a number';
+          if (schema.minimum !== undefined && schema.maximum !== undefined) {
+            return noun + ' from ' + schema.minimum + ' to ' + schema.maximum;
+          }
+          return schema.minimum !== undefined ? noun + ' of ' + schema.minimum + ' or more' : noun + ' of ' + schema.maximum + ' or less';
+        }
+
+        /**
+         * A known option close to a mistyped one ("content_type", "multple"), or null
+         */
+        function suggestKey(key, candidates) {
+          var simplified = key.toLowerCase().replace(/[_-]/g, '');
+          var best = null;
+          var bestDistance = 3;
+          candidates.forEach(function(candidate) {
+            var distance = candidate.toLowerCase() === simplified ? 0 : editDistance(simplified, candidate.toLowerCase());
+            if (distance < bestDistance) {
+              best = candidate;
+              bestDistance = distance;
+            }
+          });
+          return best;
+        }
+
+        /**
+         * Levenshtein distance between two strings
+         */
+        function editDistance(a, b) {
+          var previous = [];
+          for (var j = 0; j <= b.length; j++) previous.push(j);
+          for (var i = 1; i <= a.length; i++) {
+            var current = [i];
+            for (j = 1; j <= b.length; j++) {
+              current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+            }
+            previous = current;
+          }
+          return previous[b.length];
+        }
+
+        /**
+         * Add a message about the value at path; top-level options are quoted as in the other config errors
+         */
+        function addError(errors, path, text) {
+          var where = path.length === 1 ? '"' + path[0] + '"' : formatPath(path);
+          errors.push({ key: path.length > 0 ? String(path[0]) : '', path: formatPath(path), message: where + ' ' + text });
+        }
+
+        /**
+         * ['branches', 1, 'label'] -> "branches[1].label"
+         */
+        function formatPath(path) {
+          return path.reduce(function(text, part) {
+            return typeof part === 'number' ? text + '[' + part + ']' : (text ? text + '.' : '') + part;
+          }, '');
+        }
+
+        function formatValue(value) {
+          var text = JSON.stringify(value);
+          if (text === undefined) text = String(value);
+          return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 1) + '…' : text;
+        }
+
+        return {
+          SCHEMA: SCHEMA,
+          validateConfig: validateConfig
+        };
+      }));
+    },
+    // src/queries.js
+    function(require, module, exports) {
+      /**
+       * Delivery API query building: config filters and search terms
+       */
+
+      'use strict';
+
+      /**
+       * Combine two Delivery API query objects so both must match
+       */
+      function combineQueries(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+        return { '$and': [a, b] };
+      }
+
+      /**
+       * Build a case-insensitive $regex query matching the term in any search field
+       */
+      function buildSearchQuery(term, fields) {
+        var pattern = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        var conditions = fields.map(function(fieldUid) {
+          var condition = {};
+          condition[fieldUid] = { '$regex': pattern, '$options': 'i' };
+          return condition;
+        });
+        return conditions.length === 1 ? conditions[0] : { '$or': conditions };
+      }
+
+      module.exports = {
+        combineQueries: combineQueries,
+        buildSearchQuery: buildSearchQuery
+      };
+    },
+    // src/i18n.js
+    function(require, module, exports) {
+      /**
+       * Author-facing text of the Main Branch Content Selector, in English, German and French
+       */
+
+      'use strict';
+
+      var escapeHtml = require(1).escapeHtml;
+
+      // Author-facing text, by uiLanguage; "{name}" marks a value filled in by t()
+      // Config errors and the diagnostics panel are for developers and stay in English
+      var DEFAULT_UI_LANGUAGE = 'en';
+      var UI_STRINGS = {
+        en: {
+          loading: 'Loading content from {branches}...',
+          loadError: 'Error loading content: {message}',
+          invalidConfig: 'Invalid field configuration:',
+          noContent: 'No content found.',
+          noMatches: 'No content matches "{term}".',
+          searchPlaceholder: 'Search content...',
+          searchLabel: 'Search content',
+          searching: 'Searching for "{term}"...',
+          searchFailed: 'Search failed: {message}',
+          refresh: 'Refresh',
+          refreshTitle: 'Reload entries from the Delivery API',
+          refreshing: 'Refreshing...',
+          allContentTypes: 'All',
+          previewModeNote: 'Preview mode: entries include changes not yet published to {environment}.',
+          listHelpSingle: 'Use the up and down arrow keys, Home and End to move through the entries, and Enter or Space to select an entry.',
+          listHelpMultiple: 'Use the up and down arrow keys, Home and End to move through the entries, and Enter or Space to add or remove an entry.',
+          listHelpPreview: 'Press the right arrow key to preview an entry and Escape to close the preview.',
+          listHelpCompare: 'Press Shift and the right arrow key to compare the versions of an overridden entry.',
+          listHelpTypeAhead: 'Type the start of a title to jump to it.',
+          editingInBranch: 'Editing in branch {branch}',
+          branchAliases: '(alias {aliases})',
+          browseBranch: 'Browse',
+          configuredBranches: 'Configured branches',
+          editingBranchOption: '{branch} (editing)',
+          branchNotDetected: 'Could not detect the branch this entry is edited in, so "main" is assumed and content from child branches may be missing. Set "currentBranch" in the field config.',
+          branchFromConfig: 'Set by "currentBranch" in the field config',
+          branchFromStack: 'Reported by the stack',
+          branchFromUrl: 'Read from the page URL',
+          branchAssumed: 'Not detected; "main" assumed',
+          mainBranchLabel: 'Main Branch',
+          branchLabel: '{name} Branch',
+          unknownBranch: 'Unknown',
+          branchHeader: '{label} ({loaded})',
+          branchHeaderWithTotal: '{label} ({loaded} of {total})',
+          loadMore: 'Load more from {branch}',
+          loadingMore: 'Loading...',
+          retry: 'Retry',
+          retrying: 'Retrying...',
+          errorProxyRefused: 'The proxy refused the request ({status}): {message}',
+          errorAccessDenied: 'Access denied ({status}). Check that the delivery token for {branchLabel} is valid and has access to the "{branch}" branch and the "{environment}" environment.',
+          errorAccessDeniedPreview: 'Access denied ({status}). Check that the delivery and preview tokens for {branchLabel} are valid and have access to the "{branch}" branch and the "{environment}" environment.',
+          errorContentType: 'Content type "{contentType}" does not exist in the "{branch}" branch.',
+          errorBranch: 'Branch "{branch}" does not exist.',
+          errorRateLimit: 'The Delivery API rate limit was reached. Wait a moment, then retry.',
+          errorTimeout: 'The Delivery API did not respond in time.',
+          errorNetwork: 'Could not reach the Delivery API. Check your network connection.',
+          errorOther: 'Could not load entries: {message}',
+          optionLabel: '{title}, {branch}',
+          optionLabelOverridden: '{title}, {branch}, overridden in {branches}',
+          updated: 'Updated: {date}',
+          preview: 'Preview',
+          previewOf: 'Preview of {title}',
+          untitled: 'Untitled',
+          valueYes: 'Yes',
+          valueNo: 'No',
+          referenceCountOne: '1 reference',
+          referenceCountOther: '{count} references',
+          overriddenIn: 'Overridden in {branches}',
+          compareVersions: 'Compare versions',
+          versionsOf: 'Versions of {title}',
+          branch: 'Branch',
+          version: 'Version',
+          updatedColumn: 'Updated',
+          noDifferences: 'No differences in the loaded fields.',
+          usageNone: 'Not referenced',
+          usageOne: 'Used in 1 entry',
+          usageOther: 'Used in {count} entries',
+          usedBy: 'Used by',
+          usageEntry: '{title} ({contentType}, {branch})',
+          usageMore: 'and {count} more',
+          usageReportDate: 'Usage as of {date}',
+          file: 'File',
+          dimensions: '{width} × {height} px',
+          sizeBytes: '{size} B',
+          sizeKilobytes: '{size} KB',
+          sizeMegabytes: '{size} MB',
+          sizeGigabytes: '{size} GB',
+          useThisVersion: 'Use this version',
+          locale: 'Locale: {locale}',
+          localeFallback: 'Not localized in {requested}; shown in {locale}',
+          addToSelection: 'Add to selection',
+          removeFromSelection: 'Remove from selection',
+          selected: 'Selected',
+          selectThisEntry: 'Select this entry',
+          selectedItems: 'Selected Items ({count})',
+          selectedItem: 'Selected Item',
+          noItemsSelected: 'No items selected',
+          reorderHint: 'Drag, or press Alt + arrow keys, to reorder',
+          replace: 'Replace',
+          replaceEntry: 'Replace {title}',
+          removeEntry: 'Remove {title}',
+          replaceHint: 'Choose an entry below to replace {uid} ({branch}).',
+          cancel: 'Cancel',
+          itemCountOne: '{count} item',
+          itemCountOther: '{count} items',
+          selectionFull: 'You can select up to {items}. Remove one before adding another.',
+          tooFewSelected: 'Select at least {items} ({count} selected).',
+          tooManySelected: 'Select no more than {items} ({count} selected).',
+          limitExactly: 'Select exactly {items}.',
+          limitRange: 'Select {min} to {items}.',
+          limitAtLeast: 'Select at least {items}.',
+          limitUpTo: 'Select up to {items}.',
+          referenceChecking: 'Checking...',
+          referenceDeleted: 'Missing: entry was deleted',
+          referenceUnpublished: 'Unpublished in {environment}',
+          referenceMissing: 'Missing or unpublished in {environment}',
+          referenceBranchGone: 'Branch "{branch}" no longer exists',
+          referenceError: 'Could not load: {message}',
+          unknownError: 'unknown error'
+        },
+        de: {
+          loading: 'Inhalte aus {branches} werden geladen...',
+          loadError: 'Fehler beim Laden der Inhalte: {message}',
+          invalidConfig: 'Ungültige Feldkonfiguration:',
+          noContent: 'Keine Inhalte gefunden.',
+          noMatches: 'Keine Inhalte zu „{term}“ gefunden.',
+          searchPlaceholder: 'Inhalte durchsuchen...',
+          searchLabel: 'Inhalte durchsuchen',
+          searching: 'Suche nach „{term}“...',
+          searchFailed: 'Suche fehlgeschlagen: {message}',
+          refresh: 'Aktualisieren',
+          refreshTitle: 'Einträge neu von der Delivery API laden',
+          refreshing: 'Wird aktualisiert...',
+          allContentTypes: 'Alle',
+          previewModeNote: 'Vorschaumodus: Die Einträge enthalten Änderungen, die noch nicht in {environment} veröffentlicht sind.',
+          listHelpSingle: 'Mit den Pfeiltasten nach oben und unten, Pos1 und Ende bewegen Sie sich durch die Einträge; mit Eingabe oder Leertaste wählen Sie einen Eintrag aus.',
+          listHelpMultiple: 'Mit den Pfeiltasten nach oben und unten, Pos1 und Ende bewegen Sie sich durch die Einträge; mit Eingabe oder Leertaste fügen Sie einen Eintrag hinzu oder entfernen ihn.',
+          listHelpPreview: 'Die Pfeiltaste nach rechts öffnet die Vorschau eines Eintrags, Escape schließt sie.',
+          listHelpCompare: 'Umschalt und Pfeiltaste nach rechts vergleichen die Versionen eines überschriebenen Eintrags.',
+          listHelpTypeAhead: 'Tippen Sie den Anfang eines Titels, um dorthin zu springen.',
+          editingInBranch: 'Bearbeitung im Branch {branch}',
+          branchAliases: '(Alias {aliases})',
+          browseBranch: 'Durchsuchen',
+          configuredBranches: 'Konfigurierte Branches',
+          editingBranchOption: '{branch} (in Bearbeitung)',
+          branchNotDetected: 'Der Branch dieses Eintrags konnte nicht erkannt werden. Es wird „main“ angenommen, daher fehlen eventuell Inhalte aus untergeordneten Branches. Legen Sie „currentBranch“ in der Feldkonfiguration fest.',
+          branchFromConfig: 'Durch „currentBranch“ in der Feldkonfiguration festgelegt',
+          branchFromStack: 'Vom Stack gemeldet',
+          branchFromUrl: 'Aus der Seiten-URL gelesen',
+          branchAssumed: 'Nicht erkannt; „main“ angenommen',
+          mainBranchLabel: 'Haupt-Branch',
+          branchLabel: 'Branch {name}',
+          unknownBranch: 'Unbekannt',
+          branchHeader: '{label} ({loaded})',
+          branchHeaderWithTotal: '{label} ({loaded} von {total})',
+          loadMore: 'Mehr aus {branch} laden',
+          loadingMore: 'Wird geladen...',
+          retry: 'Erneut versuchen',
+          retrying: 'Neuer Versuch...',
+          errorProxyRefused: 'Der Proxy hat die Anfrage abgelehnt ({status}): {message}',
+          errorAccessDenied: 'Zugriff verweigert ({status}). Prüfen Sie, ob der Delivery Token für {branchLabel} gültig ist und Zugriff auf den Branch „{branch}“ und die Umgebung „{environment}“ hat.',
+          errorAccessDeniedPreview: 'Zugriff verweigert ({status}). Prüfen Sie, ob der Delivery und der Preview Token für {branchLabel} gültig sind und Zugriff auf den Branch „{branch}“ und die Umgebung „{environment}“ haben.',
+          errorContentType: 'Der Inhaltstyp „{contentType}“ existiert im Branch „{branch}“ nicht.',
+          errorBranch: 'Der Branch „{branch}“ existiert nicht.',
+          errorRateLimit: 'Das Anfragelimit der Delivery API wurde erreicht. Warten Sie einen Moment und versuchen Sie es erneut.',
+          errorTimeout: 'Die Delivery API hat nicht rechtzeitig geantwortet.',
+          errorNetwork: 'Die Delivery API ist nicht erreichbar. Prüfen Sie Ihre Netzwerkverbindung.',
+          errorOther: 'Einträge konnten nicht geladen werden: {message}',
+          optionLabel: '{title}, {branch}',
+          optionLabelOverridden: '{title}, {branch}, überschrieben in {branches}',
+          updated: 'Aktualisiert: {date}',
+          preview: 'Vorschau',
+          previewOf: 'Vorschau von {title}',
+          untitled: 'Ohne Titel',
+          valueYes: 'Ja',
+          valueNo: 'Nein',
+          referenceCountOne: '1 Referenz',
+          referenceCountOther: '{count} Referenzen',
+          overriddenIn: 'Überschrieben in {branches}',
+          compareVersions: 'Versionen vergleichen',
+          versionsOf: 'Versionen von {title}',
+          branch: 'Branch',
+          version: 'Version',
+          updatedColumn: 'Aktualisiert',
+          noDifferences: 'Keine Unterschiede in den geladenen Feldern.',
+          usageNone: 'Nicht referenziert',
+          usageOne: 'In 1 Eintrag verwendet',
+          usageOther: 'In {count} Einträgen verwendet',
+          usedBy: 'Verwendet von',
+          usageEntry: '{title} ({contentType}, {branch})',
+          usageMore: 'und {count} weitere',
+          usageReportDate: 'Verwendung laut Bericht vom {date}',
+          file: 'Datei',
+          dimensions: '{width} × {height} px',
+          sizeBytes: '{size} B',
+          sizeKilobytes: '{size} KB',
+          sizeMegabytes: '{size} MB',
+          sizeGigabytes: '{size} GB',
+          useThisVersion: 'Diese Version verwenden',
+          locale: 'Sprache: {locale}',
+          localeFallback: 'Nicht in {requested} lokalisiert; angezeigt in {locale}',
+          addToSelection: 'Zur Auswahl hinzufügen',
+          removeFromSelection: 'Aus der Auswahl entfernen',
+          selected: 'Ausgewählt',
+          selectThisEntry: 'Diesen Eintrag auswählen',
+          selectedItems: 'Ausgewählte Einträge ({count})',
+          selectedItem: 'Ausgewählter Eintrag',
+          noItemsSelected: 'Keine Einträge ausgewählt',
+          reorderHint: 'Zum Umsortieren ziehen oder Alt und Pfeiltasten drücken',
+          replace: 'Ersetzen',
+          replaceEntry: '{title} ersetzen',
+          removeEntry: '{title} entfernen',
+          replaceHint: 'Wählen Sie unten einen Eintrag, der {uid} ({branch}) ersetzt.',
+          cancel: 'Abbrechen',
+          itemCountOne: '{count} Eintrag',
+          itemCountOther: '{count} Einträge',
+          selectionFull: 'Sie können höchstens {items} auswählen. Entfernen Sie einen, bevor Sie einen weiteren hinzufügen.',
+          tooFewSelected: 'Wählen Sie mindestens {items} aus ({count} ausgewählt).',
+          tooManySelected: 'Wählen Sie höchstens {items} aus ({count} ausgewählt).',
+          limitExactly: 'Wählen Sie genau {items} aus.',
+          limitRange: 'Wählen Sie {min} bis {items} aus.',
+          limitAtLeast: 'Wählen Sie mindestens {items} aus.',
+          limitUpTo: 'Wählen Sie bis zu {items} aus.',
+          referenceChecking: 'Wird geprüft...',
+          referenceDeleted: 'Fehlt: Eintrag wurde gelöscht',
+          referenceUnpublished: 'Nicht in {environment} veröffentlicht',
+          referenceMissing: 'Fehlt oder nicht in {environment} veröffentlicht',
+          referenceBranchGone: 'Der Branch „{branch}“ existiert nicht mehr',
+          referenceError: 'Konnte nicht geladen werden: {message}',
+          unknownError: 'unbekannter Fehler'
+        },
+        fr: {
+          loading: 'Chargement du contenu de {branches}...',
+          loadError: 'Erreur lors du chargement du contenu : {message}',
+          invalidConfig: 'Configuration du champ non valide :',
+          noContent: 'Aucun contenu trouvé.',
+          noMatches: 'Aucun contenu ne correspond à « {term} ».',
+          searchPlaceholder: 'Rechercher du contenu...',
+          searchLabel: 'Rechercher du contenu',
+          searching: 'Recherche de « {term} »...',
+          searchFailed: 'La recherche a échoué : {message}',
+          refresh: 'Actualiser',
+          refreshTitle: 'Recharger les entrées depuis la Delivery API',
+          refreshing: 'Actualisation...',
+          allContentTypes: 'Tous',
+          previewModeNote: 'Mode aperçu : les entrées incluent des modifications pas encore publiées sur {environment}.',
+          listHelpSingle: 'Utilisez les flèches haut et bas, Début et Fin pour parcourir les entrées, et Entrée ou Espace pour sélectionner une entrée.',
+          listHelpMultiple: 'Utilisez les flèches haut et bas, Début et Fin pour parcourir les entrées, et Entrée ou Espace pour ajouter ou retirer une entrée.',
+          listHelpPreview: 'La flèche droite ouvre l’aperçu d’une entrée et Échap le ferme.',
+          listHelpCompare: 'Maj et la flèche droite comparent les versions d’une entrée remplacée.',
+          listHelpTypeAhead: 'Tapez le début d’un titre pour y accéder.',
+          editingInBranch: 'Modification dans la branche {branch}',
+          branchAliases: '(alias {aliases})',
+          browseBranch: 'Parcourir',
+          configuredBranches: 'Branches configurées',
+          editingBranchOption: '{branch} (en cours de modification)',
+          branchNotDetected: 'La branche de cette entrée n’a pas pu être détectée : « main » est utilisée et le contenu des branches enfants peut manquer. Définissez « currentBranch » dans la configuration du champ.',
+          branchFromConfig: 'Défini par « currentBranch » dans la configuration du champ',
+          branchFromStack: 'Indiquée par la stack',
+          branchFromUrl: 'Lue dans l’URL de la page',
+          branchAssumed: 'Non détectée ; « main » utilisée',
+          mainBranchLabel: 'Branche principale',
+          branchLabel: 'Branche {name}',
+          unknownBranch: 'Inconnue',
+          branchHeader: '{label} ({loaded})',
+          branchHeaderWithTotal: '{label} ({loaded} sur {total})',
+          loadMore: 'Charger plus depuis {branch}',
+          loadingMore: 'Chargement...',
+          retry: 'Réessayer',
+          retrying: 'Nouvelle tentative...',
+          errorProxyRefused: 'Le proxy a refusé la requête ({status}) : {message}',
+          errorAccessDenied: 'Accès refusé ({status}). Vérifiez que le jeton de diffusion de {branchLabel} est valide et a accès à la branche « {branch} » et à l’environnement « {environment} ».',
+          errorAccessDeniedPreview: 'Accès refusé ({status}). Vérifiez que les jetons de diffusion et d’aperçu de {branchLabel} sont valides et ont accès à la branche « {branch} » et à l’environnement « {environment} ».',
+          errorContentType: 'Le type de contenu « {contentType} » n’existe pas dans la branche « {branch} ».',
+          errorBranch: 'La branche « {branch} » n’existe pas.',
+          errorRateLimit: 'La limite de requêtes de la Delivery API est atteinte. Patientez un instant, puis réessayez.',
+          errorTimeout: 'La Delivery API n’a pas répondu à temps.',
+          errorNetwork: 'Impossible de joindre la Delivery API. Vérifiez votre connexion réseau.',
+          errorOther: 'Impossible de charger les entrées : {message}',
+          optionLabel: '{title}, {branch}',
+          optionLabelOverridden: '{title}, {branch}, remplacée dans {branches}',
+          updated: 'Mise à jour : {date}',
+          preview: 'Aperçu',
+          previewOf: 'Aperçu de {title}',
+          untitled: 'Sans titre',
+          valueYes: 'Oui',
+          valueNo: 'Non',
+          referenceCountOne: '1 référence',
+          referenceCountOther: '{count} références',
+          overriddenIn: 'Remplacée dans {branches}',
+          compareVersions: 'Comparer les versions',
+          versionsOf: 'Versions de {title}',
+          branch: 'Branche',
+          version: 'Version',
+          updatedColumn: 'Mise à jour',
+          noDifferences: 'Aucune différence dans les champs chargés.',
+          usageNone: 'Non référencée',
+          usageOne: 'Utilisée dans 1 entrée',
+          usageOther: 'Utilisée dans {count} entrées',
+          usedBy: 'Utilisée par',
+          usageEntry: '{title} ({contentType}, {branch})',
+          usageMore: 'et {count} de plus',
+          usageReportDate: 'Utilisation au {date}',
+          file: 'Fichier',
+          dimensions: '{width} × {height} px',
+          sizeBytes: '{size} o',
+          sizeKilobytes: '{size} Ko',
+          sizeMegabytes: '{size} Mo',
+          sizeGigabytes: '{size} Go',
+          useThisVersion: 'Utiliser cette version',
+          locale: 'Langue : {locale}',
+          localeFallback: 'Non localisée en {requested} ; affichée en {locale}',
+          addToSelection: 'Ajouter à la sélection',
+          removeFromSelection: 'Retirer de la sélection',
+          selected: 'Sélectionnée',
+          selectThisEntry: 'Sélectionner cette entrée',
+          selectedItems: 'Éléments sélectionnés ({count})',
+          selectedItem: 'Élément sélectionné',
+          noItemsSelected: 'Aucun élément sélectionné',
+          reorderHint: 'Faites glisser, ou utilisez Alt et les flèches, pour réordonner',
+          replace: 'Remplacer',
+          replaceEntry: 'Remplacer {title}',
+          removeEntry: 'Retirer {title}',
+          replaceHint: 'Choisissez ci-dessous une entrée pour remplacer {uid} ({branch}).',
+          cancel: 'Annuler',
+          itemCountOne: '{count} élément',
+          itemCountOther: '{count} éléments',
+          selectionFull: 'Vous pouvez sélectionner jusqu’à {items}. Retirez-en un avant d’en ajouter un autre.',
+          tooFewSelected: 'Sélectionnez au moins {items} ({count} sélectionné(s)).',
+          tooManySelected: 'Sélectionnez au plus {items} ({count} sélectionné(s)).',
+          limitExactly: 'Sélectionnez exactement {items}.',
+          limitRange: 'Sélectionnez de {min} à {items}.',
+          limitAtLeast: 'Sélectionnez au moins {items}.',
+          limitUpTo: 'Sélectionnez jusqu’à {items}.',
+          referenceChecking: 'Vérification...',
+          referenceDeleted: 'Manquante : l’entrée a été supprimée',
+          referenceUnpublished: 'Non publiée sur {environment}',
+          referenceMissing: 'Manquante ou non publiée sur {environment}',
+          referenceBranchGone: 'La branche « {branch} » n’existe plus',
+          referenceError: 'Chargement impossible : {message}',
+          unknownError: 'erreur inconnue'
+        }
+      };
+
+      /**
+       * t() and tHtml() over a catalogue of strings (UI_STRINGS[language] with any uiStrings overrides)
+       */
+      function createTranslator(strings) {
+        /**
+         * Author-facing text in the UI language, with "{name}" filled in from values
+         */
+        function t(key, values) {
+          return strings[key].replace(/\{(\w+)\}/g, function(match, name) {
+            return values && values[name] !== undefined ? String(values[name]) : match;
+          });
+        }
+
+        /**
+         * t() as HTML: the text is escaped, the values are inserted as they are (so may carry markup)
+         */
+        function tHtml(key, values) {
+          return escapeHtml(strings[key]).replace(/\{(\w+)\}/g, function(match, name) {
+            return values && values[name] !== undefined ? values[name] : match;
+          });
+        }
+
+        return {
+          t: t,
+          tHtml: tHtml
+        };
+      }
+
+      module.exports = {
+        DEFAULT_UI_LANGUAGE: DEFAULT_UI_LANGUAGE,
+        UI_STRINGS: UI_STRINGS,
+        createTranslator: createTranslator
+      };
+    },
+    // src/branch-merge.js
+    function(require, module, exports) {
+      /**
+       * Combining the entries of several branches: duplicate UIDs, the duplicateEntries
+       * policies and the version comparison of merge mode
+       */
+
+      'use strict';
+
+      // Values for config.duplicateEntries
+      // show-all: list every branch's copy; prefer-child / prefer-parent: keep one copy per UID
+      // merge: one row per UID, marked "overridden in <branch>", with a version comparison
+      var DUPLICATE_ENTRY_POLICIES = ['show-all', 'prefer-child', 'prefer-parent', 'merge'];
+
+      // Metadata fields, left out of version comparisons and default previews
+      var METADATA_FIELDS = ['uid', 'ACL', 'publish_details', 'created_at', 'created_by', 'updated_at', 'updated_by', 'locale'];
+
+      /**
+       * Map each UID found in more than one branch to the branches it was found in
+       */
+      function findDuplicateUids(entries) {
+        var branchesByUid = {};
+        entries.forEach(function(entry) {
+          (branchesByUid[entry.uid] = branchesByUid[entry.uid] || []).push(entry._branch);
+        });
+
+        var duplicates = {};
+        Object.keys(branchesByUid).forEach(function(uid) {
+          if (branchesByUid[uid].length > 1) {
+            duplicates[uid] = branchesByUid[uid];
+          }
+        });
+        return duplicates;
+      }
+
+      /**
+       * Apply the duplicateEntries policy to entries whose UID exists in several branches
+       * Sources are ordered ancestors first, so prefer-child keeps the copy from the
+       * latest listed branch and prefer-parent the copy from the earliest
+       */
+      function resolveDuplicateEntries(entries, sources, policy) {
+        if (policy === 'show-all') {
+          return entries;
+        }
+        // A merged row sits with the original (ancestor) copy and links to the overrides
+        if (policy === 'merge') {
+          policy = 'prefer-parent';
+        }
+
+        var rank = {};
+        sources.forEach(function(source, index) {
+          rank[source.branch] = index;
+        });
+
+        var winners = {};
+        entries.forEach(function(entry) {
+          var current = winners[entry.uid];
+          if (!current) {
+            winners[entry.uid] = entry;
+          } else if (policy === 'prefer-child' ? rank[entry._branch] > rank[current._branch]
+                                                 : rank[entry._branch] < rank[current._branch]) {
+            winners[entry.uid] = entry;
+          }
+        });
+
+        return entries.filter(function(entry) {
+          return winners[entry.uid] === entry;
+        });
+      }
+
+      /**
+       * Every loaded copy of an entry, ordered like the sources (ancestors first)
+       */
+      function getEntryCopies(entries, sources, uid) {
+        var copies = entries.filter(function(entry) { return entry.uid === uid; });
+        var order = sources.map(function(source) { return source.branch; });
+        return copies.sort(function(a, b) {
+          return order.indexOf(a._branch) - order.indexOf(b._branch);
+        });
+      }
+
+      /**
+       * Content fields whose value differs between any of the copies
+       */
+      function getChangedFields(copies) {
+        var fields = [];
+        copies.forEach(function(copy) {
+          Object.keys(copy).forEach(function(key) {
+            if (key.charAt(0) === '_' || METADATA_FIELDS.indexOf(key) !== -1) return;
+            if (fields.indexOf(key) === -1) fields.push(key);
+          });
+        });
+
+        return fields.filter(function(key) {
+          var first = JSON.stringify(copies[0][key]);
+          return copies.some(function(copy) { return JSON.stringify(copy[key]) !== first; });
+        });
+      }
+
+      module.exports = {
+        DUPLICATE_ENTRY_POLICIES: DUPLICATE_ENTRY_POLICIES,
+        METADATA_FIELDS: METADATA_FIELDS,
+        findDuplicateUids: findDuplicateUids,
+        resolveDuplicateEntries: resolveDuplicateEntries,
+        getEntryCopies: getEntryCopies,
+        getChangedFields: getChangedFields
+      };
+    },
+    // src/theme.js
+    function(require, module, exports) {
+      /**
+       * Theming (config.theme): light or dark colours, list density and colour overrides,
+       * applied to the container as classes and CSS custom properties that the styles in
+       * main-branch-selector.html are written against
+       */
+
+      'use strict';
+
+      // "auto" follows the browser's colour scheme, which the entry editor around the field follows too
+      var COLOR_SCHEMES = ['auto', 'light', 'dark'];
+
+      // "compact" tightens the list for fields inside groups and modular blocks
+      var DENSITIES = ['comfortable', 'compact'];
+
+      // CSS custom property each key of theme.colors and theme.darkColors sets
+      var THEME_COLOR_PROPERTIES = {
+        primary: '--cs-extension-color-primary',
+        text: '--cs-extension-color-text',
+        textMuted: '--cs-extension-color-text-muted',
+        background: '--cs-extension-color-background',
+        surface: '--cs-extension-color-surface',
+        surfaceMuted: '--cs-extension-color-surface-muted',
+        border: '--cs-extension-color-border',
+        danger: '--cs-extension-color-danger',
+        warning: '--cs-extension-color-warning',
+        success: '--cs-extension-color-success',
+        badgeMain: '--cs-extension-color-badge-main',
+        badgeCurrent: '--cs-extension-color-badge-current'
+      };
+
+      var DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+      /**
+       * Apply a resolved theme (see parseTheme) to the container
+       * With colorScheme "auto" the container switches between light and dark as the
+       * browser's colour scheme changes
+       */
+      function applyTheme(container, theme, win) {
+        win = win || window;
+        var media = theme.colorScheme === 'auto' && typeof win.matchMedia === 'function'
+          ? win.matchMedia(DARK_SCHEME_QUERY)
+          : null;
+
+        function update() {
+          var dark = theme.colorScheme === 'dark' || (!!media && media.matches);
+          container.classList.toggle('cs-extension-theme-dark', dark);
+
+          // darkColors only replace colors in the dark scheme
+          var colors = Object.assign({}, theme.colors, dark ? theme.darkColors : {});
+          Object.keys(THEME_COLOR_PROPERTIES).forEach(function(key) {
+            if (colors[key]) {
+              container.style.setProperty(THEME_COLOR_PROPERTIES[key], colors[key]);
+            } else {
+              container.style.removeProperty(THEME_COLOR_PROPERTIES[key]);
+            }
+          });
+        }
+
+        container.classList.toggle('cs-extension-density-compact', theme.density === 'compact');
+        update();
+
+        if (media) {
+          // Older Safari only has the deprecated addListener
+          if (typeof media.addEventListener === 'function') {
+            media.addEventListener('change', update);
+          } else if (typeof media.addListener === 'function') {
+            media.addListener(update);
+          }
+        }
+      }
+
+      /**
+       * Badge colour of a branch from theme.badgeColors, keyed by branch UID or "$current"
+       * for the branch being edited; null when none is set
+       */
+      function getBadgeColor(theme, branch, currentBranch) {
+        var badgeColors = theme.badgeColors;
+        if (badgeColors.hasOwnProperty(branch)) {
+          return badgeColors[branch];
+        }
+        return branch === currentBranch && badgeColors.hasOwnProperty('$current') ? badgeColors.$current : null;
+      }
+
+      module.exports = {
+        COLOR_SCHEMES: COLOR_SCHEMES,
+        DENSITIES: DENSITIES,
+        THEME_COLOR_PROPERTIES: THEME_COLOR_PROPERTIES,
+        applyTheme: applyTheme,
+        getBadgeColor: getBadgeColor
+      };
+    },
+    // src/fetch-client.js
+    function(require, module, exports) {
+      /**
+       * Delivery API client of the Main Branch Content Selector: per-branch paging,
+       * retries, the page cache and stored-reference lookups
+       */
+
+      'use strict';
+
+      var DeliveryApi = require(4);
+      var findDuplicateUids = require(8).findDuplicateUids;
+      var DEFAULT_PAGE_SIZE = require(3).DEFAULT_PAGE_SIZE;
+      var ASSET_CONTENT_TYPE = require(3).ASSET_CONTENT_TYPE;
+
+      // Delivery API requests time out after REQUEST_TIMEOUT_MS; rate limiting (429), server
+      // errors, timeouts and network failures are retried up to MAX_RETRIES times with
+      // exponential backoff, or after the Retry-After the API asks for (capped)
+      var REQUEST_TIMEOUT_MS = 15000;
+      var MAX_RETRIES = 3;
+      var RETRY_BASE_DELAY_MS = 500;
+      var MAX_RETRY_DELAY_MS = 30000;
+
+      // sessionStorage key prefix for cached pages (shared by every field in the browser tab)
+      var CACHE_KEY_PREFIX = 'main-branch-selector:';
+
+      // Delivery API error_code for "The requested entry doesn't exist."
+      var ENTRY_NOT_FOUND_ERROR_CODE = 141;
+
+      // Delivery API error_code for "Asset was not found."
+      var ASSET_NOT_FOUND_ERROR_CODE = 145;
+
+      // Delivery API error_code for "The Content Type '...' was not found."
+      var CONTENT_TYPE_NOT_FOUND_ERROR_CODE = 118;
+
+      // Requests kept for the diagnostics panel
+      var MAX_RECORDED_REQUESTS = 50;
+
+      /**
+       * Create the client for a resolved config (see resolveConfig)
+       * options: { settings, logger, stack (the SDK's, for checkEntryInStack),
+       *            onActivity (called after every request and first-page load) }
+       */
+      function createFetchClient(options) {
+        var settings = options.settings;
+        var logger = options.logger;
+        var stack = options.stack;
+        var onActivity = options.onActivity || function() {};
+
+        var apiKey = settings.apiKey;
+        var deliveryToken = settings.deliveryToken;
+        var previewToken = settings.previewToken;
+        var environment = settings.environment;
+        var region = settings.region;
+        var apiEndpoint = settings.apiEndpoint;
+        var previewMode = settings.previewMode;
+        var proxyMode = settings.proxyMode;
+        var pageSize = settings.pageSize;
+        var cacheTtl = settings.cacheTtl;
+        var contentTypes = settings.contentTypes;
+        var entryFilters = settings.entryFilters;
+        var contentLocale = settings.contentLocale;
+        var includeFallback = settings.includeFallback;
+        var currentBranch = settings.currentBranch;
+        var duplicateEntries = settings.duplicateEntries;
+
+        // Cached Delivery API pages ({ storedAt, page }), keyed by getCacheKey
+        var pageCache = {};
+        // Request log and latest duplicate-UID check for the diagnostics panel
+        var requests = [];
+        var lastDuplicates = null;
+
+        /**
+         * Load the first page of every branch and combine them in branch order
+         * A branch that fails contributes no entries (its cursors keep the error)
+         * so the other branches' content still shows
+         */
+        function loadFirstPages(sources) {
+          return Promise.all(sources.map(function(source) {
+            logger.debug('Loading first page of ' + source.branch + ' branch');
+            return loadNextPage(source)
+              .then(function(entries) {
+                logger.info('Fetched ' + entries.length + ' of ' + getTotalCount(source) + ' entries from ' + source.branch + ' branch');
+                return entries;
+              })
+              .catch(function(error) {
+                // The branch's error banner explains the failure (see renderEntryList)
+                logger.error('Error fetching from ' + source.branch + ' branch', error);
+                return [];
+              });
+          }))
+            .then(function(results) {
+              // Combine all entries; results are in the same order as sources
+              var allEntries = [];
+
+              results.forEach(function(branchEntries, index) {
+                logger.debug('Branch result ' + index + ' (' + sources[index].branch + ')', {
+                  count: branchEntries.length,
+                  uids: branchEntries.map(function(e) { return e.uid; }),
+                  branchLabel: sources[index].label
+                });
+
+                allEntries = allEntries.concat(branchEntries);
+              });
+
+              // Check for UIDs that exist in more than one branch (shown in the diagnostics panel)
+              var duplicates = findDuplicateUids(allEntries);
+              lastDuplicates = { policy: duplicateEntries, uids: duplicates };
+              if (Object.keys(duplicates).length > 0) {
+                logger.info('UIDs found in more than one branch (duplicateEntries: ' + duplicateEntries + ')', duplicates);
+              } else if (sources.length > 1) {
+                logger.debug('No duplicate UIDs - branches have different entries');
+              }
+
+              logger.debug('Total entries to display: ' + allEntries.length);
+              onActivity();
+
+              return allEntries;
+            });
+        }
+
+        /**
+         * Create the paging state for a branch
+         * branchInfo comes from parseBranchList (or is another source being copied)
+         * options.query narrows the entries (search); options.signal cancels requests;
+         * options.cacheMode is how pages use the cache (see fetchContentPage)
+         * Each content type is paged separately, with its own cursor
+         */
+        function createBranchSource(branchInfo, options) {
+          options = options || {};
+          return {
+            branch: branchInfo.branch,
+            label: branchInfo.label,
+            token: branchInfo.token,
+            previewToken: branchInfo.previewToken,
+            badgeColor: branchInfo.badgeColor || null,
+            primary: !!branchInfo.primary,
+            query: options.query || null,
+            signal: options.signal,
+            cacheMode: options.cacheMode || 'default',
+            cursors: contentTypes.map(function(contentTypeUid) {
+              return {
+                contentType: contentTypeUid,
+                skip: 0,       // Number of entries loaded so far
+                count: null,   // Total reported by include_count (null until first page)
+                loading: null, // In-flight page request, if any
+                error: null    // Why the last page request failed, until it succeeds
+              };
+            })
+          };
+        }
+
+        /**
+         * Cursors of a branch, limited to one content type when contentTypeFilter is set
+         */
+        function getCursors(source, contentTypeFilter) {
+          return source.cursors.filter(function(cursor) {
+            return !contentTypeFilter || cursor.contentType === contentTypeFilter;
+          });
+        }
+
+        /**
+         * Check whether a branch has entries that are not loaded yet
+         */
+        function hasMorePages(source, contentTypeFilter) {
+          return getCursors(source, contentTypeFilter).some(function(cursor) {
+            return cursor.count === null || cursor.skip < cursor.count;
+          });
+        }
+
+        /**
+         * Number of entries loaded so far for a branch
+         */
+        function getLoadedCount(source, contentTypeFilter) {
+          return getCursors(source, contentTypeFilter).reduce(function(total, cursor) {
+            return total + cursor.skip;
+          }, 0);
+        }
+
+        /**
+         * Total entries for a branch according to include_count, or null while unknown
+         */
+        function getTotalCount(source, contentTypeFilter) {
+          return getCursors(source, contentTypeFilter).reduce(function(total, cursor) {
+            return total === null || cursor.count === null ? null : total + cursor.count;
+          }, 0);
+        }
+
+        /**
+         * The first request error among a branch's content types, or null
+         */
+        function getSourceError(source, contentTypeFilter) {
+          var failed = getCursors(source, contentTypeFilter).filter(function(cursor) {
+            return cursor.error;
+          });
+          return failed.length > 0 ? failed[0].error : null;
+        }
+
+        /**
+         * Fetch the next page of entries for a branch and tag them with branch info
+         * Every content type (or just contentTypeFilter) with more entries gets a page;
+         * concurrent calls for the same cursor share one request. A content type that
+         * fails keeps its cursor, so the next call retries it; the call only rejects
+         * when every content type failed.
+         */
+        function loadNextPage(source, contentTypeFilter) {
+          var cursors = getCursors(source, contentTypeFilter).filter(function(cursor) {
+            return cursor.count === null || cursor.skip < cursor.count;
+          });
+          if (source.cursors.length === 0) {
+            return Promise.reject(new Error('Content type not specified'));
+          }
+
+          return loadCursorPages(source, cursors);
+        }
+
+        /**
+         * Account for an entry that a live update added to (delta 1) or removed from (-1)
+         * a branch's loaded entries, so the next page starts at the right offset
+         */
+        function shiftCursor(source, contentType, delta) {
+          getCursors(source, contentType).forEach(function(cursor) {
+            cursor.skip = Math.max(0, cursor.skip + delta);
+            if (cursor.count !== null) {
+              cursor.count = Math.max(cursor.skip, cursor.count + delta);
+            }
+          });
+        }
+
+        /**
+         * Request the page that failed for each content type of a branch that has an error
+         */
+        function retryFailedPages(source, contentTypeFilter) {
+          return loadCursorPages(source, getCursors(source, contentTypeFilter).filter(function(cursor) {
+            return cursor.error;
+          }));
+        }
+
+        /**
+         * Fetch the next page of each of the given cursors, tolerating partial failures
+         */
+        function loadCursorPages(source, cursors) {
+          return Promise.all(cursors.map(function(cursor) {
+            return loadCursorPage(source, cursor).then(function(entries) {
+              return { entries: entries };
+            }, function(error) {
+              return { error: error };
+            });
+          })).then(function(results) {
+            var failures = results.filter(function(result) { return result.error; });
+            if (failures.length > 0 && failures.length === results.length) {
+              throw failures[0].error;
+            }
+            failures.forEach(function(result) {
+              if (!isAbortError(result.error)) {
+                logger.error('Error fetching a page from ' + source.branch + ' branch', result.error);
+              }
+            });
+
+            var entries = [];
+            results.forEach(function(result) {
+              if (result.entries) {
+                entries = entries.concat(result.entries);
+              }
+            });
+            return entries;
+          });
+        }
+
+        /**
+         * Fetch the next page of one content type for a branch
+         */
+        function loadCursorPage(source, cursor) {
+          if (cursor.loading) {
+            return cursor.loading;
+          }
+
+          cursor.loading = fetchContentPage(source, cursor.contentType, getPageParams(source, cursor))
+            .then(function(page) {
+              cursor.loading = null;
+              cursor.error = null;
+              cursor.skip += page.entries.length;
+              cursor.count = page.count;
+              // Guard against a count that overstates what the API will return
+              if (page.entries.length === 0) {
+                cursor.count = cursor.skip;
+              }
+
+              return page.entries.map(function(entry) {
+                var newEntry = {};
+                for (var key in entry) {
+                  if (entry.hasOwnProperty(key)) {
+                    newEntry[key] = entry[key];
+                  }
+                }
+                newEntry._branch = source.branch;
+                newEntry._branch_label = source.label;
+                // The Delivery API does not always include this, but we know what we asked for
+                newEntry._content_type_uid = cursor.contentType;
+                return newEntry;
+              });
+            }, function(error) {
+              cursor.loading = null;
+              if (!isAbortError(error)) {
+                error.contentType = cursor.contentType;
+                cursor.error = error;
+              }
+              throw error;
+            });
+
+          return cursor.loading;
+        }
+
+        /**
+         * Delivery API page parameters for a cursor's next page
+         */
+        function getPageParams(source, cursor) {
+          return {
+            skip: cursor.skip,
+            limit: pageSize,
+            query: source.query,
+            signal: source.signal,
+            sortBy: entryFilters.sortBy,
+            sortOrder: entryFilters.sortOrder,
+            locale: contentLocale,
+            includeFallback: includeFallback,
+            only: entryFilters.only,
+            except: entryFilters.except
+          };
+        }
+
+        /**
+         * Fetch one page through the cache
+         * source.cacheMode: 'default' serves a cached page that is younger than cacheTtl,
+         * 'reload' always fetches and caches the result, 'no-store' bypasses the cache
+         */
+        function fetchContentPage(source, contentType, page) {
+          var key = cacheTtl > 0 && source.cacheMode !== 'no-store' ? getCacheKey(source.branch, contentType, page) : null;
+
+          if (key && source.cacheMode === 'default') {
+            var cached = readCache(key);
+            if (cached) {
+              return Promise.resolve(cached);
+            }
+          }
+
+          return fetchContentFromBranch(source.branch, contentType, apiKey, source.token, source.previewToken, environment, region, page)
+            .then(function(result) {
+              if (key) {
+                writeCache(key, result);
+              }
+              return result;
+            });
+        }
+
+        /**
+         * Check whether the first page of every branch and content type is in the cache
+         */
+        function hasCachedFirstPages(sources) {
+          return cacheTtl > 0 && sources.every(function(source) {
+            return source.cursors.every(function(cursor) {
+              return !!readCache(getCacheKey(source.branch, cursor.contentType, getPageParams(source, cursor)));
+            });
+          });
+        }
+
+        /**
+         * Cache key for one page of entries
+         * Delivery tokens are deliberately left out so they are never written to storage
+         */
+        function getCacheKey(branch, contentType, page) {
+          return CACHE_KEY_PREFIX + JSON.stringify([
+            getApiBaseUrl(region), apiKey, environment, branch, contentType,
+            page.skip || 0, page.limit, page.query || null,
+            page.sortBy || null, page.sortOrder || null, page.locale || null, !!page.includeFallback,
+            page.only || [], page.except || []
+          ]);
+        }
+
+        /**
+         * Read a cached page ({ entries, count }), or null when it is missing or older than cacheTtl
+         * The in-memory copy is checked first; sessionStorage carries pages across field instances
+         */
+        function readCache(key) {
+          var record = pageCache[key];
+          if (!record) {
+            var storage = getSessionStorage();
+            try {
+              record = storage ? JSON.parse(storage.getItem(key)) : null;
+            } catch (e) {
+              record = null;
+            }
+            if (record) {
+              pageCache[key] = record;
+            }
+          }
+
+          if (!record || Date.now() - record.storedAt > cacheTtl * 1000) {
+            return null;
+          }
+          return record.page;
+        }
+
+        /**
+         * Store a page in memory and in sessionStorage
+         * When storage is full, earlier pages are dropped and the write is tried once more
+         */
+        function writeCache(key, page) {
+          var record = { storedAt: Date.now(), page: { entries: page.entries, count: page.count } };
+          pageCache[key] = record;
+
+          var storage = getSessionStorage();
+          if (!storage) return;
+          var serialized = JSON.stringify(record);
+          try {
+            storage.setItem(key, serialized);
+          } catch (e) {
+            clearStoredPages(storage);
+            try {
+              storage.setItem(key, serialized);
+            } catch (retryError) {
+              logger.warn('Could not cache entries in sessionStorage', retryError);
+            }
+          }
+        }
+
+        /**
+         * Drop every cached page, in memory and in sessionStorage
+         */
+        function clearCache() {
+          pageCache = {};
+          var storage = getSessionStorage();
+          if (storage) {
+            clearStoredPages(storage);
+          }
+        }
+
+        /**
+         * Remove this extension's pages from sessionStorage
+         */
+        function clearStoredPages(storage) {
+          var keys = [];
+          for (var i = 0; i < storage.length; i++) {
+            var key = storage.key(i);
+            if (key && key.indexOf(CACHE_KEY_PREFIX) === 0) {
+              keys.push(key);
+            }
+          }
+          keys.forEach(function(key) {
+            storage.removeItem(key);
+          });
+        }
+
+        /**
+         * Fetch one page of content from a specific branch using Contentstack Delivery API
+         * (or the Preview API in preview mode, authenticated with previewToken)
+         * Resolves to { entries, count } where count is the branch total from include_count
+         * page: { skip, limit, query (Delivery API query object), signal (AbortSignal),
+         *         sortBy, sortOrder ('asc' | 'desc'), locale, includeFallback, only, except (field UID arrays) }
+         */
+        function fetchContentFromBranch(branch, contentType, apiKey, deliveryToken, previewToken, environment, region, page) {
+          page = page || {};
+
+          if (!contentType) {
+            return Promise.reject(new Error('Content type not specified'));
+          }
+
+          // Contentstack Delivery API format (branch and environment in the query string):
+          // https://www.contentstack.com/docs/developers/apis/content-delivery-api
+          // The asset library is paged like a content type (see ASSET_CONTENT_TYPE)
+          var isAssets = contentType === ASSET_CONTENT_TYPE;
+          var url = isAssets
+            ? DeliveryApi.getAssetsUrl(getApiBaseUrl(region), {
+              environment: environment,
+              branch: branch,
+              skip: page.skip,
+              limit: page.limit || DEFAULT_PAGE_SIZE,
+              query: page.query,
+              sortBy: page.sortBy,
+              sortOrder: page.sortOrder
+            })
+            : DeliveryApi.getEntriesUrl(getApiBaseUrl(region), contentType, {
+              environment: environment,
+              branch: branch,
+              skip: page.skip,
+              limit: page.limit || DEFAULT_PAGE_SIZE,
+              query: page.query,
+              sortBy: page.sortBy,
+              sortOrder: page.sortOrder,
+              locale: page.locale,
+              includeFallback: page.includeFallback,
+              only: page.only,
+              except: page.except
+            });
+
+          // Make API request
+          // Contentstack Delivery API: branch in query string, headers for auth
+          // Note: Branch is in query string, not header for Delivery API
+          var headers = getRequestHeaders(apiKey, deliveryToken, previewToken);
+
+          // Only whether each credential is present is logged, never any part of it
+          logger.debug('Fetching ' + (isAssets ? 'assets' : 'entries') + ' from ' + branch + ' branch', {
+            contentType: contentType,
+            environment: environment,
+            url: url,
+            credentials: {
+              api_key: proxyMode ? 'held by proxy' : (apiKey ? 'set' : 'missing'),
+              access_token: proxyMode ? 'held by proxy' : (deliveryToken ? 'set' : 'missing'),
+              preview_token: !previewMode ? 'not used' : proxyMode ? 'held by proxy' : (previewToken ? 'set' : 'missing')
+            }
+          });
+
+          return requestDeliveryApi(url, headers, page.signal)
+          .then(function(data) {
+            var entries = (isAssets ? data.assets : data.entries) || [];
+            var entryUids = entries.map(function(e) { return e.uid; });
+
+            // Check branch information from API response
+            var responseBranch = data.branch || data._branch || 'not in response';
+            var firstEntryBranch = entries.length > 0 && entries[0]._branch ? entries[0]._branch : 'none';
+
+            logger.debug('Delivery API response for ' + branch + ' branch', {
+              entriesCount: entries.length,
+              totalCount: data.count,
+              entryUids: entryUids,
+              apiResponseBranch: responseBranch,
+              firstEntryBranch: firstEntryBranch
+            });
+
+            // Verify entries are from the correct branch
+            if (responseBranch !== 'not in response' && responseBranch !== branch) {
+              logger.warn('The Delivery API returned branch "' + responseBranch + '" but "' + branch + '" was requested');
+            }
+
+            // Check if entries have branch metadata (from include_branch=true)
+            if (entries.length > 0) {
+              var entryBranches = entries.map(function(e) { return e._branch; }).filter(function(b) { return b; });
+              if (entryBranches.length > 0) {
+                var uniqueBranches = entryBranches.filter(function(value, index, self) {
+                  return self.indexOf(value) === index;
+                });
+                logger.debug('Entry branch metadata from include_branch', uniqueBranches);
+
+                // Warn if entries have different branch than requested
+                if (uniqueBranches.length === 1 && uniqueBranches[0] !== branch) {
+                  logger.warn('Entries have _branch "' + uniqueBranches[0] + '" but "' + branch + '" was requested');
+                }
+              }
+            }
+
+            return {
+              entries: entries,
+              count: typeof data.count === 'number' ? data.count : (page.skip || 0) + entries.length
+            };
+          });
+        }
+
+        /**
+         * Fetch a single entry from a specific branch using Contentstack Delivery API
+         * Rejects like requestDeliveryApi
+         */
+        function fetchEntryFromBranch(branch, contentType, entryUid, apiKey, deliveryToken, previewToken, environment, region) {
+          var isAssets = contentType === ASSET_CONTENT_TYPE;
+          var url = isAssets
+            ? DeliveryApi.getAssetUrl(getApiBaseUrl(region), entryUid, { environment: environment, branch: branch })
+            : DeliveryApi.getEntryUrl(getApiBaseUrl(region), contentType, entryUid, {
+              environment: environment,
+              branch: branch,
+              locale: contentLocale,
+              includeFallback: includeFallback
+            });
+
+          return requestDeliveryApi(url, getRequestHeaders(apiKey, deliveryToken, previewToken))
+          .then(function(body) {
+            return isAssets ? body.asset : body.entry;
+          });
+        }
+
+        /**
+         * Headers for a Delivery API (or Preview API) request
+         * In proxy mode the proxy adds the stack's credentials, so none are sent from the browser
+         */
+        function getRequestHeaders(apiKey, deliveryToken, previewToken) {
+          return DeliveryApi.getRequestHeaders({
+            apiKey: apiKey,
+            deliveryToken: deliveryToken,
+            previewToken: previewToken,
+            preview: previewMode,
+            proxy: proxyMode
+          });
+        }
+
+        /**
+         * GET a Delivery API URL and resolve to the parsed JSON body
+         * Failed attempts are retried as described at MAX_RETRIES. Rejects with an Error
+         * carrying `kind` (see getErrorKind), and for HTTP errors `status` and the API's
+         * error `body`; cancelling through `signal` rejects with an AbortError
+         */
+        function requestDeliveryApi(url, headers, signal) {
+          function attempt(retryCount) {
+            var started = Date.now();
+            return fetchWithTimeout(url, headers, signal)
+              .then(function(response) {
+                return response.json()
+                  .catch(function() { return {}; })
+                  .then(function(body) {
+                    recordRequest(url, response.status, body, started);
+                    if (response.ok) {
+                      return body;
+                    }
+                    var error = new Error(body.error_message || ('API request failed: ' + response.status + ' ' + (response.statusText || '')));
+                    error.status = response.status;
+                    error.body = body;
+                    error.retryAfter = parseRetryAfter(response.headers ? response.headers.get('Retry-After') : null);
+                    error.kind = getErrorKind(error);
+                    throw error;
+                  });
+              })
+              .catch(function(error) {
+                if (error.kind === 'network' || error.kind === 'timeout') {
+                  recordRequest(url, error.kind, null, started);
+                }
+                if (isAbortError(error) || !isRetryableError(error) || retryCount >= MAX_RETRIES) {
+                  throw error;
+                }
+                var delay = getRetryDelay(error, retryCount);
+                logger.warn('Delivery API request failed (' + error.message + '), retrying in ' + delay + 'ms');
+                return wait(delay, signal).then(function() {
+                  return attempt(retryCount + 1);
+                });
+              });
+          }
+
+          return attempt(0);
+        }
+
+        /**
+         * Add a request to the diagnostics panel's request log
+         * status is the HTTP status, or 'network' / 'timeout'
+         */
+        function recordRequest(url, status, body, started) {
+          var count = '';
+          if (body && Array.isArray(body.entries)) {
+            count = body.entries.length + (typeof body.count === 'number' ? ' of ' + body.count : '') + ' entries';
+          } else if (body && Array.isArray(body.assets)) {
+            count = body.assets.length + (typeof body.count === 'number' ? ' of ' + body.count : '') + ' assets';
+          } else if (body && body.entry) {
+            count = '1 entry';
+          } else if (body && body.asset) {
+            count = '1 asset';
+          }
+
+          requests.push({
+            time: new Date().toISOString(),
+            url: logger.redact(url),
+            status: status,
+            count: count,
+            ms: Date.now() - started
+          });
+          if (requests.length > MAX_RECORDED_REQUESTS) {
+            requests.shift();
+          }
+
+          onActivity();
+        }
+
+        /**
+         * fetch() that gives up after REQUEST_TIMEOUT_MS
+         * Network failures and timeouts reject with an Error of kind 'network' / 'timeout'
+         */
+        function fetchWithTimeout(url, headers, signal) {
+          var controller = typeof AbortController === 'function' ? new AbortController() : null;
+          var timedOut = false;
+          var timer = null;
+
+          function abort() {
+            controller.abort();
+          }
+
+          if (controller) {
+            if (signal && signal.aborted) {
+              controller.abort();
+            } else if (signal) {
+              signal.addEventListener('abort', abort);
+            }
+            timer = setTimeout(function() {
+              timedOut = true;
+              controller.abort();
+            }, REQUEST_TIMEOUT_MS);
+          }
+
+          function cleanUp() {
+            clearTimeout(timer);
+            if (controller && signal) {
+              signal.removeEventListener('abort', abort);
+            }
+          }
+
+          return fetch(url, {
+            method: 'GET',
+            headers: headers,
+            signal: controller ? controller.signal : signal
+          })
+            .then(function(response) {
+              cleanUp();
+              return response;
+            }, function(error) {
+              cleanUp();
+              var requestError;
+              if (timedOut) {
+                requestError = new Error('The Delivery API did not respond within ' + (REQUEST_TIMEOUT_MS / 1000) + ' seconds');
+                requestError.kind = 'timeout';
+              } else if (isAbortError(error)) {
+                throw error;
+              } else {
+                requestError = new Error('Network error: ' + error.message);
+                requestError.kind = 'network';
+              }
+              throw requestError;
+            });
+        }
+
+        /**
+         * Get API base URL based on region
+         * Contentstack Delivery API uses CDN endpoints, not Management API endpoints;
+         * preview mode uses the region's Preview API. config.host / previewHost win over both,
+         * and config.proxyUrl over everything (the proxy picks the upstream)
+         */
+        function getApiBaseUrl(region) {
+          return DeliveryApi.getApiBaseUrl({
+            region: region,
+            host: apiEndpoint.host,
+            previewHost: apiEndpoint.previewHost,
+            proxyUrl: apiEndpoint.proxyUrl,
+            preview: previewMode
+          });
+        }
+
+        /**
+         * Fetch a stored reference on its recorded branch and classify the outcome
+         * Resolves (never rejects) to { status, entry?, message? } where status is one of
+         * ok, missing, unpublished, not-found, branch-missing or error
+         */
+        function resolveReference(reference) {
+          var source = settings.branchList.branches.find(function(branchInfo) {
+            return branchInfo.branch === reference._branch;
+          });
+          var token = source ? source.token : deliveryToken;
+          var referencePreviewToken = source ? source.previewToken : previewToken;
+          // Values saved without a content type may be of any of the configured types
+          var candidateTypes = reference._content_type_uid ? [reference._content_type_uid] : contentTypes;
+          var referenceContentType = candidateTypes.length === 1 ? candidateTypes[0] : null;
+
+          if (candidateTypes.length === 0) {
+            return Promise.resolve({ status: 'error', message: 'Content type not specified' });
+          }
+
+          function tryContentType(index) {
+            return fetchEntryFromBranch(reference._branch, candidateTypes[index], reference.uid, apiKey, token, referencePreviewToken, environment, region)
+              .then(function(entry) {
+                entry._content_type_uid = candidateTypes[index];
+                return entry;
+              }, function(error) {
+                if (isMissingEntryError(error) && index + 1 < candidateTypes.length) {
+                  return tryContentType(index + 1);
+                }
+                throw error;
+              });
+          }
+
+          return tryContentType(0)
+            .then(function(entry) {
+              return { status: 'ok', entry: entry };
+            })
+            .catch(function(error) {
+              if (isMissingBranchError(error)) {
+                return { status: 'branch-missing' };
+              }
+              if (isMissingEntryError(error)) {
+                // The Delivery API cannot tell a deleted entry from an unpublished one
+                return checkEntryInStack(reference, referenceContentType).then(function(exists) {
+                  if (exists === true) return { status: 'unpublished' };
+                  if (exists === false) return { status: 'missing' };
+                  return { status: 'not-found' };
+                });
+              }
+              logger.error('Error resolving reference', reference, error);
+              return { status: 'error', message: error.message };
+            });
+        }
+
+        /**
+         * Ask the stack (through the SDK) whether an entry exists at all
+         * Only possible for the branch being edited, as that is the branch the SDK talks to,
+         * and when the content type is known
+         * Resolves to true, false, or null when it cannot tell
+         */
+        function checkEntryInStack(reference, referenceContentType) {
+          if (!referenceContentType || referenceContentType === ASSET_CONTENT_TYPE ||
+              reference._branch !== currentBranch || !stack || typeof stack.ContentType !== 'function') {
+            return Promise.resolve(null);
+          }
+
+          try {
+            return stack.ContentType(referenceContentType).Entry(reference.uid).fetch()
+              .then(function() {
+                return true;
+              }, function(error) {
+                return error && error.error_code === ENTRY_NOT_FOUND_ERROR_CODE ? false : null;
+              });
+          } catch (e) {
+            return Promise.resolve(null);
+          }
+        }
+
+        return {
+          createBranchSource: createBranchSource,
+          loadFirstPages: loadFirstPages,
+          loadNextPage: loadNextPage,
+          retryFailedPages: retryFailedPages,
+          shiftCursor: shiftCursor,
+          hasMorePages: hasMorePages,
+          getLoadedCount: getLoadedCount,
+          getTotalCount: getTotalCount,
+          getSourceError: getSourceError,
+          hasCachedFirstPages: hasCachedFirstPages,
+          clearCache: clearCache,
+          resolveReference: resolveReference,
+          getApiBaseUrl: function() { return getApiBaseUrl(region); },
+          getRequestLog: function() { return requests; },
+          getDuplicates: function() { return lastDuplicates; }
+        };
+      }
+
+      /**
+       * Classify a request error: 'auth' (401/403/412), 'rate-limit' (429), 'branch' and
+       * 'content-type' (422 for an unknown branch or content type), 'server' (5xx),
+       * 'timeout', 'network', or 'http' for any other failure
+       */
+      function getErrorKind(error) {
+        if (error.kind) return error.kind;
+
+        var status = error.status;
+        var body = error.body || {};
+        if (status === 401 || status === 403 || status === 412) return 'auth';
+        if (status === 429) return 'rate-limit';
+        if (status === 422 && isMissingBranchError(error)) return 'branch';
+        if (status === 422 && (body.error_code === CONTENT_TYPE_NOT_FOUND_ERROR_CODE ||
+            (body.errors && body.errors.content_type_uid) || /content type/i.test(body.error_message || ''))) {
+          return 'content-type';
+        }
+        if (status >= 500) return 'server';
+        return 'http';
+      }
+
+      /**
+       * Failures that may succeed when the request is repeated
+       */
+      function isRetryableError(error) {
+        var kind = getErrorKind(error);
+        return kind === 'rate-limit' || kind === 'server' || kind === 'timeout' || kind === 'network';
+      }
+
+      /**
+       * Milliseconds from a Retry-After header (seconds or an HTTP date), or null
+       */
+      function parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) {
+          return parseInt(value, 10) * 1000;
+        }
+        var date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+      }
+
+      /**
+       * Delay before retry number retryCount + 1: what the API asked for, otherwise
+       * exponential backoff with jitter
+       */
+      function getRetryDelay(error, retryCount) {
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+          return Math.min(error.retryAfter, MAX_RETRY_DELAY_MS);
+        }
+        var backoff = RETRY_BASE_DELAY_MS * Math.pow(2, retryCount);
+        return Math.min(backoff + Math.round(Math.random() * RETRY_BASE_DELAY_MS), MAX_RETRY_DELAY_MS);
+      }
+
+      /**
+       * Resolve after ms, or reject with an AbortError as soon as signal is aborted
+       */
+      function wait(ms, signal) {
+        return new Promise(function(resolve, reject) {
+          function abort() {
+            clearTimeout(timer);
+            var error = new Error('The request was aborted');
+            error.name = 'AbortError';
+            reject(error);
+          }
+          var timer = setTimeout(function() {
+            if (signal) {
+              signal.removeEventListener('abort', abort);
+            }
+            resolve();
+          }, ms);
+          if (signal && signal.aborted) {
+            abort();
+          } else if (signal) {
+            signal.addEventListener('abort', abort);
+          }
+        });
+      }
+
+      /**
+       * Check whether a fetch was cancelled through its AbortController
+       */
+      function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+      }
+
+      /**
+       * Delivery API error for an entry (or asset) that is not available in the environment
+       */
+      function isMissingEntryError(error) {
+        return error.status === 404 || (!!error.body &&
+          (error.body.error_code === ENTRY_NOT_FOUND_ERROR_CODE || error.body.error_code === ASSET_NOT_FOUND_ERROR_CODE));
+      }
+
+      /**
+       * Delivery API error for a branch that does not exist (any error that names the branch)
+       */
+      function isMissingBranchError(error) {
+        var body = error.body || {};
+        return !!error.status && (
+          !!(body.errors && body.errors.branch) ||
+          /branch/i.test(body.error_message || '')
+        );
+      }
+
+      /**
+       * sessionStorage, or null where it is unavailable (e.g. blocked in a sandboxed frame)
+       */
+      function getSessionStorage() {
+        try {
+          return window.sessionStorage || null;
+        } catch (e) {
+          return null;
+        }
+      }
+
+      module.exports = {
+        REQUEST_TIMEOUT_MS: REQUEST_TIMEOUT_MS,
+        MAX_RETRIES: MAX_RETRIES,
+        createFetchClient: createFetchClient,
+        getErrorKind: getErrorKind,
+        isAbortError: isAbortError,
+        isMissingEntryError: isMissingEntryError,
+        isMissingBranchError: isMissingBranchError,
+        parseRetryAfter: parseRetryAfter,
+        getRetryDelay: getRetryDelay
+      };
+    },
+    // src/selection.js
+    function(require, module, exports) {
+      /**
+       * Selection state of the field: the stored references, what is known about each of
+       * them, and the reference waiting to be replaced by the next pick
+       */
+
+      'use strict';
+
+      var ASSET_CONTENT_TYPE = require(3).ASSET_CONTENT_TYPE;
+
+      /**
+       * Normalise the field data into a list of { uid, _content_type_uid, _branch }
+       * Legacy values may be bare UID strings, which are treated as Main branch references
+       */
+      function getStoredReferences(data) {
+        if (!data) return [];
+        var items = Array.isArray(data) ? data : [data];
+        return items.filter(function(item) {
+          return typeof item === 'string' ? item : item && item.uid;
+        }).map(function(item) {
+          if (typeof item === 'string') {
+            return { uid: item, _branch: 'main' };
+          }
+          return { uid: item.uid, _content_type_uid: item._content_type_uid, _branch: item._branch || 'main' };
+        });
+      }
+
+      /**
+       * Key for referenceStates
+       */
+      function getReferenceKey(reference) {
+        return (reference._branch || 'main') + '/' + reference.uid;
+      }
+
+      /**
+       * Check whether a stored field value (object or legacy UID string) points at a reference
+       */
+      function isSameReference(item, reference) {
+        var normalized = getStoredReferences(item)[0];
+        return !!normalized && getReferenceKey(normalized) === getReferenceKey(reference);
+      }
+
+      /**
+       * Check if an entry is selected
+       */
+      function isEntrySelected(entry, currentData, multiple) {
+        if (!currentData) return false;
+
+        if (multiple) {
+          if (!Array.isArray(currentData)) return false;
+          return currentData.some(function(item) {
+            var itemUid = typeof item === 'string' ? item : item.uid;
+            var itemBranch = item._branch || 'main';
+            return itemUid === entry.uid && itemBranch === (entry._branch || 'main');
+          });
+        } else {
+          var currentUid = typeof currentData === 'string' ? currentData : currentData.uid;
+          var currentBranch = currentData._branch || 'main';
+          return currentUid === entry.uid && currentBranch === (entry._branch || 'main');
+        }
+      }
+
+      /**
+       * The reference stored for an entry picked from the list
+       * Assets are stored as { uid, _branch, url, filename }, so sites can link them without another request
+       */
+      function toReference(entry) {
+        if (entry._content_type_uid === ASSET_CONTENT_TYPE) {
+          return {
+            uid: entry.uid,
+            _branch: entry._branch || 'main',
+            url: entry.url,
+            filename: entry.filename
+          };
+        }
+        return {
+          uid: entry.uid,
+          _content_type_uid: entry._content_type_uid,
+          _branch: entry._branch || 'main'  // Store branch info
+        };
+      }
+
+      /**
+       * Create the selection state of a field
+       * options: { field (the SDK's field), multiple, maxItems (null for no limit) }
+       * Every change is saved with field.setData; a multiple selection is one array,
+       * changed in place, so every view of it stays in sync
+       */
+      function createSelectionState(options) {
+        var field = options.field;
+        var multiple = options.multiple;
+        var maxItems = options.maxItems === undefined ? null : options.maxItems;
+        var data = field.getData() || (multiple ? [] : null);
+        // Resolution state of stored references ({ status, entry }), keyed by getReferenceKey
+        var referenceStates = {};
+        // Stored reference the author chose to replace with the next entry they pick
+        var pendingReplacement = null;
+
+        /**
+         * Store a single entry
+         */
+        function selectSingle(entry) {
+          data = toReference(entry);
+          field.setData(data);
+          // Picked from the list, so it is known to exist
+          referenceStates[getReferenceKey(data)] = { status: 'ok', entry: entry };
+          pendingReplacement = null;
+        }
+
+        /**
+         * Add an entry to a multiple selection, or remove it when it is already selected
+         * Returns false, changing nothing, when the selection is full (maxItems)
+         */
+        function toggle(entry) {
+          if (!Array.isArray(data)) {
+            data = [];
+          }
+          var reference = toReference(entry);
+          var index = data.findIndex(function(item) {
+            return isSameReference(item, reference);
+          });
+
+          if (index >= 0) {
+            data.splice(index, 1);
+          } else if (maxItems !== null && data.length >= maxItems) {
+            return false;
+          } else {
+            data.push(reference);
+            // Picked from the list, so it is known to exist
+            referenceStates[getReferenceKey(reference)] = { status: 'ok', entry: entry };
+          }
+
+          field.setData(data);
+          return true;
+        }
+
+        /**
+         * Put an entry in the place of a stored reference (multiple mode)
+         */
+        function replace(target, entry) {
+          if (!Array.isArray(data)) {
+            data = [];
+          }
+          var replacement = toReference(entry);
+          var targetIndex = data.findIndex(function(item) {
+            return isSameReference(item, target);
+          });
+          var alreadySelected = data.some(function(item) {
+            return isSameReference(item, replacement);
+          });
+
+          if (targetIndex !== -1 && !alreadySelected) {
+            data[targetIndex] = replacement;
+          } else if (targetIndex !== -1) {
+            // The pick is already selected elsewhere: just drop the old reference
+            data.splice(targetIndex, 1);
+          } else if (!alreadySelected) {
+            // The old reference is gone already: treat it as a normal pick
+            data.push(replacement);
+          }
+
+          pendingReplacement = null;
+          referenceStates[getReferenceKey(replacement)] = { status: 'ok', entry: entry };
+          field.setData(data);
+        }
+
+        /**
+         * Remove a stored reference (a single selection is cleared)
+         */
+        function remove(reference) {
+          if (pendingReplacement && getReferenceKey(pendingReplacement) === getReferenceKey(reference)) {
+            pendingReplacement = null;
+          }
+
+          if (multiple) {
+            if (!Array.isArray(data)) {
+              data = [];
+            }
+            for (var i = data.length - 1; i >= 0; i--) {
+              if (isSameReference(data[i], reference)) {
+                data.splice(i, 1);
+              }
+            }
+          } else {
+            data = null;
+          }
+          field.setData(data);
+        }
+
+        /**
+         * Move a reference within a multiple selection and save the new order
+         * Returns whether anything moved
+         */
+        function move(from, to) {
+          if (!Array.isArray(data) || from === -1 || to === -1 || from === to || to >= data.length) return false;
+          var moved = data.splice(from, 1)[0];
+          data.splice(to, 0, moved);
+          field.setData(data);
+          return true;
+        }
+
+        /**
+         * Index in the field data of a reference, or -1
+         */
+        function indexOf(reference) {
+          return Array.isArray(data) ? data.findIndex(function(value) {
+            return isSameReference(value, reference);
+          }) : -1;
+        }
+
+        return {
+          getData: function() { return data; },
+          getReferences: function() { return getStoredReferences(data); },
+          isSelected: function(entry) { return isEntrySelected(entry, data, multiple); },
+          selectSingle: selectSingle,
+          toggle: toggle,
+          replace: replace,
+          remove: remove,
+          move: move,
+          indexOf: indexOf,
+          getReferenceState: function(reference) { return referenceStates[getReferenceKey(reference)]; },
+          setReferenceState: function(reference, state) { referenceStates[getReferenceKey(reference)] = state; },
+          clearReferenceStates: function() { referenceStates = {}; },
+          getPendingReplacement: function() { return pendingReplacement; },
+          setPendingReplacement: function(reference) { pendingReplacement = reference; }
+        };
+      }
+
+      module.exports = {
+        getStoredReferences: getStoredReferences,
+        getReferenceKey: getReferenceKey,
+        isSameReference: isSameReference,
+        isEntrySelected: isEntrySelected,
+        toReference: toReference,
+        createSelectionState: createSelectionState
+      };
+    },
+    // src/renderer.js
+    function(require, module, exports) {
+      /**
+       * The selector's UI: the entry list (browse and search views), previews and version
+       * comparisons, the branch bar and switcher, and the selected items
+       */
+
+      'use strict';
+
+      var escapeHtml = require(1).escapeHtml;
+      var cssEscape = require(1).cssEscape;
+      var fetchClient = require(10);
+      var branchMerge = require(8);
+      var queries = require(6);
+      var usage = require(13);
+      var getDefaultBranchLabel = require(3).getDefaultBranchLabel;
+      var getBadgeColor = require(9).getBadgeColor;
+
+      var getErrorKind = fetchClient.getErrorKind;
+      var isAbortError = fetchClient.isAbortError;
+      var METADATA_FIELDS = branchMerge.METADATA_FIELDS;
+      var resolveDuplicateEntries = branchMerge.resolveDuplicateEntries;
+      var getEntryCopies = branchMerge.getEntryCopies;
+      var getChangedFields = branchMerge.getChangedFields;
+      var combineQueries = queries.combineQueries;
+      var buildSearchQuery = queries.buildSearchQuery;
+      var loadUsageReport = usage.loadUsageReport;
+      var getEntryUsage = usage.getEntryUsage;
+      var MAX_LISTED_USERS = usage.MAX_LISTED_USERS;
+
+      // Delay between the last keystroke and the search request
+      var SEARCH_DEBOUNCE_MS = 300;
+
+      // Characters typed on the entry list within this long of each other form one type-ahead search
+      var TYPE_AHEAD_RESET_MS = 500;
+
+      // Contentstack Image Delivery API parameters for the preview pane
+      var PREVIEW_IMAGE_PARAMS = { width: 320, auto: 'webp' };
+
+      // Fields shown in the preview pane when config.previewFields is not set
+      var MAX_DEFAULT_PREVIEW_FIELDS = 8;
+
+      // Asset fields shown in the preview pane (source "assets") when config.previewFields is not set
+      var ASSET_PREVIEW_FIELDS = ['title', 'filename', 'content_type', 'file_size', 'dimension', 'description', 'tags'];
+
+      // File size units, each 1024 times the one before, by UI string key
+      var FILE_SIZE_UNITS = ['sizeBytes', 'sizeKilobytes', 'sizeMegabytes', 'sizeGigabytes'];
+
+      /**
+       * Create the selector UI in a container
+       * options: { container, sdk (the initialized extension), settings (see resolveConfig),
+       *            client (see createFetchClient), selection (see createSelectionState), logger }
+       * Nothing is fetched or shown until start() is called
+       */
+      function createRenderer(options) {
+        var container = options.container;
+        var sdk = options.sdk;
+        var settings = options.settings;
+        var client = options.client;
+        var selection = options.selection;
+        var logger = options.logger;
+
+        var t = settings.text.t;
+        var tHtml = settings.text.tHtml;
+        var multiple = settings.multiple;
+        var contentTypes = settings.contentTypes;
+        var uiLanguage = settings.uiLanguage;
+        var currentBranch = settings.currentBranch;
+        var branchDetection = settings.branchDetection;
+        var branchList = settings.branchList;
+        var duplicateEntries = settings.duplicateEntries;
+        var environment = settings.environment;
+        var previewMode = settings.previewMode;
+        var proxyMode = settings.proxyMode;
+        var deliveryToken = settings.deliveryToken;
+        var mainBranchToken = settings.mainBranchToken;
+        var previewToken = settings.previewToken;
+        var displayFields = settings.displayFields;
+        var titleField = settings.titleField;
+        var searchFields = settings.searchFields;
+        var entryFilters = settings.entryFilters;
+        var contentLocale = settings.contentLocale;
+        var selectionLimits = settings.selectionLimits;
+        // Files from the asset library instead of entries (config.source)
+        var assetMode = settings.source === 'assets';
+
+        // Branches the list is browsing: the configured ones, or one picked in the branch switcher
+        var browsedBranches = branchList.branches;
+        // Content type titles from the stack, keyed by UID (for the type tabs)
+        var contentTypeTitles = {};
+        // State of the list on screen (null until entries are listed), for live updates
+        var currentListState = null;
+        // Cross-branch usage report (see settings.usageReportUrl), once loaded
+        var usageReport = null;
+
+        /**
+         * Load the first pages of the configured branches and show the selector
+         */
+        function start() {
+          // Paging state for each branch we read from
+          var branchSources = createFirstPageSources('default');
+
+          // Show loading state
+          var loadingText = t('loading', {
+            branches: branchSources.map(function(source) { return source.label; }).join(', ')
+          });
+          container.innerHTML = '<div class="cs-extension-loading">' + escapeHtml(loadingText) + '</div>';
+
+          // Pages cached by an earlier load are shown straight away, then fetched
+          // again in the background and swapped in if they have changed
+          var servedFromCache = client.hasCachedFirstPages(branchSources);
+
+          // The report is fetched alongside the entries and its counts added to whatever is listed by then
+          if (settings.usageReportUrl) {
+            loadUsageReport(settings.usageReportUrl, logger).then(function(report) {
+              usageReport = report;
+              if (report) {
+                showUsageCounts();
+              }
+            });
+          }
+
+          return client.loadFirstPages(branchSources)
+            .then(function(allEntries) {
+              var listState = renderContentSelector(container, allEntries, branchSources);
+
+              if (servedFromCache) {
+                logger.info('Showing cached entries; checking the Delivery API for changes');
+                revalidateBrowseView(container, listState, allEntries, branchSources);
+              }
+            })
+            .catch(function(error) {
+              logger.error('Error fetching content', error);
+              container.innerHTML = '<div class="cs-extension-error">' + escapeHtml(t('loadError', { message: error.message })) + '</div>';
+            });
+        }
+
+        /**
+         * Render the content selector UI
+         * Returns the list state, or null when there is nothing to list
+         */
+        function renderContentSelector(container, entries, sources) {
+          var storedReferences = selection.getReferences();
+          var failed = sources.some(function(source) { return client.getSourceError(source); });
+
+          // Stored references still need to be shown (and possibly flagged) when nothing
+          // else is found, and failed branches need their error banner
+          if (entries.length === 0 && storedReferences.length === 0 && !failed) {
+            // The branch bar may explain why (e.g. the branch could not be detected)
+            container.innerHTML = renderBranchBar() + '<div class="cs-extension-empty">' + escapeHtml(t('noContent')) + '</div>';
+            return null;
+          }
+
+          // Create search input, with a control to bypass the cache and reload the entries
+          var searchHtml = '<div class="cs-extension-search">' +
+            '<input type="text" id="main-branch-search" placeholder="' + escapeHtml(t('searchPlaceholder')) + '" class="cs-extension-search-input"' +
+            ' aria-label="' + escapeHtml(t('searchLabel')) + '" aria-controls="main-branch-list">' +
+            '<button type="button" id="main-branch-refresh" class="cs-extension-refresh-btn" title="' + escapeHtml(t('refreshTitle')) + '">' +
+            escapeHtml(t('refresh')) + '</button>' +
+            '</div>';
+
+          // Create content type tabs when several content types are offered
+          var tabsHtml = '';
+          if (contentTypes.length > 1) {
+            tabsHtml = '<div class="cs-extension-type-tabs" id="main-branch-type-tabs">' +
+              '<button type="button" class="cs-extension-type-tab cs-extension-type-tab-active" data-content-type="" aria-pressed="true">' +
+              escapeHtml(t('allContentTypes')) + '</button>' +
+              contentTypes.map(function(contentTypeUid) {
+                return '<button type="button" class="cs-extension-type-tab" data-content-type="' + escapeHtml(contentTypeUid) + '" aria-pressed="false">' +
+                  escapeHtml(getContentTypeLabel(contentTypeUid)) + '</button>';
+              }).join('') +
+              '</div>';
+          }
+
+          // Create content list (filled by renderEntryList); each branch's entries form a
+          // listbox, and the hidden help text tells screen reader users which keys it takes
+          var listHtml = tabsHtml + '<div class="cs-extension-list" id="main-branch-list"></div>' +
+            '<div class="cs-extension-visually-hidden" id="main-branch-list-help">' +
+            escapeHtml([
+              t(multiple ? 'listHelpMultiple' : 'listHelpSingle'),
+              t('listHelpPreview'),
+              duplicateEntries === 'merge' ? t('listHelpCompare') : '',
+              t('listHelpTypeAhead')
+            ].filter(Boolean).join(' ')) + '</div>';
+
+          // Preview mode lists unpublished changes, so say so
+          if (previewMode) {
+            searchHtml += '<div class="cs-extension-mode-note">' + escapeHtml(t('previewModeNote', { environment: environment })) + '</div>';
+          }
+
+          // Create selected items display (always for multiple selection, for a
+          // single selection only when a value is stored so its state can be shown)
+          var selectedHtml = '';
+          if (multiple || storedReferences.length > 0) {
+            selectedHtml = '<div class="cs-extension-selected">' +
+              '<div class="cs-extension-selected-title" id="main-branch-selected-title"></div>' +
+              '<div class="cs-extension-replace-hint" id="main-branch-replace-hint" hidden></div>' +
+              '<div class="cs-extension-selected-list" id="main-branch-selected-list" role="list" aria-labelledby="main-branch-selected-title"></div>' +
+              '<div class="cs-extension-selection-message" id="main-branch-selection-message" hidden></div>' +
+              '</div>';
+          }
+
+          container.innerHTML = renderBranchBar() + searchHtml + selectedHtml + listHtml;
+
+          // The list shows either the browse view (all entries, paged) or the
+          // results of the current search; each view has its own paging state
+          var browseView = { entries: entries, sources: sources, term: '' };
+          var listState = {
+            browse: browseView,
+            active: browseView,
+            searchTimer: null,
+            searchController: null,
+            contentTypeFilter: null,  // Content type tab in use (null = all)
+            observer: null,
+            activeOption: null,  // { uid, branch } of the entry that takes focus when tabbing into the list
+            typeAhead: { text: '', timer: null }
+          };
+
+          // Attach event listeners
+          attachEventListeners(container, listState);
+          setUpBranchSwitcher(container, listState);
+
+          renderEntryList(container, listState);
+
+          // Render selected items; each stored reference is resolved on its own branch
+          renderSelectedItems(container, entries);
+
+          // Update window height after rendering
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+
+          currentListState = listState;
+          return listState;
+        }
+
+        /**
+         * Build the HTML for the branch bar: the branch being edited, the branch switcher
+         * (filled in by setUpBranchSwitcher) and a warning when the branch was not detected
+         */
+        function renderBranchBar() {
+          var aliases = branchDetection.aliases.length > 0
+            ? ' <span class="cs-extension-branch-aliases">' + escapeHtml(t('branchAliases', { aliases: branchDetection.aliases.join(', ') })) + '</span>'
+            : '';
+          var html = '<div class="cs-extension-branch-bar">' +
+            '<span class="cs-extension-branch-context" title="' + escapeHtml(getBranchDetectionText()) + '">' +
+            tHtml('editingInBranch', { branch: '<strong>' + escapeHtml(currentBranch) + '</strong>' }) + aliases + '</span>' +
+            '<label class="cs-extension-branch-switcher" hidden>' + escapeHtml(t('browseBranch')) + ' ' +
+            '<select id="main-branch-switcher"></select></label>' +
+            '</div>';
+
+          // Without the real branch, child-branch content is silently left out; say so
+          if (branchDetection.method === 'fallback') {
+            html += '<div class="cs-extension-warning" role="alert">' + escapeHtml(t('branchNotDetected')) + '</div>';
+          }
+
+          return html;
+        }
+
+        /**
+         * How the current branch was found, for the branch bar's tooltip
+         */
+        function getBranchDetectionText() {
+          switch (branchDetection.method) {
+            case 'config':
+              return t('branchFromConfig');
+            case 'sdk':
+            case 'stack':
+              return t('branchFromStack');
+            case 'url':
+              return t('branchFromUrl');
+            default:
+              return t('branchAssumed');
+          }
+        }
+
+        /**
+         * Offer the stack's branches in the branch switcher, once the SDK has listed them
+         */
+        function setUpBranchSwitcher(container, listState) {
+          var select = container.querySelector('#main-branch-switcher');
+          if (!select) return;
+
+          loadStackBranches().then(function(stackBranches) {
+            if (stackBranches.length < 2) return;
+
+            select.innerHTML = '<option value="">' + escapeHtml(t('configuredBranches')) + '</option>' +
+              stackBranches.map(function(branch) {
+                return '<option value="' + escapeHtml(branch) + '">' +
+                  escapeHtml(branch === currentBranch ? t('editingBranchOption', { branch: branch }) : branch) + '</option>';
+              }).join('');
+            select.value = browsedBranches === branchList.branches ? '' : browsedBranches[0].branch;
+            select.parentNode.hidden = false;
+
+            select.addEventListener('change', function() {
+              switchBrowsedBranch(container, listState, select.value);
+            });
+          });
+        }
+
+        /**
+         * UIDs of every branch of the stack, from the SDK (empty when not available)
+         */
+        function loadStackBranches() {
+          var stack = sdk.stack || {};
+          if (typeof stack.getAllBranches !== 'function') {
+            return Promise.resolve([]);
+          }
+
+          return Promise.resolve()
+            .then(function() {
+              return stack.getAllBranches();
+            })
+            .then(function(branches) {
+              return (branches || []).map(function(branch) {
+                return typeof branch === 'string' ? branch : branch && branch.uid;
+              }).filter(Boolean);
+            })
+            .catch(function(error) {
+              logger.warn('Could not list the stack\'s branches', error);
+              return [];
+            });
+        }
+
+        /**
+         * Browse one branch of the stack (or, for an empty branch, the configured branches)
+         * Entries chosen from it are stored with that branch, like any other
+         */
+        function switchBrowsedBranch(container, listState, branch) {
+          var requested = branch ? [getBranchInfo(branch)] : branchList.branches;
+          browsedBranches = requested;
+
+          showListStatus(container, t('loading', {
+            branches: requested.map(function(branchInfo) { return branchInfo.label; }).join(', ')
+          }));
+
+          var sources = createFirstPageSources('default');
+          client.loadFirstPages(sources).then(function(entries) {
+            // The author may have picked another branch meanwhile
+            if (browsedBranches !== requested) return;
+
+            replaceBrowseView(container, listState, entries, sources);
+
+            // Search the new branches for the term being searched
+            var searchInput = container.querySelector('#main-branch-search');
+            var term = searchInput ? searchInput.value.trim() : '';
+            if (term) {
+              scheduleSearch(container, listState, term);
+            }
+          });
+        }
+
+        /**
+         * Branch details for a branch picked in the switcher; configured branches keep
+         * their label, tokens and badge
+         */
+        function getBranchInfo(branch) {
+          var configured = branchList.branches.find(function(branchInfo) {
+            return branchInfo.branch === branch;
+          });
+          return configured || {
+            branch: branch,
+            label: getDefaultBranchLabel(branch, t),
+            token: deliveryToken || mainBranchToken,
+            previewToken: previewToken,
+            badgeColor: getBadgeColor(settings.theme, branch, currentBranch),
+            primary: false
+          };
+        }
+
+        /**
+         * Render the active view's entries grouped by branch
+         * keepScroll leaves the scroll position alone (used when appending a page)
+         */
+        function renderEntryList(container, listState, keepScroll) {
+          var list = container.querySelector('#main-branch-list');
+          var view = listState.active;
+          var contentTypeFilter = listState.contentTypeFilter;
+          var visibleEntries = resolveDuplicateEntries(view.entries, view.sources, duplicateEntries).filter(function(entry) {
+            return !contentTypeFilter || entry._content_type_uid === contentTypeFilter;
+          });
+          var scrollTop = list.scrollTop;
+          // Re-rendering drops the focused element, so focus is put back on the active entry
+          var hadFocus = list.contains(document.activeElement);
+          var listHtml = '';
+
+          // Render each branch group
+          view.sources.forEach(function(source) {
+            var branchEntries = visibleEntries.filter(function(entry) {
+              return entry._branch === source.branch;
+            });
+            var error = client.getSourceError(source, contentTypeFilter);
+            // Keep a group whose loaded entries are all shadowed so its later pages stay reachable
+            if (branchEntries.length === 0 && !error &&
+                !(client.getLoadedCount(source, contentTypeFilter) > 0 && client.hasMorePages(source, contentTypeFilter))) return;
+
+            // Branch header, which also labels the branch's listbox
+            var headerId = 'main-branch-header-' + source.branch;
+            listHtml += '<div class="cs-extension-branch-group" data-branch="' + escapeHtml(source.branch) + '">' +
+              '<div class="cs-extension-branch-header" id="' + escapeHtml(headerId) + '">' +
+              escapeHtml(getBranchHeaderText(source, contentTypeFilter)) + '</div>';
+
+            // A failed request is shown in its branch's group; the other branches are unaffected
+            if (error) {
+              listHtml += renderBranchError(source, error);
+            }
+
+            listHtml += '<div class="cs-extension-branch-entries" role="listbox" aria-labelledby="' + escapeHtml(headerId) + '"' +
+              ' aria-describedby="main-branch-list-help"' + (multiple ? ' aria-multiselectable="true"' : '') + '>';
+
+            // Branch entries
+            branchEntries.forEach(function(entry) {
+              var copies = duplicateEntries === 'merge' ? getEntryCopies(view.entries, view.sources, entry.uid) : null;
+              listHtml += renderEntryItem(entry, source, copies);
+            });
+
+            listHtml += '</div>';
+
+            // Further pages are fetched when this control scrolls into view or is clicked
+            // (a failed branch offers its banner's Retry instead, so it is not retried on scroll)
+            if (client.hasMorePages(source, contentTypeFilter) && !error) {
+              listHtml += renderLoadMoreButton(source);
+            }
+
+            listHtml += '</div>'; // Close branch group
+          });
+
+          if (!listHtml) {
+            listHtml = '<div class="cs-extension-empty">' +
+              escapeHtml(view.term ? t('noMatches', { term: view.term }) : t('noContent')) +
+              '</div>';
+          }
+
+          list.innerHTML = listHtml;
+          list.scrollTop = keepScroll ? scrollTop : 0;
+          setActiveOption(list, listState, findOption(list, listState.activeOption), hadFocus);
+
+          if (listState.observer) {
+            listState.observer.disconnect();
+            list.querySelectorAll('.cs-extension-load-more').forEach(function(button) {
+              listState.observer.observe(button);
+            });
+          }
+
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+        }
+
+        /**
+         * Build the HTML for a branch's error banner, with a control to repeat the failed request
+         */
+        function renderBranchError(source, error) {
+          return '<div class="cs-extension-branch-error" role="alert">' +
+            '<span class="cs-extension-branch-error-text">' + escapeHtml(getBranchErrorText(source, error)) + '</span>' +
+            '<button type="button" class="cs-extension-retry-btn" data-branch="' + escapeHtml(source.branch) + '">' + escapeHtml(t('retry')) + '</button>' +
+            '</div>';
+        }
+
+        /**
+         * Explain a failed request for a branch in terms an author can act on
+         */
+        function getBranchErrorText(source, error) {
+          switch (getErrorKind(error)) {
+            case 'auth':
+              if (proxyMode) {
+                return t('errorProxyRefused', { status: error.status, message: error.message });
+              }
+              return t(previewMode ? 'errorAccessDeniedPreview' : 'errorAccessDenied', {
+                status: error.status,
+                branchLabel: source.label,
+                branch: source.branch,
+                environment: environment
+              });
+            case 'content-type':
+              return t('errorContentType', { contentType: error.contentType, branch: source.branch });
+            case 'branch':
+              return t('errorBranch', { branch: source.branch });
+            case 'rate-limit':
+              return t('errorRateLimit');
+            case 'timeout':
+              return t('errorTimeout');
+            case 'network':
+              return t('errorNetwork');
+            default:
+              return t('errorOther', { message: error.message });
+          }
+        }
+
+        /**
+         * Replace the list with a status message (e.g. while searching)
+         */
+        function showListStatus(container, message, className) {
+          var list = container.querySelector('#main-branch-list');
+          list.innerHTML = '<div class="' + (className || 'cs-extension-loading') + '">' + escapeHtml(message) + '</div>';
+        }
+
+        /**
+         * Build the HTML for a single entry in the list
+         * copies (merge mode) lists every branch's version of the entry, ancestors first
+         */
+        function renderEntryItem(entry, source, copies) {
+          var overridden = copies && copies.length > 1;
+          var isSelected = overridden
+            ? copies.some(function(copy) { return selection.isSelected(copy); })
+            : selection.isSelected(entry);
+          var title = getEntryTitle(entry);
+          // An asset is its own thumbnail, and is described by its file name and size
+          var subtitle = assetMode
+            ? [entry.filename, formatFileSize(entry.file_size)].filter(Boolean).join(' · ')
+            : getFieldText(getFieldValue(entry, displayFields.subtitleField));
+          var thumbnailUrl = assetMode
+            ? getImageUrl(entry, displayFields.thumbnailParams)
+            : displayFields.thumbnailField
+              ? getImageUrl(getFieldValue(entry, displayFields.thumbnailField), displayFields.thumbnailParams)
+              : null;
+          var branchName = entry._branch_label || t('unknownBranch');
+          var entryClass = 'cs-extension-item ' + (isSelected ? 'cs-extension-item-selected' : '');
+          var badgeClass = source.primary ? 'cs-extension-item-badge-main' : 'cs-extension-item-badge-current';
+          // Colours are validated by parseBranchList
+          var badgeStyle = source.badgeColor ? ' style="background: ' + source.badgeColor + '"' : '';
+
+          // A merged row stands for every copy, so selection of any of them highlights it
+          var branchesAttr = overridden
+            ? ' data-entry-branches="' + escapeHtml(copies.map(function(copy) { return copy._branch; }).join(' ')) + '"'
+            : '';
+
+          // An option of the branch's listbox; setActiveOption gives one option in the list tabindex 0
+          var overridingLabels = overridden
+            ? copies.slice(1).map(function(copy) { return copy._branch_label; })
+            : [];
+          var label = overridden
+            ? t('optionLabelOverridden', { title: title, branch: branchName, branches: overridingLabels.join(', ') })
+            : t('optionLabel', { title: title, branch: branchName });
+
+          // Entries shown in a fallback locale (include_fallback) are flagged, so authors know they are not yet translated
+          var entryLocale = getEntryContentLocale(entry);
+          var localeText = null;
+          if (contentLocale && entryLocale) {
+            localeText = entryLocale === contentLocale
+              ? t('locale', { locale: entryLocale })
+              : t('localeFallback', { requested: contentLocale, locale: entryLocale });
+            if (entryLocale !== contentLocale) {
+              label += ', ' + localeText;
+            }
+          }
+          var html = '<div class="' + entryClass + '" data-entry-uid="' + escapeHtml(entry.uid) + '" data-entry-branch="' + escapeHtml(entry._branch) + '"' + branchesAttr +
+            ' id="' + escapeHtml('main-branch-option-' + entry._branch + '-' + entry.uid) + '" role="option"' +
+            ' aria-selected="' + (isSelected ? 'true' : 'false') + '" aria-label="' + escapeHtml(label) + '" tabindex="-1">';
+
+          if (displayFields.thumbnailField || assetMode) {
+            html += thumbnailUrl
+              ? '<img class="cs-extension-item-thumb" src="' + escapeHtml(thumbnailUrl) + '" alt="" loading="lazy">'
+              : '<div class="cs-extension-item-thumb cs-extension-item-thumb-empty">' +
+                (assetMode ? escapeHtml(getFileExtension(entry.filename)) : '') + '</div>';
+          }
+
+          html += '<div class="cs-extension-item-content">' +
+            '<div class="cs-extension-item-title">' + escapeHtml(title) + '</div>';
+
+          if (subtitle) {
+            html += '<div class="cs-extension-item-description">' + escapeHtml(subtitle) + '</div>';
+          }
+
+          html += '<div class="cs-extension-item-meta">';
+          if (entry.updated_at) {
+            var date = new Date(entry.updated_at);
+            html += escapeHtml(t('updated', { date: date.toLocaleDateString(uiLanguage) })) + ' ';
+          }
+          html += renderUsageCount(entry);
+          html += '<button type="button" class="cs-extension-preview-btn" tabindex="-1">' + escapeHtml(t('preview')) + '</button></div>';
+
+          if (overridden) {
+            html += '<div class="cs-extension-item-override">' + escapeHtml(t('overriddenIn', { branches: overridingLabels.join(', ') })) +
+              ' <button type="button" class="cs-extension-compare-btn" tabindex="-1">' + escapeHtml(t('compareVersions')) + '</button></div>';
+          }
+
+          html += '</div>';
+          if (localeText) {
+            html += '<div class="cs-extension-item-locale' + (entryLocale !== contentLocale ? ' cs-extension-item-locale-fallback' : '') + '"' +
+              ' title="' + escapeHtml(localeText) + '">' + escapeHtml(entryLocale) + '</div>';
+          }
+          html += '<div class="cs-extension-item-badge ' + badgeClass + '"' + badgeStyle + '>' + escapeHtml(branchName) + '</div>' +
+            '</div>';
+
+          return html;
+        }
+
+        /**
+         * Usage count of an entry for its list item, or '' until the usage report is loaded
+         */
+        function renderUsageCount(entry) {
+          if (!usageReport) return '';
+          var count = getEntryUsage(usageReport, entry).count;
+          var text = count === 0 ? t('usageNone') : t(count === 1 ? 'usageOne' : 'usageOther', { count: count });
+          return '<span class="cs-extension-item-usage' + (count === 0 ? ' cs-extension-item-usage-none' : '') + '">' +
+            escapeHtml(text) + '</span> ';
+        }
+
+        /**
+         * Add usage counts to the list items rendered before the usage report arrived
+         */
+        function showUsageCounts() {
+          container.querySelectorAll('.cs-extension-item').forEach(function(item) {
+            var previewButton = item.querySelector('.cs-extension-item-meta .cs-extension-preview-btn');
+            if (!previewButton || item.querySelector('.cs-extension-item-usage')) return;
+            previewButton.insertAdjacentHTML('beforebegin', renderUsageCount({
+              uid: item.getAttribute('data-entry-uid'),
+              _branch: item.getAttribute('data-entry-branch')
+            }));
+          });
+        }
+
+        /**
+         * The preview pane's list of entries using an entry, or '' without a usage report
+         */
+        function renderUsedBy(entry) {
+          if (!usageReport) return '';
+          // The report has a row per locale and field; each entry is listed once
+          var seen = {};
+          var usedBy = getEntryUsage(usageReport, entry).usedBy.filter(function(user) {
+            var key = user.branch + '/' + user.contentType + '/' + user.uid;
+            if (seen[key]) return false;
+            seen[key] = true;
+            return true;
+          });
+          var html = '<dt>' + escapeHtml(t('usedBy')) + '</dt><dd class="cs-extension-preview-usage">';
+          if (usedBy.length === 0) {
+            html += escapeHtml(t('usageNone'));
+          } else {
+            html += '<ul>' + usedBy.slice(0, MAX_LISTED_USERS).map(function(user) {
+              return '<li>' + escapeHtml(t('usageEntry', {
+                title: user.title || user.uid,
+                contentType: getContentTypeLabel(user.contentType),
+                branch: user.branch
+              })) + '</li>';
+            }).join('') + '</ul>';
+            if (usedBy.length > MAX_LISTED_USERS) {
+              html += escapeHtml(t('usageMore', { count: usedBy.length - MAX_LISTED_USERS }));
+            }
+          }
+          if (usageReport.generatedAt) {
+            html += '<div class="cs-extension-preview-usage-date">' +
+              escapeHtml(t('usageReportDate', { date: new Date(usageReport.generatedAt).toLocaleDateString(uiLanguage) })) + '</div>';
+          }
+          return html + '</dd>';
+        }
+
+        /**
+         * Locale an entry's content is in: the requested one, or its fallback when include_fallback filled the gap
+         */
+        function getEntryContentLocale(entry) {
+          var locale = entry.locale || (entry.publish_details && entry.publish_details.locale);
+          return typeof locale === 'string' ? locale.toLowerCase() : null;
+        }
+
+        /**
+         * Tab label for a content type: its title once known, else the UID made readable
+         */
+        function getContentTypeLabel(contentTypeUid) {
+          if (contentTypeTitles[contentTypeUid]) {
+            return contentTypeTitles[contentTypeUid];
+          }
+          var words = contentTypeUid.replace(/_/g, ' ');
+          return words.charAt(0).toUpperCase() + words.slice(1);
+        }
+
+        /**
+         * Replace the tab labels with the content type titles from the stack, where the SDK can provide them
+         */
+        function loadContentTypeTitles(tabs) {
+          var stack = sdk.stack;
+          if (!stack || typeof stack.getContentType !== 'function') return;
+
+          contentTypes.forEach(function(contentTypeUid) {
+            Promise.resolve()
+              .then(function() { return stack.getContentType(contentTypeUid); })
+              .then(function(response) {
+                var title = response && response.content_type && response.content_type.title;
+                if (!title) return;
+                contentTypeTitles[contentTypeUid] = title;
+                tabs.querySelectorAll('.cs-extension-type-tab').forEach(function(tab) {
+                  if (tab.getAttribute('data-content-type') === contentTypeUid) {
+                    tab.textContent = title;
+                  }
+                });
+              })
+              .catch(function(error) {
+                logger.warn('Could not load title of content type ' + contentTypeUid, error);
+              });
+          });
+        }
+
+        /**
+         * Branch header text, e.g. "Main Branch (50 of 2300)"
+         */
+        function getBranchHeaderText(source, contentTypeFilter) {
+          var total = client.getTotalCount(source, contentTypeFilter);
+          var loaded = client.getLoadedCount(source, contentTypeFilter);
+          if (client.hasMorePages(source, contentTypeFilter) && total !== null) {
+            return t('branchHeaderWithTotal', { label: source.label, loaded: loaded, total: total });
+          }
+          return t('branchHeader', { label: source.label, loaded: loaded });
+        }
+
+        /**
+         * Build the "Load more" control for a branch group
+         */
+        function renderLoadMoreButton(source) {
+          return '<button type="button" class="cs-extension-load-more" data-branch="' + escapeHtml(source.branch) + '">' +
+            escapeHtml(t('loadMore', { branch: source.label })) +
+            '</button>';
+        }
+
+        /**
+         * Attach event listeners
+         */
+        function attachEventListeners(container, listState) {
+          var list = container.querySelector('#main-branch-list');
+
+          // Search functionality (queries the Delivery API, see scheduleSearch)
+          var searchInput = container.querySelector('#main-branch-search');
+          if (searchInput) {
+            searchInput.addEventListener('input', function(e) {
+              scheduleSearch(container, listState, e.target.value);
+            });
+          }
+
+          // Refresh drops the cache and reloads the list (and any search) from the Delivery API
+          var refreshButton = container.querySelector('#main-branch-refresh');
+          if (refreshButton) {
+            refreshButton.addEventListener('click', function() {
+              refreshContent(container, listState, refreshButton);
+            });
+          }
+
+          // Content type tabs filter the list; paging then only fetches that type
+          var tabs = container.querySelector('#main-branch-type-tabs');
+          if (tabs) {
+            tabs.addEventListener('click', function(e) {
+              var tab = e.target.closest('.cs-extension-type-tab');
+              if (!tab) return;
+              listState.contentTypeFilter = tab.getAttribute('data-content-type') || null;
+              tabs.querySelectorAll('.cs-extension-type-tab').forEach(function(other) {
+                other.classList.toggle('cs-extension-type-tab-active', other === tab);
+                other.setAttribute('aria-pressed', other === tab ? 'true' : 'false');
+              });
+              renderEntryList(container, listState);
+            });
+            loadContentTypeTitles(tabs);
+          }
+
+          // Item selection and "Load more" clicks are delegated so that
+          // entries appended by later pages or searches are handled too
+          list.addEventListener('click', function(e) {
+            var view = listState.active;
+
+            var retryButton = e.target.closest('.cs-extension-retry-btn');
+            if (retryButton) {
+              var failedSource = findSource(view.sources, retryButton.getAttribute('data-branch'));
+              if (failedSource) {
+                retryBranch(container, listState, view, failedSource, retryButton);
+              }
+              return;
+            }
+
+            var loadMoreButton = e.target.closest('.cs-extension-load-more');
+            if (loadMoreButton) {
+              var source = findSource(view.sources, loadMoreButton.getAttribute('data-branch'));
+              if (source) {
+                loadMoreEntries(container, listState, view, source);
+              }
+              return;
+            }
+
+            // Merge mode: open/close the version comparison for an overridden entry
+            var compareButton = e.target.closest('.cs-extension-compare-btn');
+            if (compareButton) {
+              toggleDiffPane(compareButton.closest('.cs-extension-item'), view);
+              return;
+            }
+
+            // Open/close the preview pane of an entry
+            var previewButton = e.target.closest('.cs-extension-preview-btn');
+            if (previewButton) {
+              togglePreviewPane(previewButton.closest('.cs-extension-item'), view);
+              return;
+            }
+
+            // A version chosen from the comparison, the preview pane's button, or the row itself
+            var choice = e.target.closest('.cs-extension-diff-select, .cs-extension-preview-select') ||
+              e.target.closest('.cs-extension-item');
+            if (!choice) return;
+
+            chooseEntry(container, listState, choice);
+          });
+
+          // Keyboard use of the listboxes: arrow keys, Home/End and type-ahead move
+          // between entries, Enter/Space choose one, and the right arrow key opens its preview
+          list.addEventListener('keydown', function(e) {
+            handleListKeydown(e, container, listState);
+          });
+
+          // Load the next page automatically as the author scrolls a branch's
+          // "Load more" control into view
+          if (typeof IntersectionObserver === 'function') {
+            listState.observer = new IntersectionObserver(function(observed) {
+              var view = listState.active;
+              observed.forEach(function(record) {
+                if (!record.isIntersecting || record.target.disabled) return;
+                var source = findSource(view.sources, record.target.getAttribute('data-branch'));
+                if (source) {
+                  loadMoreEntries(container, listState, view, source);
+                }
+              });
+            }, { root: list, rootMargin: '0px 0px 100px 0px' });
+          }
+        }
+
+        /**
+         * Select (or deselect) the entry of a list row, or of a button in its preview or comparison pane
+         */
+        function chooseEntry(container, listState, choice) {
+          var view = listState.active;
+          var entryUid = choice.getAttribute('data-entry-uid');
+          var entryBranch = choice.getAttribute('data-entry-branch');
+          var entry = view.entries.find(function(e) { 
+            return e.uid === entryUid && (e._branch || 'main') === entryBranch; 
+          });
+
+          if (!entry) return;
+
+          if (selection.getPendingReplacement() && multiple) {
+            replaceReference(selection.getPendingReplacement(), entry, container, getKnownEntries(listState));
+          } else if (multiple) {
+            toggleMultipleSelection(entry, container, getKnownEntries(listState));
+          } else {
+            selectSingleEntry(entry, container, getKnownEntries(listState));
+          }
+
+          // Choosing from a pane closes it, and focus goes back to the pane's row
+          var pane = choice.closest('.cs-extension-diff, .cs-extension-preview');
+          if (pane) {
+            var item = pane.previousElementSibling;
+            pane.parentNode.removeChild(pane);
+            setActiveOption(container.querySelector('#main-branch-list'), listState, item, true);
+          }
+        }
+
+        /**
+         * Keyboard handling for the entry list (the listbox pattern)
+         */
+        function handleListKeydown(e, container, listState) {
+          if (e.ctrlKey || e.metaKey || e.altKey) return;
+          var list = container.querySelector('#main-branch-list');
+
+          // Escape in an open pane closes it and returns to its row
+          var pane = e.target.closest('.cs-extension-diff, .cs-extension-preview');
+          if (pane) {
+            if (e.key === 'Escape') {
+              e.preventDefault();
+              var row = pane.previousElementSibling;
+              closeEntryPanes(row);
+              setActiveOption(list, listState, row, true);
+            }
+            return;
+          }
+
+          var item = e.target;
+          if (!item.classList.contains('cs-extension-item')) return;
+          var options = Array.prototype.slice.call(list.querySelectorAll('.cs-extension-item'));
+          var index = options.indexOf(item);
+          var typing = listState.typeAhead.text !== '';
+
+          if (e.key === 'ArrowDown' || e.key === 'ArrowUp' || e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            var target = e.key === 'ArrowDown' ? Math.min(index + 1, options.length - 1)
+              : e.key === 'ArrowUp' ? Math.max(index - 1, 0)
+              : e.key === 'Home' ? 0
+              : options.length - 1;
+            setActiveOption(list, listState, options[target], true);
+          } else if (e.key === 'Enter' || (e.key === ' ' && !typing)) {
+            e.preventDefault();
+            chooseEntry(container, listState, item);
+          } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            var view = listState.active;
+            var opened = e.shiftKey
+              ? (item.querySelector('.cs-extension-compare-btn') ? toggleDiffPane(item, view) : null)
+              : togglePreviewPane(item, view);
+            if (opened) {
+              opened.focus();
+            }
+          } else if (e.key === 'ArrowLeft' || e.key === 'Escape') {
+            closeEntryPanes(item);
+          } else if (e.key.length === 1) {
+            e.preventDefault();
+            typeAhead(list, listState, options, index, e.key);
+          }
+        }
+
+        /**
+         * Move to the next entry whose title starts with the characters typed so far
+         */
+        function typeAhead(list, listState, options, index, character) {
+          var state = listState.typeAhead;
+          clearTimeout(state.timer);
+          state.timer = setTimeout(function() { state.text = ''; }, TYPE_AHEAD_RESET_MS);
+          state.text += character.toLowerCase();
+
+          // A new search starts after the current entry, so pressing a letter again cycles through matches
+          var start = state.text.length === 1 ? index + 1 : index;
+          for (var i = 0; i < options.length; i++) {
+            var option = options[(start + i) % options.length];
+            var title = option.querySelector('.cs-extension-item-title');
+            if (title && title.textContent.toLowerCase().indexOf(state.text) === 0) {
+              setActiveOption(list, listState, option, true);
+              return;
+            }
+          }
+        }
+
+        /**
+         * Make an entry the list's single tab stop (the first entry when none is given), optionally focusing it
+         */
+        function setActiveOption(list, listState, option, focus) {
+          var options = list.querySelectorAll('.cs-extension-item');
+          var active = option || options[0] || null;
+          options.forEach(function(other) {
+            other.tabIndex = other === active ? 0 : -1;
+          });
+          if (!active) return;
+
+          // An entry chosen by the author is remembered so re-rendering the list keeps it
+          if (option) {
+            listState.activeOption = {
+              uid: active.getAttribute('data-entry-uid'),
+              branch: active.getAttribute('data-entry-branch')
+            };
+          }
+          if (focus) {
+            active.focus();
+            if (typeof active.scrollIntoView === 'function') {
+              active.scrollIntoView({ block: 'nearest' });
+            }
+          }
+        }
+
+        /**
+         * The list row for { uid, branch }, if it is shown
+         */
+        function findOption(list, key) {
+          if (!key) return null;
+          return list.querySelector('.cs-extension-item[data-entry-uid="' + cssEscape(key.uid) + '"][data-entry-branch="' + cssEscape(key.branch) + '"]');
+        }
+
+        /**
+         * Close a row's preview and comparison panes
+         */
+        function closeEntryPanes(item) {
+          var next = item.nextElementSibling;
+          while (next && (next.classList.contains('cs-extension-preview') || next.classList.contains('cs-extension-diff'))) {
+            next.parentNode.removeChild(next);
+            next = item.nextElementSibling;
+          }
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+        }
+
+        /**
+         * Find the paging state for a branch
+         */
+        function findSource(sources, branch) {
+          return sources.find(function(source) { return source.branch === branch; });
+        }
+
+        /**
+         * Entries the author can have selected: everything browsed plus the current search results
+         */
+        function getKnownEntries(listState) {
+          if (listState.active === listState.browse) {
+            return listState.browse.entries;
+          }
+          return listState.browse.entries.concat(listState.active.entries);
+        }
+
+        /**
+         * Debounce search input; an empty term returns to the browse view
+         */
+        function scheduleSearch(container, listState, term) {
+          clearTimeout(listState.searchTimer);
+
+          // Any in-flight search is stale as soon as the term changes
+          if (listState.searchController) {
+            listState.searchController.abort();
+            listState.searchController = null;
+          }
+
+          term = (term || '').trim();
+          if (!term) {
+            if (listState.active !== listState.browse) {
+              listState.active = listState.browse;
+              renderEntryList(container, listState);
+            }
+            return;
+          }
+
+          listState.searchTimer = setTimeout(function() {
+            runSearch(container, listState, term);
+          }, SEARCH_DEBOUNCE_MS);
+        }
+
+        /**
+         * Query every branch for the search term and show the merged results
+         */
+        function runSearch(container, listState, term) {
+          var controller = typeof AbortController === 'function' ? new AbortController() : null;
+          listState.searchController = controller;
+
+          var searchQuery = buildSearchQuery(term, searchFields);
+          var searchSources = listState.browse.sources.map(function(source) {
+            return client.createBranchSource(source, {
+              query: combineQueries(source.query, searchQuery),
+              signal: controller ? controller.signal : undefined,
+              // Search results are always fetched live
+              cacheMode: 'no-store'
+            });
+          });
+
+          showListStatus(container, t('searching', { term: term }));
+
+          Promise.all(searchSources.map(function(source) {
+            return client.loadNextPage(source).catch(function(error) {
+              if (isAbortError(error)) throw error;
+              logger.error('Error searching ' + source.branch + ' branch', error);
+              // Keep the other branches' results
+              return [];
+            });
+          }))
+            .then(function(results) {
+              if (listState.searchController !== controller) return;
+              listState.searchController = null;
+
+              // Merge per-branch results in branch order
+              var merged = [];
+              results.forEach(function(branchEntries) {
+                merged = merged.concat(branchEntries);
+              });
+
+              listState.active = { entries: merged, sources: searchSources, term: term };
+              renderEntryList(container, listState);
+            })
+            .catch(function(error) {
+              if (isAbortError(error)) return;
+              logger.error('Error searching content', error);
+              showListStatus(container, t('searchFailed', { message: error.message }), 'cs-extension-error');
+            });
+        }
+
+        /**
+         * Fetch the next page for a branch and add it to that branch's group
+         */
+        function loadMoreEntries(container, listState, view, source) {
+          var list = container.querySelector('#main-branch-list');
+          var group = list.querySelector('.cs-extension-branch-group[data-branch="' + cssEscape(source.branch) + '"]');
+          if (!group) return;
+
+          var button = group.querySelector('.cs-extension-load-more');
+          if (button) {
+            button.disabled = true;
+            button.textContent = t('loadingMore');
+          }
+
+          client.loadNextPage(source, listState.contentTypeFilter)
+            .then(function(newEntries) {
+              // A live update may have listed an entry early that this page now returns
+              Array.prototype.push.apply(view.entries, newEntries.filter(function(entry) {
+                return !findViewEntry(view, entry._branch, entry._content_type_uid, entry.uid);
+              }));
+
+              // The author may have switched views while the page was loading
+              if (listState.active !== view) return;
+
+              // Re-render rather than append: a new page can shadow or be shadowed by
+              // entries already listed from other branches
+              renderEntryList(container, listState, true);
+            })
+            .catch(function(error) {
+              if (isAbortError(error)) return;
+              logger.error('Error loading more entries from ' + source.branch + ' branch', error);
+              // Shows the branch's error banner
+              if (listState.active === view) {
+                renderEntryList(container, listState, true);
+              }
+            });
+        }
+
+        /**
+         * Repeat the failed requests of a branch (from its error banner)
+         */
+        function retryBranch(container, listState, view, source, button) {
+          button.disabled = true;
+          button.textContent = t('retrying');
+
+          client.retryFailedPages(source, listState.contentTypeFilter)
+            .then(function(newEntries) {
+              Array.prototype.push.apply(view.entries, newEntries);
+            }, function(error) {
+              if (isAbortError(error)) return;
+              logger.error('Retry failed for ' + source.branch + ' branch', error);
+            })
+            .then(function() {
+              // Either lists the new entries or shows the latest error
+              if (listState.active === view) {
+                renderEntryList(container, listState, true);
+              }
+            });
+        }
+
+        /**
+         * Fetch the first pages again after showing them from the cache, and swap
+         * them in if they have changed; listState is null when nothing was listed
+         */
+        function revalidateBrowseView(container, listState, cachedEntries, cachedSources) {
+          var freshSources = createFirstPageSources('reload');
+
+          client.loadFirstPages(freshSources).then(function(freshEntries) {
+            // Keep the cached list rather than replace it with a partial one
+            var failed = freshSources.some(function(source) { return client.getSourceError(source); });
+            if (failed) return;
+
+            if (getBrowseSignature(freshEntries, freshSources) === getBrowseSignature(cachedEntries, cachedSources)) {
+              logger.info('Cached entries are up to date');
+              return;
+            }
+
+            logger.info('Cached entries were out of date; showing the latest content');
+            replaceBrowseView(container, listState, freshEntries, freshSources);
+          });
+        }
+
+        /**
+         * Clear the cache and reload everything shown: the browse view, the current
+         * search and the state of stored references
+         */
+        function refreshContent(container, listState, button) {
+          button.disabled = true;
+          button.textContent = t('refreshing');
+
+          client.clearCache();
+          selection.clearReferenceStates();
+
+          var freshSources = createFirstPageSources('reload');
+          client.loadFirstPages(freshSources).then(function(freshEntries) {
+            button.disabled = false;
+            button.textContent = t('refresh');
+
+            replaceBrowseView(container, listState, freshEntries, freshSources);
+
+            // Search results come from the Delivery API directly, but may be stale too
+            var searchInput = container.querySelector('#main-branch-search');
+            var term = searchInput ? searchInput.value.trim() : '';
+            if (term) {
+              scheduleSearch(container, listState, term);
+            }
+          });
+        }
+
+        /**
+         * Bring what is on screen in line with a live entry event (see subscribeToEntryEvents)
+         * The entry is fetched again on its branch for the browse view and any search, then
+         * updated in place, added at the top of its branch or dropped; the search term, tab,
+         * focus and selection are kept, and stored references to it are checked again
+         */
+        function applyEntryEvent(event) {
+          if (contentTypes.indexOf(event.contentType) === -1) return;
+          // Pages cached before the change would bring it back on the next load
+          client.clearCache();
+
+          var listState = currentListState;
+          if (!listState) {
+            // Nothing was listed: a publish may bring the first entry
+            if (event.type === 'publish') {
+              var sources = createFirstPageSources('reload');
+              client.loadFirstPages(sources).then(function(entries) {
+                if (!currentListState) {
+                  replaceBrowseView(container, null, entries, sources);
+                }
+              });
+            }
+            return;
+          }
+
+          var views = listState.active === listState.browse ? [listState.browse] : [listState.browse, listState.active];
+          Promise.all(views.map(function(view) {
+            var source = view.sources.find(function(candidate) {
+              return isEventBranch(candidate.branch, event);
+            });
+            if (!source) return false;
+
+            return fetchEventEntry(source, event).then(function(entry) {
+              return updateViewEntry(view, source, event, entry);
+            }, function(error) {
+              if (!isAbortError(error)) {
+                logger.error('Could not apply the live ' + event.type + ' of ' + event.uid, error);
+              }
+              return false;
+            });
+          })).then(function(changed) {
+            if (changed.indexOf(true) !== -1 && views.indexOf(listState.active) !== -1) {
+              renderEntryList(container, listState, true);
+            }
+
+            var stale = selection.getReferences().filter(function(reference) {
+              return reference.uid === event.uid && isEventBranch(reference._branch, event);
+            });
+            if (stale.length > 0) {
+              stale.forEach(function(reference) {
+                selection.setReferenceState(reference, null);
+              });
+              renderSelectedItems(container, getKnownEntries(listState));
+            }
+          });
+        }
+
+        /**
+         * Check whether an event happened on a branch (by UID or one of its aliases)
+         */
+        function isEventBranch(branch, event) {
+          return branch === event.branch || (event.aliases || []).indexOf(branch) !== -1;
+        }
+
+        /**
+         * The entry an event is about, as the view's source would list it (same filters,
+         * search, locale and projection), or null when it no longer qualifies
+         */
+        function fetchEventEntry(source, event) {
+          // Gone from the list's locale (unless another locale may stand in)
+          var removed = event.type === 'delete' || (event.type === 'unpublish' && !settings.includeFallback &&
+            (!event.locale || !contentLocale || event.locale === contentLocale));
+          if (removed) {
+            return Promise.resolve(null);
+          }
+
+          var probe = client.createBranchSource(source, {
+            query: combineQueries(source.query, { uid: event.uid }),
+            signal: source.signal,
+            cacheMode: 'no-store'
+          });
+          return client.loadNextPage(probe, event.contentType).then(function(entries) {
+            return entries[0] || null;
+          });
+        }
+
+        /**
+         * Put an event's entry into a view (or take it out when entry is null)
+         * Returns whether the view changed
+         */
+        function updateViewEntry(view, source, event, entry) {
+          var existing = findViewEntry(view, source.branch, event.contentType, event.uid);
+          var index = view.entries.indexOf(existing);
+
+          if (entry && existing) {
+            view.entries[index] = entry;
+          } else if (entry) {
+            view.entries.splice(getBranchStartIndex(view, source), 0, entry);
+            client.shiftCursor(source, event.contentType, 1);
+          } else if (existing) {
+            view.entries.splice(index, 1);
+            client.shiftCursor(source, event.contentType, -1);
+          } else {
+            return false;
+          }
+
+          logger.info('Live ' + event.type + ': ' + (entry ? 'listed' : 'removed') + ' ' + event.uid + ' on ' + source.branch + ' branch');
+          return true;
+        }
+
+        /**
+         * A view's entry for a branch, content type and UID, if listed
+         */
+        function findViewEntry(view, branch, contentTypeUid, uid) {
+          return view.entries.find(function(entry) {
+            return entry.uid === uid && entry._branch === branch && entry._content_type_uid === contentTypeUid;
+          });
+        }
+
+        /**
+         * Where a source's entries start in a view (entries are kept in source order)
+         */
+        function getBranchStartIndex(view, source) {
+          var order = view.sources.map(function(candidate) { return candidate.branch; });
+          var position = order.indexOf(source.branch);
+          var index = view.entries.findIndex(function(entry) {
+            return order.indexOf(entry._branch) >= position;
+          });
+          return index === -1 ? view.entries.length : index;
+        }
+
+        /**
+         * Paging state for a fresh start-up load of every browsed branch
+         */
+        function createFirstPageSources(cacheMode) {
+          return browsedBranches.map(function(branchInfo) {
+            return client.createBranchSource(branchInfo, { query: entryFilters.query, cacheMode: cacheMode });
+          });
+        }
+
+        /**
+         * Show newly loaded first pages in place of the browse view
+         * Falls back to a full render when nothing was listed before
+         */
+        function replaceBrowseView(container, listState, entries, sources) {
+          if (!listState) {
+            renderContentSelector(container, entries, sources);
+            return;
+          }
+
+          var browseView = { entries: entries, sources: sources, term: '' };
+          var browsing = listState.active === listState.browse;
+          listState.browse = browseView;
+          if (browsing) {
+            listState.active = browseView;
+            renderEntryList(container, listState, true);
+          }
+
+          renderSelectedItems(container, getKnownEntries(listState));
+        }
+
+        /**
+         * Summary of a set of loaded pages, used to tell whether a reload changed anything
+         */
+        function getBrowseSignature(entries, sources) {
+          return JSON.stringify([
+            entries.map(function(entry) {
+              return [entry._branch, entry._content_type_uid, entry.uid, entry._version, entry.updated_at];
+            }),
+            sources.map(function(source) {
+              return source.cursors.map(function(cursor) { return cursor.count; });
+            })
+          ]);
+        }
+
+        /**
+         * Read a (dot path) field from an entry
+         */
+        function getFieldValue(entry, path) {
+          return path.split('.').reduce(function(value, key) {
+            return value === null || value === undefined ? undefined : value[key];
+          }, entry);
+        }
+
+        /**
+         * Plain-text form of a field value for list labels (rich text is stripped of markup)
+         */
+        function getFieldText(value) {
+          if (value === null || value === undefined) return '';
+          if (typeof value === 'object') return '';
+          var text = String(value);
+          if (/<[a-z][\s\S]*>/i.test(text)) {
+            // A parsed document is inert: unlike a detached div it loads no images, so no onerror runs
+            text = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+          }
+          return text.trim();
+        }
+
+        /**
+         * Title of an entry from the configured titleField, falling back to its (file) name or UID
+         */
+        function getEntryTitle(entry) {
+          return getFieldText(getFieldValue(entry, titleField)) || entry.title || entry.filename || entry.uid || t('untitled');
+        }
+
+        /**
+         * A file size in bytes (the Delivery API gives assets' as a string) in the largest unit
+         * that keeps it at 1 or more, e.g. "1.5 MB"; '' when it is not a number
+         */
+        function formatFileSize(value) {
+          var bytes = Number(value);
+          if (value === undefined || value === null || value === '' || !isFinite(bytes) || bytes < 0) return '';
+          var unit = 0;
+          while (unit < FILE_SIZE_UNITS.length - 1 && bytes >= Math.pow(1024, unit + 1)) {
+            unit++;
+          }
+          var size = bytes / Math.pow(1024, unit);
+          return t(FILE_SIZE_UNITS[unit], { size: size.toLocaleString(uiLanguage, { maximumFractionDigits: unit === 0 ? 0 : 1 }) });
+        }
+
+        /**
+         * Upper-case extension of a file name for the placeholder of files without a thumbnail, e.g. "PDF"
+         */
+        function getFileExtension(filename) {
+          var match = /\.([a-z0-9]{1,5})$/i.exec(filename || '');
+          return match ? match[1].toUpperCase() : '';
+        }
+
+        /**
+         * URL to show for a file field (or a plain URL string), or null if it is not an image
+         * Contentstack-hosted images get Image Delivery API transform parameters appended
+         */
+        function getImageUrl(value, params) {
+          if (Array.isArray(value)) {
+            value = value[0];
+          }
+          if (!value) return null;
+
+          var url = typeof value === 'string' ? value : value.url;
+          if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return null;
+
+          var contentTypeHeader = typeof value === 'object' ? value.content_type : null;
+          var isImage = contentTypeHeader
+            ? contentTypeHeader.indexOf('image/') === 0
+            : /\.(png|jpe?g|gif|webp|svg|avif)(\?|$)/i.test(url);
+          if (!isImage) return null;
+
+          if (/^https:\/\/([a-z0-9-]+-)?images\.contentstack\.(io|com)\//i.test(url) && params) {
+            var query = Object.keys(params).map(function(key) {
+              return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+            }).join('&');
+            if (query) {
+              url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+            }
+          }
+
+          return url;
+        }
+
+        /**
+         * HTML for a field value in the preview pane
+         */
+        function formatPreviewValue(value) {
+          if (value === undefined || value === null || value === '') {
+            return '—';
+          }
+
+          // File fields: images inline, other files as a link
+          var files = Array.isArray(value) ? value : [value];
+          var isFileList = files.length > 0 && files.every(function(file) {
+            return file && typeof file === 'object' && typeof file.url === 'string' && file.filename;
+          });
+          if (isFileList) {
+            return files.map(function(file) {
+              var imageUrl = getImageUrl(file, PREVIEW_IMAGE_PARAMS);
+              return imageUrl
+                ? '<img class="cs-extension-preview-image" src="' + escapeHtml(imageUrl) + '" alt="' + escapeHtml(file.title || file.filename) + '">'
+                : '<a href="' + escapeHtml(file.url) + '" target="_blank" rel="noopener">' + escapeHtml(file.filename) + '</a>';
+            }).join('');
+          }
+
+          if (typeof value === 'boolean') {
+            return escapeHtml(t(value ? 'valueYes' : 'valueNo'));
+          }
+          if (Array.isArray(value) && value.every(function(item) { return typeof item !== 'object'; })) {
+            return escapeHtml(value.join(', '));
+          }
+          if (Array.isArray(value) && value.every(function(item) { return item && item.uid && item._content_type_uid; })) {
+            return escapeHtml(t(value.length === 1 ? 'referenceCountOne' : 'referenceCountOther', { count: value.length }));
+          }
+          if (typeof value === 'object') {
+            return escapeHtml(formatDiffValue(value));
+          }
+
+          var text = getFieldText(value);
+          return escapeHtml(text.length > 300 ? text.slice(0, 300) + '…' : text);
+        }
+
+        /**
+         * HTML for a field of the preview pane; asset sizes and dimensions are spelled out
+         */
+        function formatPreviewField(entry, path) {
+          var value = getFieldValue(entry, path);
+          if (assetMode && path === 'file_size' && formatFileSize(value)) {
+            return escapeHtml(formatFileSize(value));
+          }
+          if (assetMode && path === 'dimension' && value && value.width && value.height) {
+            return escapeHtml(t('dimensions', { width: value.width, height: value.height }));
+          }
+          return formatPreviewValue(value);
+        }
+
+        /**
+         * Fields listed in the preview pane: config.previewFields, or the display fields
+         * followed by the entry's other content fields
+         */
+        function getPreviewFields(entry) {
+          if (displayFields.previewFields.length > 0) {
+            return displayFields.previewFields;
+          }
+          if (assetMode) {
+            return ASSET_PREVIEW_FIELDS.filter(function(path) {
+              return getFieldValue(entry, path) !== undefined;
+            });
+          }
+
+          var fields = [titleField, displayFields.subtitleField];
+          if (displayFields.thumbnailField) {
+            fields.push(displayFields.thumbnailField);
+          }
+          // Skip top-level fields a display path already points into
+          var covered = fields.map(function(path) { return path.split('.')[0]; });
+          Object.keys(entry).forEach(function(key) {
+            if (key.charAt(0) === '_' || METADATA_FIELDS.indexOf(key) !== -1 || covered.indexOf(key) !== -1) return;
+            fields.push(key);
+          });
+
+          return fields.filter(function(path) {
+            return getFieldValue(entry, path) !== undefined;
+          }).slice(0, MAX_DEFAULT_PREVIEW_FIELDS);
+        }
+
+        /**
+         * Show or hide an entry's key fields below its list item, with a button to select it
+         * Returns the pane when it was opened
+         */
+        function togglePreviewPane(item, view) {
+          var next = item.nextElementSibling;
+          if (next && next.classList.contains('cs-extension-preview')) {
+            next.parentNode.removeChild(next);
+            return null;
+          }
+
+          var entryUid = item.getAttribute('data-entry-uid');
+          var entryBranch = item.getAttribute('data-entry-branch');
+          var entry = view.entries.find(function(e) {
+            return e.uid === entryUid && (e._branch || 'main') === entryBranch;
+          });
+          if (!entry) return null;
+
+          // Focusable so that keyboard users land on it (see handleListKeydown)
+          var html = '<div class="cs-extension-preview" role="group" tabindex="-1" aria-label="' +
+            escapeHtml(t('previewOf', { title: getEntryTitle(entry) })) + '"><dl class="cs-extension-preview-fields">';
+          // The file itself: the image, or a link to any other file
+          if (assetMode) {
+            html += '<dt>' + escapeHtml(t('file')) + '</dt><dd>' + formatPreviewValue(entry) + '</dd>';
+          }
+          getPreviewFields(entry).forEach(function(path) {
+            html += '<dt>' + escapeHtml(path) + '</dt><dd>' + formatPreviewField(entry, path) + '</dd>';
+          });
+          html += '<dt>' + escapeHtml(t('branch')) + '</dt><dd>' + escapeHtml(entry._branch_label || entry._branch) + '</dd>';
+          if (entry._version) {
+            html += '<dt>' + escapeHtml(t('version')) + '</dt><dd>' + escapeHtml(String(entry._version)) + '</dd>';
+          }
+          html += renderUsedBy(entry);
+          html += '</dl>';
+
+          var isSelected = item.classList.contains('cs-extension-item-selected');
+          var label = t(multiple
+            ? (isSelected ? 'removeFromSelection' : 'addToSelection')
+            : (isSelected ? 'selected' : 'selectThisEntry'));
+          html += '<button type="button" class="cs-extension-preview-select" data-entry-uid="' + escapeHtml(entry.uid) +
+            '" data-entry-branch="' + escapeHtml(entry._branch) + '"' + (!multiple && isSelected ? ' disabled' : '') + '>' + escapeHtml(label) + '</button>' +
+            '</div>';
+
+          item.insertAdjacentHTML('afterend', html);
+
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+          return item.nextElementSibling;
+        }
+
+        /**
+         * Short display form of a field value for the comparison table
+         */
+        function formatDiffValue(value) {
+          if (value === undefined || value === null || value === '') return '—';
+          var text = typeof value === 'string' ? value : JSON.stringify(value);
+          return text.length > 200 ? text.slice(0, 200) + '…' : text;
+        }
+
+        /**
+         * Show or hide the side-by-side comparison of an overridden entry's versions
+         * Returns the pane when it was opened
+         */
+        function toggleDiffPane(item, view) {
+          var next = item.nextElementSibling;
+          if (next && next.classList.contains('cs-extension-diff')) {
+            next.parentNode.removeChild(next);
+            return null;
+          }
+
+          var copies = getEntryCopies(view.entries, view.sources, item.getAttribute('data-entry-uid'));
+          var changedFields = getChangedFields(copies);
+
+          var html = '<div class="cs-extension-diff" role="group" tabindex="-1" aria-label="' +
+            escapeHtml(t('versionsOf', { title: getEntryTitle(copies[0]) })) + '"><table class="cs-extension-diff-table"><thead><tr><th></th>';
+          copies.forEach(function(copy) {
+            html += '<th>' + escapeHtml(copy._branch_label) + '</th>';
+          });
+          html += '</tr></thead><tbody>';
+
+          html += '<tr><th>' + escapeHtml(t('version')) + '</th>';
+          copies.forEach(function(copy) {
+            html += '<td>' + escapeHtml(formatDiffValue(copy._version)) + '</td>';
+          });
+          html += '</tr><tr><th>' + escapeHtml(t('updatedColumn')) + '</th>';
+          copies.forEach(function(copy) {
+            html += '<td>' + (copy.updated_at ? escapeHtml(new Date(copy.updated_at).toLocaleString(uiLanguage)) : '—') + '</td>';
+          });
+          html += '</tr>';
+
+          changedFields.forEach(function(key) {
+            html += '<tr class="cs-extension-diff-changed"><th>' + escapeHtml(key) + '</th>';
+            copies.forEach(function(copy) {
+              html += '<td>' + escapeHtml(formatDiffValue(copy[key])) + '</td>';
+            });
+            html += '</tr>';
+          });
+          if (changedFields.length === 0) {
+            html += '<tr><td colspan="' + (copies.length + 1) + '">' + escapeHtml(t('noDifferences')) + '</td></tr>';
+          }
+
+          html += '</tbody><tfoot><tr><th></th>';
+          copies.forEach(function(copy) {
+            html += '<td><button type="button" class="cs-extension-diff-select" data-entry-uid="' + escapeHtml(copy.uid) +
+              '" data-entry-branch="' + escapeHtml(copy._branch) + '">' + escapeHtml(t('useThisVersion')) + '</button></td>';
+          });
+          html += '</tr></tfoot></table></div>';
+
+          item.insertAdjacentHTML('afterend', html);
+
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+          return item.nextElementSibling;
+        }
+
+        /**
+         * Select a single entry
+         */
+        function selectSingleEntry(entry, container, entries) {
+          selection.selectSingle(entry);
+
+          // Update UI
+          var items = document.querySelectorAll('.cs-extension-item');
+          items.forEach(function(item) {
+            refreshItemSelection(item);
+          });
+
+          renderSelectedItems(container, entries);
+
+          // Resize window after selection
+          sdk.window.updateHeight();
+        }
+
+        /**
+         * Toggle multiple selection
+         */
+        function toggleMultipleSelection(entry, container, entries) {
+          if (!selection.toggle(entry)) {
+            // Full: refuse the pick and say why
+            showSelectionMessage(container, t('selectionFull', { items: formatItemCount(selectionLimits.maxItems) }), true);
+            return;
+          }
+
+          // Update UI
+          var items = container.querySelectorAll('.cs-extension-item[data-entry-uid="' + cssEscape(entry.uid) + '"]');
+          items.forEach(function(item) {
+            refreshItemSelection(item);
+          });
+
+          // Update selected items display
+          renderSelectedItems(container, entries);
+
+          // Resize window after selection
+          sdk.window.updateHeight();
+        }
+
+        /**
+         * Set a list item's selected state from the field data
+         * Merged rows (data-entry-branches) count as selected when any of their copies is
+         */
+        function refreshItemSelection(item) {
+          var uid = item.getAttribute('data-entry-uid');
+          var branches = (item.getAttribute('data-entry-branches') || item.getAttribute('data-entry-branch')).split(' ');
+          var selected = branches.some(function(branch) {
+            return selection.isSelected({ uid: uid, _branch: branch });
+          });
+          item.classList.toggle('cs-extension-item-selected', selected);
+          item.setAttribute('aria-selected', selected ? 'true' : 'false');
+        }
+
+        /**
+         * Render selected items display (both modes)
+         */
+        function renderSelectedItems(container, entries) {
+          var selectedList = container.querySelector('#main-branch-selected-list');
+          if (!selectedList) return;
+
+          var references = selection.getReferences();
+          var title = container.querySelector('#main-branch-selected-title');
+          title.textContent = multiple ? t('selectedItems', { count: references.length }) : t('selectedItem');
+          renderReplaceHint(container, entries);
+
+          if (multiple) {
+            updateSelectionValidity(container, references.length);
+          }
+
+          if (references.length === 0) {
+            selectedList.innerHTML = '<div class="cs-extension-empty-selection">' + escapeHtml(t('noItemsSelected')) + '</div>';
+            return;
+          }
+
+          // Order matters to page builders: multiple selections can be reordered by
+          // dragging, or with Alt + arrow keys on a focused item
+          var sortable = multiple && references.length > 1;
+
+          var html = '';
+          references.forEach(function(reference) {
+            var state = selection.getReferenceState(reference);
+
+            // Resolve references we have not checked yet (e.g. the stored value on load)
+            if (!state) {
+              state = { status: 'loading' };
+              selection.setReferenceState(reference, state);
+              client.resolveReference(reference).then(function(resolved) {
+                selection.setReferenceState(reference, resolved);
+                renderSelectedItems(container, entries);
+              });
+            }
+
+            var known = state.entry || entries.find(function(e) {
+              return e.uid === reference.uid && (e._branch || 'main') === reference._branch;
+            });
+            var itemTitle = known ? getEntryTitle(known) : reference.uid;
+            var broken = state.status !== 'ok' && state.status !== 'loading';
+
+            html += '<div class="cs-extension-selected-item' + (broken ? ' cs-extension-selected-item-broken' : '') + '" role="listitem"' +
+              ' data-entry-uid="' + escapeHtml(reference.uid) + '" data-entry-branch="' + escapeHtml(reference._branch) + '"' +
+              (sortable ? ' draggable="true" tabindex="0" title="' + escapeHtml(t('reorderHint')) + '"' : '') + '>' +
+              '<span class="cs-extension-selected-item-title">' + escapeHtml(itemTitle) + '</span>';
+            if (state.status !== 'ok') {
+              html += '<span class="cs-extension-selected-item-status">' + escapeHtml(getReferenceStatusText(reference, state)) + '</span>';
+            }
+            if (broken) {
+              html += '<button type="button" class="cs-extension-replace-btn" data-entry-uid="' + escapeHtml(reference.uid) +
+                '" data-entry-branch="' + escapeHtml(reference._branch) + '" aria-label="' + escapeHtml(t('replaceEntry', { title: itemTitle })) + '">' +
+                escapeHtml(t('replace')) + '</button>';
+            }
+            html += '<button type="button" class="cs-extension-remove-btn" data-entry-uid="' + escapeHtml(reference.uid) +
+              '" data-entry-branch="' + escapeHtml(reference._branch) + '" aria-label="' + escapeHtml(t('removeEntry', { title: itemTitle })) + '"' +
+              ' title="' + escapeHtml(t('removeEntry', { title: itemTitle })) + '">×</button>' +
+              '</div>';
+          });
+
+          selectedList.innerHTML = html;
+
+          // Attach remove button listeners
+          var removeButtons = selectedList.querySelectorAll('.cs-extension-remove-btn');
+          removeButtons.forEach(function(btn, index) {
+            btn.addEventListener('click', function(e) {
+              e.stopPropagation();
+              removeReference({
+                uid: btn.getAttribute('data-entry-uid'),
+                _branch: btn.getAttribute('data-entry-branch')
+              }, container, entries);
+              focusAfterRemoval(container, index);
+            });
+          });
+
+          if (sortable) {
+            attachReorderListeners(container, entries);
+          }
+
+          // Replace: the next entry picked from the list takes this reference's place
+          var replaceButtons = selectedList.querySelectorAll('.cs-extension-replace-btn');
+          replaceButtons.forEach(function(btn) {
+            btn.addEventListener('click', function(e) {
+              e.stopPropagation();
+              selection.setPendingReplacement({
+                uid: btn.getAttribute('data-entry-uid'),
+                _branch: btn.getAttribute('data-entry-branch')
+              });
+              renderReplaceHint(container, entries);
+              var searchInput = container.querySelector('#main-branch-search');
+              if (searchInput) {
+                searchInput.focus();
+              }
+            });
+          });
+
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+        }
+
+        /**
+         * Keep focus in the selection after a removal: on the remove button that took the removed
+         * one's place, else the last one, else the entry list
+         */
+        function focusAfterRemoval(container, index) {
+          var removeButtons = container.querySelectorAll('#main-branch-selected-list .cs-extension-remove-btn');
+          var next = removeButtons[Math.min(index, removeButtons.length - 1)];
+          if (next) {
+            next.focus();
+            return;
+          }
+          var option = container.querySelector('#main-branch-list .cs-extension-item[tabindex="0"]');
+          if (option) {
+            option.focus();
+          }
+        }
+
+        /**
+         * Drag-and-drop and keyboard reordering of the selected items
+         */
+        function attachReorderListeners(container, entries) {
+          var selectedList = container.querySelector('#main-branch-selected-list');
+          var items = selectedList.querySelectorAll('.cs-extension-selected-item');
+          var draggedItem = null;
+
+          items.forEach(function(item) {
+            item.addEventListener('dragstart', function(e) {
+              draggedItem = item;
+              item.classList.add('cs-extension-selected-item-dragging');
+              e.dataTransfer.effectAllowed = 'move';
+              // Firefox only starts a drag when data is set
+              e.dataTransfer.setData('text/plain', item.getAttribute('data-entry-uid'));
+            });
+
+            item.addEventListener('dragend', function() {
+              draggedItem = null;
+              item.classList.remove('cs-extension-selected-item-dragging');
+            });
+
+            item.addEventListener('dragover', function(e) {
+              if (!draggedItem || draggedItem === item) return;
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+            });
+
+            item.addEventListener('drop', function(e) {
+              if (!draggedItem || draggedItem === item) return;
+              e.preventDefault();
+              var from = getSelectedItemIndex(draggedItem);
+              var to = getSelectedItemIndex(item);
+              moveReference(container, entries, from, to);
+            });
+
+            item.addEventListener('keydown', function(e) {
+              if (!e.altKey || e.target !== item) return;
+              var offset = (e.key === 'ArrowUp' || e.key === 'ArrowLeft') ? -1
+                : (e.key === 'ArrowDown' || e.key === 'ArrowRight') ? 1
+                : 0;
+              if (!offset) return;
+              e.preventDefault();
+
+              var from = getSelectedItemIndex(item);
+              var to = from + offset;
+              if (to < 0 || to >= selection.getData().length) return;
+              moveReference(container, entries, from, to);
+
+              // Keep focus on the item that moved
+              var moved = selectedList.querySelector('.cs-extension-selected-item[data-entry-uid="' + cssEscape(item.getAttribute('data-entry-uid')) +
+                '"][data-entry-branch="' + cssEscape(item.getAttribute('data-entry-branch')) + '"]');
+              if (moved) {
+                moved.focus();
+              }
+            });
+          });
+        }
+
+        /**
+         * Index in the field data of the reference a selected item shows
+         */
+        function getSelectedItemIndex(item) {
+          return selection.indexOf({ uid: item.getAttribute('data-entry-uid'), _branch: item.getAttribute('data-entry-branch') });
+        }
+
+        /**
+         * Move a reference within the selection and show the new order
+         */
+        function moveReference(container, entries, from, to) {
+          if (selection.move(from, to)) {
+            renderSelectedItems(container, entries);
+          }
+        }
+
+        /**
+         * Check the selection against minItems/maxItems, show the result and report it to the entry editor
+         */
+        function updateSelectionValidity(container, count) {
+          var minItems = selectionLimits.minItems;
+          var maxItems = selectionLimits.maxItems;
+          if (minItems === null && maxItems === null) return;
+
+          var error = null;
+          if (minItems !== null && count < minItems) {
+            error = t('tooFewSelected', { items: formatItemCount(minItems), count: count });
+          } else if (maxItems !== null && count > maxItems) {
+            error = t('tooManySelected', { items: formatItemCount(maxItems), count: count });
+          }
+
+          // Let the entry editor block saving while the field is invalid (when the SDK supports it)
+          var field = sdk.field;
+          if (field && typeof field.setInvalid === 'function') {
+            field.setInvalid(!!error, error || '');
+          }
+
+          if (error) {
+            showSelectionMessage(container, error, true);
+          } else {
+            showSelectionMessage(container, describeSelectionLimits(), false);
+          }
+
+          // Dim entries that can no longer be added
+          var list = container.querySelector('#main-branch-list');
+          if (list) {
+            list.classList.toggle('cs-extension-list-full', maxItems !== null && count >= maxItems);
+          }
+        }
+
+        /**
+         * e.g. "Select 2 to 5 items."
+         */
+        function describeSelectionLimits() {
+          var minItems = selectionLimits.minItems;
+          var maxItems = selectionLimits.maxItems;
+          if (minItems !== null && maxItems !== null) {
+            return minItems === maxItems
+              ? t('limitExactly', { items: formatItemCount(minItems) })
+              : t('limitRange', { min: minItems, items: formatItemCount(maxItems) });
+          }
+          return minItems !== null
+            ? t('limitAtLeast', { items: formatItemCount(minItems) })
+            : t('limitUpTo', { items: formatItemCount(maxItems) });
+        }
+
+        /**
+         * e.g. "1 item", "3 items"
+         */
+        function formatItemCount(count) {
+          return t(count === 1 ? 'itemCountOne' : 'itemCountOther', { count: count });
+        }
+
+        /**
+         * Show a note under the selected items (isError styles it as a problem)
+         */
+        function showSelectionMessage(container, message, isError) {
+          var element = container.querySelector('#main-branch-selection-message');
+          if (!element) return;
+          element.hidden = !message;
+          element.textContent = message || '';
+          element.classList.toggle('cs-extension-selection-message-error', !!isError);
+
+          if (sdk && sdk.window) {
+            sdk.window.updateHeight();
+          }
+        }
+
+        /**
+         * Show which reference is being replaced, with a way to cancel
+         */
+        function renderReplaceHint(container, entries) {
+          var hint = container.querySelector('#main-branch-replace-hint');
+          if (!hint) return;
+
+          var pendingReplacement = selection.getPendingReplacement();
+          if (!pendingReplacement) {
+            hint.hidden = true;
+            hint.innerHTML = '';
+            return;
+          }
+
+          hint.hidden = false;
+          hint.innerHTML = escapeHtml(t('replaceHint', { uid: pendingReplacement.uid, branch: pendingReplacement._branch })) + ' ' +
+            '<button type="button" class="cs-extension-replace-cancel">' + escapeHtml(t('cancel')) + '</button>';
+          hint.querySelector('.cs-extension-replace-cancel').addEventListener('click', function() {
+            selection.setPendingReplacement(null);
+            renderReplaceHint(container, entries);
+          });
+        }
+
+        /**
+         * Human-readable state of a stored reference
+         */
+        function getReferenceStatusText(reference, state) {
+          switch (state.status) {
+            case 'loading':
+              return t('referenceChecking');
+            case 'missing':
+              return t('referenceDeleted');
+            case 'unpublished':
+              return t('referenceUnpublished', { environment: environment });
+            case 'not-found':
+              return t('referenceMissing', { environment: environment });
+            case 'branch-missing':
+              return t('referenceBranchGone', { branch: reference._branch });
+            default:
+              return t('referenceError', { message: state.message || t('unknownError') });
+          }
+        }
+
+        /**
+         * Remove a stored reference from the field
+         */
+        function removeReference(reference, container, entries) {
+          selection.remove(reference);
+
+          container.querySelectorAll('.cs-extension-item[data-entry-uid="' + cssEscape(reference.uid) + '"]').forEach(function(item) {
+            refreshItemSelection(item);
+          });
+          renderSelectedItems(container, entries);
+        }
+
+        /**
+         * Put the entry picked from the list in the place of the reference being replaced
+         */
+        function replaceReference(target, entry, container, entries) {
+          selection.replace(target, entry);
+
+          container.querySelectorAll('.cs-extension-item').forEach(function(item) {
+            refreshItemSelection(item);
+          });
+          renderSelectedItems(container, entries);
+        }
+
+        return {
+          start: start,
+          applyEntryEvent: applyEntryEvent,
+          getBrowsedBranches: function() { return browsedBranches; }
+        };
+      }
+
+      module.exports = {
+        createRenderer: createRenderer
+      };
+    },
+    // src/usage.js
+    function(require, module, exports) {
+      /**
+       * Usage counts from the cross-branch usage report (usage-report/usage-report.js),
+       * so authors can see how widely a shared entry is used before picking or changing it
+       */
+
+      'use strict';
+
+      // Entries listed in the preview pane's "Used by" section before "and N more"
+      var MAX_LISTED_USERS = 10;
+
+      /**
+       * Fetch the report
+       * Resolves to the report, or to null (with a warning) when it cannot be loaded; the
+       * list works the same without it, only without usage counts
+       */
+      function loadUsageReport(url, logger) {
+        if (typeof fetch !== 'function') {
+          logger.warn('Usage counts are off: this browser has no fetch');
+          return Promise.resolve(null);
+        }
+
+        return fetch(url, { method: 'GET' })
+          .then(function(response) {
+            if (!response.ok) {
+              throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+          })
+          .then(function(report) {
+            if (!report || !report.usage || typeof report.usage !== 'object') {
+              throw new Error('not a usage report (no "usage" object)');
+            }
+            logger.info('Loaded the usage report of ' + (report.generatedAt || 'unknown date'));
+            return report;
+          })
+          .catch(function(error) {
+            logger.warn('Could not load the usage report from ' + url + ': ' + error.message);
+            return null;
+          });
+      }
+
+      /**
+       * An entry's record in the report: { count, usedBy }, with count 0 when nothing uses it
+       * Entries are keyed by the branch they belong to, as the field stores them
+       */
+      function getEntryUsage(report, entry) {
+        var byUid = report.usage[entry._branch || 'main'];
+        var record = byUid && byUid.hasOwnProperty(entry.uid) ? byUid[entry.uid] : null;
+        return record
+          ? { count: record.count || 0, usedBy: record.usedBy || [] }
+          : { count: 0, usedBy: [] };
+      }
+
+      module.exports = {
+        MAX_LISTED_USERS: MAX_LISTED_USERS,
+        loadUsageReport: loadUsageReport,
+        getEntryUsage: getEntryUsage
+      };
+    },
+    // src/diagnostics.js
+    function(require, module, exports) {
+      /**
+       * Diagnostics panel (config.debug): the detected branch, endpoint, request log,
+       * duplicate UIDs, resolved config and log, with a redacted report to copy for support
+       */
+
+      'use strict';
+
+      var escapeHtml = require(1).escapeHtml;
+
+      /**
+       * Add the diagnostics panel below the container
+       * options: { container, sdk, logger, settings (see resolveConfig), config (the field config),
+       *            client (see createFetchClient), getBrowsedBranches }
+       * Returns { update }, which refreshes the panel after activity
+       */
+      function createDiagnosticsPanel(options) {
+        var container = options.container;
+        var sdk = options.sdk;
+        var logger = options.logger;
+        var settings = options.settings;
+        var client = options.client;
+        var timer = null;
+        var panel = createPanel();
+
+        /**
+         * Add the collapsible diagnostics panel below the field
+         * It sits outside the container, so re-rendering the selector leaves it alone
+         */
+        function createPanel() {
+          var panel = document.createElement('details');
+          panel.className = 'cs-extension-diagnostics';
+          panel.id = 'main-branch-diagnostics';
+          panel.innerHTML = '<summary>Diagnostics</summary>' +
+            '<button type="button" class="cs-extension-diagnostics-copy">Copy report</button>' +
+            '<div class="cs-extension-diagnostics-body"></div>';
+          container.parentNode.insertBefore(panel, container.nextSibling);
+
+          panel.addEventListener('toggle', function() {
+            if (panel.open) {
+              renderDiagnostics(panel);
+            }
+            if (sdk.window) {
+              sdk.window.updateHeight();
+            }
+          });
+
+          // The report is what support asks for; it is already redacted
+          var copyButton = panel.querySelector('.cs-extension-diagnostics-copy');
+          copyButton.addEventListener('click', function() {
+            var report = JSON.stringify(getDiagnosticsReport(), null, 2);
+            var copied = navigator.clipboard && navigator.clipboard.writeText
+              ? navigator.clipboard.writeText(report)
+              : Promise.reject(new Error('Clipboard not available'));
+            copied.then(function() {
+              copyButton.textContent = 'Copied';
+            }, function() {
+              copyButton.textContent = 'Copy failed; select the text below instead';
+            });
+          });
+
+          logger.onEntry(updateDiagnosticsPanel);
+          return panel;
+        }
+
+        /**
+         * Refresh the diagnostics panel (if open) once the current burst of activity is over
+         */
+        function updateDiagnosticsPanel() {
+          if (!panel.open || timer) return;
+          timer = setTimeout(function() {
+            timer = null;
+            renderDiagnostics(panel);
+          }, 100);
+        }
+
+        /**
+         * Everything the diagnostics panel shows, with tokens redacted
+         */
+        function getDiagnosticsReport() {
+          return {
+            generatedAt: new Date().toISOString(),
+            branch: {
+              current: settings.currentBranch,
+              detectedBy: settings.branchDetection.method,
+              aliases: settings.branchDetection.aliases,
+              browsing: (options.getBrowsedBranches() || []).map(function(branchInfo) { return branchInfo.branch; })
+            },
+            endpoint: {
+              baseUrl: client.getApiBaseUrl(),
+              environment: settings.environment,
+              preview: settings.previewMode,
+              proxy: settings.proxyMode,
+              cacheTtl: settings.cacheTtl,
+              eventStream: settings.eventStreamUrl,
+              usageReport: settings.usageReportUrl
+            },
+            requests: client.getRequestLog(),
+            duplicates: client.getDuplicates(),
+            config: logger.redact({
+              resolved: {
+                source: settings.source,
+                contentTypes: settings.contentTypes,
+                multiple: settings.multiple,
+                branches: settings.branchList.branches,
+                duplicateEntries: settings.duplicateEntries,
+                pageSize: settings.pageSize,
+                displayFields: settings.displayFields,
+                entryFilters: settings.entryFilters,
+                contentLocale: settings.contentLocale,
+                includeFallback: settings.includeFallback,
+                uiLanguage: settings.uiLanguage,
+                theme: { colorScheme: settings.theme.colorScheme, density: settings.theme.density },
+                selectionLimits: settings.selectionLimits,
+                logLevel: settings.logSettings.level
+              },
+              field: options.config
+            }),
+            log: logger.getEntries()
+          };
+        }
+
+        /**
+         * Fill the diagnostics panel from the current report
+         */
+        function renderDiagnostics(panel) {
+          var report = getDiagnosticsReport();
+          var body = panel.querySelector('.cs-extension-diagnostics-body');
+
+          function section(title, content) {
+            return '<div class="cs-extension-diagnostics-section"><h4>' + escapeHtml(title) + '</h4>' + content + '</div>';
+          }
+          function json(value) {
+            return '<pre>' + escapeHtml(JSON.stringify(value, null, 2)) + '</pre>';
+          }
+          function list(lines) {
+            return lines.length === 0 ? '<p>None yet</p>' : '<ol>' + lines.map(function(line) {
+              return '<li>' + escapeHtml(line) + '</li>';
+            }).join('') + '</ol>';
+          }
+
+          body.innerHTML =
+            section('Branch', json(report.branch)) +
+            section('Endpoint', json(report.endpoint)) +
+            section('Requests', list(report.requests.map(function(request) {
+              return request.time.slice(11, 19) + '  ' + request.status + '  ' + request.ms + 'ms  ' +
+                (request.count ? request.count + '  ' : '') + request.url;
+            }))) +
+            section('Duplicate UIDs', report.duplicates ? json(report.duplicates) : '<p>Not checked yet</p>') +
+            section('Resolved configuration', json(report.config)) +
+            section('Log', list(report.log.slice(-50).map(function(entry) {
+              return entry.time.slice(11, 19) + '  ' + entry.level.toUpperCase() + '  ' + entry.message +
+                (entry.details.length > 0 ? '  ' + JSON.stringify(entry.details) : '');
+            })));
+        }
+
+        return {
+          update: updateDiagnosticsPanel
+        };
+      }
+
+      module.exports = {
+        createDiagnosticsPanel: createDiagnosticsPanel
+      };
+    },
+    // src/live-updates.js
+    function(require, module, exports) {
+      /**
+       * Live entry events from the companion server (proxy/event-stream.js), which relays
+       * Contentstack publish, unpublish and delete webhooks over Server-Sent Events
+       */
+
+      'use strict';
+
+      // Event types the list reacts to (see toEntryEvent in proxy/event-stream.js)
+      var ENTRY_EVENT_TYPES = ['publish', 'unpublish', 'delete'];
+
+      /**
+       * Subscribe to entry events for the configured content types and environment
+       * options: { url (the server's base URL), contentTypes, environment, logger, onEvent }
+       * onEvent receives { type, uid, contentType, branch, aliases, environment, locale }
+       * The browser's EventSource reconnects by itself (and the server replays what was
+       * missed). Returns { close }; without EventSource support nothing is subscribed.
+       */
+      function subscribeToEntryEvents(options) {
+        var logger = options.logger;
+
+        if (typeof EventSource !== 'function') {
+          logger.warn('Live updates are off: this browser has no EventSource');
+          return { close: function() {} };
+        }
+
+        var params = options.contentTypes.map(function(contentTypeUid) {
+          return 'content_type=' + encodeURIComponent(contentTypeUid);
+        });
+        if (options.environment) {
+          params.push('environment=' + encodeURIComponent(options.environment));
+        }
+
+        var source = new EventSource(options.url + '/events?' + params.join('&'));
+        // Only the first failure of a run is logged; EventSource keeps retrying
+        var connected = false;
+
+        source.addEventListener('open', function() {
+          connected = true;
+          logger.info('Subscribed to live entry events');
+        });
+
+        source.addEventListener('error', function() {
+          if (connected || source.readyState === EventSource.CLOSED) {
+            logger.warn('Live entry events disconnected; reconnecting');
+          }
+          connected = false;
+        });
+
+        source.addEventListener('entry', function(message) {
+          var event;
+          try {
+            event = JSON.parse(message.data);
+          } catch (e) {
+            logger.warn('Ignoring a live event that is not JSON', message.data);
+            return;
+          }
+          if (!event || ENTRY_EVENT_TYPES.indexOf(event.type) === -1 || !event.uid || !event.branch) {
+            logger.warn('Ignoring an unexpected live event', event);
+            return;
+          }
+
+          logger.debug('Live event: ' + event.type + ' ' + event.contentType + '/' + event.uid + ' on ' + event.branch + ' branch');
+          options.onEvent(event);
+        });
+
+        return {
+          close: function() { source.close(); }
+        };
+      }
+
+      module.exports = {
+        ENTRY_EVENT_TYPES: ENTRY_EVENT_TYPES,
+        subscribeToEntryEvents: subscribeToEntryEvents
+      };
+    }
+  ];
+  var cache = [];
+
+  function require(id) {
+    if (!cache[id]) {
+      cache[id] = { exports: {} };
+      definitions[id].call(cache[id].exports, require, cache[id], cache[id].exports);
+    }
+    return cache[id].exports;
+  }
+
+  require(0);
+})();
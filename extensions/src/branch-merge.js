@@ -0,0 +1,105 @@
+/**
+ * Combining the entries of several branches: duplicate UIDs, the duplicateEntries
+ * policies and the version comparison of merge mode
+ */
+
+'use strict';
+
+// Values for config.duplicateEntries
+// show-all: list every branch's copy; prefer-child / prefer-parent: keep one copy per UID
+// merge: one row per UID, marked "overridden in <branch>", with a version comparison
+var DUPLICATE_ENTRY_POLICIES = ['show-all', 'prefer-child', 'prefer-parent', 'merge'];
+
+// Metadata fields, left out of version comparisons and default previews
+var METADATA_FIELDS = ['uid', 'ACL', 'publish_details', 'created_at', 'created_by', 'updated_at', 'updated_by', 'locale'];
+
+/**
+ * Map each UID found in more than one branch to the branches it was found in
+ */
+function findDuplicateUids(entries) {
+  var branchesByUid = {};
+  entries.forEach(function(entry) {
+    (branchesByUid[entry.uid] = branchesByUid[entry.uid] || []).push(entry._branch);
+  });
+
+  var duplicates = {};
+  Object.keys(branchesByUid).forEach(function(uid) {
+    if (branchesByUid[uid].length > 1) {
+      duplicates[uid] = branchesByUid[uid];
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * Apply the duplicateEntries policy to entries whose UID exists in several branches
+ * Sources are ordered ancestors first, so prefer-child keeps the copy from the
+ * latest listed branch and prefer-parent the copy from the earliest
+ */
+function resolveDuplicateEntries(entries, sources, policy) {
+  if (policy === 'show-all') {
+    return entries;
+  }
+  // A merged row sits with the original (ancestor) copy and links to the overrides
+  if (policy === 'merge') {
+    policy = 'prefer-parent';
+  }
+
+  var rank = {};
+  sources.forEach(function(source, index) {
+    rank[source.branch] = index;
+  });
+
+  var winners = {};
+  entries.forEach(function(entry) {
+    var current = winners[entry.uid];
+    if (!current) {
+      winners[entry.uid] = entry;
+    } else if (policy === 'prefer-child' ? rank[entry._branch] > rank[current._branch]
+                                           : rank[entry._branch] < rank[current._branch]) {
+      winners[entry.uid] = entry;
+    }
+  });
+
+  return entries.filter(function(entry) {
+    return winners[entry.uid] === entry;
+  });
+}
+
+/**
+ * Every loaded copy of an entry, ordered like the sources (ancestors first)
+ */
+function getEntryCopies(entries, sources, uid) {
+  var copies = entries.filter(function(entry) { return entry.uid === uid; });
+  var order = sources.map(function(source) { return source.branch; });
+  return copies.sort(function(a, b) {
+    return order.indexOf(a._branch) - order.indexOf(b._branch);
+  });
+}
+
+/**
+ * Content fields whose value differs between any of the copies
+ */
+function getChangedFields(copies) {
+  var fields = [];
+  copies.forEach(function(copy) {
+    Object.keys(copy).forEach(function(key) {
+      if (key.charAt(0) === '_' || METADATA_FIELDS.indexOf(key) !== -1) return;
+      if (fields.indexOf(key) === -1) fields.push(key);
+    });
+  });
+
+  return fields.filter(function(key) {
+    var first = JSON.stringify(copies[0][key]);
+    return copies.some(function(copy) { return JSON.stringify(copy[key]) !== first; });
+  });
+}
+
+module.exports = {
+  DUPLICATE_ENTRY_POLICIES: DUPLICATE_ENTRY_POLICIES,
+  METADATA_FIELDS: METADATA_FIELDS,
+  findDuplicateUids: findDuplicateUids,
+  resolveDuplicateEntries: resolveDuplicateEntries,
+  getEntryCopies: getEntryCopies,
+  getChangedFields: getChangedFields
+};
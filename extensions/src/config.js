@@ -0,0 +1,863 @@
+/**
+ * Field config: validation against the schema, defaults, and the settings the
+ * rest of the extension reads (tokens, branches, display fields, limits, text)
+ */
+
+'use strict';
+
+var DeliveryApi = require('../delivery-api');
+var ConfigSchema = require('../config-schema');
+var combineQueries = require('./queries').combineQueries;
+var i18n = require('./i18n');
+var LOG_LEVELS = require('./logger').LOG_LEVELS;
+var DEFAULT_LOG_LEVEL = require('./logger').DEFAULT_LOG_LEVEL;
+var DUPLICATE_ENTRY_POLICIES = require('./branch-merge').DUPLICATE_ENTRY_POLICIES;
+var theme = require('./theme');
+
+var API_REGIONS = DeliveryApi.API_REGIONS;
+var DEFAULT_UI_LANGUAGE = i18n.DEFAULT_UI_LANGUAGE;
+var UI_STRINGS = i18n.UI_STRINGS;
+
+// Delivery API page size limits (the API caps `limit` at 100)
+var DEFAULT_PAGE_SIZE = 50;
+var MAX_PAGE_SIZE = 100;
+
+// How long (seconds) a cached Delivery API page is served when config.cacheTtl is not set
+var DEFAULT_CACHE_TTL_SECONDS = 300;
+
+// Contentstack Image Delivery API parameters for list thumbnails
+var DEFAULT_THUMBNAIL_PARAMS = { width: 48, height: 48, fit: 'crop', auto: 'webp' };
+
+// Placeholder in config.branches for the branch the entry is being edited in
+var CURRENT_BRANCH_PLACEHOLDER = '$current';
+
+// What the field picks (config.source)
+var SOURCES = ['entries', 'assets'];
+
+// Contentstack's content type UID for assets; with source "assets" the list pages
+// the asset library under it, as it pages a content type's entries otherwise
+var ASSET_CONTENT_TYPE = 'sys_assets';
+
+// Asset fields the list and the stored value need, kept in any "only" projection
+var ASSET_FIELDS = ['url', 'filename', 'content_type', 'file_size'];
+
+/**
+ * Validate the field config and resolve every setting the extension runs with
+ * sdk: the initialized ContentstackUIExtension (stack defaults, entry locale, branch)
+ * The logger's level is set from config.debug and the configured tokens are registered
+ * as secrets. Returns the settings; settings.errors lists every problem with the config
+ */
+function resolveConfig(config, sdk, logger) {
+  var stack = sdk.stack || {};
+  // Every unknown option, wrong type and missing required option (see main-branch-selector.schema.json)
+  var schemaErrors = ConfigSchema.validateConfig(config);
+  var settings = {};
+
+  // How much is logged to the console, and whether the diagnostics panel is shown
+  var logSettings = parseLogLevel(config);
+  logger.setLevel(logSettings.level);
+  settings.logSettings = logSettings;
+
+  // Language of the extension's own text (see UI_STRINGS), with per-string overrides
+  var uiText = parseUiLanguage(config, logger);
+  settings.uiLanguage = uiText.language;
+  settings.text = i18n.createTranslator(uiText.strings);
+
+  settings.targetBranch = config.targetBranch || 'main';
+  // Entries of the configured content types, or files from the asset library; contentType
+  // is ignored for assets, so an extension-wide default does not get in the way
+  var assetSource = parseAssetSource(config);
+  settings.source = assetSource.source;
+  // One content type, or several that fill the same slot (e.g. headers and promo banners)
+  settings.contentTypes = settings.source === 'assets' ? [ASSET_CONTENT_TYPE] : parseFieldList(config.contentType);
+  settings.multiple = config.multiple === true;
+  // Lists the branch being edited too unless turned off
+  settings.showBothBranches = config.showBothBranches !== false;
+  settings.apiKey = config.apiKey || stack.apiKey;
+  // Support branch-specific delivery tokens
+  settings.mainBranchToken = config.mainBranchDeliveryToken || config.deliveryToken || '';
+  settings.currentBranchToken = config.currentBranchDeliveryToken || config.deliveryToken || '';
+  settings.deliveryToken = config.deliveryToken || '';
+  // Tokens never appear in logs or the diagnostics panel, whatever they are logged under
+  [config.deliveryToken, config.mainBranchDeliveryToken, config.currentBranchDeliveryToken, config.previewToken]
+    .concat(Array.isArray(config.branches) ? config.branches.map(function(item) { return item && item.deliveryToken; }) : [])
+    .concat(Array.isArray(config.branches) ? config.branches.map(function(item) { return item && item.previewToken; }) : [])
+    .forEach(logger.addSecret);
+  settings.environment = config.environment || stack.environment || 'production';
+  settings.region = config.region || 'NA';
+  // Preview mode reads unpublished content from the Preview API with a preview token;
+  // host / previewHost replace the region's endpoint (e.g. a proxy or custom CDN)
+  // proxyUrl sends every request through a companion proxy (see proxy/delivery-proxy.js)
+  // that holds the tokens server-side
+  var apiEndpoint = parseApiEndpoint(config);
+  settings.apiEndpoint = apiEndpoint;
+  settings.previewMode = apiEndpoint.preview;
+  settings.proxyMode = !!apiEndpoint.proxyUrl;
+  settings.previewToken = config.previewToken || '';
+  // Entries are fetched one page at a time; further pages load on demand
+  var pageSize = parseInt(config.pageSize, 10) || DEFAULT_PAGE_SIZE;
+  settings.pageSize = Math.max(1, Math.min(pageSize, MAX_PAGE_SIZE));
+  // Loaded pages are cached for this many seconds (0 turns caching off)
+  var cacheSettings = parseCacheTtl(config);
+  settings.cacheTtl = cacheSettings.ttl;
+  // Companion server (proxy/event-stream.js) that relays publish webhooks, for live list updates
+  var eventStream = parseEventStreamUrl(config);
+  settings.eventStreamUrl = eventStream.url;
+  // Report of which entries use each listed entry (see usage-report/usage-report.js)
+  var usageReport = parseUsageReportUrl(config);
+  settings.usageReportUrl = usageReport.url;
+  // Colour scheme, density and colour overrides (see theme.js)
+  var themeSettings = parseTheme(config);
+  settings.theme = themeSettings;
+  // Which entry fields label list items, show thumbnails and fill the preview pane
+  var displayFields = parseDisplayFields(config);
+  var titleField = displayFields.titleField;
+  settings.displayFields = displayFields;
+  settings.titleField = titleField;
+  // Fields matched by search, always including the title field (and the file name of assets)
+  settings.searchFields = [titleField].concat(settings.source === 'assets' ? ['filename'] : [], parseFieldList(config.searchFields))
+    .filter(function(fieldUid, index, list) {
+      return list.indexOf(fieldUid) === index;
+    });
+  // Per-field narrowing of the candidate list (query, tags, sort, locale, projection)
+  var entryFilters = parseEntryFilters(config);
+  // Folder and MIME type filters of the asset library
+  entryFilters.query = combineQueries(entryFilters.query, assetSource.query);
+  // A projection must still return the fields the list displays, and the locale for its badge
+  if (entryFilters.only.length > 0) {
+    displayFields.fields.concat('locale', settings.source === 'assets' ? ASSET_FIELDS : []).forEach(function(path) {
+      var fieldUid = path.split('.')[0];
+      if (entryFilters.only.indexOf(fieldUid) === -1) {
+        entryFilters.only.push(fieldUid);
+      }
+    });
+  }
+  settings.entryFilters = entryFilters;
+  // Entries are read in the locale of the entry being edited, unless "locale" pins one;
+  // with fallbackLocale, entries not localized in it come in their fallback locale
+  // Assets are not localized, so are read without a locale
+  settings.contentLocale = settings.source === 'assets' ? null : entryFilters.locale || getEntryLocale(sdk);
+  settings.includeFallback = entryFilters.fallbackLocale;
+
+  // Get current branch (midwest, site-a, etc.)
+  // Priority: 1) Manual config (currentBranch), 2) The SDK's stack branch API,
+  // 3) Older stack properties and URL parameters, 4) Default to 'main' (with a visible warning)
+  settings.branchDetection = detectCurrentBranch(config, sdk, logger);
+  settings.currentBranch = settings.branchDetection.branch;
+
+  // Debug logging (tokens are redacted by the logger)
+  logger.debug('Extension config', {
+    showBothBranches: settings.showBothBranches,
+    targetBranch: settings.targetBranch,
+    currentBranch: settings.currentBranch,
+    branchDetection: settings.branchDetection.method,
+    contentTypes: settings.contentTypes,
+    config: config
+  });
+
+  // Branches to read from, in precedence order (ancestors first, e.g. main, midwest, site-a)
+  var branchList = parseBranchList(config, settings, logger);
+  // A badgeColor in config.branches wins over theme.badgeColors
+  branchList.branches.forEach(function(item) {
+    item.badgeColor = item.badgeColor || theme.getBadgeColor(themeSettings, item.branch, settings.currentBranch);
+  });
+  settings.branchList = branchList;
+  // How to treat a UID that exists in several branches (see resolveDuplicateEntries)
+  settings.duplicateEntries = config.duplicateEntries || 'show-all';
+
+  // Limits on the number of references in multiple mode
+  var selectionLimits = parseSelectionLimits(config, settings.multiple);
+  settings.selectionLimits = selectionLimits;
+
+  // The schema's messages come first; the checks below cover what it cannot express
+  // (e.g. minItems above maxItems), minus repeats about an option the schema already flagged
+  var errors = schemaErrors.map(function(error) { return error.message; })
+    .concat(withoutSchemaDuplicates(apiEndpoint.errors.concat(assetSource.errors, entryFilters.errors, branchList.errors, selectionLimits.errors,
+      displayFields.errors, cacheSettings.errors, eventStream.errors, usageReport.errors, themeSettings.errors, logSettings.errors,
+      uiText.errors), schemaErrors));
+  if (DUPLICATE_ENTRY_POLICIES.indexOf(settings.duplicateEntries) === -1 &&
+      !schemaErrors.some(function(error) { return error.key === 'duplicateEntries'; })) {
+    errors.push('"duplicateEntries" must be one of ' + DUPLICATE_ENTRY_POLICIES.join(', ') +
+      ', got "' + settings.duplicateEntries + '".');
+  }
+  settings.errors = errors;
+
+  return settings;
+}
+
+/**
+ * Parse and validate debug: true (log everything), false, or a level name
+ * Returns { level, panel, errors }; the diagnostics panel is shown whenever debug is set
+ */
+function parseLogLevel(config) {
+  var errors = [];
+  var settings = { level: DEFAULT_LOG_LEVEL, panel: false, errors: errors };
+
+  if (config.debug === true) {
+    settings.level = 'debug';
+    settings.panel = true;
+  } else if (typeof config.debug === 'string' && LOG_LEVELS.indexOf(config.debug) !== -1) {
+    settings.level = config.debug;
+    settings.panel = true;
+  } else if (config.debug !== undefined && config.debug !== false) {
+    errors.push('"debug" must be true, false or one of ' + LOG_LEVELS.join(', ') + ', got "' + config.debug + '".');
+  }
+
+  return settings;
+}
+
+/**
+ * Parse and validate uiLanguage (e.g. "de" or "de-ch") and uiStrings (overrides by string key)
+ * Returns { language, strings, errors }; a language without a catalogue falls back to English
+ */
+function parseUiLanguage(config, logger) {
+  var errors = [];
+  var settings = { language: DEFAULT_UI_LANGUAGE, strings: UI_STRINGS[DEFAULT_UI_LANGUAGE], errors: errors };
+
+  if (config.uiLanguage !== undefined) {
+    if (typeof config.uiLanguage !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(config.uiLanguage)) {
+      errors.push('"uiLanguage" must be a language code such as "en" or "de-ch", got "' + config.uiLanguage + '".');
+    } else {
+      // Dates are still formatted for the exact code (e.g. de-ch)
+      settings.language = config.uiLanguage.toLowerCase();
+      var catalogue = UI_STRINGS[settings.language] || UI_STRINGS[settings.language.split('-')[0]];
+      if (catalogue) {
+        settings.strings = catalogue;
+      } else if (config.uiStrings === undefined) {
+        logger.warn('No strings for uiLanguage "' + config.uiLanguage + '"; using English. Available: ' +
+          Object.keys(UI_STRINGS).join(', ') + ' (or translate with "uiStrings").');
+      }
+    }
+  }
+
+  // uiStrings: { key: text } for a missing language or wording of your own
+  if (config.uiStrings !== undefined) {
+    if (!config.uiStrings || typeof config.uiStrings !== 'object' || Array.isArray(config.uiStrings)) {
+      errors.push('"uiStrings" must be an object such as {"noContent": "Nothing here yet."}.');
+    } else {
+      var strings = {};
+      Object.keys(settings.strings).forEach(function(key) {
+        strings[key] = settings.strings[key];
+      });
+      Object.keys(config.uiStrings).forEach(function(key) {
+        if (!UI_STRINGS[DEFAULT_UI_LANGUAGE].hasOwnProperty(key)) {
+          errors.push('uiStrings: unknown string "' + key + '".');
+        } else if (typeof config.uiStrings[key] !== 'string') {
+          errors.push('uiStrings.' + key + ' must be a string.');
+        } else {
+          strings[key] = config.uiStrings[key];
+        }
+      });
+      settings.strings = strings;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Work out which branch the entry is being edited in
+ * Returns { branch, aliases, method } where method is 'config', 'sdk', 'stack', 'url'
+ * or 'fallback' (nothing found, 'main' assumed)
+ */
+function detectCurrentBranch(config, sdk, logger) {
+  if (config.currentBranch) {
+    return { branch: config.currentBranch, aliases: [], method: 'config' };
+  }
+
+  var stack = sdk.stack || {};
+  var detail = getStackCurrentBranch(stack, logger);
+  if (detail) {
+    return {
+      branch: detail.uid,
+      aliases: (detail.alias || []).map(function(alias) {
+        return typeof alias === 'string' ? alias : alias.uid;
+      }).filter(Boolean),
+      method: 'sdk'
+    };
+  }
+
+  // Older SDK versions may expose the branch as a plain property
+  if (stack.branch || stack.branchName) {
+    return { branch: stack.branch || stack.branchName, aliases: [], method: 'stack' };
+  }
+
+  if (typeof window !== 'undefined' && window.location && window.location.search) {
+    var urlParams = new URLSearchParams(window.location.search);
+    var urlBranch = urlParams.get('branch') || urlParams.get('branchName');
+    if (urlBranch) {
+      return { branch: urlBranch, aliases: [], method: 'url' };
+    }
+  }
+
+  logger.warn('Current branch not detected. Defaulting to "main". Please set "currentBranch" in config.');
+  return { branch: 'main', aliases: [], method: 'fallback' };
+}
+
+/**
+ * The SDK's details of the branch being edited ({ uid, source, alias }), or null
+ * when this SDK version (or a stack without branches) does not provide them
+ */
+function getStackCurrentBranch(stack, logger) {
+  if (typeof stack.getCurrentBranch !== 'function') return null;
+  try {
+    var detail = stack.getCurrentBranch();
+    return detail && typeof detail.uid === 'string' ? detail : null;
+  } catch (e) {
+    logger.warn('Could not read the current branch from the SDK', e);
+    return null;
+  }
+}
+
+/**
+ * Locale of the entry being edited, from the SDK's entry context (null when not known)
+ */
+function getEntryLocale(sdk) {
+  var entry = sdk.entry;
+  if (!entry) return null;
+  var locale = entry.locale;
+  if (!locale && typeof entry.getData === 'function') {
+    try {
+      locale = (entry.getData() || {}).locale;
+    } catch (e) {
+      locale = null;
+    }
+  }
+  return typeof locale === 'string' && locale ? locale.toLowerCase() : null;
+}
+
+/**
+ * Parse and validate region, host, previewHost, proxyUrl and preview
+ * Returns { host, previewHost, proxyUrl, preview, errors } with base URLs for the overrides
+ */
+function parseApiEndpoint(config) {
+  var errors = [];
+  var endpoint = { host: null, previewHost: null, proxyUrl: null, preview: config.preview === true, errors: errors };
+  var region = config.region || 'NA';
+
+  // An unknown region used to fall back to NA silently and fail with auth errors
+  if (!API_REGIONS[DeliveryApi.normalizeRegion(region)]) {
+    errors.push('Unknown "region" "' + region + '". Use one of ' + Object.keys(API_REGIONS).join(', ') +
+      ', or set "host" for a custom endpoint.');
+  }
+
+  ['host', 'previewHost', 'proxyUrl'].forEach(function(key) {
+    if (config[key] === undefined || config[key] === '') return;
+    var baseUrl = DeliveryApi.parseHost(config[key]);
+    if (baseUrl) {
+      endpoint[key] = baseUrl;
+    } else {
+      errors.push('"' + key + '" must be a host name or URL such as "cdn.example.com" or "https://proxy.example.com/cs", got "' + config[key] + '".');
+    }
+  });
+
+  if (config.preview !== undefined && typeof config.preview !== 'boolean') {
+    errors.push('"preview" must be true or false, got "' + config.preview + '".');
+  }
+
+  // The point of the proxy is that no token reaches the browser, so refuse configs that still carry one
+  if (endpoint.proxyUrl) {
+    if (endpoint.host || endpoint.previewHost) {
+      errors.push('"proxyUrl" replaces "host" and "previewHost"; set the upstream host in the proxy\'s config instead.');
+    }
+    getConfiguredTokenKeys(config).forEach(function(key) {
+      errors.push('"' + key + '" must not be set with "proxyUrl"; the proxy holds the tokens.');
+    });
+  }
+
+  return endpoint;
+}
+
+/**
+ * Parse and validate source, assetFolder and mimeTypes
+ * Returns { source, query (the folder and MIME type filters as a Delivery API query, or null), errors }
+ */
+function parseAssetSource(config) {
+  var errors = [];
+  var settings = { source: 'entries', query: null, errors: errors };
+
+  if (config.source !== undefined && SOURCES.indexOf(config.source) === -1) {
+    errors.push('"source" must be one of ' + SOURCES.join(', ') + ', got "' + config.source + '".');
+  } else if (config.source) {
+    settings.source = config.source;
+  }
+
+  if (settings.source !== 'assets') {
+    ['assetFolder', 'mimeTypes'].forEach(function(key) {
+      if (config[key] !== undefined) {
+        errors.push('"' + key + '" only applies when "source" is "assets".');
+      }
+    });
+    return settings;
+  }
+
+  var conditions = [];
+  if (config.assetFolder) {
+    conditions.push({ parent_uid: String(config.assetFolder).trim() });
+  }
+
+  // "image/*" matches the type's every subtype; other values match exactly
+  var mimeConditions = [];
+  parseFieldList(config.mimeTypes).forEach(function(mimeType) {
+    var match = /^([\w.+-]+)\/(\*|[\w.+-]+)$/.exec(mimeType);
+    if (!match) {
+      errors.push('"mimeTypes" must list MIME types such as "image/*" or "application/pdf", got "' + mimeType + '".');
+    } else if (match[2] === '*') {
+      mimeConditions.push({ content_type: { '$regex': '^' + match[1].replace(/[.+]/g, '\\$&') + '/' } });
+    } else {
+      mimeConditions.push({ content_type: mimeType.toLowerCase() });
+    }
+  });
+  if (mimeConditions.length > 0) {
+    conditions.push(mimeConditions.length === 1 ? mimeConditions[0] : { '$or': mimeConditions });
+  }
+
+  settings.query = conditions.reduce(combineQueries, null);
+  return settings;
+}
+
+/**
+ * Parse and validate eventStreamUrl
+ * Returns { url (base URL, or null when live updates are off), errors }
+ */
+function parseEventStreamUrl(config) {
+  if (config.eventStreamUrl === undefined || config.eventStreamUrl === '') {
+    return { url: null, errors: [] };
+  }
+  var url = DeliveryApi.parseHost(config.eventStreamUrl);
+  if (!url) {
+    return { url: null, errors: ['"eventStreamUrl" must be a URL such as "https://events.example.com", got "' + config.eventStreamUrl + '".'] };
+  }
+  return { url: url, errors: [] };
+}
+
+/**
+ * Parse and validate usageReportUrl, which may be relative to the extension's page
+ * Returns { url (absolute, or null when not set), errors }
+ */
+function parseUsageReportUrl(config) {
+  if (config.usageReportUrl === undefined || config.usageReportUrl === '') {
+    return { url: null, errors: [] };
+  }
+  var base = typeof window !== 'undefined' && window.location ? window.location.href : undefined;
+  try {
+    var url = new URL(config.usageReportUrl, base);
+    if (url.protocol === 'https:' || url.protocol === 'http:') {
+      return { url: url.href, errors: [] };
+    }
+  } catch (e) {
+    // Reported below
+  }
+  return { url: null, errors: ['"usageReportUrl" must be a URL such as "https://reports.example.com/usage-report.json", got "' + config.usageReportUrl + '".'] };
+}
+
+/**
+ * Parse and validate theme
+ * Returns { colorScheme, density, colors, darkColors, badgeColors, errors }; colors and
+ * darkColors are keyed like theme.THEME_COLOR_PROPERTIES, badgeColors by branch UID
+ */
+function parseTheme(config) {
+  var settings = { colorScheme: 'auto', density: 'comfortable', colors: {}, darkColors: {}, badgeColors: {}, errors: [] };
+  var value = config.theme;
+  if (value === undefined) {
+    return settings;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    settings.errors.push('"theme" must be an object such as {"colorScheme": "auto", "density": "compact"}.');
+    return settings;
+  }
+
+  if (value.colorScheme !== undefined) {
+    if (theme.COLOR_SCHEMES.indexOf(value.colorScheme) === -1) {
+      settings.errors.push('theme.colorScheme must be one of ' + theme.COLOR_SCHEMES.join(', ') + ', got "' + value.colorScheme + '".');
+    } else {
+      settings.colorScheme = value.colorScheme;
+    }
+  }
+  if (value.density !== undefined) {
+    if (theme.DENSITIES.indexOf(value.density) === -1) {
+      settings.errors.push('theme.density must be one of ' + theme.DENSITIES.join(', ') + ', got "' + value.density + '".');
+    } else {
+      settings.density = value.density;
+    }
+  }
+
+  ['colors', 'darkColors', 'badgeColors'].forEach(function(key) {
+    var colors = value[key];
+    if (colors === undefined) return;
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+      settings.errors.push('theme.' + key + ' must be an object of CSS colours.');
+      return;
+    }
+    Object.keys(colors).forEach(function(name) {
+      if (key !== 'badgeColors' && !theme.THEME_COLOR_PROPERTIES.hasOwnProperty(name)) {
+        settings.errors.push('theme.' + key + ' has no "' + name + '" colour; use ' + Object.keys(theme.THEME_COLOR_PROPERTIES).join(', ') + '.');
+      } else if (!isValidCssColor(colors[name])) {
+        settings.errors.push('theme.' + key + '.' + name + ' must be a CSS colour such as "#6c5ce7", got "' + colors[name] + '".');
+      } else {
+        settings[key][name] = colors[name].trim();
+      }
+    });
+  });
+
+  return settings;
+}
+
+/**
+ * Config keys that hold a token, e.g. ["deliveryToken", "branches[1].deliveryToken"]
+ */
+function getConfiguredTokenKeys(config) {
+  var tokenKeys = ['deliveryToken', 'mainBranchDeliveryToken', 'currentBranchDeliveryToken', 'previewToken'];
+  var found = tokenKeys.filter(function(key) {
+    return !!config[key];
+  });
+
+  if (Array.isArray(config.branches)) {
+    config.branches.forEach(function(item, index) {
+      ['deliveryToken', 'previewToken'].forEach(function(key) {
+        if (item && item[key]) {
+          found.push('branches[' + index + '].' + key);
+        }
+      });
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Build the list of branches to read from
+ * Uses config.branches when present, otherwise targetBranch plus the current branch
+ * settings: the resolved targetBranch, currentBranch, showBothBranches, tokens and modes
+ * Returns { branches: [{ branch, label, token, badgeColor, primary }], errors }
+ */
+function parseBranchList(config, settings, logger) {
+  var t = settings.text.t;
+  var targetBranch = settings.targetBranch;
+  var currentBranch = settings.currentBranch;
+  var showBothBranches = settings.showBothBranches;
+  var deliveryToken = settings.deliveryToken;
+  var previewToken = settings.previewToken;
+
+  var errors = [];
+  var branches = [];
+
+  if (config.branches === undefined) {
+    // Two-branch setup: Main plus (optionally) the branch being edited
+    branches.push({ branch: targetBranch, label: t('mainBranchLabel'), token: settings.mainBranchToken || deliveryToken, previewToken: previewToken });
+
+    if (showBothBranches && currentBranch !== targetBranch) {
+      logger.debug('Fetching from current branch: ' + currentBranch);
+      // Use branch-specific token if available, otherwise use default
+      branches.push({
+        branch: currentBranch,
+        label: getDefaultBranchLabel(currentBranch, t),
+        token: settings.currentBranchToken || deliveryToken,
+        previewToken: previewToken
+      });
+    } else {
+      logger.debug('Skipping current branch fetch', {
+        showBothBranches: showBothBranches,
+        currentBranch: currentBranch,
+        targetBranch: targetBranch,
+        reason: !showBothBranches ? 'showBothBranches is false' : 'currentBranch === targetBranch'
+      });
+    }
+  } else if (!Array.isArray(config.branches) || config.branches.length === 0) {
+    errors.push('"branches" must be a non-empty array such as [{"branch": "main"}, {"branch": "midwest"}].');
+  } else {
+    config.branches.forEach(function(item, index) {
+      // "midwest" is shorthand for {"branch": "midwest"}
+      if (typeof item === 'string') {
+        item = { branch: item };
+      }
+      if (!item || typeof item.branch !== 'string' || !item.branch.trim()) {
+        errors.push('branches[' + index + '] needs a "branch" UID.');
+        return;
+      }
+
+      // The placeholder lets one config serve every child branch
+      var isPlaceholder = item.branch === CURRENT_BRANCH_PLACEHOLDER;
+      var branch = isPlaceholder ? currentBranch : item.branch.trim();
+      var alreadyListed = branches.some(function(b) { return b.branch === branch; });
+      if (alreadyListed) {
+        // The current branch may legitimately be one of the listed ancestors
+        if (!isPlaceholder) {
+          errors.push('branches[' + index + ']: "' + branch + '" is listed more than once.');
+        }
+        return;
+      }
+
+      if (item.badgeColor !== undefined && !isValidCssColor(item.badgeColor)) {
+        errors.push('branches[' + index + '].badgeColor must be a CSS colour such as "#0066cc", got "' + item.badgeColor + '".');
+        return;
+      }
+
+      branches.push({
+        branch: branch,
+        label: item.label || getDefaultBranchLabel(branch, t),
+        token: item.deliveryToken || deliveryToken,
+        previewToken: item.previewToken || previewToken,
+        badgeColor: item.badgeColor || null
+      });
+    });
+  }
+
+  // The first branch is the root of the hierarchy and gets the "main" badge
+  if (branches.length > 0) {
+    branches[0].primary = true;
+  }
+
+  if (settings.previewMode && !settings.proxyMode) {
+    branches.forEach(function(item) {
+      if (!item.previewToken) {
+        errors.push('Preview mode needs a "previewToken" for the "' + item.branch + '" branch.');
+      }
+    });
+  }
+
+  return { branches: branches, errors: errors };
+}
+
+/**
+ * Default label for a branch, e.g. "midwest" -> "Midwest Branch"
+ */
+function getDefaultBranchLabel(branch, t) {
+  return t('branchLabel', { name: branch.charAt(0).toUpperCase() + branch.slice(1) });
+}
+
+/**
+ * Accept hex, rgb()/rgba() and named colours only, so the value is safe to put in a style attribute
+ */
+function isValidCssColor(value) {
+  return typeof value === 'string' &&
+    /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i.test(value.trim());
+}
+
+/**
+ * Parse and validate minItems/maxItems
+ * Returns { minItems, maxItems, errors } with null for a limit that is not set
+ */
+function parseSelectionLimits(config, multiple) {
+  var errors = [];
+  var limits = { minItems: null, maxItems: null, errors: errors };
+
+  ['minItems', 'maxItems'].forEach(function(key) {
+    if (config[key] === undefined || config[key] === null || config[key] === '') return;
+    var value = Number(config[key]);
+    if (!multiple) {
+      errors.push('"' + key + '" only applies when "multiple" is true.');
+    } else if (!isFinite(value) || value < 0 || Math.floor(value) !== value) {
+      errors.push('"' + key + '" must be a whole number of 0 or more, got "' + config[key] + '".');
+    } else {
+      limits[key] = value;
+    }
+  });
+
+  if (limits.minItems !== null && limits.maxItems !== null && limits.minItems > limits.maxItems) {
+    errors.push('"minItems" (' + limits.minItems + ') cannot be greater than "maxItems" (' + limits.maxItems + ').');
+  }
+
+  return limits;
+}
+
+/**
+ * Parse and validate cacheTtl (seconds)
+ * Returns { ttl, errors }
+ */
+function parseCacheTtl(config) {
+  var errors = [];
+  var ttl = DEFAULT_CACHE_TTL_SECONDS;
+
+  if (config.cacheTtl !== undefined && config.cacheTtl !== null && config.cacheTtl !== '') {
+    var value = Number(config.cacheTtl);
+    if (typeof config.cacheTtl === 'boolean' || !isFinite(value) || value < 0) {
+      errors.push('"cacheTtl" must be a number of seconds (0 turns caching off), got "' + config.cacheTtl + '".');
+    } else {
+      ttl = value;
+    }
+  }
+
+  return { ttl: ttl, errors: errors };
+}
+
+/**
+ * Parse and validate titleField, subtitleField, thumbnailField, thumbnailParams and previewFields
+ * Field names may be dot paths into groups, e.g. "hero.image"
+ * Returns { titleField, subtitleField, thumbnailField, thumbnailParams, previewFields, fields, errors }
+ * where fields lists every configured path (for projections)
+ */
+function parseDisplayFields(config) {
+  var errors = [];
+  var display = {
+    titleField: 'title',
+    subtitleField: 'description',
+    thumbnailField: null,
+    thumbnailParams: DEFAULT_THUMBNAIL_PARAMS,
+    previewFields: parseFieldList(config.previewFields),
+    fields: [],
+    errors: errors
+  };
+
+  ['titleField', 'subtitleField', 'thumbnailField'].forEach(function(key) {
+    if (config[key] === undefined || config[key] === '') return;
+    if (typeof config[key] !== 'string' || !/^[\w.]+$/.test(config[key])) {
+      errors.push('"' + key + '" must be a field UID or dot path such as "hero.image", got "' + config[key] + '".');
+    } else {
+      display[key] = config[key];
+    }
+  });
+
+  if (config.thumbnailParams !== undefined) {
+    if (!config.thumbnailParams || typeof config.thumbnailParams !== 'object' || Array.isArray(config.thumbnailParams)) {
+      errors.push('"thumbnailParams" must be an object of image transform parameters such as {"width": 48, "height": 48}.');
+    } else {
+      display.thumbnailParams = config.thumbnailParams;
+    }
+  }
+
+  display.fields = [display.titleField, display.subtitleField]
+    .concat(display.thumbnailField ? [display.thumbnailField] : [], display.previewFields);
+
+  return display;
+}
+
+/**
+ * Parse and validate the query/sort/locale/tags/projection options of the field config
+ * Returns { query, sortBy, sortOrder, locale, fallbackLocale, only, except, errors }
+ */
+function parseEntryFilters(config) {
+  var errors = [];
+  var filters = {
+    query: null,
+    sortBy: null,
+    sortOrder: null,
+    locale: null,
+    fallbackLocale: true,
+    only: [],
+    except: [],
+    errors: errors
+  };
+
+  // query: a Delivery API query object, or its JSON string form
+  var query = config.query;
+  if (typeof query === 'string' && query.trim()) {
+    try {
+      query = JSON.parse(query);
+    } catch (e) {
+      errors.push('"query" is not valid JSON (' + e.message + ').');
+      query = null;
+    }
+  }
+  if (query && (typeof query !== 'object' || Array.isArray(query))) {
+    errors.push('"query" must be an object such as {"category": "promo"}.');
+    query = null;
+  }
+
+  // tags: entries must carry at least one of the listed tags
+  var tags = parseFieldList(config.tags);
+  var conditions = [];
+  if (query && Object.keys(query).length > 0) {
+    conditions.push(query);
+  }
+  if (tags.length > 0) {
+    conditions.push({ tags: { '$in': tags } });
+  }
+  filters.query = conditions.reduce(combineQueries, null);
+
+  // sortBy/sortOrder map to the Delivery API's asc=<field> / desc=<field>
+  if (config.sortBy) {
+    if (typeof config.sortBy !== 'string') {
+      errors.push('"sortBy" must be a field UID such as "updated_at".');
+    } else {
+      filters.sortBy = config.sortBy.trim();
+      filters.sortOrder = 'desc';
+    }
+  }
+  if (config.sortOrder) {
+    var sortOrder = String(config.sortOrder).toLowerCase();
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+      errors.push('"sortOrder" must be "asc" or "desc", got "' + config.sortOrder + '".');
+    } else if (!config.sortBy) {
+      errors.push('"sortOrder" needs "sortBy" to name the field to sort on.');
+    } else {
+      filters.sortOrder = sortOrder;
+    }
+  }
+
+  // locale: a locale code such as "en-us" or "fr-fr"
+  if (config.locale) {
+    if (typeof config.locale !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(config.locale)) {
+      errors.push('"locale" must be a locale code such as "en-us", got "' + config.locale + '".');
+    } else {
+      filters.locale = config.locale.toLowerCase();
+    }
+  }
+
+  // fallbackLocale: list entries not localized in the locale in their fallback locale (include_fallback)
+  if (config.fallbackLocale !== undefined) {
+    if (typeof config.fallbackLocale !== 'boolean') {
+      errors.push('"fallbackLocale" must be true or false, got "' + config.fallbackLocale + '".');
+    } else {
+      filters.fallbackLocale = config.fallbackLocale;
+    }
+  }
+
+  // only/except: field projection (mutually exclusive in the Delivery API)
+  var only = parseFieldList(config.only);
+  var except = parseFieldList(config.except);
+  if (only.length > 0 && except.length > 0) {
+    errors.push('"only" and "except" cannot be used together.');
+  } else if (only.length > 0) {
+    // The list always needs a title to show
+    filters.only = only.indexOf('title') === -1 ? ['title'].concat(only) : only;
+  } else if (except.indexOf('title') !== -1) {
+    errors.push('"except" cannot exclude "title"; the picker needs it to label entries.');
+  } else {
+    filters.except = except;
+  }
+
+  return filters;
+}
+
+/**
+ * Accept a field list as an array or a comma-separated string
+ */
+function parseFieldList(value) {
+  if (!value) return [];
+  var list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(function(item) { return String(item).trim(); }).filter(Boolean);
+}
+
+/**
+ * Config errors not about an option a schema error already names
+ * (e.g. "preview": "yes" is reported once, not again by parseApiEndpoint)
+ */
+function withoutSchemaDuplicates(messages, schemaErrors) {
+  var keys = schemaErrors.map(function(error) { return error.key; });
+  return messages.filter(function(message) {
+    return !keys.some(function(key) {
+      return key && (message.indexOf('"' + key + '"') === 0 || message.indexOf(key + '[') === 0 ||
+        message.indexOf(key + '.') === 0 || message.indexOf(key + ':') === 0);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE: DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE: MAX_PAGE_SIZE,
+  DEFAULT_CACHE_TTL_SECONDS: DEFAULT_CACHE_TTL_SECONDS,
+  CURRENT_BRANCH_PLACEHOLDER: CURRENT_BRANCH_PLACEHOLDER,
+  ASSET_CONTENT_TYPE: ASSET_CONTENT_TYPE,
+  resolveConfig: resolveConfig,
+  detectCurrentBranch: detectCurrentBranch,
+  parseBranchList: parseBranchList,
+  parseApiEndpoint: parseApiEndpoint,
+  parseSelectionLimits: parseSelectionLimits,
+  parseEntryFilters: parseEntryFilters,
+  parseDisplayFields: parseDisplayFields,
+  parseFieldList: parseFieldList,
+  parseTheme: parseTheme,
+  getDefaultBranchLabel: getDefaultBranchLabel,
+  isValidCssColor: isValidCssColor
+};
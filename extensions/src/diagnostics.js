@@ -0,0 +1,163 @@
+/**
+ * Diagnostics panel (config.debug): the detected branch, endpoint, request log,
+ * duplicate UIDs, resolved config and log, with a redacted report to copy for support
+ */
+
+'use strict';
+
+var escapeHtml = require('./html').escapeHtml;
+
+/**
+ * Add the diagnostics panel below the container
+ * options: { container, sdk, logger, settings (see resolveConfig), config (the field config),
+ *            client (see createFetchClient), getBrowsedBranches }
+ * Returns { update }, which refreshes the panel after activity
+ */
+function createDiagnosticsPanel(options) {
+  var container = options.container;
+  var sdk = options.sdk;
+  var logger = options.logger;
+  var settings = options.settings;
+  var client = options.client;
+  var timer = null;
+  var panel = createPanel();
+
+  /**
+   * Add the collapsible diagnostics panel below the field
+   * It sits outside the container, so re-rendering the selector leaves it alone
+   */
+  function createPanel() {
+    var panel = document.createElement('details');
+    panel.className = 'cs-extension-diagnostics';
+    panel.id = 'main-branch-diagnostics';
+    panel.innerHTML = '<summary>Diagnostics</summary>' +
+      '<button type="button" class="cs-extension-diagnostics-copy">Copy report</button>' +
+      '<div class="cs-extension-diagnostics-body"></div>';
+    container.parentNode.insertBefore(panel, container.nextSibling);
+
+    panel.addEventListener('toggle', function() {
+      if (panel.open) {
+        renderDiagnostics(panel);
+      }
+      if (sdk.window) {
+        sdk.window.updateHeight();
+      }
+    });
+
+    // The report is what support asks for; it is already redacted
+    var copyButton = panel.querySelector('.cs-extension-diagnostics-copy');
+    copyButton.addEventListener('click', function() {
+      var report = JSON.stringify(getDiagnosticsReport(), null, 2);
+      var copied = navigator.clipboard && navigator.clipboard.writeText
+        ? navigator.clipboard.writeText(report)
+        : Promise.reject(new Error('Clipboard not available'));
+      copied.then(function() {
+        copyButton.textContent = 'Copied';
+      }, function() {
+        copyButton.textContent = 'Copy failed; select the text below instead';
+      });
+    });
+
+    logger.onEntry(updateDiagnosticsPanel);
+    return panel;
+  }
+
+  /**
+   * Refresh the diagnostics panel (if open) once the current burst of activity is over
+   */
+  function updateDiagnosticsPanel() {
+    if (!panel.open || timer) return;
+    timer = setTimeout(function() {
+      timer = null;
+      renderDiagnostics(panel);
+    }, 100);
+  }
+
+  /**
+   * Everything the diagnostics panel shows, with tokens redacted
+   */
+  function getDiagnosticsReport() {
+    return {
+      generatedAt: new Date().toISOString(),
+      branch: {
+        current: settings.currentBranch,
+        detectedBy: settings.branchDetection.method,
+        aliases: settings.branchDetection.aliases,
+        browsing: (options.getBrowsedBranches() || []).map(function(branchInfo) { return branchInfo.branch; })
+      },
+      endpoint: {
+        baseUrl: client.getApiBaseUrl(),
+        environment: settings.environment,
+        preview: settings.previewMode,
+        proxy: settings.proxyMode,
+        cacheTtl: settings.cacheTtl,
+        eventStream: settings.eventStreamUrl,
+        usageReport: settings.usageReportUrl
+      },
+      requests: client.getRequestLog(),
+      duplicates: client.getDuplicates(),
+      config: logger.redact({
+        resolved: {
+          source: settings.source,
+          contentTypes: settings.contentTypes,
+          multiple: settings.multiple,
+          branches: settings.branchList.branches,
+          duplicateEntries: settings.duplicateEntries,
+          pageSize: settings.pageSize,
+          displayFields: settings.displayFields,
+          entryFilters: settings.entryFilters,
+          contentLocale: settings.contentLocale,
+          includeFallback: settings.includeFallback,
+          uiLanguage: settings.uiLanguage,
+          theme: { colorScheme: settings.theme.colorScheme, density: settings.theme.density },
+          selectionLimits: settings.selectionLimits,
+          logLevel: settings.logSettings.level
+        },
+        field: options.config
+      }),
+      log: logger.getEntries()
+    };
+  }
+
+  /**
+   * Fill the diagnostics panel from the current report
+   */
+  function renderDiagnostics(panel) {
+    var report = getDiagnosticsReport();
+    var body = panel.querySelector('.cs-extension-diagnostics-body');
+
+    function section(title, content) {
+      return '<div class="cs-extension-diagnostics-section"><h4>' + escapeHtml(title) + '</h4>' + content + '</div>';
+    }
+    function json(value) {
+      return '<pre>' + escapeHtml(JSON.stringify(value, null, 2)) + '</pre>';
+    }
+    function list(lines) {
+      return lines.length === 0 ? '<p>None yet</p>' : '<ol>' + lines.map(function(line) {
+        return '<li>' + escapeHtml(line) + '</li>';
+      }).join('') + '</ol>';
+    }
+
+    body.innerHTML =
+      section('Branch', json(report.branch)) +
+      section('Endpoint', json(report.endpoint)) +
+      section('Requests', list(report.requests.map(function(request) {
+        return request.time.slice(11, 19) + '  ' + request.status + '  ' + request.ms + 'ms  ' +
+          (request.count ? request.count + '  ' : '') + request.url;
+      }))) +
+      section('Duplicate UIDs', report.duplicates ? json(report.duplicates) : '<p>Not checked yet</p>') +
+      section('Resolved configuration', json(report.config)) +
+      section('Log', list(report.log.slice(-50).map(function(entry) {
+        return entry.time.slice(11, 19) + '  ' + entry.level.toUpperCase() + '  ' + entry.message +
+          (entry.details.length > 0 ? '  ' + JSON.stringify(entry.details) : '');
+      })));
+  }
+
+  return {
+    update: updateDiagnosticsPanel
+  };
+}
+
+module.exports = {
+  createDiagnosticsPanel: createDiagnosticsPanel
+};
@@ -0,0 +1,957 @@
+/**
+ * Delivery API client of the Main Branch Content Selector: per-branch paging,
+ * retries, the page cache and stored-reference lookups
+ */
+
+'use strict';
+
+var DeliveryApi = require('../delivery-api');
+var findDuplicateUids = require('./branch-merge').findDuplicateUids;
+var DEFAULT_PAGE_SIZE = require('./config').DEFAULT_PAGE_SIZE;
+var ASSET_CONTENT_TYPE = require('./config').ASSET_CONTENT_TYPE;
+
+// Delivery API requests time out after REQUEST_TIMEOUT_MS; rate limiting (429), server
+// errors, timeouts and network failures are retried up to MAX_RETRIES times with
+// exponential backoff, or after the Retry-After the API asks for (capped)
+var REQUEST_TIMEOUT_MS = 15000;
+var MAX_RETRIES = 3;
+var RETRY_BASE_DELAY_MS = 500;
+var MAX_RETRY_DELAY_MS = 30000;
+
+// sessionStorage key prefix for cached pages (shared by every field in the browser tab)
+var CACHE_KEY_PREFIX = 'main-branch-selector:';
+
+// Delivery API error_code for "The requested entry doesn't exist."
+var ENTRY_NOT_FOUND_ERROR_CODE = 141;
+
+// Delivery API error_code for "Asset was not found."
+var ASSET_NOT_FOUND_ERROR_CODE = 145;
+
+// Delivery API error_code for "The Content Type '...' was not found."
+var CONTENT_TYPE_NOT_FOUND_ERROR_CODE = 118;
+
+// Requests kept for the diagnostics panel
+var MAX_RECORDED_REQUESTS = 50;
+
+/**
+ * Create the client for a resolved config (see resolveConfig)
+ * options: { settings, logger, stack (the SDK's, for checkEntryInStack),
+ *            onActivity (called after every request and first-page load) }
+ */
+function createFetchClient(options) {
+  var settings = options.settings;
+  var logger = options.logger;
+  var stack = options.stack;
+  var onActivity = options.onActivity || function() {};
+
+  var apiKey = settings.apiKey;
+  var deliveryToken = settings.deliveryToken;
+  var previewToken = settings.previewToken;
+  var environment = settings.environment;
+  var region = settings.region;
+  var apiEndpoint = settings.apiEndpoint;
+  var previewMode = settings.previewMode;
+  var proxyMode = settings.proxyMode;
+  var pageSize = settings.pageSize;
+  var cacheTtl = settings.cacheTtl;
+  var contentTypes = settings.contentTypes;
+  var entryFilters = settings.entryFilters;
+  var contentLocale = settings.contentLocale;
+  var includeFallback = settings.includeFallback;
+  var currentBranch = settings.currentBranch;
+  var duplicateEntries = settings.duplicateEntries;
+
+  // Cached Delivery API pages ({ storedAt, page }), keyed by getCacheKey
+  var pageCache = {};
+  // Request log and latest duplicate-UID check for the diagnostics panel
+  var requests = [];
+  var lastDuplicates = null;
+
+  /**
+   * Load the first page of every branch and combine them in branch order
+   * A branch that fails contributes no entries (its cursors keep the error)
+   * so the other branches' content still shows
+   */
+  function loadFirstPages(sources) {
+    return Promise.all(sources.map(function(source) {
+      logger.debug('Loading first page of ' + source.branch + ' branch');
+      return loadNextPage(source)
+        .then(function(entries) {
+          logger.info('Fetched ' + entries.length + ' of ' + getTotalCount(source) + ' entries from ' + source.branch + ' branch');
+          return entries;
+        })
+        .catch(function(error) {
+          // The branch's error banner explains the failure (see renderEntryList)
+          logger.error('Error fetching from ' + source.branch + ' branch', error);
+          return [];
+        });
+    }))
+      .then(function(results) {
+        // Combine all entries; results are in the same order as sources
+        var allEntries = [];
+
+        results.forEach(function(branchEntries, index) {
+          logger.debug('Branch result ' + index + ' (' + sources[index].branch + ')', {
+            count: branchEntries.length,
+            uids: branchEntries.map(function(e) { return e.uid; }),
+            branchLabel: sources[index].label
+          });
+
+          allEntries = allEntries.concat(branchEntries);
+        });
+
+        // Check for UIDs that exist in more than one branch (shown in the diagnostics panel)
+        var duplicates = findDuplicateUids(allEntries);
+        lastDuplicates = { policy: duplicateEntries, uids: duplicates };
+        if (Object.keys(duplicates).length > 0) {
+          logger.info('UIDs found in more than one branch (duplicateEntries: ' + duplicateEntries + ')', duplicates);
+        } else if (sources.length > 1) {
+          logger.debug('No duplicate UIDs - branches have different entries');
+        }
+
+        logger.debug('Total entries to display: ' + allEntries.length);
+        onActivity();
+
+        return allEntries;
+      });
+  }
+
+  /**
+   * Create the paging state for a branch
+   * branchInfo comes from parseBranchList (or is another source being copied)
+   * options.query narrows the entries (search); options.signal cancels requests;
+   * options.cacheMode is how pages use the cache (see fetchContentPage)
+   * Each content type is paged separately, with its own cursor
+   */
+  function createBranchSource(branchInfo, options) {
+    options = options || {};
+    return {
+      branch: branchInfo.branch,
+      label: branchInfo.label,
+      token: branchInfo.token,
+      previewToken: branchInfo.previewToken,
+      badgeColor: branchInfo.badgeColor || null,
+      primary: !!branchInfo.primary,
+      query: options.query || null,
+      signal: options.signal,
+      cacheMode: options.cacheMode || 'default',
+      cursors: contentTypes.map(function(contentTypeUid) {
+        return {
+          contentType: contentTypeUid,
+          skip: 0,       // Number of entries loaded so far
+          count: null,   // Total reported by include_count (null until first page)
+          loading: null, // In-flight page request, if any
+          error: null    // Why the last page request failed, until it succeeds
+        };
+      })
+    };
+  }
+
+  /**
+   * Cursors of a branch, limited to one content type when contentTypeFilter is set
+   */
+  function getCursors(source, contentTypeFilter) {
+    return source.cursors.filter(function(cursor) {
+      return !contentTypeFilter || cursor.contentType === contentTypeFilter;
+    });
+  }
+
+  /**
+   * Check whether a branch has entries that are not loaded yet
+   */
+  function hasMorePages(source, contentTypeFilter) {
+    return getCursors(source, contentTypeFilter).some(function(cursor) {
+      return cursor.count === null || cursor.skip < cursor.count;
+    });
+  }
+
+  /**
+   * Number of entries loaded so far for a branch
+   */
+  function getLoadedCount(source, contentTypeFilter) {
+    return getCursors(source, contentTypeFilter).reduce(function(total, cursor) {
+      return total + cursor.skip;
+    }, 0);
+  }
+
+  /**
+   * Total entries for a branch according to include_count, or null while unknown
+   */
+  function getTotalCount(source, contentTypeFilter) {
+    return getCursors(source, contentTypeFilter).reduce(function(total, cursor) {
+      return total === null || cursor.count === null ? null : total + cursor.count;
+    }, 0);
+  }
+
+  /**
+   * The first request error among a branch's content types, or null
+   */
+  function getSourceError(source, contentTypeFilter) {
+    var failed = getCursors(source, contentTypeFilter).filter(function(cursor) {
+      return cursor.error;
+    });
+    return failed.length > 0 ? failed[0].error : null;
+  }
+
+  /**
+   * Fetch the next page of entries for a branch and tag them with branch info
+   * Every content type (or just contentTypeFilter) with more entries gets a page;
+   * concurrent calls for the same cursor share one request. A content type that
+   * fails keeps its cursor, so the next call retries it; the call only rejects
+   * when every content type failed.
+   */
+  function loadNextPage(source, contentTypeFilter) {
+    var cursors = getCursors(source, contentTypeFilter).filter(function(cursor) {
+      return cursor.count === null || cursor.skip < cursor.count;
+    });
+    if (source.cursors.length === 0) {
+      return Promise.reject(new Error('Content type not specified'));
+    }
+
+    return loadCursorPages(source, cursors);
+  }
+
+  /**
+   * Account for an entry that a live update added to (delta 1) or removed from (-1)
+   * a branch's loaded entries, so the next page starts at the right offset
+   */
+  function shiftCursor(source, contentType, delta) {
+    getCursors(source, contentType).forEach(function(cursor) {
+      cursor.skip = Math.max(0, cursor.skip + delta);
+      if (cursor.count !== null) {
+        cursor.count = Math.max(cursor.skip, cursor.count + delta);
+      }
+    });
+  }
+
+  /**
+   * Request the page that failed for each content type of a branch that has an error
+   */
+  function retryFailedPages(source, contentTypeFilter) {
+    return loadCursorPages(source, getCursors(source, contentTypeFilter).filter(function(cursor) {
+      return cursor.error;
+    }));
+  }
+
+  /**
+   * Fetch the next page of each of the given cursors, tolerating partial failures
+   */
+  function loadCursorPages(source, cursors) {
+    return Promise.all(cursors.map(function(cursor) {
+      return loadCursorPage(source, cursor).then(function(entries) {
+        return { entries: entries };
+      }, function(error) {
+        return { error: error };
+      });
+    })).then(function(results) {
+      var failures = results.filter(function(result) { return result.error; });
+      if (failures.length > 0 && failures.length === results.length) {
+        throw failures[0].error;
+      }
+      failures.forEach(function(result) {
+        if (!isAbortError(result.error)) {
+          logger.error('Error fetching a page from ' + source.branch + ' branch', result.error);
+        }
+      });
+
+      var entries = [];
+      results.forEach(function(result) {
+        if (result.entries) {
+          entries = entries.concat(result.entries);
+        }
+      });
+      return entries;
+    });
+  }
+
+  /**
+   * Fetch the next page of one content type for a branch
+   */
+  function loadCursorPage(source, cursor) {
+    if (cursor.loading) {
+      return cursor.loading;
+    }
+
+    cursor.loading = fetchContentPage(source, cursor.contentType, getPageParams(source, cursor))
+      .then(function(page) {
+        cursor.loading = null;
+        cursor.error = null;
+        cursor.skip += page.entries.length;
+        cursor.count = page.count;
+        // Guard against a count that overstates what the API will return
+        if (page.entries.length === 0) {
+          cursor.count = cursor.skip;
+        }
+
+        return page.entries.map(function(entry) {
+          var newEntry = {};
+          for (var key in entry) {
+            if (entry.hasOwnProperty(key)) {
+              newEntry[key] = entry[key];
+            }
+          }
+          newEntry._branch = source.branch;
+          newEntry._branch_label = source.label;
+          // The Delivery API does not always include this, but we know what we asked for
+          newEntry._content_type_uid = cursor.contentType;
+          return newEntry;
+        });
+      }, function(error) {
+        cursor.loading = null;
+        if (!isAbortError(error)) {
+          error.contentType = cursor.contentType;
+          cursor.error = error;
+        }
+        throw error;
+      });
+
+    return cursor.loading;
+  }
+
+  /**
+   * Delivery API page parameters for a cursor's next page
+   */
+  function getPageParams(source, cursor) {
+    return {
+      skip: cursor.skip,
+      limit: pageSize,
+      query: source.query,
+      signal: source.signal,
+      sortBy: entryFilters.sortBy,
+      sortOrder: entryFilters.sortOrder,
+      locale: contentLocale,
+      includeFallback: includeFallback,
+      only: entryFilters.only,
+      except: entryFilters.except
+    };
+  }
+
+  /**
+   * Fetch one page through the cache
+   * source.cacheMode: 'default' serves a cached page that is younger than cacheTtl,
+   * 'reload' always fetches and caches the result, 'no-store' bypasses the cache
+   */
+  function fetchContentPage(source, contentType, page) {
+    var key = cacheTtl > 0 && source.cacheMode !== 'no-store' ? getCacheKey(source.branch, contentType, page) : null;
+
+    if (key && source.cacheMode === 'default') {
+      var cached = readCache(key);
+      if (cached) {
+        return Promise.resolve(cached);
+      }
+    }
+
+    return fetchContentFromBranch(source.branch, contentType, apiKey, source.token, source.previewToken, environment, region, page)
+      .then(function(result) {
+        if (key) {
+          writeCache(key, result);
+        }
+        return result;
+      });
+  }
+
+  /**
+   * Check whether the first page of every branch and content type is in the cache
+   */
+  function hasCachedFirstPages(sources) {
+    return cacheTtl > 0 && sources.every(function(source) {
+      return source.cursors.every(function(cursor) {
+        return !!readCache(getCacheKey(source.branch, cursor.contentType, getPageParams(source, cursor)));
+      });
+    });
+  }
+
+  /**
+   * Cache key for one page of entries
+   * Delivery tokens are deliberately left out so they are never written to storage
+   */
+  function getCacheKey(branch, contentType, page) {
+    return CACHE_KEY_PREFIX + JSON.stringify([
+      getApiBaseUrl(region), apiKey, environment, branch, contentType,
+      page.skip || 0, page.limit, page.query || null,
+      page.sortBy || null, page.sortOrder || null, page.locale || null, !!page.includeFallback,
+      page.only || [], page.except || []
+    ]);
+  }
+
+  /**
+   * Read a cached page ({ entries, count }), or null when it is missing or older than cacheTtl
+   * The in-memory copy is checked first; sessionStorage carries pages across field instances
+   */
+  function readCache(key) {
+    var record = pageCache[key];
+    if (!record) {
+      var storage = getSessionStorage();
+      try {
+        record = storage ? JSON.parse(storage.getItem(key)) : null;
+      } catch (e) {
+        record = null;
+      }
+      if (record) {
+        pageCache[key] = record;
+      }
+    }
+
+    if (!record || Date.now() - record.storedAt > cacheTtl * 1000) {
+      return null;
+    }
+    return record.page;
+  }
+
+  /**
+   * Store a page in memory and in sessionStorage
+   * When storage is full, earlier pages are dropped and the write is tried once more
+   */
+  function writeCache(key, page) {
+    var record = { storedAt: Date.now(), page: { entries: page.entries, count: page.count } };
+    pageCache[key] = record;
+
+    var storage = getSessionStorage();
+    if (!storage) return;
+    var serialized = JSON.stringify(record);
+    try {
+      storage.setItem(key, serialized);
+    } catch (e) {
+      clearStoredPages(storage);
+      try {
+        storage.setItem(key, serialized);
+      } catch (retryError) {
+        logger.warn('Could not cache entries in sessionStorage', retryError);
+      }
+    }
+  }
+
+  /**
+   * Drop every cached page, in memory and in sessionStorage
+   */
+  function clearCache() {
+    pageCache = {};
+    var storage = getSessionStorage();
+    if (storage) {
+      clearStoredPages(storage);
+    }
+  }
+
+  /**
+   * Remove this extension's pages from sessionStorage
+   */
+  function clearStoredPages(storage) {
+    var keys = [];
+    for (var i = 0; i < storage.length; i++) {
+      var key = storage.key(i);
+      if (key && key.indexOf(CACHE_KEY_PREFIX) === 0) {
+        keys.push(key);
+      }
+    }
+    keys.forEach(function(key) {
+      storage.removeItem(key);
+    });
+  }
+
+  /**
+   * Fetch one page of content from a specific branch using Contentstack Delivery API
+   * (or the Preview API in preview mode, authenticated with previewToken)
+   * Resolves to { entries, count } where count is the branch total from include_count
+   * page: { skip, limit, query (Delivery API query object), signal (AbortSignal),
+   *         sortBy, sortOrder ('asc' | 'desc'), locale, includeFallback, only, except (field UID arrays) }
+   */
+  function fetchContentFromBranch(branch, contentType, apiKey, deliveryToken, previewToken, environment, region, page) {
+    page = page || {};
+
+    if (!contentType) {
+      return Promise.reject(new Error('Content type not specified'));
+    }
+
+    // Contentstack Delivery API format (branch and environment in the query string):
+    // https://www.contentstack.com/docs/developers/apis/content-delivery-api
+    // The asset library is paged like a content type (see ASSET_CONTENT_TYPE)
+    var isAssets = contentType === ASSET_CONTENT_TYPE;
+    var url = isAssets
+      ? DeliveryApi.getAssetsUrl(getApiBaseUrl(region), {
+        environment: environment,
+        branch: branch,
+        skip: page.skip,
+        limit: page.limit || DEFAULT_PAGE_SIZE,
+        query: page.query,
+        sortBy: page.sortBy,
+        sortOrder: page.sortOrder
+      })
+      : DeliveryApi.getEntriesUrl(getApiBaseUrl(region), contentType, {
+        environment: environment,
+        branch: branch,
+        skip: page.skip,
+        limit: page.limit || DEFAULT_PAGE_SIZE,
+        query: page.query,
+        sortBy: page.sortBy,
+        sortOrder: page.sortOrder,
+        locale: page.locale,
+        includeFallback: page.includeFallback,
+        only: page.only,
+        except: page.except
+      });
+
+    // Make API request
+    // Contentstack Delivery API: branch in query string, headers for auth
+    // Note: Branch is in query string, not header for Delivery API
+    var headers = getRequestHeaders(apiKey, deliveryToken, previewToken);
+
+    // Only whether each credential is present is logged, never any part of it
+    logger.debug('Fetching ' + (isAssets ? 'assets' : 'entries') + ' from ' + branch + ' branch', {
+      contentType: contentType,
+      environment: environment,
+      url: url,
+      credentials: {
+        api_key: proxyMode ? 'held by proxy' : (apiKey ? 'set' : 'missing'),
+        access_token: proxyMode ? 'held by proxy' : (deliveryToken ? 'set' : 'missing'),
+        preview_token: !previewMode ? 'not used' : proxyMode ? 'held by proxy' : (previewToken ? 'set' : 'missing')
+      }
+    });
+
+    return requestDeliveryApi(url, headers, page.signal)
+    .then(function(data) {
+      var entries = (isAssets ? data.assets : data.entries) || [];
+      var entryUids = entries.map(function(e) { return e.uid; });
+
+      // Check branch information from API response
+      var responseBranch = data.branch || data._branch || 'not in response';
+      var firstEntryBranch = entries.length > 0 && entries[0]._branch ? entries[0]._branch : 'none';
+
+      logger.debug('Delivery API response for ' + branch + ' branch', {
+        entriesCount: entries.length,
+        totalCount: data.count,
+        entryUids: entryUids,
+        apiResponseBranch: responseBranch,
+        firstEntryBranch: firstEntryBranch
+      });
+
+      // Verify entries are from the correct branch
+      if (responseBranch !== 'not in response' && responseBranch !== branch) {
+        logger.warn('The Delivery API returned branch "' + responseBranch + '" but "' + branch + '" was requested');
+      }
+
+      // Check if entries have branch metadata (from include_branch=true)
+      if (entries.length > 0) {
+        var entryBranches = entries.map(function(e) { return e._branch; }).filter(function(b) { return b; });
+        if (entryBranches.length > 0) {
+          var uniqueBranches = entryBranches.filter(function(value, index, self) {
+            return self.indexOf(value) === index;
+          });
+          logger.debug('Entry branch metadata from include_branch', uniqueBranches);
+
+          // Warn if entries have different branch than requested
+          if (uniqueBranches.length === 1 && uniqueBranches[0] !== branch) {
+            logger.warn('Entries have _branch "' + uniqueBranches[0] + '" but "' + branch + '" was requested');
+          }
+        }
+      }
+
+      return {
+        entries: entries,
+        count: typeof data.count === 'number' ? data.count : (page.skip || 0) + entries.length
+      };
+    });
+  }
+
+  /**
+   * Fetch a single entry from a specific branch using Contentstack Delivery API
+   * Rejects like requestDeliveryApi
+   */
+  function fetchEntryFromBranch(branch, contentType, entryUid, apiKey, deliveryToken, previewToken, environment, region) {
+    var isAssets = contentType === ASSET_CONTENT_TYPE;
+    var url = isAssets
+      ? DeliveryApi.getAssetUrl(getApiBaseUrl(region), entryUid, { environment: environment, branch: branch })
+      : DeliveryApi.getEntryUrl(getApiBaseUrl(region), contentType, entryUid, {
+        environment: environment,
+        branch: branch,
+        locale: contentLocale,
+        includeFallback: includeFallback
+      });
+
+    return requestDeliveryApi(url, getRequestHeaders(apiKey, deliveryToken, previewToken))
+    .then(function(body) {
+      return isAssets ? body.asset : body.entry;
+    });
+  }
+
+  /**
+   * Headers for a Delivery API (or Preview API) request
+   * In proxy mode the proxy adds the stack's credentials, so none are sent from the browser
+   */
+  function getRequestHeaders(apiKey, deliveryToken, previewToken) {
+    return DeliveryApi.getRequestHeaders({
+      apiKey: apiKey,
+      deliveryToken: deliveryToken,
+      previewToken: previewToken,
+      preview: previewMode,
+      proxy: proxyMode
+    });
+  }
+
+  /**
+   * GET a Delivery API URL and resolve to the parsed JSON body
+   * Failed attempts are retried as described at MAX_RETRIES. Rejects with an Error
+   * carrying `kind` (see getErrorKind), and for HTTP errors `status` and the API's
+   * error `body`; cancelling through `signal` rejects with an AbortError
+   */
+  function requestDeliveryApi(url, headers, signal) {
+    function attempt(retryCount) {
+      var started = Date.now();
+      return fetchWithTimeout(url, headers, signal)
+        .then(function(response) {
+          return response.json()
+            .catch(function() { return {}; })
+            .then(function(body) {
+              recordRequest(url, response.status, body, started);
+              if (response.ok) {
+                return body;
+              }
+              var error = new Error(body.error_message || ('API request failed: ' + response.status + ' ' + (response.statusText || '')));
+              error.status = response.status;
+              error.body = body;
+              error.retryAfter = parseRetryAfter(response.headers ? response.headers.get('Retry-After') : null);
+              error.kind = getErrorKind(error);
+              throw error;
+            });
+        })
+        .catch(function(error) {
+          if (error.kind === 'network' || error.kind === 'timeout') {
+            recordRequest(url, error.kind, null, started);
+          }
+          if (isAbortError(error) || !isRetryableError(error) || retryCount >= MAX_RETRIES) {
+            throw error;
+          }
+          var delay = getRetryDelay(error, retryCount);
+          logger.warn('Delivery API request failed (' + error.message + '), retrying in ' + delay + 'ms');
+          return wait(delay, signal).then(function() {
+            return attempt(retryCount + 1);
+          });
+        });
+    }
+
+    return attempt(0);
+  }
+
+  /**
+   * Add a request to the diagnostics panel's request log
+   * status is the HTTP status, or 'network' / 'timeout'
+   */
+  function recordRequest(url, status, body, started) {
+    var count = '';
+    if (body && Array.isArray(body.entries)) {
+      count = body.entries.length + (typeof body.count === 'number' ? ' of ' + body.count : '') + ' entries';
+    } else if (body && Array.isArray(body.assets)) {
+      count = body.assets.length + (typeof body.count === 'number' ? ' of ' + body.count : '') + ' assets';
+    } else if (body && body.entry) {
+      count = '1 entry';
+    } else if (body && body.asset) {
+      count = '1 asset';
+    }
+
+    requests.push({
+      time: new Date().toISOString(),
+      url: logger.redact(url),
+      status: status,
+      count: count,
+      ms: Date.now() - started
+    });
+    if (requests.length > MAX_RECORDED_REQUESTS) {
+      requests.shift();
+    }
+
+    onActivity();
+  }
+
+  /**
+   * fetch() that gives up after REQUEST_TIMEOUT_MS
+   * Network failures and timeouts reject with an Error of kind 'network' / 'timeout'
+   */
+  function fetchWithTimeout(url, headers, signal) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    var timedOut = false;
+    var timer = null;
+
+    function abort() {
+      controller.abort();
+    }
+
+    if (controller) {
+      if (signal && signal.aborted) {
+        controller.abort();
+      } else if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+      timer = setTimeout(function() {
+        timedOut = true;
+        controller.abort();
+      }, REQUEST_TIMEOUT_MS);
+    }
+
+    function cleanUp() {
+      clearTimeout(timer);
+      if (controller && signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+
+    return fetch(url, {
+      method: 'GET',
+      headers: headers,
+      signal: controller ? controller.signal : signal
+    })
+      .then(function(response) {
+        cleanUp();
+        return response;
+      }, function(error) {
+        cleanUp();
+        var requestError;
+        if (timedOut) {
+          requestError = new Error('The Delivery API did not respond within ' + (REQUEST_TIMEOUT_MS / 1000) + ' seconds');
+          requestError.kind = 'timeout';
+        } else if (isAbortError(error)) {
+          throw error;
+        } else {
+          requestError = new Error('Network error: ' + error.message);
+          requestError.kind = 'network';
+        }
+        throw requestError;
+      });
+  }
+
+  /**
+   * Get API base URL based on region
+   * Contentstack Delivery API uses CDN endpoints, not Management API endpoints;
+   * preview mode uses the region's Preview API. config.host / previewHost win over both,
+   * and config.proxyUrl over everything (the proxy picks the upstream)
+   */
+  function getApiBaseUrl(region) {
+    return DeliveryApi.getApiBaseUrl({
+      region: region,
+      host: apiEndpoint.host,
+      previewHost: apiEndpoint.previewHost,
+      proxyUrl: apiEndpoint.proxyUrl,
+      preview: previewMode
+    });
+  }
+
+  /**
+   * Fetch a stored reference on its recorded branch and classify the outcome
+   * Resolves (never rejects) to { status, entry?, message? } where status is one of
+   * ok, missing, unpublished, not-found, branch-missing or error
+   */
+  function resolveReference(reference) {
+    var source = settings.branchList.branches.find(function(branchInfo) {
+      return branchInfo.branch === reference._branch;
+    });
+    var token = source ? source.token : deliveryToken;
+    var referencePreviewToken = source ? source.previewToken : previewToken;
+    // Values saved without a content type may be of any of the configured types
+    var candidateTypes = reference._content_type_uid ? [reference._content_type_uid] : contentTypes;
+    var referenceContentType = candidateTypes.length === 1 ? candidateTypes[0] : null;
+
+    if (candidateTypes.length === 0) {
+      return Promise.resolve({ status: 'error', message: 'Content type not specified' });
+    }
+
+    function tryContentType(index) {
+      return fetchEntryFromBranch(reference._branch, candidateTypes[index], reference.uid, apiKey, token, referencePreviewToken, environment, region)
+        .then(function(entry) {
+          entry._content_type_uid = candidateTypes[index];
+          return entry;
+        }, function(error) {
+          if (isMissingEntryError(error) && index + 1 < candidateTypes.length) {
+            return tryContentType(index + 1);
+          }
+          throw error;
+        });
+    }
+
+    return tryContentType(0)
+      .then(function(entry) {
+        return { status: 'ok', entry: entry };
+      })
+      .catch(function(error) {
+        if (isMissingBranchError(error)) {
+          return { status: 'branch-missing' };
+        }
+        if (isMissingEntryError(error)) {
+          // The Delivery API cannot tell a deleted entry from an unpublished one
+          return checkEntryInStack(reference, referenceContentType).then(function(exists) {
+            if (exists === true) return { status: 'unpublished' };
+            if (exists === false) return { status: 'missing' };
+            return { status: 'not-found' };
+          });
+        }
+        logger.error('Error resolving reference', reference, error);
+        return { status: 'error', message: error.message };
+      });
+  }
+
+  /**
+   * Ask the stack (through the SDK) whether an entry exists at all
+   * Only possible for the branch being edited, as that is the branch the SDK talks to,
+   * and when the content type is known
+   * Resolves to true, false, or null when it cannot tell
+   */
+  function checkEntryInStack(reference, referenceContentType) {
+    if (!referenceContentType || referenceContentType === ASSET_CONTENT_TYPE ||
+        reference._branch !== currentBranch || !stack || typeof stack.ContentType !== 'function') {
+      return Promise.resolve(null);
+    }
+
+    try {
+      return stack.ContentType(referenceContentType).Entry(reference.uid).fetch()
+        .then(function() {
+          return true;
+        }, function(error) {
+          return error && error.error_code === ENTRY_NOT_FOUND_ERROR_CODE ? false : null;
+        });
+    } catch (e) {
+      return Promise.resolve(null);
+    }
+  }
+
+  return {
+    createBranchSource: createBranchSource,
+    loadFirstPages: loadFirstPages,
+    loadNextPage: loadNextPage,
+    retryFailedPages: retryFailedPages,
+    shiftCursor: shiftCursor,
+    hasMorePages: hasMorePages,
+    getLoadedCount: getLoadedCount,
+    getTotalCount: getTotalCount,
+    getSourceError: getSourceError,
+    hasCachedFirstPages: hasCachedFirstPages,
+    clearCache: clearCache,
+    resolveReference: resolveReference,
+    getApiBaseUrl: function() { return getApiBaseUrl(region); },
+    getRequestLog: function() { return requests; },
+    getDuplicates: function() { return lastDuplicates; }
+  };
+}
+
+/**
+ * Classify a request error: 'auth' (401/403/412), 'rate-limit' (429), 'branch' and
+ * 'content-type' (422 for an unknown branch or content type), 'server' (5xx),
+ * 'timeout', 'network', or 'http' for any other failure
+ */
+function getErrorKind(error) {
+  if (error.kind) return error.kind;
+
+  var status = error.status;
+  var body = error.body || {};
+  if (status === 401 || status === 403 || status === 412) return 'auth';
+  if (status === 429) return 'rate-limit';
+  if (status === 422 && isMissingBranchError(error)) return 'branch';
+  if (status === 422 && (body.error_code === CONTENT_TYPE_NOT_FOUND_ERROR_CODE ||
+      (body.errors && body.errors.content_type_uid) || /content type/i.test(body.error_message || ''))) {
+    return 'content-type';
+  }
+  if (status >= 500) return 'server';
+  return 'http';
+}
+
+/**
+ * Failures that may succeed when the request is repeated
+ */
+function isRetryableError(error) {
+  var kind = getErrorKind(error);
+  return kind === 'rate-limit' || kind === 'server' || kind === 'timeout' || kind === 'network';
+}
+
+/**
+ * Milliseconds from a Retry-After header (seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  var date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number retryCount + 1: what the API asked for, otherwise
+ * exponential backoff with jitter
+ */
+function getRetryDelay(error, retryCount) {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, MAX_RETRY_DELAY_MS);
+  }
+  var backoff = RETRY_BASE_DELAY_MS * Math.pow(2, retryCount);
+  return Math.min(backoff + Math.round(Math.random() * RETRY_BASE_DELAY_MS), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Resolve after ms, or reject with an AbortError as soon as signal is aborted
+ */
+function wait(ms, signal) {
+  return new Promise(function(resolve, reject) {
+    function abort() {
+      clearTimeout(timer);
+      var error = new Error('The request was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    }
+    var timer = setTimeout(function() {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, ms);
+    if (signal && signal.aborted) {
+      abort();
+    } else if (signal) {
+      signal.addEventListener('abort', abort);
+    }
+  });
+}
+
+/**
+ * Check whether a fetch was cancelled through its AbortController
+ */
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Delivery API error for an entry (or asset) that is not available in the environment
+ */
+function isMissingEntryError(error) {
+  return error.status === 404 || (!!error.body &&
+    (error.body.error_code === ENTRY_NOT_FOUND_ERROR_CODE || error.body.error_code === ASSET_NOT_FOUND_ERROR_CODE));
+}
+
+/**
+ * Delivery API error for a branch that does not exist (any error that names the branch)
+ */
+function isMissingBranchError(error) {
+  var body = error.body || {};
+  return !!error.status && (
+    !!(body.errors && body.errors.branch) ||
+    /branch/i.test(body.error_message || '')
+  );
+}
+
+/**
+ * sessionStorage, or null where it is unavailable (e.g. blocked in a sandboxed frame)
+ */
+function getSessionStorage() {
+  try {
+    return window.sessionStorage || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  REQUEST_TIMEOUT_MS: REQUEST_TIMEOUT_MS,
+  MAX_RETRIES: MAX_RETRIES,
+  createFetchClient: createFetchClient,
+  getErrorKind: getErrorKind,
+  isAbortError: isAbortError,
+  isMissingEntryError: isMissingEntryError,
+  isMissingBranchError: isMissingBranchError,
+  parseRetryAfter: parseRetryAfter,
+  getRetryDelay: getRetryDelay
+};
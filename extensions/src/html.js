@@ -0,0 +1,34 @@
+/**
+ * HTML helpers shared by the renderer and the diagnostics panel
+ */
+
+'use strict';
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  // Quotes too: the result also goes into attribute values (aria-label, title, alt)
+  return (text == null ? '' : String(text)).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a value for a quoted attribute selector, e.g. '[data-entry-uid="' + cssEscape(uid) + '"]'
+ * Uses CSS.escape where the browser has it
+ */
+function cssEscape(value) {
+  var text = value == null ? '' : String(value);
+  if (typeof CSS !== 'undefined' && CSS.escape) {
+    return CSS.escape(text);
+  }
+  // The same escapes CSS.escape makes for ASCII; other characters are valid as they are
+  return text.replace(/[^\w\u0080-\uffff-]/g, function(character) {
+    return '\\' + character.charCodeAt(0).toString(16) + ' ';
+  });
+}
+
+module.exports = {
+  escapeHtml: escapeHtml,
+  cssEscape: cssEscape
+};
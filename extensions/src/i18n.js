@@ -0,0 +1,380 @@
+/**
+ * Author-facing text of the Main Branch Content Selector, in English, German and French
+ */
+
+'use strict';
+
+var escapeHtml = require('./html').escapeHtml;
+
+// Author-facing text, by uiLanguage; "{name}" marks a value filled in by t()
+// Config errors and the diagnostics panel are for developers and stay in English
+var DEFAULT_UI_LANGUAGE = 'en';
+var UI_STRINGS = {
+  en: {
+    loading: 'Loading content from {branches}...',
+    loadError: 'Error loading content: {message}',
+    invalidConfig: 'Invalid field configuration:',
+    noContent: 'No content found.',
+    noMatches: 'No content matches "{term}".',
+    searchPlaceholder: 'Search content...',
+    searchLabel: 'Search content',
+    searching: 'Searching for "{term}"...',
+    searchFailed: 'Search failed: {message}',
+    refresh: 'Refresh',
+    refreshTitle: 'Reload entries from the Delivery API',
+    refreshing: 'Refreshing...',
+    allContentTypes: 'All',
+    previewModeNote: 'Preview mode: entries include changes not yet published to {environment}.',
+    listHelpSingle: 'Use the up and down arrow keys, Home and End to move through the entries, and Enter or Space to select an entry.',
+    listHelpMultiple: 'Use the up and down arrow keys, Home and End to move through the entries, and Enter or Space to add or remove an entry.',
+    listHelpPreview: 'Press the right arrow key to preview an entry and Escape to close the preview.',
+    listHelpCompare: 'Press Shift and the right arrow key to compare the versions of an overridden entry.',
+    listHelpTypeAhead: 'Type the start of a title to jump to it.',
+    editingInBranch: 'Editing in branch {branch}',
+    branchAliases: '(alias {aliases})',
+    browseBranch: 'Browse',
+    configuredBranches: 'Configured branches',
+    editingBranchOption: '{branch} (editing)',
+    branchNotDetected: 'Could not detect the branch this entry is edited in, so "main" is assumed and content from child branches may be missing. Set "currentBranch" in the field config.',
+    branchFromConfig: 'Set by "currentBranch" in the field config',
+    branchFromStack: 'Reported by the stack',
+    branchFromUrl: 'Read from the page URL',
+    branchAssumed: 'Not detected; "main" assumed',
+    mainBranchLabel: 'Main Branch',
+    branchLabel: '{name} Branch',
+    unknownBranch: 'Unknown',
+    branchHeader: '{label} ({loaded})',
+    branchHeaderWithTotal: '{label} ({loaded} of {total})',
+    loadMore: 'Load more from {branch}',
+    loadingMore: 'Loading...',
+    retry: 'Retry',
+    retrying: 'Retrying...',
+    errorProxyRefused: 'The proxy refused the request ({status}): {message}',
+    errorAccessDenied: 'Access denied ({status}). Check that the delivery token for {branchLabel} is valid and has access to the "{branch}" branch and the "{environment}" environment.',
+    errorAccessDeniedPreview: 'Access denied ({status}). Check that the delivery and preview tokens for {branchLabel} are valid and have access to the "{branch}" branch and the "{environment}" environment.',
+    errorContentType: 'Content type "{contentType}" does not exist in the "{branch}" branch.',
+    errorBranch: 'Branch "{branch}" does not exist.',
+    errorRateLimit: 'The Delivery API rate limit was reached. Wait a moment, then retry.',
+    errorTimeout: 'The Delivery API did not respond in time.',
+    errorNetwork: 'Could not reach the Delivery API. Check your network connection.',
+    errorOther: 'Could not load entries: {message}',
+    optionLabel: '{title}, {branch}',
+    optionLabelOverridden: '{title}, {branch}, overridden in {branches}',
+    updated: 'Updated: {date}',
+    preview: 'Preview',
+    previewOf: 'Preview of {title}',
+    untitled: 'Untitled',
+    valueYes: 'Yes',
+    valueNo: 'No',
+    referenceCountOne: '1 reference',
+    referenceCountOther: '{count} references',
+    overriddenIn: 'Overridden in {branches}',
+    compareVersions: 'Compare versions',
+    versionsOf: 'Versions of {title}',
+    branch: 'Branch',
+    version: 'Version',
+    updatedColumn: 'Updated',
+    noDifferences: 'No differences in the loaded fields.',
+    usageNone: 'Not referenced',
+    usageOne: 'Used in 1 entry',
+    usageOther: 'Used in {count} entries',
+    usedBy: 'Used by',
+    usageEntry: '{title} ({contentType}, {branch})',
+    usageMore: 'and {count} more',
+    usageReportDate: 'Usage as of {date}',
+    file: 'File',
+    dimensions: '{width} × {height} px',
+    sizeBytes: '{size} B',
+    sizeKilobytes: '{size} KB',
+    sizeMegabytes: '{size} MB',
+    sizeGigabytes: '{size} GB',
+    useThisVersion: 'Use this version',
+    locale: 'Locale: {locale}',
+    localeFallback: 'Not localized in {requested}; shown in {locale}',
+    addToSelection: 'Add to selection',
+    removeFromSelection: 'Remove from selection',
+    selected: 'Selected',
+    selectThisEntry: 'Select this entry',
+    selectedItems: 'Selected Items ({count})',
+    selectedItem: 'Selected Item',
+    noItemsSelected: 'No items selected',
+    reorderHint: 'Drag, or press Alt + arrow keys, to reorder',
+    replace: 'Replace',
+    replaceEntry: 'Replace {title}',
+    removeEntry: 'Remove {title}',
+    replaceHint: 'Choose an entry below to replace {uid} ({branch}).',
+    cancel: 'Cancel',
+    itemCountOne: '{count} item',
+    itemCountOther: '{count} items',
+    selectionFull: 'You can select up to {items}. Remove one before adding another.',
+    tooFewSelected: 'Select at least {items} ({count} selected).',
+    tooManySelected: 'Select no more than {items} ({count} selected).',
+    limitExactly: 'Select exactly {items}.',
+    limitRange: 'Select {min} to {items}.',
+    limitAtLeast: 'Select at least {items}.',
+    limitUpTo: 'Select up to {items}.',
+    referenceChecking: 'Checking...',
+    referenceDeleted: 'Missing: entry was deleted',
+    referenceUnpublished: 'Unpublished in {environment}',
+    referenceMissing: 'Missing or unpublished in {environment}',
+    referenceBranchGone: 'Branch "{branch}" no longer exists',
+    referenceError: 'Could not load: {message}',
+    unknownError: 'unknown error'
+  },
+  de: {
+    loading: 'Inhalte aus {branches} werden geladen...',
+    loadError: 'Fehler beim Laden der Inhalte: {message}',
+    invalidConfig: 'Ungültige Feldkonfiguration:',
+    noContent: 'Keine Inhalte gefunden.',
+    noMatches: 'Keine Inhalte zu „{term}“ gefunden.',
+    searchPlaceholder: 'Inhalte durchsuchen...',
+    searchLabel: 'Inhalte durchsuchen',
+    searching: 'Suche nach „{term}“...',
+    searchFailed: 'Suche fehlgeschlagen: {message}',
+    refresh: 'Aktualisieren',
+    refreshTitle: 'Einträge neu von der Delivery API laden',
+    refreshing: 'Wird aktualisiert...',
+    allContentTypes: 'Alle',
+    previewModeNote: 'Vorschaumodus: Die Einträge enthalten Änderungen, die noch nicht in {environment} veröffentlicht sind.',
+    listHelpSingle: 'Mit den Pfeiltasten nach oben und unten, Pos1 und Ende bewegen Sie sich durch die Einträge; mit Eingabe oder Leertaste wählen Sie einen Eintrag aus.',
+    listHelpMultiple: 'Mit den Pfeiltasten nach oben und unten, Pos1 und Ende bewegen Sie sich durch die Einträge; mit Eingabe oder Leertaste fügen Sie einen Eintrag hinzu oder entfernen ihn.',
+    listHelpPreview: 'Die Pfeiltaste nach rechts öffnet die Vorschau eines Eintrags, Escape schließt sie.',
+    listHelpCompare: 'Umschalt und Pfeiltaste nach rechts vergleichen die Versionen eines überschriebenen Eintrags.',
+    listHelpTypeAhead: 'Tippen Sie den Anfang eines Titels, um dorthin zu springen.',
+    editingInBranch: 'Bearbeitung im Branch {branch}',
+    branchAliases: '(Alias {aliases})',
+    browseBranch: 'Durchsuchen',
+    configuredBranches: 'Konfigurierte Branches',
+    editingBranchOption: '{branch} (in Bearbeitung)',
+    branchNotDetected: 'Der Branch dieses Eintrags konnte nicht erkannt werden. Es wird „main“ angenommen, daher fehlen eventuell Inhalte aus untergeordneten Branches. Legen Sie „currentBranch“ in der Feldkonfiguration fest.',
+    branchFromConfig: 'Durch „currentBranch“ in der Feldkonfiguration festgelegt',
+    branchFromStack: 'Vom Stack gemeldet',
+    branchFromUrl: 'Aus der Seiten-URL gelesen',
+    branchAssumed: 'Nicht erkannt; „main“ angenommen',
+    mainBranchLabel: 'Haupt-Branch',
+    branchLabel: 'Branch {name}',
+    unknownBranch: 'Unbekannt',
+    branchHeader: '{label} ({loaded})',
+    branchHeaderWithTotal: '{label} ({loaded} von {total})',
+    loadMore: 'Mehr aus {branch} laden',
+    loadingMore: 'Wird geladen...',
+    retry: 'Erneut versuchen',
+    retrying: 'Neuer Versuch...',
+    errorProxyRefused: 'Der Proxy hat die Anfrage abgelehnt ({status}): {message}',
+    errorAccessDenied: 'Zugriff verweigert ({status}). Prüfen Sie, ob der Delivery Token für {branchLabel} gültig ist und Zugriff auf den Branch „{branch}“ und die Umgebung „{environment}“ hat.',
+    errorAccessDeniedPreview: 'Zugriff verweigert ({status}). Prüfen Sie, ob der Delivery und der Preview Token für {branchLabel} gültig sind und Zugriff auf den Branch „{branch}“ und die Umgebung „{environment}“ haben.',
+    errorContentType: 'Der Inhaltstyp „{contentType}“ existiert im Branch „{branch}“ nicht.',
+    errorBranch: 'Der Branch „{branch}“ existiert nicht.',
+    errorRateLimit: 'Das Anfragelimit der Delivery API wurde erreicht. Warten Sie einen Moment und versuchen Sie es erneut.',
+    errorTimeout: 'Die Delivery API hat nicht rechtzeitig geantwortet.',
+    errorNetwork: 'Die Delivery API ist nicht erreichbar. Prüfen Sie Ihre Netzwerkverbindung.',
+    errorOther: 'Einträge konnten nicht geladen werden: {message}',
+    optionLabel: '{title}, {branch}',
+    optionLabelOverridden: '{title}, {branch}, überschrieben in {branches}',
+    updated: 'Aktualisiert: {date}',
+    preview: 'Vorschau',
+    previewOf: 'Vorschau von {title}',
+    untitled: 'Ohne Titel',
+    valueYes: 'Ja',
+    valueNo: 'Nein',
+    referenceCountOne: '1 Referenz',
+    referenceCountOther: '{count} Referenzen',
+    overriddenIn: 'Überschrieben in {branches}',
+    compareVersions: 'Versionen vergleichen',
+    versionsOf: 'Versionen von {title}',
+    branch: 'Branch',
+    version: 'Version',
+    updatedColumn: 'Aktualisiert',
+    noDifferences: 'Keine Unterschiede in den geladenen Feldern.',
+    usageNone: 'Nicht referenziert',
+    usageOne: 'In 1 Eintrag verwendet',
+    usageOther: 'In {count} Einträgen verwendet',
+    usedBy: 'Verwendet von',
+    usageEntry: '{title} ({contentType}, {branch})',
+    usageMore: 'und {count} weitere',
+    usageReportDate: 'Verwendung laut Bericht vom {date}',
+    file: 'Datei',
+    dimensions: '{width} × {height} px',
+    sizeBytes: '{size} B',
+    sizeKilobytes: '{size} KB',
+    sizeMegabytes: '{size} MB',
+    sizeGigabytes: '{size} GB',
+    useThisVersion: 'Diese Version verwenden',
+    locale: 'Sprache: {locale}',
+    localeFallback: 'Nicht in {requested} lokalisiert; angezeigt in {locale}',
+    addToSelection: 'Zur Auswahl hinzufügen',
+    removeFromSelection: 'Aus der Auswahl entfernen',
+    selected: 'Ausgewählt',
+    selectThisEntry: 'Diesen Eintrag auswählen',
+    selectedItems: 'Ausgewählte Einträge ({count})',
+    selectedItem: 'Ausgewählter Eintrag',
+    noItemsSelected: 'Keine Einträge ausgewählt',
+    reorderHint: 'Zum Umsortieren ziehen oder Alt und Pfeiltasten drücken',
+    replace: 'Ersetzen',
+    replaceEntry: '{title} ersetzen',
+    removeEntry: '{title} entfernen',
+    replaceHint: 'Wählen Sie unten einen Eintrag, der {uid} ({branch}) ersetzt.',
+    cancel: 'Abbrechen',
+    itemCountOne: '{count} Eintrag',
+    itemCountOther: '{count} Einträge',
+    selectionFull: 'Sie können höchstens {items} auswählen. Entfernen Sie einen, bevor Sie einen weiteren hinzufügen.',
+    tooFewSelected: 'Wählen Sie mindestens {items} aus ({count} ausgewählt).',
+    tooManySelected: 'Wählen Sie höchstens {items} aus ({count} ausgewählt).',
+    limitExactly: 'Wählen Sie genau {items} aus.',
+    limitRange: 'Wählen Sie {min} bis {items} aus.',
+    limitAtLeast: 'Wählen Sie mindestens {items} aus.',
+    limitUpTo: 'Wählen Sie bis zu {items} aus.',
+    referenceChecking: 'Wird geprüft...',
+    referenceDeleted: 'Fehlt: Eintrag wurde gelöscht',
+    referenceUnpublished: 'Nicht in {environment} veröffentlicht',
+    referenceMissing: 'Fehlt oder nicht in {environment} veröffentlicht',
+    referenceBranchGone: 'Der Branch „{branch}“ existiert nicht mehr',
+    referenceError: 'Konnte nicht geladen werden: {message}',
+    unknownError: 'unbekannter Fehler'
+  },
+  fr: {
+    loading: 'Chargement du contenu de {branches}...',
+    loadError: 'Erreur lors du chargement du contenu : {message}',
+    invalidConfig: 'Configuration du champ non valide :',
+    noContent: 'Aucun contenu trouvé.',
+    noMatches: 'Aucun contenu ne correspond à « {term} ».',
+    searchPlaceholder: 'Rechercher du contenu...',
+    searchLabel: 'Rechercher du contenu',
+    searching: 'Recherche de « {term} »...',
+    searchFailed: 'La recherche a échoué : {message}',
+    refresh: 'Actualiser',
+    refreshTitle: 'Recharger les entrées depuis la Delivery API',
+    refreshing: 'Actualisation...',
+    allContentTypes: 'Tous',
+    previewModeNote: 'Mode aperçu : les entrées incluent des modifications pas encore publiées sur {environment}.',
+    listHelpSingle: 'Utilisez les flèches haut et bas, Début et Fin pour parcourir les entrées, et Entrée ou Espace pour sélectionner une entrée.',
+    listHelpMultiple: 'Utilisez les flèches haut et bas, Début et Fin pour parcourir les entrées, et Entrée ou Espace pour ajouter ou retirer une entrée.',
+    listHelpPreview: 'La flèche droite ouvre l’aperçu d’une entrée et Échap le ferme.',
+    listHelpCompare: 'Maj et la flèche droite comparent les versions d’une entrée remplacée.',
+    listHelpTypeAhead: 'Tapez le début d’un titre pour y accéder.',
+    editingInBranch: 'Modification dans la branche {branch}',
+    branchAliases: '(alias {aliases})',
+    browseBranch: 'Parcourir',
+    configuredBranches: 'Branches configurées',
+    editingBranchOption: '{branch} (en cours de modification)',
+    branchNotDetected: 'La branche de cette entrée n’a pas pu être détectée : « main » est utilisée et le contenu des branches enfants peut manquer. Définissez « currentBranch » dans la configuration du champ.',
+    branchFromConfig: 'Défini par « currentBranch » dans la configuration du champ',
+    branchFromStack: 'Indiquée par la stack',
+    branchFromUrl: 'Lue dans l’URL de la page',
+    branchAssumed: 'Non détectée ; « main » utilisée',
+    mainBranchLabel: 'Branche principale',
+    branchLabel: 'Branche {name}',
+    unknownBranch: 'Inconnue',
+    branchHeader: '{label} ({loaded})',
+    branchHeaderWithTotal: '{label} ({loaded} sur {total})',
+    loadMore: 'Charger plus depuis {branch}',
+    loadingMore: 'Chargement...',
+    retry: 'Réessayer',
+    retrying: 'Nouvelle tentative...',
+    errorProxyRefused: 'Le proxy a refusé la requête ({status}) : {message}',
+    errorAccessDenied: 'Accès refusé ({status}). Vérifiez que le jeton de diffusion de {branchLabel} est valide et a accès à la branche « {branch} » et à l’environnement « {environment} ».',
+    errorAccessDeniedPreview: 'Accès refusé ({status}). Vérifiez que les jetons de diffusion et d’aperçu de {branchLabel} sont valides et ont accès à la branche « {branch} » et à l’environnement « {environment} ».',
+    errorContentType: 'Le type de contenu « {contentType} » n’existe pas dans la branche « {branch} ».',
+    errorBranch: 'La branche « {branch} » n’existe pas.',
+    errorRateLimit: 'La limite de requêtes de la Delivery API est atteinte. Patientez un instant, puis réessayez.',
+    errorTimeout: 'La Delivery API n’a pas répondu à temps.',
+    errorNetwork: 'Impossible de joindre la Delivery API. Vérifiez votre connexion réseau.',
+    errorOther: 'Impossible de charger les entrées : {message}',
+    optionLabel: '{title}, {branch}',
+    optionLabelOverridden: '{title}, {branch}, remplacée dans {branches}',
+    updated: 'Mise à jour : {date}',
+    preview: 'Aperçu',
+    previewOf: 'Aperçu de {title}',
+    untitled: 'Sans titre',
+    valueYes: 'Oui',
+    valueNo: 'Non',
+    referenceCountOne: '1 référence',
+    referenceCountOther: '{count} références',
+    overriddenIn: 'Remplacée dans {branches}',
+    compareVersions: 'Comparer les versions',
+    versionsOf: 'Versions de {title}',
+    branch: 'Branche',
+    version: 'Version',
+    updatedColumn: 'Mise à jour',
+    noDifferences: 'Aucune différence dans les champs chargés.',
+    usageNone: 'Non référencée',
+    usageOne: 'Utilisée dans 1 entrée',
+    usageOther: 'Utilisée dans {count} entrées',
+    usedBy: 'Utilisée par',
+    usageEntry: '{title} ({contentType}, {branch})',
+    usageMore: 'et {count} de plus',
+    usageReportDate: 'Utilisation au {date}',
+    file: 'Fichier',
+    dimensions: '{width} × {height} px',
+    sizeBytes: '{size} o',
+    sizeKilobytes: '{size} Ko',
+    sizeMegabytes: '{size} Mo',
+    sizeGigabytes: '{size} Go',
+    useThisVersion: 'Utiliser cette version',
+    locale: 'Langue : {locale}',
+    localeFallback: 'Non localisée en {requested} ; affichée en {locale}',
+    addToSelection: 'Ajouter à la sélection',
+    removeFromSelection: 'Retirer de la sélection',
+    selected: 'Sélectionnée',
+    selectThisEntry: 'Sélectionner cette entrée',
+    selectedItems: 'Éléments sélectionnés ({count})',
+    selectedItem: 'Élément sélectionné',
+    noItemsSelected: 'Aucun élément sélectionné',
+    reorderHint: 'Faites glisser, ou utilisez Alt et les flèches, pour réordonner',
+    replace: 'Remplacer',
+    replaceEntry: 'Remplacer {title}',
+    removeEntry: 'Retirer {title}',
+    replaceHint: 'Choisissez ci-dessous une entrée pour remplacer {uid} ({branch}).',
+    cancel: 'Annuler',
+    itemCountOne: '{count} élément',
+    itemCountOther: '{count} éléments',
+    selectionFull: 'Vous pouvez sélectionner jusqu’à {items}. Retirez-en un avant d’en ajouter un autre.',
+    tooFewSelected: 'Sélectionnez au moins {items} ({count} sélectionné(s)).',
+    tooManySelected: 'Sélectionnez au plus {items} ({count} sélectionné(s)).',
+    limitExactly: 'Sélectionnez exactement {items}.',
+    limitRange: 'Sélectionnez de {min} à {items}.',
+    limitAtLeast: 'Sélectionnez au moins {items}.',
+    limitUpTo: 'Sélectionnez jusqu’à {items}.',
+    referenceChecking: 'Vérification...',
+    referenceDeleted: 'Manquante : l’entrée a été supprimée',
+    referenceUnpublished: 'Non publiée sur {environment}',
+    referenceMissing: 'Manquante ou non publiée sur {environment}',
+    referenceBranchGone: 'La branche « {branch} » n’existe plus',
+    referenceError: 'Chargement impossible : {message}',
+    unknownError: 'erreur inconnue'
+  }
+};
+
+/**
+ * t() and tHtml() over a catalogue of strings (UI_STRINGS[language] with any uiStrings overrides)
+ */
+function createTranslator(strings) {
+  /**
+   * Author-facing text in the UI language, with "{name}" filled in from values
+   */
+  function t(key, values) {
+    return strings[key].replace(/\{(\w+)\}/g, function(match, name) {
+      return values && values[name] !== undefined ? String(values[name]) : match;
+    });
+  }
+
+  /**
+   * t() as HTML: the text is escaped, the values are inserted as they are (so may carry markup)
+   */
+  function tHtml(key, values) {
+    return escapeHtml(strings[key]).replace(/\{(\w+)\}/g, function(match, name) {
+      return values && values[name] !== undefined ? values[name] : match;
+    });
+  }
+
+  return {
+    t: t,
+    tHtml: tHtml
+  };
+}
+
+module.exports = {
+  DEFAULT_UI_LANGUAGE: DEFAULT_UI_LANGUAGE,
+  UI_STRINGS: UI_STRINGS,
+  createTranslator: createTranslator
+};
@@ -0,0 +1,74 @@
+/**
+ * Live entry events from the companion server (proxy/event-stream.js), which relays
+ * Contentstack publish, unpublish and delete webhooks over Server-Sent Events
+ */
+
+'use strict';
+
+// Event types the list reacts to (see toEntryEvent in proxy/event-stream.js)
+var ENTRY_EVENT_TYPES = ['publish', 'unpublish', 'delete'];
+
+/**
+ * Subscribe to entry events for the configured content types and environment
+ * options: { url (the server's base URL), contentTypes, environment, logger, onEvent }
+ * onEvent receives { type, uid, contentType, branch, aliases, environment, locale }
+ * The browser's EventSource reconnects by itself (and the server replays what was
+ * missed). Returns { close }; without EventSource support nothing is subscribed.
+ */
+function subscribeToEntryEvents(options) {
+  var logger = options.logger;
+
+  if (typeof EventSource !== 'function') {
+    logger.warn('Live updates are off: this browser has no EventSource');
+    return { close: function() {} };
+  }
+
+  var params = options.contentTypes.map(function(contentTypeUid) {
+    return 'content_type=' + encodeURIComponent(contentTypeUid);
+  });
+  if (options.environment) {
+    params.push('environment=' + encodeURIComponent(options.environment));
+  }
+
+  var source = new EventSource(options.url + '/events?' + params.join('&'));
+  // Only the first failure of a run is logged; EventSource keeps retrying
+  var connected = false;
+
+  source.addEventListener('open', function() {
+    connected = true;
+    logger.info('Subscribed to live entry events');
+  });
+
+  source.addEventListener('error', function() {
+    if (connected || source.readyState === EventSource.CLOSED) {
+      logger.warn('Live entry events disconnected; reconnecting');
+    }
+    connected = false;
+  });
+
+  source.addEventListener('entry', function(message) {
+    var event;
+    try {
+      event = JSON.parse(message.data);
+    } catch (e) {
+      logger.warn('Ignoring a live event that is not JSON', message.data);
+      return;
+    }
+    if (!event || ENTRY_EVENT_TYPES.indexOf(event.type) === -1 || !event.uid || !event.branch) {
+      logger.warn('Ignoring an unexpected live event', event);
+      return;
+    }
+
+    logger.debug('Live event: ' + event.type + ' ' + event.contentType + '/' + event.uid + ' on ' + event.branch + ' branch');
+    options.onEvent(event);
+  });
+
+  return {
+    close: function() { source.close(); }
+  };
+}
+
+module.exports = {
+  ENTRY_EVENT_TYPES: ENTRY_EVENT_TYPES,
+  subscribeToEntryEvents: subscribeToEntryEvents
+};
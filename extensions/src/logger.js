@@ -0,0 +1,102 @@
+/**
+ * Levelled, redacting logger for the Main Branch Content Selector
+ */
+
+'use strict';
+
+// Console log levels, most severe first; config.debug picks how many are printed
+var LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+var DEFAULT_LOG_LEVEL = 'warn';
+
+// Log entries kept for the diagnostics panel
+var MAX_LOG_ENTRIES = 200;
+
+// Values under keys like these are never logged
+var SECRET_KEY_PATTERN = /token|secret|password|authorization|api_?key/i;
+
+/**
+ * Create the extension's logger
+ * Entries at or above the level are printed to the console; all of them are kept
+ * for the diagnostics panel. Values under secret-looking keys, and every string
+ * registered with addSecret, are replaced with "[redacted]" before either
+ */
+function createLogger() {
+  var level = DEFAULT_LOG_LEVEL;
+  var secrets = [];
+  var entries = [];
+  var listeners = [];
+
+  function write(entryLevel, args) {
+    var entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      message: redact(String(args[0])),
+      details: Array.prototype.slice.call(args, 1).map(function(detail) { return redact(detail); })
+    };
+
+    entries.push(entry);
+    if (entries.length > MAX_LOG_ENTRIES) {
+      entries.shift();
+    }
+
+    if (LOG_LEVELS.indexOf(entryLevel) <= LOG_LEVELS.indexOf(level)) {
+      var method = entryLevel === 'debug' ? 'log' : entryLevel;
+      console[method].apply(console, ['[Main Branch Selector] ' + entry.message].concat(entry.details));
+    }
+
+    listeners.forEach(function(listener) {
+      listener(entry);
+    });
+  }
+
+  /**
+   * Copy of a value that is safe to log (errors become { name, message, status, kind })
+   */
+  function redact(value, depth) {
+    depth = depth || 0;
+    if (typeof value === 'string') {
+      return secrets.reduce(function(text, secret) {
+        return text.split(secret).join('[redacted]');
+      }, value);
+    }
+    if (value instanceof Error) {
+      return { name: value.name, message: redact(value.message), status: value.status, kind: value.kind };
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= 6) {
+      return '[...]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(function(item) { return redact(item, depth + 1); });
+    }
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      copy[key] = SECRET_KEY_PATTERN.test(key) && value[key] ? '[redacted]' : redact(value[key], depth + 1);
+    });
+    return copy;
+  }
+
+  return {
+    setLevel: function(value) { level = value; },
+    addSecret: function(value) {
+      if (typeof value === 'string' && value && secrets.indexOf(value) === -1) {
+        secrets.push(value);
+      }
+    },
+    redact: redact,
+    getEntries: function() { return entries.slice(); },
+    onEntry: function(listener) { listeners.push(listener); },
+    error: function() { write('error', arguments); },
+    warn: function() { write('warn', arguments); },
+    info: function() { write('info', arguments); },
+    debug: function() { write('debug', arguments); }
+  };
+}
+
+module.exports = {
+  LOG_LEVELS: LOG_LEVELS,
+  DEFAULT_LOG_LEVEL: DEFAULT_LOG_LEVEL,
+  createLogger: createLogger
+};
@@ -0,0 +1,143 @@
+/**
+ * Contentstack Custom Field Extension
+ * Main Branch Content Selector
+ *
+ * This extension allows authors to select content from the Main branch
+ * while working in a child site branch.
+ *
+ * Based on official Contentstack extension patterns
+ *
+ * Entry point of the bundle (see scripts/build.js): waits for the SDK, resolves the
+ * field config and wires the fetch client, selection state and renderer together
+ */
+
+'use strict';
+
+var escapeHtml = require('./html').escapeHtml;
+var createLogger = require('./logger').createLogger;
+var resolveConfig = require('./config').resolveConfig;
+var createFetchClient = require('./fetch-client').createFetchClient;
+var createSelectionState = require('./selection').createSelectionState;
+var createRenderer = require('./renderer').createRenderer;
+var createDiagnosticsPanel = require('./diagnostics').createDiagnosticsPanel;
+var subscribeToEntryEvents = require('./live-updates').subscribeToEntryEvents;
+var applyTheme = require('./theme').applyTheme;
+
+var logger = createLogger();
+
+// Initialize the extension using Contentstack UI Extension SDK
+function initializeExtension(extensionField) {
+  var config = extensionField.config || {};
+  var settings = resolveConfig(config, extensionField, logger);
+  var t = settings.text.t;
+
+  // Get container
+  var container = document.getElementById('main-branch-selector-container');
+  if (!container) {
+    logger.error('Container element not found');
+    return;
+  }
+  // Before anything is shown, so config errors are themed too
+  applyTheme(container, settings.theme);
+
+  // Enable auto-resizing (official SDK method)
+  if (extensionField.window && typeof extensionField.window.enableAutoResizing === 'function') {
+    extensionField.window.enableAutoResizing();
+  }
+
+  var diagnostics = null;
+  var renderer = null;
+  var client = createFetchClient({
+    settings: settings,
+    logger: logger,
+    stack: extensionField.stack,
+    onActivity: function() {
+      if (diagnostics) {
+        diagnostics.update();
+      }
+    }
+  });
+
+  // Support can read the resolved config, branch and requests here without devtools
+  if (settings.logSettings.panel) {
+    diagnostics = createDiagnosticsPanel({
+      container: container,
+      sdk: extensionField,
+      logger: logger,
+      settings: settings,
+      config: config,
+      client: client,
+      getBrowsedBranches: function() {
+        return renderer ? renderer.getBrowsedBranches() : [];
+      }
+    });
+  }
+
+  // Refuse to fetch with a config the Delivery API would reject or misread
+  if (settings.errors.length > 0) {
+    logger.error('Invalid field configuration', settings.errors);
+    container.innerHTML = '<div class="cs-extension-error cs-extension-config-errors" role="alert">' +
+      escapeHtml(t('invalidConfig')) + '<ul>' +
+      settings.errors.map(function(message) { return '<li>' + escapeHtml(message) + '</li>'; }).join('') + '</ul></div>';
+    return;
+  }
+
+  renderer = createRenderer({
+    container: container,
+    sdk: extensionField,
+    settings: settings,
+    client: client,
+    selection: createSelectionState({
+      field: extensionField.field,
+      multiple: settings.multiple,
+      maxItems: settings.selectionLimits.maxItems
+    }),
+    logger: logger
+  });
+  renderer.start().then(function() {
+    // Entries published, unpublished or deleted elsewhere update the list without a reload
+    if (settings.eventStreamUrl) {
+      subscribeToEntryEvents({
+        url: settings.eventStreamUrl,
+        contentTypes: settings.contentTypes,
+        environment: settings.environment,
+        logger: logger,
+        onEvent: renderer.applyEntryEvent
+      });
+    }
+  });
+}
+
+// Initialize using Contentstack UI Extension SDK (official pattern)
+if (typeof ContentstackUIExtension !== 'undefined') {
+  // SDK is available, initialize immediately
+  ContentstackUIExtension.init().then(function(extension) {
+    initializeExtension(extension);
+  }).catch(function(error) {
+    logger.error('Error initializing extension', error);
+    var container = document.getElementById('main-branch-selector-container');
+    if (container) {
+      container.innerHTML = '<div class="cs-extension-error">Error initializing extension. Please refresh the page.</div>';
+    }
+  });
+} else {
+  // Wait for SDK to load
+  function waitForSDK() {
+    if (typeof ContentstackUIExtension !== 'undefined') {
+      ContentstackUIExtension.init().then(function(extension) {
+        initializeExtension(extension);
+      }).catch(function(error) {
+        logger.error('Error initializing extension', error);
+      });
+    } else {
+      setTimeout(waitForSDK, 100);
+    }
+  }
+
+  // Start waiting when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', waitForSDK);
+  } else {
+    waitForSDK();
+  }
+}
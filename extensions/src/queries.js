@@ -0,0 +1,32 @@
+/**
+ * Delivery API query building: config filters and search terms
+ */
+
+'use strict';
+
+/**
+ * Combine two Delivery API query objects so both must match
+ */
+function combineQueries(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return { '$and': [a, b] };
+}
+
+/**
+ * Build a case-insensitive $regex query matching the term in any search field
+ */
+function buildSearchQuery(term, fields) {
+  var pattern = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  var conditions = fields.map(function(fieldUid) {
+    var condition = {};
+    condition[fieldUid] = { '$regex': pattern, '$options': 'i' };
+    return condition;
+  });
+  return conditions.length === 1 ? conditions[0] : { '$or': conditions };
+}
+
+module.exports = {
+  combineQueries: combineQueries,
+  buildSearchQuery: buildSearchQuery
+};
@@ -0,0 +1,2026 @@
+/**
+ * The selector's UI: the entry list (browse and search views), previews and version
+ * comparisons, the branch bar and switcher, and the selected items
+ */
+
+'use strict';
+
+var escapeHtml = require('./html').escapeHtml;
+var cssEscape = require('./html').cssEscape;
+var fetchClient = require('./fetch-client');
+var branchMerge = require('./branch-merge');
+var queries = require('./queries');
+var usage = require('./usage');
+var getDefaultBranchLabel = require('./config').getDefaultBranchLabel;
+var getBadgeColor = require('./theme').getBadgeColor;
+
+var getErrorKind = fetchClient.getErrorKind;
+var isAbortError = fetchClient.isAbortError;
+var METADATA_FIELDS = branchMerge.METADATA_FIELDS;
+var resolveDuplicateEntries = branchMerge.resolveDuplicateEntries;
+var getEntryCopies = branchMerge.getEntryCopies;
+var getChangedFields = branchMerge.getChangedFields;
+var combineQueries = queries.combineQueries;
+var buildSearchQuery = queries.buildSearchQuery;
+var loadUsageReport = usage.loadUsageReport;
+var getEntryUsage = usage.getEntryUsage;
+var MAX_LISTED_USERS = usage.MAX_LISTED_USERS;
+
+// Delay between the last keystroke and the search request
+var SEARCH_DEBOUNCE_MS = 300;
+
+// Characters typed on the entry list within this long of each other form one type-ahead search
+var TYPE_AHEAD_RESET_MS = 500;
+
+// Contentstack Image Delivery API parameters for the preview pane
+var PREVIEW_IMAGE_PARAMS = { width: 320, auto: 'webp' };
+
+// Fields shown in the preview pane when config.previewFields is not set
+var MAX_DEFAULT_PREVIEW_FIELDS = 8;
+
+// Asset fields shown in the preview pane (source "assets") when config.previewFields is not set
+var ASSET_PREVIEW_FIELDS = ['title', 'filename', 'content_type', 'file_size', 'dimension', 'description', 'tags'];
+
+// File size units, each 1024 times the one before, by UI string key
+var FILE_SIZE_UNITS = ['sizeBytes', 'sizeKilobytes', 'sizeMegabytes', 'sizeGigabytes'];
+
+/**
+ * Create the selector UI in a container
+ * options: { container, sdk (the initialized extension), settings (see resolveConfig),
+ *            client (see createFetchClient), selection (see createSelectionState), logger }
+ * Nothing is fetched or shown until start() is called
+ */
+function createRenderer(options) {
+  var container = options.container;
+  var sdk = options.sdk;
+  var settings = options.settings;
+  var client = options.client;
+  var selection = options.selection;
+  var logger = options.logger;
+
+  var t = settings.text.t;
+  var tHtml = settings.text.tHtml;
+  var multiple = settings.multiple;
+  var contentTypes = settings.contentTypes;
+  var uiLanguage = settings.uiLanguage;
+  var currentBranch = settings.currentBranch;
+  var branchDetection = settings.branchDetection;
+  var branchList = settings.branchList;
+  var duplicateEntries = settings.duplicateEntries;
+  var environment = settings.environment;
+  var previewMode = settings.previewMode;
+  var proxyMode = settings.proxyMode;
+  var deliveryToken = settings.deliveryToken;
+  var mainBranchToken = settings.mainBranchToken;
+  var previewToken = settings.previewToken;
+  var displayFields = settings.displayFields;
+  var titleField = settings.titleField;
+  var searchFields = settings.searchFields;
+  var entryFilters = settings.entryFilters;
+  var contentLocale = settings.contentLocale;
+  var selectionLimits = settings.selectionLimits;
+  // Files from the asset library instead of entries (config.source)
+  var assetMode = settings.source === 'assets';
+
+  // Branches the list is browsing: the configured ones, or one picked in the branch switcher
+  var browsedBranches = branchList.branches;
+  // Content type titles from the stack, keyed by UID (for the type tabs)
+  var contentTypeTitles = {};
+  // State of the list on screen (null until entries are listed), for live updates
+  var currentListState = null;
+  // Cross-branch usage report (see settings.usageReportUrl), once loaded
+  var usageReport = null;
+
+  /**
+   * Load the first pages of the configured branches and show the selector
+   */
+  function start() {
+    // Paging state for each branch we read from
+    var branchSources = createFirstPageSources('default');
+
+    // Show loading state
+    var loadingText = t('loading', {
+      branches: branchSources.map(function(source) { return source.label; }).join(', ')
+    });
+    container.innerHTML = '<div class="cs-extension-loading">' + escapeHtml(loadingText) + '</div>';
+
+    // Pages cached by an earlier load are shown straight away, then fetched
+    // again in the background and swapped in if they have changed
+    var servedFromCache = client.hasCachedFirstPages(branchSources);
+
+    // The report is fetched alongside the entries and its counts added to whatever is listed by then
+    if (settings.usageReportUrl) {
+      loadUsageReport(settings.usageReportUrl, logger).then(function(report) {
+        usageReport = report;
+        if (report) {
+          showUsageCounts();
+        }
+      });
+    }
+
+    return client.loadFirstPages(branchSources)
+      .then(function(allEntries) {
+        var listState = renderContentSelector(container, allEntries, branchSources);
+
+        if (servedFromCache) {
+          logger.info('Showing cached entries; checking the Delivery API for changes');
+          revalidateBrowseView(container, listState, allEntries, branchSources);
+        }
+      })
+      .catch(function(error) {
+        logger.error('Error fetching content', error);
+        container.innerHTML = '<div class="cs-extension-error">' + escapeHtml(t('loadError', { message: error.message })) + '</div>';
+      });
+  }
+
+  /**
+   * Render the content selector UI
+   * Returns the list state, or null when there is nothing to list
+   */
+  function renderContentSelector(container, entries, sources) {
+    var storedReferences = selection.getReferences();
+    var failed = sources.some(function(source) { return client.getSourceError(source); });
+
+    // Stored references still need to be shown (and possibly flagged) when nothing
+    // else is found, and failed branches need their error banner
+    if (entries.length === 0 && storedReferences.length === 0 && !failed) {
+      // The branch bar may explain why (e.g. the branch could not be detected)
+      container.innerHTML = renderBranchBar() + '<div class="cs-extension-empty">' + escapeHtml(t('noContent')) + '</div>';
+      return null;
+    }
+
+    // Create search input, with a control to bypass the cache and reload the entries
+    var searchHtml = '<div class="cs-extension-search">' +
+      '<input type="text" id="main-branch-search" placeholder="' + escapeHtml(t('searchPlaceholder')) + '" class="cs-extension-search-input"' +
+      ' aria-label="' + escapeHtml(t('searchLabel')) + '" aria-controls="main-branch-list">' +
+      '<button type="button" id="main-branch-refresh" class="cs-extension-refresh-btn" title="' + escapeHtml(t('refreshTitle')) + '">' +
+      escapeHtml(t('refresh')) + '</button>' +
+      '</div>';
+
+    // Create content type tabs when several content types are offered
+    var tabsHtml = '';
+    if (contentTypes.length > 1) {
+      tabsHtml = '<div class="cs-extension-type-tabs" id="main-branch-type-tabs">' +
+        '<button type="button" class="cs-extension-type-tab cs-extension-type-tab-active" data-content-type="" aria-pressed="true">' +
+        escapeHtml(t('allContentTypes')) + '</button>' +
+        contentTypes.map(function(contentTypeUid) {
+          return '<button type="button" class="cs-extension-type-tab" data-content-type="' + escapeHtml(contentTypeUid) + '" aria-pressed="false">' +
+            escapeHtml(getContentTypeLabel(contentTypeUid)) + '</button>';
+        }).join('') +
+        '</div>';
+    }
+
+    // Create content list (filled by renderEntryList); each branch's entries form a
+    // listbox, and the hidden help text tells screen reader users which keys it takes
+    var listHtml = tabsHtml + '<div class="cs-extension-list" id="main-branch-list"></div>' +
+      '<div class="cs-extension-visually-hidden" id="main-branch-list-help">' +
+      escapeHtml([
+        t(multiple ? 'listHelpMultiple' : 'listHelpSingle'),
+        t('listHelpPreview'),
+        duplicateEntries === 'merge' ? t('listHelpCompare') : '',
+        t('listHelpTypeAhead')
+      ].filter(Boolean).join(' ')) + '</div>';
+
+    // Preview mode lists unpublished changes, so say so
+    if (previewMode) {
+      searchHtml += '<div class="cs-extension-mode-note">' + escapeHtml(t('previewModeNote', { environment: environment })) + '</div>';
+    }
+
+    // Create selected items display (always for multiple selection, for a
+    // single selection only when a value is stored so its state can be shown)
+    var selectedHtml = '';
+    if (multiple || storedReferences.length > 0) {
+      selectedHtml = '<div class="cs-extension-selected">' +
+        '<div class="cs-extension-selected-title" id="main-branch-selected-title"></div>' +
+        '<div class="cs-extension-replace-hint" id="main-branch-replace-hint" hidden></div>' +
+        '<div class="cs-extension-selected-list" id="main-branch-selected-list" role="list" aria-labelledby="main-branch-selected-title"></div>' +
+        '<div class="cs-extension-selection-message" id="main-branch-selection-message" hidden></div>' +
+        '</div>';
+    }
+
+    container.innerHTML = renderBranchBar() + searchHtml + selectedHtml + listHtml;
+
+    // The list shows either the browse view (all entries, paged) or the
+    // results of the current search; each view has its own paging state
+    var browseView = { entries: entries, sources: sources, term: '' };
+    var listState = {
+      browse: browseView,
+      active: browseView,
+      searchTimer: null,
+      searchController: null,
+      contentTypeFilter: null,  // Content type tab in use (null = all)
+      observer: null,
+      activeOption: null,  // { uid, branch } of the entry that takes focus when tabbing into the list
+      typeAhead: { text: '', timer: null }
+    };
+
+    // Attach event listeners
+    attachEventListeners(container, listState);
+    setUpBranchSwitcher(container, listState);
+
+    renderEntryList(container, listState);
+
+    // Render selected items; each stored reference is resolved on its own branch
+    renderSelectedItems(container, entries);
+
+    // Update window height after rendering
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+
+    currentListState = listState;
+    return listState;
+  }
+
+  /**
+   * Build the HTML for the branch bar: the branch being edited, the branch switcher
+   * (filled in by setUpBranchSwitcher) and a warning when the branch was not detected
+   */
+  function renderBranchBar() {
+    var aliases = branchDetection.aliases.length > 0
+      ? ' <span class="cs-extension-branch-aliases">' + escapeHtml(t('branchAliases', { aliases: branchDetection.aliases.join(', ') })) + '</span>'
+      : '';
+    var html = '<div class="cs-extension-branch-bar">' +
+      '<span class="cs-extension-branch-context" title="' + escapeHtml(getBranchDetectionText()) + '">' +
+      tHtml('editingInBranch', { branch: '<strong>' + escapeHtml(currentBranch) + '</strong>' }) + aliases + '</span>' +
+      '<label class="cs-extension-branch-switcher" hidden>' + escapeHtml(t('browseBranch')) + ' ' +
+      '<select id="main-branch-switcher"></select></label>' +
+      '</div>';
+
+    // Without the real branch, child-branch content is silently left out; say so
+    if (branchDetection.method === 'fallback') {
+      html += '<div class="cs-extension-warning" role="alert">' + escapeHtml(t('branchNotDetected')) + '</div>';
+    }
+
+    return html;
+  }
+
+  /**
+   * How the current branch was found, for the branch bar's tooltip
+   */
+  function getBranchDetectionText() {
+    switch (branchDetection.method) {
+      case 'config':
+        return t('branchFromConfig');
+      case 'sdk':
+      case 'stack':
+        return t('branchFromStack');
+      case 'url':
+        return t('branchFromUrl');
+      default:
+        return t('branchAssumed');
+    }
+  }
+
+  /**
+   * Offer the stack's branches in the branch switcher, once the SDK has listed them
+   */
+  function setUpBranchSwitcher(container, listState) {
+    var select = container.querySelector('#main-branch-switcher');
+    if (!select) return;
+
+    loadStackBranches().then(function(stackBranches) {
+      if (stackBranches.length < 2) return;
+
+      select.innerHTML = '<option value="">' + escapeHtml(t('configuredBranches')) + '</option>' +
+        stackBranches.map(function(branch) {
+          return '<option value="' + escapeHtml(branch) + '">' +
+            escapeHtml(branch === currentBranch ? t('editingBranchOption', { branch: branch }) : branch) + '</option>';
+        }).join('');
+      select.value = browsedBranches === branchList.branches ? '' : browsedBranches[0].branch;
+      select.parentNode.hidden = false;
+
+      select.addEventListener('change', function() {
+        switchBrowsedBranch(container, listState, select.value);
+      });
+    });
+  }
+
+  /**
+   * UIDs of every branch of the stack, from the SDK (empty when not available)
+   */
+  function loadStackBranches() {
+    var stack = sdk.stack || {};
+    if (typeof stack.getAllBranches !== 'function') {
+      return Promise.resolve([]);
+    }
+
+    return Promise.resolve()
+      .then(function() {
+        return stack.getAllBranches();
+      })
+      .then(function(branches) {
+        return (branches || []).map(function(branch) {
+          return typeof branch === 'string' ? branch : branch && branch.uid;
+        }).filter(Boolean);
+      })
+      .catch(function(error) {
+        logger.warn('Could not list the stack\'s branches', error);
+        return [];
+      });
+  }
+
+  /**
+   * Browse one branch of the stack (or, for an empty branch, the configured branches)
+   * Entries chosen from it are stored with that branch, like any other
+   */
+  function switchBrowsedBranch(container, listState, branch) {
+    var requested = branch ? [getBranchInfo(branch)] : branchList.branches;
+    browsedBranches = requested;
+
+    showListStatus(container, t('loading', {
+      branches: requested.map(function(branchInfo) { return branchInfo.label; }).join(', ')
+    }));
+
+    var sources = createFirstPageSources('default');
+    client.loadFirstPages(sources).then(function(entries) {
+      // The author may have picked another branch meanwhile
+      if (browsedBranches !== requested) return;
+
+      replaceBrowseView(container, listState, entries, sources);
+
+      // Search the new branches for the term being searched
+      var searchInput = container.querySelector('#main-branch-search');
+      var term = searchInput ? searchInput.value.trim() : '';
+      if (term) {
+        scheduleSearch(container, listState, term);
+      }
+    });
+  }
+
+  /**
+   * Branch details for a branch picked in the switcher; configured branches keep
+   * their label, tokens and badge
+   */
+  function getBranchInfo(branch) {
+    var configured = branchList.branches.find(function(branchInfo) {
+      return branchInfo.branch === branch;
+    });
+    return configured || {
+      branch: branch,
+      label: getDefaultBranchLabel(branch, t),
+      token: deliveryToken || mainBranchToken,
+      previewToken: previewToken,
+      badgeColor: getBadgeColor(settings.theme, branch, currentBranch),
+      primary: false
+    };
+  }
+
+  /**
+   * Render the active view's entries grouped by branch
+   * keepScroll leaves the scroll position alone (used when appending a page)
+   */
+  function renderEntryList(container, listState, keepScroll) {
+    var list = container.querySelector('#main-branch-list');
+    var view = listState.active;
+    var contentTypeFilter = listState.contentTypeFilter;
+    var visibleEntries = resolveDuplicateEntries(view.entries, view.sources, duplicateEntries).filter(function(entry) {
+      return !contentTypeFilter || entry._content_type_uid === contentTypeFilter;
+    });
+    var scrollTop = list.scrollTop;
+    // Re-rendering drops the focused element, so focus is put back on the active entry
+    var hadFocus = list.contains(document.activeElement);
+    var listHtml = '';
+
+    // Render each branch group
+    view.sources.forEach(function(source) {
+      var branchEntries = visibleEntries.filter(function(entry) {
+        return entry._branch === source.branch;
+      });
+      var error = client.getSourceError(source, contentTypeFilter);
+      // Keep a group whose loaded entries are all shadowed so its later pages stay reachable
+      if (branchEntries.length === 0 && !error &&
+          !(client.getLoadedCount(source, contentTypeFilter) > 0 && client.hasMorePages(source, contentTypeFilter))) return;
+
+      // Branch header, which also labels the branch's listbox
+      var headerId = 'main-branch-header-' + source.branch;
+      listHtml += '<div class="cs-extension-branch-group" data-branch="' + escapeHtml(source.branch) + '">' +
+        '<div class="cs-extension-branch-header" id="' + escapeHtml(headerId) + '">' +
+        escapeHtml(getBranchHeaderText(source, contentTypeFilter)) + '</div>';
+
+      // A failed request is shown in its branch's group; the other branches are unaffected
+      if (error) {
+        listHtml += renderBranchError(source, error);
+      }
+
+      listHtml += '<div class="cs-extension-branch-entries" role="listbox" aria-labelledby="' + escapeHtml(headerId) + '"' +
+        ' aria-describedby="main-branch-list-help"' + (multiple ? ' aria-multiselectable="true"' : '') + '>';
+
+      // Branch entries
+      branchEntries.forEach(function(entry) {
+        var copies = duplicateEntries === 'merge' ? getEntryCopies(view.entries, view.sources, entry.uid) : null;
+        listHtml += renderEntryItem(entry, source, copies);
+      });
+
+      listHtml += '</div>';
+
+      // Further pages are fetched when this control scrolls into view or is clicked
+      // (a failed branch offers its banner's Retry instead, so it is not retried on scroll)
+      if (client.hasMorePages(source, contentTypeFilter) && !error) {
+        listHtml += renderLoadMoreButton(source);
+      }
+
+      listHtml += '</div>'; // Close branch group
+    });
+
+    if (!listHtml) {
+      listHtml = '<div class="cs-extension-empty">' +
+        escapeHtml(view.term ? t('noMatches', { term: view.term }) : t('noContent')) +
+        '</div>';
+    }
+
+    list.innerHTML = listHtml;
+    list.scrollTop = keepScroll ? scrollTop : 0;
+    setActiveOption(list, listState, findOption(list, listState.activeOption), hadFocus);
+
+    if (listState.observer) {
+      listState.observer.disconnect();
+      list.querySelectorAll('.cs-extension-load-more').forEach(function(button) {
+        listState.observer.observe(button);
+      });
+    }
+
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+  }
+
+  /**
+   * Build the HTML for a branch's error banner, with a control to repeat the failed request
+   */
+  function renderBranchError(source, error) {
+    return '<div class="cs-extension-branch-error" role="alert">' +
+      '<span class="cs-extension-branch-error-text">' + escapeHtml(getBranchErrorText(source, error)) + '</span>' +
+      '<button type="button" class="cs-extension-retry-btn" data-branch="' + escapeHtml(source.branch) + '">' + escapeHtml(t('retry')) + '</button>' +
+      '</div>';
+  }
+
+  /**
+   * Explain a failed request for a branch in terms an author can act on
+   */
+  function getBranchErrorText(source, error) {
+    switch (getErrorKind(error)) {
+      case 'auth':
+        if (proxyMode) {
+          return t('errorProxyRefused', { status: error.status, message: error.message });
+        }
+        return t(previewMode ? 'errorAccessDeniedPreview' : 'errorAccessDenied', {
+          status: error.status,
+          branchLabel: source.label,
+          branch: source.branch,
+          environment: environment
+        });
+      case 'content-type':
+        return t('errorContentType', { contentType: error.contentType, branch: source.branch });
+      case 'branch':
+        return t('errorBranch', { branch: source.branch });
+      case 'rate-limit':
+        return t('errorRateLimit');
+      case 'timeout':
+        return t('errorTimeout');
+      case 'network':
+        return t('errorNetwork');
+      default:
+        return t('errorOther', { message: error.message });
+    }
+  }
+
+  /**
+   * Replace the list with a status message (e.g. while searching)
+   */
+  function showListStatus(container, message, className) {
+    var list = container.querySelector('#main-branch-list');
+    list.innerHTML = '<div class="' + (className || 'cs-extension-loading') + '">' + escapeHtml(message) + '</div>';
+  }
+
+  /**
+   * Build the HTML for a single entry in the list
+   * copies (merge mode) lists every branch's version of the entry, ancestors first
+   */
+  function renderEntryItem(entry, source, copies) {
+    var overridden = copies && copies.length > 1;
+    var isSelected = overridden
+      ? copies.some(function(copy) { return selection.isSelected(copy); })
+      : selection.isSelected(entry);
+    var title = getEntryTitle(entry);
+    // An asset is its own thumbnail, and is described by its file name and size
+    var subtitle = assetMode
+      ? [entry.filename, formatFileSize(entry.file_size)].filter(Boolean).join(' · ')
+      : getFieldText(getFieldValue(entry, displayFields.subtitleField));
+    var thumbnailUrl = assetMode
+      ? getImageUrl(entry, displayFields.thumbnailParams)
+      : displayFields.thumbnailField
+        ? getImageUrl(getFieldValue(entry, displayFields.thumbnailField), displayFields.thumbnailParams)
+        : null;
+    var branchName = entry._branch_label || t('unknownBranch');
+    var entryClass = 'cs-extension-item ' + (isSelected ? 'cs-extension-item-selected' : '');
+    var badgeClass = source.primary ? 'cs-extension-item-badge-main' : 'cs-extension-item-badge-current';
+    // Colours are validated by parseBranchList
+    var badgeStyle = source.badgeColor ? ' style="background: ' + source.badgeColor + '"' : '';
+
+    // A merged row stands for every copy, so selection of any of them highlights it
+    var branchesAttr = overridden
+      ? ' data-entry-branches="' + escapeHtml(copies.map(function(copy) { return copy._branch; }).join(' ')) + '"'
+      : '';
+
+    // An option of the branch's listbox; setActiveOption gives one option in the list tabindex 0
+    var overridingLabels = overridden
+      ? copies.slice(1).map(function(copy) { return copy._branch_label; })
+      : [];
+    var label = overridden
+      ? t('optionLabelOverridden', { title: title, branch: branchName, branches: overridingLabels.join(', ') })
+      : t('optionLabel', { title: title, branch: branchName });
+
+    // Entries shown in a fallback locale (include_fallback) are flagged, so authors know they are not yet translated
+    var entryLocale = getEntryContentLocale(entry);
+    var localeText = null;
+    if (contentLocale && entryLocale) {
+      localeText = entryLocale === contentLocale
+        ? t('locale', { locale: entryLocale })
+        : t('localeFallback', { requested: contentLocale, locale: entryLocale });
+      if (entryLocale !== contentLocale) {
+        label += ', ' + localeText;
+      }
+    }
+    var html = '<div class="' + entryClass + '" data-entry-uid="' + escapeHtml(entry.uid) + '" data-entry-branch="' + escapeHtml(entry._branch) + '"' + branchesAttr +
+      ' id="' + escapeHtml('main-branch-option-' + entry._branch + '-' + entry.uid) + '" role="option"' +
+      ' aria-selected="' + (isSelected ? 'true' : 'false') + '" aria-label="' + escapeHtml(label) + '" tabindex="-1">';
+
+    if (displayFields.thumbnailField || assetMode) {
+      html += thumbnailUrl
+        ? '<img class="cs-extension-item-thumb" src="' + escapeHtml(thumbnailUrl) + '" alt="" loading="lazy">'
+        : '<div class="cs-extension-item-thumb cs-extension-item-thumb-empty">' +
+          (assetMode ? escapeHtml(getFileExtension(entry.filename)) : '') + '</div>';
+    }
+
+    html += '<div class="cs-extension-item-content">' +
+      '<div class="cs-extension-item-title">' + escapeHtml(title) + '</div>';
+
+    if (subtitle) {
+      html += '<div class="cs-extension-item-description">' + escapeHtml(subtitle) + '</div>';
+    }
+
+    html += '<div class="cs-extension-item-meta">';
+    if (entry.updated_at) {
+      var date = new Date(entry.updated_at);
+      html += escapeHtml(t('updated', { date: date.toLocaleDateString(uiLanguage) })) + ' ';
+    }
+    html += renderUsageCount(entry);
+    html += '<button type="button" class="cs-extension-preview-btn" tabindex="-1">' + escapeHtml(t('preview')) + '</button></div>';
+
+    if (overridden) {
+      html += '<div class="cs-extension-item-override">' + escapeHtml(t('overriddenIn', { branches: overridingLabels.join(', ') })) +
+        ' <button type="button" class="cs-extension-compare-btn" tabindex="-1">' + escapeHtml(t('compareVersions')) + '</button></div>';
+    }
+
+    html += '</div>';
+    if (localeText) {
+      html += '<div class="cs-extension-item-locale' + (entryLocale !== contentLocale ? ' cs-extension-item-locale-fallback' : '') + '"' +
+        ' title="' + escapeHtml(localeText) + '">' + escapeHtml(entryLocale) + '</div>';
+    }
+    html += '<div class="cs-extension-item-badge ' + badgeClass + '"' + badgeStyle + '>' + escapeHtml(branchName) + '</div>' +
+      '</div>';
+
+    return html;
+  }
+
+  /**
+   * Usage count of an entry for its list item, or '' until the usage report is loaded
+   */
+  function renderUsageCount(entry) {
+    if (!usageReport) return '';
+    var count = getEntryUsage(usageReport, entry).count;
+    var text = count === 0 ? t('usageNone') : t(count === 1 ? 'usageOne' : 'usageOther', { count: count });
+    return '<span class="cs-extension-item-usage' + (count === 0 ? ' cs-extension-item-usage-none' : '') + '">' +
+      escapeHtml(text) + '</span> ';
+  }
+
+  /**
+   * Add usage counts to the list items rendered before the usage report arrived
+   */
+  function showUsageCounts() {
+    container.querySelectorAll('.cs-extension-item').forEach(function(item) {
+      var previewButton = item.querySelector('.cs-extension-item-meta .cs-extension-preview-btn');
+      if (!previewButton || item.querySelector('.cs-extension-item-usage')) return;
+      previewButton.insertAdjacentHTML('beforebegin', renderUsageCount({
+        uid: item.getAttribute('data-entry-uid'),
+        _branch: item.getAttribute('data-entry-branch')
+      }));
+    });
+  }
+
+  /**
+   * The preview pane's list of entries using an entry, or '' without a usage report
+   */
+  function renderUsedBy(entry) {
+    if (!usageReport) return '';
+    // The report has a row per locale and field; each entry is listed once
+    var seen = {};
+    var usedBy = getEntryUsage(usageReport, entry).usedBy.filter(function(user) {
+      var key = user.branch + '/' + user.contentType + '/' + user.uid;
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+    var html = '<dt>' + escapeHtml(t('usedBy')) + '</dt><dd class="cs-extension-preview-usage">';
+    if (usedBy.length === 0) {
+      html += escapeHtml(t('usageNone'));
+    } else {
+      html += '<ul>' + usedBy.slice(0, MAX_LISTED_USERS).map(function(user) {
+        return '<li>' + escapeHtml(t('usageEntry', {
+          title: user.title || user.uid,
+          contentType: getContentTypeLabel(user.contentType),
+          branch: user.branch
+        })) + '</li>';
+      }).join('') + '</ul>';
+      if (usedBy.length > MAX_LISTED_USERS) {
+        html += escapeHtml(t('usageMore', { count: usedBy.length - MAX_LISTED_USERS }));
+      }
+    }
+    if (usageReport.generatedAt) {
+      html += '<div class="cs-extension-preview-usage-date">' +
+        escapeHtml(t('usageReportDate', { date: new Date(usageReport.generatedAt).toLocaleDateString(uiLanguage) })) + '</div>';
+    }
+    return html + '</dd>';
+  }
+
+  /**
+   * Locale an entry's content is in: the requested one, or its fallback when include_fallback filled the gap
+   */
+  function getEntryContentLocale(entry) {
+    var locale = entry.locale || (entry.publish_details && entry.publish_details.locale);
+    return typeof locale === 'string' ? locale.toLowerCase() : null;
+  }
+
+  /**
+   * Tab label for a content type: its title once known, else the UID made readable
+   */
+  function getContentTypeLabel(contentTypeUid) {
+    if (contentTypeTitles[contentTypeUid]) {
+      return contentTypeTitles[contentTypeUid];
+    }
+    var words = contentTypeUid.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Replace the tab labels with the content type titles from the stack, where the SDK can provide them
+   */
+  function loadContentTypeTitles(tabs) {
+    var stack = sdk.stack;
+    if (!stack || typeof stack.getContentType !== 'function') return;
+
+    contentTypes.forEach(function(contentTypeUid) {
+      Promise.resolve()
+        .then(function() { return stack.getContentType(contentTypeUid); })
+        .then(function(response) {
+          var title = response && response.content_type && response.content_type.title;
+          if (!title) return;
+          contentTypeTitles[contentTypeUid] = title;
+          tabs.querySelectorAll('.cs-extension-type-tab').forEach(function(tab) {
+            if (tab.getAttribute('data-content-type') === contentTypeUid) {
+              tab.textContent = title;
+            }
+          });
+        })
+        .catch(function(error) {
+          logger.warn('Could not load title of content type ' + contentTypeUid, error);
+        });
+    });
+  }
+
+  /**
+   * Branch header text, e.g. "Main Branch (50 of 2300)"
+   */
+  function getBranchHeaderText(source, contentTypeFilter) {
+    var total = client.getTotalCount(source, contentTypeFilter);
+    var loaded = client.getLoadedCount(source, contentTypeFilter);
+    if (client.hasMorePages(source, contentTypeFilter) && total !== null) {
+      return t('branchHeaderWithTotal', { label: source.label, loaded: loaded, total: total });
+    }
+    return t('branchHeader', { label: source.label, loaded: loaded });
+  }
+
+  /**
+   * Build the "Load more" control for a branch group
+   */
+  function renderLoadMoreButton(source) {
+    return '<button type="button" class="cs-extension-load-more" data-branch="' + escapeHtml(source.branch) + '">' +
+      escapeHtml(t('loadMore', { branch: source.label })) +
+      '</button>';
+  }
+
+  /**
+   * Attach event listeners
+   */
+  function attachEventListeners(container, listState) {
+    var list = container.querySelector('#main-branch-list');
+
+    // Search functionality (queries the Delivery API, see scheduleSearch)
+    var searchInput = container.querySelector('#main-branch-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', function(e) {
+        scheduleSearch(container, listState, e.target.value);
+      });
+    }
+
+    // Refresh drops the cache and reloads the list (and any search) from the Delivery API
+    var refreshButton = container.querySelector('#main-branch-refresh');
+    if (refreshButton) {
+      refreshButton.addEventListener('click', function() {
+        refreshContent(container, listState, refreshButton);
+      });
+    }
+
+    // Content type tabs filter the list; paging then only fetches that type
+    var tabs = container.querySelector('#main-branch-type-tabs');
+    if (tabs) {
+      tabs.addEventListener('click', function(e) {
+        var tab = e.target.closest('.cs-extension-type-tab');
+        if (!tab) return;
+        listState.contentTypeFilter = tab.getAttribute('data-content-type') || null;
+        tabs.querySelectorAll('.cs-extension-type-tab').forEach(function(other) {
+          other.classList.toggle('cs-extension-type-tab-active', other === tab);
+          other.setAttribute('aria-pressed', other === tab ? 'true' : 'false');
+        });
+        renderEntryList(container, listState);
+      });
+      loadContentTypeTitles(tabs);
+    }
+
+    // Item selection and "Load more" clicks are delegated so that
+    // entries appended by later pages or searches are handled too
+    list.addEventListener('click', function(e) {
+      var view = listState.active;
+
+      var retryButton = e.target.closest('.cs-extension-retry-btn');
+      if (retryButton) {
+        var failedSource = findSource(view.sources, retryButton.getAttribute('data-branch'));
+        if (failedSource) {
+          retryBranch(container, listState, view, failedSource, retryButton);
+        }
+        return;
+      }
+
+      var loadMoreButton = e.target.closest('.cs-extension-load-more');
+      if (loadMoreButton) {
+        var source = findSource(view.sources, loadMoreButton.getAttribute('data-branch'));
+        if (source) {
+          loadMoreEntries(container, listState, view, source);
+        }
+        return;
+      }
+
+      // Merge mode: open/close the version comparison for an overridden entry
+      var compareButton = e.target.closest('.cs-extension-compare-btn');
+      if (compareButton) {
+        toggleDiffPane(compareButton.closest('.cs-extension-item'), view);
+        return;
+      }
+
+      // Open/close the preview pane of an entry
+      var previewButton = e.target.closest('.cs-extension-preview-btn');
+      if (previewButton) {
+        togglePreviewPane(previewButton.closest('.cs-extension-item'), view);
+        return;
+      }
+
+      // A version chosen from the comparison, the preview pane's button, or the row itself
+      var choice = e.target.closest('.cs-extension-diff-select, .cs-extension-preview-select') ||
+        e.target.closest('.cs-extension-item');
+      if (!choice) return;
+
+      chooseEntry(container, listState, choice);
+    });
+
+    // Keyboard use of the listboxes: arrow keys, Home/End and type-ahead move
+    // between entries, Enter/Space choose one, and the right arrow key opens its preview
+    list.addEventListener('keydown', function(e) {
+      handleListKeydown(e, container, listState);
+    });
+
+    // Load the next page automatically as the author scrolls a branch's
+    // "Load more" control into view
+    if (typeof IntersectionObserver === 'function') {
+      listState.observer = new IntersectionObserver(function(observed) {
+        var view = listState.active;
+        observed.forEach(function(record) {
+          if (!record.isIntersecting || record.target.disabled) return;
+          var source = findSource(view.sources, record.target.getAttribute('data-branch'));
+          if (source) {
+            loadMoreEntries(container, listState, view, source);
+          }
+        });
+      }, { root: list, rootMargin: '0px 0px 100px 0px' });
+    }
+  }
+
+  /**
+   * Select (or deselect) the entry of a list row, or of a button in its preview or comparison pane
+   */
+  function chooseEntry(container, listState, choice) {
+    var view = listState.active;
+    var entryUid = choice.getAttribute('data-entry-uid');
+    var entryBranch = choice.getAttribute('data-entry-branch');
+    var entry = view.entries.find(function(e) { 
+      return e.uid === entryUid && (e._branch || 'main') === entryBranch; 
+    });
+
+    if (!entry) return;
+
+    if (selection.getPendingReplacement() && multiple) {
+      replaceReference(selection.getPendingReplacement(), entry, container, getKnownEntries(listState));
+    } else if (multiple) {
+      toggleMultipleSelection(entry, container, getKnownEntries(listState));
+    } else {
+      selectSingleEntry(entry, container, getKnownEntries(listState));
+    }
+
+    // Choosing from a pane closes it, and focus goes back to the pane's row
+    var pane = choice.closest('.cs-extension-diff, .cs-extension-preview');
+    if (pane) {
+      var item = pane.previousElementSibling;
+      pane.parentNode.removeChild(pane);
+      setActiveOption(container.querySelector('#main-branch-list'), listState, item, true);
+    }
+  }
+
+  /**
+   * Keyboard handling for the entry list (the listbox pattern)
+   */
+  function handleListKeydown(e, container, listState) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    var list = container.querySelector('#main-branch-list');
+
+    // Escape in an open pane closes it and returns to its row
+    var pane = e.target.closest('.cs-extension-diff, .cs-extension-preview');
+    if (pane) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        var row = pane.previousElementSibling;
+        closeEntryPanes(row);
+        setActiveOption(list, listState, row, true);
+      }
+      return;
+    }
+
+    var item = e.target;
+    if (!item.classList.contains('cs-extension-item')) return;
+    var options = Array.prototype.slice.call(list.querySelectorAll('.cs-extension-item'));
+    var index = options.indexOf(item);
+    var typing = listState.typeAhead.text !== '';
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp' || e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      var target = e.key === 'ArrowDown' ? Math.min(index + 1, options.length - 1)
+        : e.key === 'ArrowUp' ? Math.max(index - 1, 0)
+        : e.key === 'Home' ? 0
+        : options.length - 1;
+      setActiveOption(list, listState, options[target], true);
+    } else if (e.key === 'Enter' || (e.key === ' ' && !typing)) {
+      e.preventDefault();
+      chooseEntry(container, listState, item);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      var view = listState.active;
+      var opened = e.shiftKey
+        ? (item.querySelector('.cs-extension-compare-btn') ? toggleDiffPane(item, view) : null)
+        : togglePreviewPane(item, view);
+      if (opened) {
+        opened.focus();
+      }
+    } else if (e.key === 'ArrowLeft' || e.key === 'Escape') {
+      closeEntryPanes(item);
+    } else if (e.key.length === 1) {
+      e.preventDefault();
+      typeAhead(list, listState, options, index, e.key);
+    }
+  }
+
+  /**
+   * Move to the next entry whose title starts with the characters typed so far
+   */
+  function typeAhead(list, listState, options, index, character) {
+    var state = listState.typeAhead;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(function() { state.text = ''; }, TYPE_AHEAD_RESET_MS);
+    state.text += character.toLowerCase();
+
+    // A new search starts after the current entry, so pressing a letter again cycles through matches
+    var start = state.text.length === 1 ? index + 1 : index;
+    for (var i = 0; i < options.length; i++) {
+      var option = options[(start + i) % options.length];
+      var title = option.querySelector('.cs-extension-item-title');
+      if (title && title.textContent.toLowerCase().indexOf(state.text) === 0) {
+        setActiveOption(list, listState, option, true);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Make an entry the list's single tab stop (the first entry when none is given), optionally focusing it
+   */
+  function setActiveOption(list, listState, option, focus) {
+    var options = list.querySelectorAll('.cs-extension-item');
+    var active = option || options[0] || null;
+    options.forEach(function(other) {
+      other.tabIndex = other === active ? 0 : -1;
+    });
+    if (!active) return;
+
+    // An entry chosen by the author is remembered so re-rendering the list keeps it
+    if (option) {
+      listState.activeOption = {
+        uid: active.getAttribute('data-entry-uid'),
+        branch: active.getAttribute('data-entry-branch')
+      };
+    }
+    if (focus) {
+      active.focus();
+      if (typeof active.scrollIntoView === 'function') {
+        active.scrollIntoView({ block: 'nearest' });
+      }
+    }
+  }
+
+  /**
+   * The list row for { uid, branch }, if it is shown
+   */
+  function findOption(list, key) {
+    if (!key) return null;
+    return list.querySelector('.cs-extension-item[data-entry-uid="' + cssEscape(key.uid) + '"][data-entry-branch="' + cssEscape(key.branch) + '"]');
+  }
+
+  /**
+   * Close a row's preview and comparison panes
+   */
+  function closeEntryPanes(item) {
+    var next = item.nextElementSibling;
+    while (next && (next.classList.contains('cs-extension-preview') || next.classList.contains('cs-extension-diff'))) {
+      next.parentNode.removeChild(next);
+      next = item.nextElementSibling;
+    }
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+  }
+
+  /**
+   * Find the paging state for a branch
+   */
+  function findSource(sources, branch) {
+    return sources.find(function(source) { return source.branch === branch; });
+  }
+
+  /**
+   * Entries the author can have selected: everything browsed plus the current search results
+   */
+  function getKnownEntries(listState) {
+    if (listState.active === listState.browse) {
+      return listState.browse.entries;
+    }
+    return listState.browse.entries.concat(listState.active.entries);
+  }
+
+  /**
+   * Debounce search input; an empty term returns to the browse view
+   */
+  function scheduleSearch(container, listState, term) {
+    clearTimeout(listState.searchTimer);
+
+    // Any in-flight search is stale as soon as the term changes
+    if (listState.searchController) {
+      listState.searchController.abort();
+      listState.searchController = null;
+    }
+
+    term = (term || '').trim();
+    if (!term) {
+      if (listState.active !== listState.browse) {
+        listState.active = listState.browse;
+        renderEntryList(container, listState);
+      }
+      return;
+    }
+
+    listState.searchTimer = setTimeout(function() {
+      runSearch(container, listState, term);
+    }, SEARCH_DEBOUNCE_MS);
+  }
+
+  /**
+   * Query every branch for the search term and show the merged results
+   */
+  function runSearch(container, listState, term) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    listState.searchController = controller;
+
+    var searchQuery = buildSearchQuery(term, searchFields);
+    var searchSources = listState.browse.sources.map(function(source) {
+      return client.createBranchSource(source, {
+        query: combineQueries(source.query, searchQuery),
+        signal: controller ? controller.signal : undefined,
+        // Search results are always fetched live
+        cacheMode: 'no-store'
+      });
+    });
+
+    showListStatus(container, t('searching', { term: term }));
+
+    Promise.all(searchSources.map(function(source) {
+      return client.loadNextPage(source).catch(function(error) {
+        if (isAbortError(error)) throw error;
+        logger.error('Error searching ' + source.branch + ' branch', error);
+        // Keep the other branches' results
+        return [];
+      });
+    }))
+      .then(function(results) {
+        if (listState.searchController !== controller) return;
+        listState.searchController = null;
+
+        // Merge per-branch results in branch order
+        var merged = [];
+        results.forEach(function(branchEntries) {
+          merged = merged.concat(branchEntries);
+        });
+
+        listState.active = { entries: merged, sources: searchSources, term: term };
+        renderEntryList(container, listState);
+      })
+      .catch(function(error) {
+        if (isAbortError(error)) return;
+        logger.error('Error searching content', error);
+        showListStatus(container, t('searchFailed', { message: error.message }), 'cs-extension-error');
+      });
+  }
+
+  /**
+   * Fetch the next page for a branch and add it to that branch's group
+   */
+  function loadMoreEntries(container, listState, view, source) {
+    var list = container.querySelector('#main-branch-list');
+    var group = list.querySelector('.cs-extension-branch-group[data-branch="' + cssEscape(source.branch) + '"]');
+    if (!group) return;
+
+    var button = group.querySelector('.cs-extension-load-more');
+    if (button) {
+      button.disabled = true;
+      button.textContent = t('loadingMore');
+    }
+
+    client.loadNextPage(source, listState.contentTypeFilter)
+      .then(function(newEntries) {
+        // A live update may have listed an entry early that this page now returns
+        Array.prototype.push.apply(view.entries, newEntries.filter(function(entry) {
+          return !findViewEntry(view, entry._branch, entry._content_type_uid, entry.uid);
+        }));
+
+        // The author may have switched views while the page was loading
+        if (listState.active !== view) return;
+
+        // Re-render rather than append: a new page can shadow or be shadowed by
+        // entries already listed from other branches
+        renderEntryList(container, listState, true);
+      })
+      .catch(function(error) {
+        if (isAbortError(error)) return;
+        logger.error('Error loading more entries from ' + source.branch + ' branch', error);
+        // Shows the branch's error banner
+        if (listState.active === view) {
+          renderEntryList(container, listState, true);
+        }
+      });
+  }
+
+  /**
+   * Repeat the failed requests of a branch (from its error banner)
+   */
+  function retryBranch(container, listState, view, source, button) {
+    button.disabled = true;
+    button.textContent = t('retrying');
+
+    client.retryFailedPages(source, listState.contentTypeFilter)
+      .then(function(newEntries) {
+        Array.prototype.push.apply(view.entries, newEntries);
+      }, function(error) {
+        if (isAbortError(error)) return;
+        logger.error('Retry failed for ' + source.branch + ' branch', error);
+      })
+      .then(function() {
+        // Either lists the new entries or shows the latest error
+        if (listState.active === view) {
+          renderEntryList(container, listState, true);
+        }
+      });
+  }
+
+  /**
+   * Fetch the first pages again after showing them from the cache, and swap
+   * them in if they have changed; listState is null when nothing was listed
+   */
+  function revalidateBrowseView(container, listState, cachedEntries, cachedSources) {
+    var freshSources = createFirstPageSources('reload');
+
+    client.loadFirstPages(freshSources).then(function(freshEntries) {
+      // Keep the cached list rather than replace it with a partial one
+      var failed = freshSources.some(function(source) { return client.getSourceError(source); });
+      if (failed) return;
+
+      if (getBrowseSignature(freshEntries, freshSources) === getBrowseSignature(cachedEntries, cachedSources)) {
+        logger.info('Cached entries are up to date');
+        return;
+      }
+
+      logger.info('Cached entries were out of date; showing the latest content');
+      replaceBrowseView(container, listState, freshEntries, freshSources);
+    });
+  }
+
+  /**
+   * Clear the cache and reload everything shown: the browse view, the current
+   * search and the state of stored references
+   */
+  function refreshContent(container, listState, button) {
+    button.disabled = true;
+    button.textContent = t('refreshing');
+
+    client.clearCache();
+    selection.clearReferenceStates();
+
+    var freshSources = createFirstPageSources('reload');
+    client.loadFirstPages(freshSources).then(function(freshEntries) {
+      button.disabled = false;
+      button.textContent = t('refresh');
+
+      replaceBrowseView(container, listState, freshEntries, freshSources);
+
+      // Search results come from the Delivery API directly, but may be stale too
+      var searchInput = container.querySelector('#main-branch-search');
+      var term = searchInput ? searchInput.value.trim() : '';
+      if (term) {
+        scheduleSearch(container, listState, term);
+      }
+    });
+  }
+
+  /**
+   * Bring what is on screen in line with a live entry event (see subscribeToEntryEvents)
+   * The entry is fetched again on its branch for the browse view and any search, then
+   * updated in place, added at the top of its branch or dropped; the search term, tab,
+   * focus and selection are kept, and stored references to it are checked again
+   */
+  function applyEntryEvent(event) {
+    if (contentTypes.indexOf(event.contentType) === -1) return;
+    // Pages cached before the change would bring it back on the next load
+    client.clearCache();
+
+    var listState = currentListState;
+    if (!listState) {
+      // Nothing was listed: a publish may bring the first entry
+      if (event.type === 'publish') {
+        var sources = createFirstPageSources('reload');
+        client.loadFirstPages(sources).then(function(entries) {
+          if (!currentListState) {
+            replaceBrowseView(container, null, entries, sources);
+          }
+        });
+      }
+      return;
+    }
+
+    var views = listState.active === listState.browse ? [listState.browse] : [listState.browse, listState.active];
+    Promise.all(views.map(function(view) {
+      var source = view.sources.find(function(candidate) {
+        return isEventBranch(candidate.branch, event);
+      });
+      if (!source) return false;
+
+      return fetchEventEntry(source, event).then(function(entry) {
+        return updateViewEntry(view, source, event, entry);
+      }, function(error) {
+        if (!isAbortError(error)) {
+          logger.error('Could not apply the live ' + event.type + ' of ' + event.uid, error);
+        }
+        return false;
+      });
+    })).then(function(changed) {
+      if (changed.indexOf(true) !== -1 && views.indexOf(listState.active) !== -1) {
+        renderEntryList(container, listState, true);
+      }
+
+      var stale = selection.getReferences().filter(function(reference) {
+        return reference.uid === event.uid && isEventBranch(reference._branch, event);
+      });
+      if (stale.length > 0) {
+        stale.forEach(function(reference) {
+          selection.setReferenceState(reference, null);
+        });
+        renderSelectedItems(container, getKnownEntries(listState));
+      }
+    });
+  }
+
+  /**
+   * Check whether an event happened on a branch (by UID or one of its aliases)
+   */
+  function isEventBranch(branch, event) {
+    return branch === event.branch || (event.aliases || []).indexOf(branch) !== -1;
+  }
+
+  /**
+   * The entry an event is about, as the view's source would list it (same filters,
+   * search, locale and projection), or null when it no longer qualifies
+   */
+  function fetchEventEntry(source, event) {
+    // Gone from the list's locale (unless another locale may stand in)
+    var removed = event.type === 'delete' || (event.type === 'unpublish' && !settings.includeFallback &&
+      (!event.locale || !contentLocale || event.locale === contentLocale));
+    if (removed) {
+      return Promise.resolve(null);
+    }
+
+    var probe = client.createBranchSource(source, {
+      query: combineQueries(source.query, { uid: event.uid }),
+      signal: source.signal,
+      cacheMode: 'no-store'
+    });
+    return client.loadNextPage(probe, event.contentType).then(function(entries) {
+      return entries[0] || null;
+    });
+  }
+
+  /**
+   * Put an event's entry into a view (or take it out when entry is null)
+   * Returns whether the view changed
+   */
+  function updateViewEntry(view, source, event, entry) {
+    var existing = findViewEntry(view, source.branch, event.contentType, event.uid);
+    var index = view.entries.indexOf(existing);
+
+    if (entry && existing) {
+      view.entries[index] = entry;
+    } else if (entry) {
+      view.entries.splice(getBranchStartIndex(view, source), 0, entry);
+      client.shiftCursor(source, event.contentType, 1);
+    } else if (existing) {
+      view.entries.splice(index, 1);
+      client.shiftCursor(source, event.contentType, -1);
+    } else {
+      return false;
+    }
+
+    logger.info('Live ' + event.type + ': ' + (entry ? 'listed' : 'removed') + ' ' + event.uid + ' on ' + source.branch + ' branch');
+    return true;
+  }
+
+  /**
+   * A view's entry for a branch, content type and UID, if listed
+   */
+  function findViewEntry(view, branch, contentTypeUid, uid) {
+    return view.entries.find(function(entry) {
+      return entry.uid === uid && entry._branch === branch && entry._content_type_uid === contentTypeUid;
+    });
+  }
+
+  /**
+   * Where a source's entries start in a view (entries are kept in source order)
+   */
+  function getBranchStartIndex(view, source) {
+    var order = view.sources.map(function(candidate) { return candidate.branch; });
+    var position = order.indexOf(source.branch);
+    var index = view.entries.findIndex(function(entry) {
+      return order.indexOf(entry._branch) >= position;
+    });
+    return index === -1 ? view.entries.length : index;
+  }
+
+  /**
+   * Paging state for a fresh start-up load of every browsed branch
+   */
+  function createFirstPageSources(cacheMode) {
+    return browsedBranches.map(function(branchInfo) {
+      return client.createBranchSource(branchInfo, { query: entryFilters.query, cacheMode: cacheMode });
+    });
+  }
+
+  /**
+   * Show newly loaded first pages in place of the browse view
+   * Falls back to a full render when nothing was listed before
+   */
+  function replaceBrowseView(container, listState, entries, sources) {
+    if (!listState) {
+      renderContentSelector(container, entries, sources);
+      return;
+    }
+
+    var browseView = { entries: entries, sources: sources, term: '' };
+    var browsing = listState.active === listState.browse;
+    listState.browse = browseView;
+    if (browsing) {
+      listState.active = browseView;
+      renderEntryList(container, listState, true);
+    }
+
+    renderSelectedItems(container, getKnownEntries(listState));
+  }
+
+  /**
+   * Summary of a set of loaded pages, used to tell whether a reload changed anything
+   */
+  function getBrowseSignature(entries, sources) {
+    return JSON.stringify([
+      entries.map(function(entry) {
+        return [entry._branch, entry._content_type_uid, entry.uid, entry._version, entry.updated_at];
+      }),
+      sources.map(function(source) {
+        return source.cursors.map(function(cursor) { return cursor.count; });
+      })
+    ]);
+  }
+
+  /**
+   * Read a (dot path) field from an entry
+   */
+  function getFieldValue(entry, path) {
+    return path.split('.').reduce(function(value, key) {
+      return value === null || value === undefined ? undefined : value[key];
+    }, entry);
+  }
+
+  /**
+   * Plain-text form of a field value for list labels (rich text is stripped of markup)
+   */
+  function getFieldText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return '';
+    var text = String(value);
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+      // A parsed document is inert: unlike a detached div it loads no images, so no onerror runs
+      text = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+    }
+    return text.trim();
+  }
+
+  /**
+   * Title of an entry from the configured titleField, falling back to its (file) name or UID
+   */
+  function getEntryTitle(entry) {
+    return getFieldText(getFieldValue(entry, titleField)) || entry.title || entry.filename || entry.uid || t('untitled');
+  }
+
+  /**
+   * A file size in bytes (the Delivery API gives assets' as a string) in the largest unit
+   * that keeps it at 1 or more, e.g. "1.5 MB"; '' when it is not a number
+   */
+  function formatFileSize(value) {
+    var bytes = Number(value);
+    if (value === undefined || value === null || value === '' || !isFinite(bytes) || bytes < 0) return '';
+    var unit = 0;
+    while (unit < FILE_SIZE_UNITS.length - 1 && bytes >= Math.pow(1024, unit + 1)) {
+      unit++;
+    }
+    var size = bytes / Math.pow(1024, unit);
+    return t(FILE_SIZE_UNITS[unit], { size: size.toLocaleString(uiLanguage, { maximumFractionDigits: unit === 0 ? 0 : 1 }) });
+  }
+
+  /**
+   * Upper-case extension of a file name for the placeholder of files without a thumbnail, e.g. "PDF"
+   */
+  function getFileExtension(filename) {
+    var match = /\.([a-z0-9]{1,5})$/i.exec(filename || '');
+    return match ? match[1].toUpperCase() : '';
+  }
+
+  /**
+   * URL to show for a file field (or a plain URL string), or null if it is not an image
+   * Contentstack-hosted images get Image Delivery API transform parameters appended
+   */
+  function getImageUrl(value, params) {
+    if (Array.isArray(value)) {
+      value = value[0];
+    }
+    if (!value) return null;
+
+    var url = typeof value === 'string' ? value : value.url;
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return null;
+
+    var contentTypeHeader = typeof value === 'object' ? value.content_type : null;
+    var isImage = contentTypeHeader
+      ? contentTypeHeader.indexOf('image/') === 0
+      : /\.(png|jpe?g|gif|webp|svg|avif)(\?|$)/i.test(url);
+    if (!isImage) return null;
+
+    if (/^https:\/\/([a-z0-9-]+-)?images\.contentstack\.(io|com)\//i.test(url) && params) {
+      var query = Object.keys(params).map(function(key) {
+        return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+      }).join('&');
+      if (query) {
+        url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+      }
+    }
+
+    return url;
+  }
+
+  /**
+   * HTML for a field value in the preview pane
+   */
+  function formatPreviewValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return '—';
+    }
+
+    // File fields: images inline, other files as a link
+    var files = Array.isArray(value) ? value : [value];
+    var isFileList = files.length > 0 && files.every(function(file) {
+      return file && typeof file === 'object' && typeof file.url === 'string' && file.filename;
+    });
+    if (isFileList) {
+      return files.map(function(file) {
+        var imageUrl = getImageUrl(file, PREVIEW_IMAGE_PARAMS);
+        return imageUrl
+          ? '<img class="cs-extension-preview-image" src="' + escapeHtml(imageUrl) + '" alt="' + escapeHtml(file.title || file.filename) + '">'
+          : '<a href="' + escapeHtml(file.url) + '" target="_blank" rel="noopener">' + escapeHtml(file.filename) + '</a>';
+      }).join('');
+    }
+
+    if (typeof value === 'boolean') {
+      return escapeHtml(t(value ? 'valueYes' : 'valueNo'));
+    }
+    if (Array.isArray(value) && value.every(function(item) { return typeof item !== 'object'; })) {
+      return escapeHtml(value.join(', '));
+    }
+    if (Array.isArray(value) && value.every(function(item) { return item && item.uid && item._content_type_uid; })) {
+      return escapeHtml(t(value.length === 1 ? 'referenceCountOne' : 'referenceCountOther', { count: value.length }));
+    }
+    if (typeof value === 'object') {
+      return escapeHtml(formatDiffValue(value));
+    }
+
+    var text = getFieldText(value);
+    return escapeHtml(text.length > 300 ? text.slice(0, 300) + '…' : text);
+  }
+
+  /**
+   * HTML for a field of the preview pane; asset sizes and dimensions are spelled out
+   */
+  function formatPreviewField(entry, path) {
+    var value = getFieldValue(entry, path);
+    if (assetMode && path === 'file_size' && formatFileSize(value)) {
+      return escapeHtml(formatFileSize(value));
+    }
+    if (assetMode && path === 'dimension' && value && value.width && value.height) {
+      return escapeHtml(t('dimensions', { width: value.width, height: value.height }));
+    }
+    return formatPreviewValue(value);
+  }
+
+  /**
+   * Fields listed in the preview pane: config.previewFields, or the display fields
+   * followed by the entry's other content fields
+   */
+  function getPreviewFields(entry) {
+    if (displayFields.previewFields.length > 0) {
+      return displayFields.previewFields;
+    }
+    if (assetMode) {
+      return ASSET_PREVIEW_FIELDS.filter(function(path) {
+        return getFieldValue(entry, path) !== undefined;
+      });
+    }
+
+    var fields = [titleField, displayFields.subtitleField];
+    if (displayFields.thumbnailField) {
+      fields.push(displayFields.thumbnailField);
+    }
+    // Skip top-level fields a display path already points into
+    var covered = fields.map(function(path) { return path.split('.')[0]; });
+    Object.keys(entry).forEach(function(key) {
+      if (key.charAt(0) === '_' || METADATA_FIELDS.indexOf(key) !== -1 || covered.indexOf(key) !== -1) return;
+      fields.push(key);
+    });
+
+    return fields.filter(function(path) {
+      return getFieldValue(entry, path) !== undefined;
+    }).slice(0, MAX_DEFAULT_PREVIEW_FIELDS);
+  }
+
+  /**
+   * Show or hide an entry's key fields below its list item, with a button to select it
+   * Returns the pane when it was opened
+   */
+  function togglePreviewPane(item, view) {
+    var next = item.nextElementSibling;
+    if (next && next.classList.contains('cs-extension-preview')) {
+      next.parentNode.removeChild(next);
+      return null;
+    }
+
+    var entryUid = item.getAttribute('data-entry-uid');
+    var entryBranch = item.getAttribute('data-entry-branch');
+    var entry = view.entries.find(function(e) {
+      return e.uid === entryUid && (e._branch || 'main') === entryBranch;
+    });
+    if (!entry) return null;
+
+    // Focusable so that keyboard users land on it (see handleListKeydown)
+    var html = '<div class="cs-extension-preview" role="group" tabindex="-1" aria-label="' +
+      escapeHtml(t('previewOf', { title: getEntryTitle(entry) })) + '"><dl class="cs-extension-preview-fields">';
+    // The file itself: the image, or a link to any other file
+    if (assetMode) {
+      html += '<dt>' + escapeHtml(t('file')) + '</dt><dd>' + formatPreviewValue(entry) + '</dd>';
+    }
+    getPreviewFields(entry).forEach(function(path) {
+      html += '<dt>' + escapeHtml(path) + '</dt><dd>' + formatPreviewField(entry, path) + '</dd>';
+    });
+    html += '<dt>' + escapeHtml(t('branch')) + '</dt><dd>' + escapeHtml(entry._branch_label || entry._branch) + '</dd>';
+    if (entry._version) {
+      html += '<dt>' + escapeHtml(t('version')) + '</dt><dd>' + escapeHtml(String(entry._version)) + '</dd>';
+    }
+    html += renderUsedBy(entry);
+    html += '</dl>';
+
+    var isSelected = item.classList.contains('cs-extension-item-selected');
+    var label = t(multiple
+      ? (isSelected ? 'removeFromSelection' : 'addToSelection')
+      : (isSelected ? 'selected' : 'selectThisEntry'));
+    html += '<button type="button" class="cs-extension-preview-select" data-entry-uid="' + escapeHtml(entry.uid) +
+      '" data-entry-branch="' + escapeHtml(entry._branch) + '"' + (!multiple && isSelected ? ' disabled' : '') + '>' + escapeHtml(label) + '</button>' +
+      '</div>';
+
+    item.insertAdjacentHTML('afterend', html);
+
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+    return item.nextElementSibling;
+  }
+
+  /**
+   * Short display form of a field value for the comparison table
+   */
+  function formatDiffValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    var text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 200 ? text.slice(0, 200) + '…' : text;
+  }
+
+  /**
+   * Show or hide the side-by-side comparison of an overridden entry's versions
+   * Returns the pane when it was opened
+   */
+  function toggleDiffPane(item, view) {
+    var next = item.nextElementSibling;
+    if (next && next.classList.contains('cs-extension-diff')) {
+      next.parentNode.removeChild(next);
+      return null;
+    }
+
+    var copies = getEntryCopies(view.entries, view.sources, item.getAttribute('data-entry-uid'));
+    var changedFields = getChangedFields(copies);
+
+    var html = '<div class="cs-extension-diff" role="group" tabindex="-1" aria-label="' +
+      escapeHtml(t('versionsOf', { title: getEntryTitle(copies[0]) })) + '"><table class="cs-extension-diff-table"><thead><tr><th></th>';
+    copies.forEach(function(copy) {
+      html += '<th>' + escapeHtml(copy._branch_label) + '</th>';
+    });
+    html += '</tr></thead><tbody>';
+
+    html += '<tr><th>' + escapeHtml(t('version')) + '</th>';
+    copies.forEach(function(copy) {
+      html += '<td>' + escapeHtml(formatDiffValue(copy._version)) + '</td>';
+    });
+    html += '</tr><tr><th>' + escapeHtml(t('updatedColumn')) + '</th>';
+    copies.forEach(function(copy) {
+      html += '<td>' + (copy.updated_at ? escapeHtml(new Date(copy.updated_at).toLocaleString(uiLanguage)) : '—') + '</td>';
+    });
+    html += '</tr>';
+
+    changedFields.forEach(function(key) {
+      html += '<tr class="cs-extension-diff-changed"><th>' + escapeHtml(key) + '</th>';
+      copies.forEach(function(copy) {
+        html += '<td>' + escapeHtml(formatDiffValue(copy[key])) + '</td>';
+      });
+      html += '</tr>';
+    });
+    if (changedFields.length === 0) {
+      html += '<tr><td colspan="' + (copies.length + 1) + '">' + escapeHtml(t('noDifferences')) + '</td></tr>';
+    }
+
+    html += '</tbody><tfoot><tr><th></th>';
+    copies.forEach(function(copy) {
+      html += '<td><button type="button" class="cs-extension-diff-select" data-entry-uid="' + escapeHtml(copy.uid) +
+        '" data-entry-branch="' + escapeHtml(copy._branch) + '">' + escapeHtml(t('useThisVersion')) + '</button></td>';
+    });
+    html += '</tr></tfoot></table></div>';
+
+    item.insertAdjacentHTML('afterend', html);
+
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+    return item.nextElementSibling;
+  }
+
+  /**
+   * Select a single entry
+   */
+  function selectSingleEntry(entry, container, entries) {
+    selection.selectSingle(entry);
+
+    // Update UI
+    var items = document.querySelectorAll('.cs-extension-item');
+    items.forEach(function(item) {
+      refreshItemSelection(item);
+    });
+
+    renderSelectedItems(container, entries);
+
+    // Resize window after selection
+    sdk.window.updateHeight();
+  }
+
+  /**
+   * Toggle multiple selection
+   */
+  function toggleMultipleSelection(entry, container, entries) {
+    if (!selection.toggle(entry)) {
+      // Full: refuse the pick and say why
+      showSelectionMessage(container, t('selectionFull', { items: formatItemCount(selectionLimits.maxItems) }), true);
+      return;
+    }
+
+    // Update UI
+    var items = container.querySelectorAll('.cs-extension-item[data-entry-uid="' + cssEscape(entry.uid) + '"]');
+    items.forEach(function(item) {
+      refreshItemSelection(item);
+    });
+
+    // Update selected items display
+    renderSelectedItems(container, entries);
+
+    // Resize window after selection
+    sdk.window.updateHeight();
+  }
+
+  /**
+   * Set a list item's selected state from the field data
+   * Merged rows (data-entry-branches) count as selected when any of their copies is
+   */
+  function refreshItemSelection(item) {
+    var uid = item.getAttribute('data-entry-uid');
+    var branches = (item.getAttribute('data-entry-branches') || item.getAttribute('data-entry-branch')).split(' ');
+    var selected = branches.some(function(branch) {
+      return selection.isSelected({ uid: uid, _branch: branch });
+    });
+    item.classList.toggle('cs-extension-item-selected', selected);
+    item.setAttribute('aria-selected', selected ? 'true' : 'false');
+  }
+
+  /**
+   * Render selected items display (both modes)
+   */
+  function renderSelectedItems(container, entries) {
+    var selectedList = container.querySelector('#main-branch-selected-list');
+    if (!selectedList) return;
+
+    var references = selection.getReferences();
+    var title = container.querySelector('#main-branch-selected-title');
+    title.textContent = multiple ? t('selectedItems', { count: references.length }) : t('selectedItem');
+    renderReplaceHint(container, entries);
+
+    if (multiple) {
+      updateSelectionValidity(container, references.length);
+    }
+
+    if (references.length === 0) {
+      selectedList.innerHTML = '<div class="cs-extension-empty-selection">' + escapeHtml(t('noItemsSelected')) + '</div>';
+      return;
+    }
+
+    // Order matters to page builders: multiple selections can be reordered by
+    // dragging, or with Alt + arrow keys on a focused item
+    var sortable = multiple && references.length > 1;
+
+    var html = '';
+    references.forEach(function(reference) {
+      var state = selection.getReferenceState(reference);
+
+      // Resolve references we have not checked yet (e.g. the stored value on load)
+      if (!state) {
+        state = { status: 'loading' };
+        selection.setReferenceState(reference, state);
+        client.resolveReference(reference).then(function(resolved) {
+          selection.setReferenceState(reference, resolved);
+          renderSelectedItems(container, entries);
+        });
+      }
+
+      var known = state.entry || entries.find(function(e) {
+        return e.uid === reference.uid && (e._branch || 'main') === reference._branch;
+      });
+      var itemTitle = known ? getEntryTitle(known) : reference.uid;
+      var broken = state.status !== 'ok' && state.status !== 'loading';
+
+      html += '<div class="cs-extension-selected-item' + (broken ? ' cs-extension-selected-item-broken' : '') + '" role="listitem"' +
+        ' data-entry-uid="' + escapeHtml(reference.uid) + '" data-entry-branch="' + escapeHtml(reference._branch) + '"' +
+        (sortable ? ' draggable="true" tabindex="0" title="' + escapeHtml(t('reorderHint')) + '"' : '') + '>' +
+        '<span class="cs-extension-selected-item-title">' + escapeHtml(itemTitle) + '</span>';
+      if (state.status !== 'ok') {
+        html += '<span class="cs-extension-selected-item-status">' + escapeHtml(getReferenceStatusText(reference, state)) + '</span>';
+      }
+      if (broken) {
+        html += '<button type="button" class="cs-extension-replace-btn" data-entry-uid="' + escapeHtml(reference.uid) +
+          '" data-entry-branch="' + escapeHtml(reference._branch) + '" aria-label="' + escapeHtml(t('replaceEntry', { title: itemTitle })) + '">' +
+          escapeHtml(t('replace')) + '</button>';
+      }
+      html += '<button type="button" class="cs-extension-remove-btn" data-entry-uid="' + escapeHtml(reference.uid) +
+        '" data-entry-branch="' + escapeHtml(reference._branch) + '" aria-label="' + escapeHtml(t('removeEntry', { title: itemTitle })) + '"' +
+        ' title="' + escapeHtml(t('removeEntry', { title: itemTitle })) + '">×</button>' +
+        '</div>';
+    });
+
+    selectedList.innerHTML = html;
+
+    // Attach remove button listeners
+    var removeButtons = selectedList.querySelectorAll('.cs-extension-remove-btn');
+    removeButtons.forEach(function(btn, index) {
+      btn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        removeReference({
+          uid: btn.getAttribute('data-entry-uid'),
+          _branch: btn.getAttribute('data-entry-branch')
+        }, container, entries);
+        focusAfterRemoval(container, index);
+      });
+    });
+
+    if (sortable) {
+      attachReorderListeners(container, entries);
+    }
+
+    // Replace: the next entry picked from the list takes this reference's place
+    var replaceButtons = selectedList.querySelectorAll('.cs-extension-replace-btn');
+    replaceButtons.forEach(function(btn) {
+      btn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        selection.setPendingReplacement({
+          uid: btn.getAttribute('data-entry-uid'),
+          _branch: btn.getAttribute('data-entry-branch')
+        });
+        renderReplaceHint(container, entries);
+        var searchInput = container.querySelector('#main-branch-search');
+        if (searchInput) {
+          searchInput.focus();
+        }
+      });
+    });
+
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+  }
+
+  /**
+   * Keep focus in the selection after a removal: on the remove button that took the removed
+   * one's place, else the last one, else the entry list
+   */
+  function focusAfterRemoval(container, index) {
+    var removeButtons = container.querySelectorAll('#main-branch-selected-list .cs-extension-remove-btn');
+    var next = removeButtons[Math.min(index, removeButtons.length - 1)];
+    if (next) {
+      next.focus();
+      return;
+    }
+    var option = container.querySelector('#main-branch-list .cs-extension-item[tabindex="0"]');
+    if (option) {
+      option.focus();
+    }
+  }
+
+  /**
+   * Drag-and-drop and keyboard reordering of the selected items
+   */
+  function attachReorderListeners(container, entries) {
+    var selectedList = container.querySelector('#main-branch-selected-list');
+    var items = selectedList.querySelectorAll('.cs-extension-selected-item');
+    var draggedItem = null;
+
+    items.forEach(function(item) {
+      item.addEventListener('dragstart', function(e) {
+        draggedItem = item;
+        item.classList.add('cs-extension-selected-item-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag when data is set
+        e.dataTransfer.setData('text/plain', item.getAttribute('data-entry-uid'));
+      });
+
+      item.addEventListener('dragend', function() {
+        draggedItem = null;
+        item.classList.remove('cs-extension-selected-item-dragging');
+      });
+
+      item.addEventListener('dragover', function(e) {
+        if (!draggedItem || draggedItem === item) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      });
+
+      item.addEventListener('drop', function(e) {
+        if (!draggedItem || draggedItem === item) return;
+        e.preventDefault();
+        var from = getSelectedItemIndex(draggedItem);
+        var to = getSelectedItemIndex(item);
+        moveReference(container, entries, from, to);
+      });
+
+      item.addEventListener('keydown', function(e) {
+        if (!e.altKey || e.target !== item) return;
+        var offset = (e.key === 'ArrowUp' || e.key === 'ArrowLeft') ? -1
+          : (e.key === 'ArrowDown' || e.key === 'ArrowRight') ? 1
+          : 0;
+        if (!offset) return;
+        e.preventDefault();
+
+        var from = getSelectedItemIndex(item);
+        var to = from + offset;
+        if (to < 0 || to >= selection.getData().length) return;
+        moveReference(container, entries, from, to);
+
+        // Keep focus on the item that moved
+        var moved = selectedList.querySelector('.cs-extension-selected-item[data-entry-uid="' + cssEscape(item.getAttribute('data-entry-uid')) +
+          '"][data-entry-branch="' + cssEscape(item.getAttribute('data-entry-branch')) + '"]');
+        if (moved) {
+          moved.focus();
+        }
+      });
+    });
+  }
+
+  /**
+   * Index in the field data of the reference a selected item shows
+   */
+  function getSelectedItemIndex(item) {
+    return selection.indexOf({ uid: item.getAttribute('data-entry-uid'), _branch: item.getAttribute('data-entry-branch') });
+  }
+
+  /**
+   * Move a reference within the selection and show the new order
+   */
+  function moveReference(container, entries, from, to) {
+    if (selection.move(from, to)) {
+      renderSelectedItems(container, entries);
+    }
+  }
+
+  /**
+   * Check the selection against minItems/maxItems, show the result and report it to the entry editor
+   */
+  function updateSelectionValidity(container, count) {
+    var minItems = selectionLimits.minItems;
+    var maxItems = selectionLimits.maxItems;
+    if (minItems === null && maxItems === null) return;
+
+    var error = null;
+    if (minItems !== null && count < minItems) {
+      error = t('tooFewSelected', { items: formatItemCount(minItems), count: count });
+    } else if (maxItems !== null && count > maxItems) {
+      error = t('tooManySelected', { items: formatItemCount(maxItems), count: count });
+    }
+
+    // Let the entry editor block saving while the field is invalid (when the SDK supports it)
+    var field = sdk.field;
+    if (field && typeof field.setInvalid === 'function') {
+      field.setInvalid(!!error, error || '');
+    }
+
+    if (error) {
+      showSelectionMessage(container, error, true);
+    } else {
+      showSelectionMessage(container, describeSelectionLimits(), false);
+    }
+
+    // Dim entries that can no longer be added
+    var list = container.querySelector('#main-branch-list');
+    if (list) {
+      list.classList.toggle('cs-extension-list-full', maxItems !== null && count >= maxItems);
+    }
+  }
+
+  /**
+   * e.g. "Select 2 to 5 items."
+   */
+  function describeSelectionLimits() {
+    var minItems = selectionLimits.minItems;
+    var maxItems = selectionLimits.maxItems;
+    if (minItems !== null && maxItems !== null) {
+      return minItems === maxItems
+        ? t('limitExactly', { items: formatItemCount(minItems) })
+        : t('limitRange', { min: minItems, items: formatItemCount(maxItems) });
+    }
+    return minItems !== null
+      ? t('limitAtLeast', { items: formatItemCount(minItems) })
+      : t('limitUpTo', { items: formatItemCount(maxItems) });
+  }
+
+  /**
+   * e.g. "1 item", "3 items"
+   */
+  function formatItemCount(count) {
+    return t(count === 1 ? 'itemCountOne' : 'itemCountOther', { count: count });
+  }
+
+  /**
+   * Show a note under the selected items (isError styles it as a problem)
+   */
+  function showSelectionMessage(container, message, isError) {
+    var element = container.querySelector('#main-branch-selection-message');
+    if (!element) return;
+    element.hidden = !message;
+    element.textContent = message || '';
+    element.classList.toggle('cs-extension-selection-message-error', !!isError);
+
+    if (sdk && sdk.window) {
+      sdk.window.updateHeight();
+    }
+  }
+
+  /**
+   * Show which reference is being replaced, with a way to cancel
+   */
+  function renderReplaceHint(container, entries) {
+    var hint = container.querySelector('#main-branch-replace-hint');
+    if (!hint) return;
+
+    var pendingReplacement = selection.getPendingReplacement();
+    if (!pendingReplacement) {
+      hint.hidden = true;
+      hint.innerHTML = '';
+      return;
+    }
+
+    hint.hidden = false;
+    hint.innerHTML = escapeHtml(t('replaceHint', { uid: pendingReplacement.uid, branch: pendingReplacement._branch })) + ' ' +
+      '<button type="button" class="cs-extension-replace-cancel">' + escapeHtml(t('cancel')) + '</button>';
+    hint.querySelector('.cs-extension-replace-cancel').addEventListener('click', function() {
+      selection.setPendingReplacement(null);
+      renderReplaceHint(container, entries);
+    });
+  }
+
+  /**
+   * Human-readable state of a stored reference
+   */
+  function getReferenceStatusText(reference, state) {
+    switch (state.status) {
+      case 'loading':
+        return t('referenceChecking');
+      case 'missing':
+        return t('referenceDeleted');
+      case 'unpublished':
+        return t('referenceUnpublished', { environment: environment });
+      case 'not-found':
+        return t('referenceMissing', { environment: environment });
+      case 'branch-missing':
+        return t('referenceBranchGone', { branch: reference._branch });
+      default:
+        return t('referenceError', { message: state.message || t('unknownError') });
+    }
+  }
+
+  /**
+   * Remove a stored reference from the field
+   */
+  function removeReference(reference, container, entries) {
+    selection.remove(reference);
+
+    container.querySelectorAll('.cs-extension-item[data-entry-uid="' + cssEscape(reference.uid) + '"]').forEach(function(item) {
+      refreshItemSelection(item);
+    });
+    renderSelectedItems(container, entries);
+  }
+
+  /**
+   * Put the entry picked from the list in the place of the reference being replaced
+   */
+  function replaceReference(target, entry, container, entries) {
+    selection.replace(target, entry);
+
+    container.querySelectorAll('.cs-extension-item').forEach(function(item) {
+      refreshItemSelection(item);
+    });
+    renderSelectedItems(container, entries);
+  }
+
+  return {
+    start: start,
+    applyEntryEvent: applyEntryEvent,
+    getBrowsedBranches: function() { return browsedBranches; }
+  };
+}
+
+module.exports = {
+  createRenderer: createRenderer
+};
@@ -0,0 +1,235 @@
+/**
+ * Selection state of the field: the stored references, what is known about each of
+ * them, and the reference waiting to be replaced by the next pick
+ */
+
+'use strict';
+
+var ASSET_CONTENT_TYPE = require('./config').ASSET_CONTENT_TYPE;
+
+/**
+ * Normalise the field data into a list of { uid, _content_type_uid, _branch }
+ * Legacy values may be bare UID strings, which are treated as Main branch references
+ */
+function getStoredReferences(data) {
+  if (!data) return [];
+  var items = Array.isArray(data) ? data : [data];
+  return items.filter(function(item) {
+    return typeof item === 'string' ? item : item && item.uid;
+  }).map(function(item) {
+    if (typeof item === 'string') {
+      return { uid: item, _branch: 'main' };
+    }
+    return { uid: item.uid, _content_type_uid: item._content_type_uid, _branch: item._branch || 'main' };
+  });
+}
+
+/**
+ * Key for referenceStates
+ */
+function getReferenceKey(reference) {
+  return (reference._branch || 'main') + '/' + reference.uid;
+}
+
+/**
+ * Check whether a stored field value (object or legacy UID string) points at a reference
+ */
+function isSameReference(item, reference) {
+  var normalized = getStoredReferences(item)[0];
+  return !!normalized && getReferenceKey(normalized) === getReferenceKey(reference);
+}
+
+/**
+ * Check if an entry is selected
+ */
+function isEntrySelected(entry, currentData, multiple) {
+  if (!currentData) return false;
+
+  if (multiple) {
+    if (!Array.isArray(currentData)) return false;
+    return currentData.some(function(item) {
+      var itemUid = typeof item === 'string' ? item : item.uid;
+      var itemBranch = item._branch || 'main';
+      return itemUid === entry.uid && itemBranch === (entry._branch || 'main');
+    });
+  } else {
+    var currentUid = typeof currentData === 'string' ? currentData : currentData.uid;
+    var currentBranch = currentData._branch || 'main';
+    return currentUid === entry.uid && currentBranch === (entry._branch || 'main');
+  }
+}
+
+/**
+ * The reference stored for an entry picked from the list
+ * Assets are stored as { uid, _branch, url, filename }, so sites can link them without another request
+ */
+function toReference(entry) {
+  if (entry._content_type_uid === ASSET_CONTENT_TYPE) {
+    return {
+      uid: entry.uid,
+      _branch: entry._branch || 'main',
+      url: entry.url,
+      filename: entry.filename
+    };
+  }
+  return {
+    uid: entry.uid,
+    _content_type_uid: entry._content_type_uid,
+    _branch: entry._branch || 'main'  // Store branch info
+  };
+}
+
+/**
+ * Create the selection state of a field
+ * options: { field (the SDK's field), multiple, maxItems (null for no limit) }
+ * Every change is saved with field.setData; a multiple selection is one array,
+ * changed in place, so every view of it stays in sync
+ */
+function createSelectionState(options) {
+  var field = options.field;
+  var multiple = options.multiple;
+  var maxItems = options.maxItems === undefined ? null : options.maxItems;
+  var data = field.getData() || (multiple ? [] : null);
+  // Resolution state of stored references ({ status, entry }), keyed by getReferenceKey
+  var referenceStates = {};
+  // Stored reference the author chose to replace with the next entry they pick
+  var pendingReplacement = null;
+
+  /**
+   * Store a single entry
+   */
+  function selectSingle(entry) {
+    data = toReference(entry);
+    field.setData(data);
+    // Picked from the list, so it is known to exist
+    referenceStates[getReferenceKey(data)] = { status: 'ok', entry: entry };
+    pendingReplacement = null;
+  }
+
+  /**
+   * Add an entry to a multiple selection, or remove it when it is already selected
+   * Returns false, changing nothing, when the selection is full (maxItems)
+   */
+  function toggle(entry) {
+    if (!Array.isArray(data)) {
+      data = [];
+    }
+    var reference = toReference(entry);
+    var index = data.findIndex(function(item) {
+      return isSameReference(item, reference);
+    });
+
+    if (index >= 0) {
+      data.splice(index, 1);
+    } else if (maxItems !== null && data.length >= maxItems) {
+      return false;
+    } else {
+      data.push(reference);
+      // Picked from the list, so it is known to exist
+      referenceStates[getReferenceKey(reference)] = { status: 'ok', entry: entry };
+    }
+
+    field.setData(data);
+    return true;
+  }
+
+  /**
+   * Put an entry in the place of a stored reference (multiple mode)
+   */
+  function replace(target, entry) {
+    if (!Array.isArray(data)) {
+      data = [];
+    }
+    var replacement = toReference(entry);
+    var targetIndex = data.findIndex(function(item) {
+      return isSameReference(item, target);
+    });
+    var alreadySelected = data.some(function(item) {
+      return isSameReference(item, replacement);
+    });
+
+    if (targetIndex !== -1 && !alreadySelected) {
+      data[targetIndex] = replacement;
+    } else if (targetIndex !== -1) {
+      // The pick is already selected elsewhere: just drop the old reference
+      data.splice(targetIndex, 1);
+    } else if (!alreadySelected) {
+      // The old reference is gone already: treat it as a normal pick
+      data.push(replacement);
+    }
+
+    pendingReplacement = null;
+    referenceStates[getReferenceKey(replacement)] = { status: 'ok', entry: entry };
+    field.setData(data);
+  }
+
+  /**
+   * Remove a stored reference (a single selection is cleared)
+   */
+  function remove(reference) {
+    if (pendingReplacement && getReferenceKey(pendingReplacement) === getReferenceKey(reference)) {
+      pendingReplacement = null;
+    }
+
+    if (multiple) {
+      if (!Array.isArray(data)) {
+        data = [];
+      }
+      for (var i = data.length - 1; i >= 0; i--) {
+        if (isSameReference(data[i], reference)) {
+          data.splice(i, 1);
+        }
+      }
+    } else {
+      data = null;
+    }
+    field.setData(data);
+  }
+
+  /**
+   * Move a reference within a multiple selection and save the new order
+   * Returns whether anything moved
+   */
+  function move(from, to) {
+    if (!Array.isArray(data) || from === -1 || to === -1 || from === to || to >= data.length) return false;
+    var moved = data.splice(from, 1)[0];
+    data.splice(to, 0, moved);
+    field.setData(data);
+    return true;
+  }
+
+  /**
+   * Index in the field data of a reference, or -1
+   */
+  function indexOf(reference) {
+    return Array.isArray(data) ? data.findIndex(function(value) {
+      return isSameReference(value, reference);
+    }) : -1;
+  }
+
+  return {
+    getData: function() { return data; },
+    getReferences: function() { return getStoredReferences(data); },
+    isSelected: function(entry) { return isEntrySelected(entry, data, multiple); },
+    selectSingle: selectSingle,
+    toggle: toggle,
+    replace: replace,
+    remove: remove,
+    move: move,
+    indexOf: indexOf,
+    getReferenceState: function(reference) { return referenceStates[getReferenceKey(reference)]; },
+    setReferenceState: function(reference, state) { referenceStates[getReferenceKey(reference)] = state; },
+    clearReferenceStates: function() { referenceStates = {}; },
+    getPendingReplacement: function() { return pendingReplacement; },
+    setPendingReplacement: function(reference) { pendingReplacement = reference; }
+  };
+}
+
+module.exports = {
+  getStoredReferences: getStoredReferences,
+  getReferenceKey: getReferenceKey,
+  isSameReference: isSameReference,
+  isEntrySelected: isEntrySelected,
+  toReference: toReference,
+  createSelectionState: createSelectionState
+};
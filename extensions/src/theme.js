@@ -0,0 +1,90 @@
+/**
+ * Theming (config.theme): light or dark colours, list density and colour overrides,
+ * applied to the container as classes and CSS custom properties that the styles in
+ * main-branch-selector.html are written against
+ */
+
+'use strict';
+
+// "auto" follows the browser's colour scheme, which the entry editor around the field follows too
+var COLOR_SCHEMES = ['auto', 'light', 'dark'];
+
+// "compact" tightens the list for fields inside groups and modular blocks
+var DENSITIES = ['comfortable', 'compact'];
+
+// CSS custom property each key of theme.colors and theme.darkColors sets
+var THEME_COLOR_PROPERTIES = {
+  primary: '--cs-extension-color-primary',
+  text: '--cs-extension-color-text',
+  textMuted: '--cs-extension-color-text-muted',
+  background: '--cs-extension-color-background',
+  surface: '--cs-extension-color-surface',
+  surfaceMuted: '--cs-extension-color-surface-muted',
+  border: '--cs-extension-color-border',
+  danger: '--cs-extension-color-danger',
+  warning: '--cs-extension-color-warning',
+  success: '--cs-extension-color-success',
+  badgeMain: '--cs-extension-color-badge-main',
+  badgeCurrent: '--cs-extension-color-badge-current'
+};
+
+var DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Apply a resolved theme (see parseTheme) to the container
+ * With colorScheme "auto" the container switches between light and dark as the
+ * browser's colour scheme changes
+ */
+function applyTheme(container, theme, win) {
+  win = win || window;
+  var media = theme.colorScheme === 'auto' && typeof win.matchMedia === 'function'
+    ? win.matchMedia(DARK_SCHEME_QUERY)
+    : null;
+
+  function update() {
+    var dark = theme.colorScheme === 'dark' || (!!media && media.matches);
+    container.classList.toggle('cs-extension-theme-dark', dark);
+
+    // darkColors only replace colors in the dark scheme
+    var colors = Object.assign({}, theme.colors, dark ? theme.darkColors : {});
+    Object.keys(THEME_COLOR_PROPERTIES).forEach(function(key) {
+      if (colors[key]) {
+        container.style.setProperty(THEME_COLOR_PROPERTIES[key], colors[key]);
+      } else {
+        container.style.removeProperty(THEME_COLOR_PROPERTIES[key]);
+      }
+    });
+  }
+
+  container.classList.toggle('cs-extension-density-compact', theme.density === 'compact');
+  update();
+
+  if (media) {
+    // Older Safari only has the deprecated addListener
+    if (typeof media.addEventListener === 'function') {
+      media.addEventListener('change', update);
+    } else if (typeof media.addListener === 'function') {
+      media.addListener(update);
+    }
+  }
+}
+
+/**
+ * Badge colour of a branch from theme.badgeColors, keyed by branch UID or "$current"
+ * for the branch being edited; null when none is set
+ */
+function getBadgeColor(theme, branch, currentBranch) {
+  var badgeColors = theme.badgeColors;
+  if (badgeColors.hasOwnProperty(branch)) {
+    return badgeColors[branch];
+  }
+  return branch === currentBranch && badgeColors.hasOwnProperty('$current') ? badgeColors.$current : null;
+}
+
+module.exports = {
+  COLOR_SCHEMES: COLOR_SCHEMES,
+  DENSITIES: DENSITIES,
+  THEME_COLOR_PROPERTIES: THEME_COLOR_PROPERTIES,
+  applyTheme: applyTheme,
+  getBadgeColor: getBadgeColor
+};
@@ -0,0 +1,58 @@
+/**
+ * Usage counts from the cross-branch usage report (usage-report/usage-report.js),
+ * so authors can see how widely a shared entry is used before picking or changing it
+ */
+
+'use strict';
+
+// Entries listed in the preview pane's "Used by" section before "and N more"
+var MAX_LISTED_USERS = 10;
+
+/**
+ * Fetch the report
+ * Resolves to the report, or to null (with a warning) when it cannot be loaded; the
+ * list works the same without it, only without usage counts
+ */
+function loadUsageReport(url, logger) {
+  if (typeof fetch !== 'function') {
+    logger.warn('Usage counts are off: this browser has no fetch');
+    return Promise.resolve(null);
+  }
+
+  return fetch(url, { method: 'GET' })
+    .then(function(response) {
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+      return response.json();
+    })
+    .then(function(report) {
+      if (!report || !report.usage || typeof report.usage !== 'object') {
+        throw new Error('not a usage report (no "usage" object)');
+      }
+      logger.info('Loaded the usage report of ' + (report.generatedAt || 'unknown date'));
+      return report;
+    })
+    .catch(function(error) {
+      logger.warn('Could not load the usage report from ' + url + ': ' + error.message);
+      return null;
+    });
+}
+
+/**
+ * An entry's record in the report: { count, usedBy }, with count 0 when nothing uses it
+ * Entries are keyed by the branch they belong to, as the field stores them
+ */
+function getEntryUsage(report, entry) {
+  var byUid = report.usage[entry._branch || 'main'];
+  var record = byUid && byUid.hasOwnProperty(entry.uid) ? byUid[entry.uid] : null;
+  return record
+    ? { count: record.count || 0, usedBy: record.usedBy || [] }
+    : { count: 0, usedBy: [] };
+}
+
+module.exports = {
+  MAX_LISTED_USERS: MAX_LISTED_USERS,
+  loadUsageReport: loadUsageReport,
+  getEntryUsage: getEntryUsage
+};
@@ -0,0 +1,484 @@
+/**
+ * Field value migration between native reference fields and the Main Branch Content Selector
+ *
+ * Rewrites the values of the configured fields through the Contentstack Management
+ * API, in either direction:
+ *   "to": "extension"  native [{ uid, _content_type_uid }] arrays (and legacy bare UID
+ *                      strings) become the field's { uid, _content_type_uid, _branch },
+ *                      with _branch filled from `defaultBranch` where there is none
+ *   "to": "reference"  the field's values become native reference arrays again
+ * A field is rewritten in place, or copied to the sibling field named by `target` so
+ * the old field can be dropped once the new one is checked. Entries are saved, not
+ * published; publish them (e.g. with a bulk publish) once the change log looks right.
+ *
+ * Usage: node migration/migrate-references.js [path/to/migration-config.json]
+ *          [--dry-run] [--output path]
+ * Reads migration-config.json next to this file by default. --dry-run fetches and
+ * converts without saving anything. The change log (JSON) goes to stdout unless
+ * --output is given. "${NAME}" in any config value is replaced with the environment
+ * variable NAME (see migration-config.example.json). Needs Node 18 or later.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var DeliveryApi = require('../extensions/delivery-api');
+var helpers = require('../shared/node-helpers');
+var expandVariables = helpers.expandVariables;
+var requestJson = helpers.requestJson;
+var sequence = helpers.sequence;
+
+// Management API host of each Contentstack region (config.region)
+var MANAGEMENT_HOSTS = {
+  NA: 'api.contentstack.io',
+  EU: 'eu-api.contentstack.com',
+  AU: 'au-api.contentstack.com',
+  AZURE_NA: 'azure-na-api.contentstack.com',
+  AZURE_EU: 'azure-eu-api.contentstack.com',
+  GCP_NA: 'gcp-na-api.contentstack.com',
+  GCP_EU: 'gcp-eu-api.contentstack.com'
+};
+
+// The Management API caps `limit` at 100 as well
+var PAGE_SIZE = 100;
+
+var DIRECTIONS = ['extension', 'reference'];
+
+/**
+ * Read and validate the migration config
+ * Throws an Error listing every problem found
+ */
+function loadConfig(configPath) {
+  var raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  var missingVariables = [];
+  var config = expandVariables(raw, missingVariables);
+  var errors = missingVariables.map(function(name) {
+    return 'Environment variable ' + name + ' is not set.';
+  });
+
+  if (!config.apiKey) {
+    errors.push('"apiKey" is required.');
+  }
+  if (!config.managementToken) {
+    errors.push('"managementToken" is required; create one with write access to the branch in Settings > Tokens.');
+  }
+  if (typeof config.branch !== 'string' || !config.branch) {
+    errors.push('"branch" must name the branch whose entries are rewritten.');
+  }
+  if (config.defaultBranch !== undefined && (typeof config.defaultBranch !== 'string' || !config.defaultBranch)) {
+    errors.push('"defaultBranch" must be a branch UID when set.');
+  }
+  if (config.locales !== undefined && !(Array.isArray(config.locales) && config.locales.length > 0)) {
+    errors.push('"locales" must be a non-empty array when set.');
+  }
+  if (!Array.isArray(config.fields) || config.fields.length === 0) {
+    errors.push('"fields" must list the fields to migrate, e.g. [{"contentType": "page", "field": "header", "to": "extension"}].');
+  } else {
+    config.fields.forEach(function(field, index) {
+      errors.push.apply(errors, checkField(field).map(function(problem) {
+        return 'fields[' + index + ']: ' + problem;
+      }));
+    });
+  }
+  if (config.host !== undefined && !DeliveryApi.parseHost(config.host)) {
+    errors.push('"host" must be a host name or URL, got "' + config.host + '".');
+  }
+  if (!config.host && !MANAGEMENT_HOSTS[DeliveryApi.normalizeRegion(config.region)]) {
+    errors.push('Unknown "region" "' + config.region + '". Use one of ' + Object.keys(MANAGEMENT_HOSTS).join(', ') + ', or set "host".');
+  }
+
+  if (errors.length > 0) {
+    throw new Error('Invalid migration config (' + configPath + '):\n  ' + errors.join('\n  '));
+  }
+  return config;
+}
+
+/**
+ * Problems with one entry of "fields"
+ */
+function checkField(field) {
+  if (!field || typeof field !== 'object') {
+    return ['must be an object.'];
+  }
+  var problems = [];
+  if (typeof field.contentType !== 'string' || !field.contentType) {
+    problems.push('"contentType" is required.');
+  }
+  if (typeof field.field !== 'string' || !field.field) {
+    problems.push('"field" is required (a field UID, or a dot path such as "seo.header" for fields in groups).');
+  }
+  if (DIRECTIONS.indexOf(field.to) === -1) {
+    problems.push('"to" must be one of ' + DIRECTIONS.join(', ') + '.');
+  }
+  if (field.target !== undefined && (typeof field.target !== 'string' || !/^[a-z0-9_]+$/.test(field.target))) {
+    problems.push('"target" must be the UID of a field next to "field".');
+  }
+  if (field.referenceTo !== undefined && (typeof field.referenceTo !== 'string' || !field.referenceTo)) {
+    problems.push('"referenceTo" must be a content type UID.');
+  }
+  if (field.multiple !== undefined && typeof field.multiple !== 'boolean') {
+    problems.push('"multiple" must be true or false.');
+  }
+  return problems;
+}
+
+/**
+ * A field value in the extension's format
+ * options: { multiple, defaultBranch, referenceTo (content type recorded for bare UIDs) }
+ * Returns { value, problems }, where value is one
+ * { uid, _content_type_uid, _branch } (null when empty), or an array of them when multiple
+ */
+function toExtensionValue(value, options) {
+  var problems = [];
+  var items = toItems(value).map(function(item) {
+    if (typeof item === 'string') {
+      return withoutEmpty({ uid: item, _content_type_uid: options.referenceTo, _branch: options.defaultBranch });
+    }
+    if (!isReferenceLike(item)) {
+      problems.push(describe(item) + ' is not a reference.');
+      return null;
+    }
+    // Assets keep the URL and filename the extension stores for them
+    if (typeof item.url === 'string' && typeof item.filename === 'string') {
+      return { uid: item.uid, _branch: item._branch || options.defaultBranch, url: item.url, filename: item.filename };
+    }
+    return withoutEmpty({
+      uid: item.uid,
+      _content_type_uid: item._content_type_uid || options.referenceTo,
+      _branch: item._branch || options.defaultBranch
+    });
+  });
+
+  if (options.multiple) {
+    return { value: items, problems: problems };
+  }
+  if (items.length > 1) {
+    problems.push('Holds ' + items.length + ' references, but the field stores one; set "multiple": true to keep them all.');
+  }
+  return { value: items[0] || null, problems: problems };
+}
+
+/**
+ * A field value in the native reference format, [{ uid, _content_type_uid }]
+ * options: { branch (where the migrated entries live), defaultBranch (of values without
+ *            _branch), referenceTo (content type of values that do not record one) }
+ * Returns { value, problems, warnings }; native references resolve in the entry's own
+ * branch, so values stored for another branch are warned about
+ */
+function toReferenceValue(value, options) {
+  var problems = [];
+  var warnings = [];
+  var items = toItems(value).map(function(item) {
+    if (typeof item === 'string') {
+      item = { uid: item };
+    }
+    if (!isReferenceLike(item)) {
+      problems.push(describe(item) + ' is not a reference.');
+      return null;
+    }
+    if (typeof item.url === 'string' && typeof item.filename === 'string') {
+      problems.push('Asset ' + item.uid + ' cannot be stored in a reference field.');
+      return null;
+    }
+
+    var contentType = item._content_type_uid || options.referenceTo;
+    if (!contentType) {
+      problems.push(item.uid + ' does not record its content type; set "referenceTo".');
+      return null;
+    }
+    var branch = item._branch || options.defaultBranch;
+    if (branch !== options.branch) {
+      warnings.push(item.uid + ' is on branch "' + branch + '"; the reference will look for it on "' + options.branch + '".');
+    }
+    return { uid: item.uid, _content_type_uid: contentType };
+  });
+  return { value: items, problems: problems, warnings: warnings };
+}
+
+/**
+ * The values of a field, whether stored as one value, an array or nothing
+ */
+function toItems(value) {
+  if (value === null || value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isReferenceLike(item) {
+  return !!item && typeof item === 'object' && !Array.isArray(item) && typeof item.uid === 'string' && !!item.uid;
+}
+
+/**
+ * A copy of an object without its undefined properties
+ */
+function withoutEmpty(object) {
+  var result = {};
+  Object.keys(object).forEach(function(key) {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+  return result;
+}
+
+function describe(value) {
+  var text = JSON.stringify(value);
+  return text && text.length > 60 ? text.slice(0, 57) + '...' : String(text);
+}
+
+/**
+ * Every place the field at a dot path holds a value: { parent, key, path }
+ * Arrays on the way (multiple groups, modular blocks) are walked, and their positions
+ * appear in path ("sections.2.header")
+ */
+function findFieldLocations(value, segments, prefix) {
+  var found = [];
+  if (Array.isArray(value)) {
+    value.forEach(function(item, index) {
+      found.push.apply(found, findFieldLocations(item, segments, prefix + '.' + index));
+    });
+    return found;
+  }
+  if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segments[0])) {
+    return found;
+  }
+
+  var fieldPath = prefix ? prefix + '.' + segments[0] : segments[0];
+  if (segments.length === 1) {
+    found.push({ parent: value, key: segments[0], path: fieldPath });
+  } else {
+    found.push.apply(found, findFieldLocations(value[segments[0]], segments.slice(1), fieldPath));
+  }
+  return found;
+}
+
+/**
+ * Convert the configured fields of one entry
+ * fields: the "fields" entries of its content type; options: { branch, defaultBranch }
+ * Returns { entry (a changed copy), changes: [{ field, target, before, after }], warnings, problems };
+ * the entry must not be saved when there are problems
+ */
+function migrateEntry(entry, fields, options) {
+  var copy = JSON.parse(JSON.stringify(entry));
+  var result = { entry: copy, changes: [], warnings: [], problems: [] };
+
+  fields.forEach(function(field) {
+    var segments = field.field.split('.');
+    findFieldLocations(copy, segments, '').forEach(function(location) {
+      var targetKey = field.target || location.key;
+      var targetPath = location.path.slice(0, location.path.length - location.key.length) + targetKey;
+      var converted = field.to === 'extension'
+        ? toExtensionValue(location.parent[location.key], {
+          multiple: !!field.multiple,
+          defaultBranch: options.defaultBranch,
+          referenceTo: field.referenceTo
+        })
+        : toReferenceValue(location.parent[location.key], {
+          branch: options.branch,
+          defaultBranch: options.defaultBranch,
+          referenceTo: field.referenceTo
+        });
+
+      var prefix = function(message) { return location.path + ': ' + message; };
+      result.problems.push.apply(result.problems, converted.problems.map(prefix));
+      result.warnings.push.apply(result.warnings, (converted.warnings || []).map(prefix));
+      if (converted.problems.length > 0) return;
+
+      var before = location.parent[targetKey];
+      if (JSON.stringify(before) === JSON.stringify(converted.value)) return;
+      location.parent[targetKey] = converted.value;
+      result.changes.push({
+        field: location.path,
+        target: targetPath,
+        before: before === undefined ? null : before,
+        after: converted.value
+      });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Base URL of the Management API: the host override, else the region's host
+ */
+function getManagementBaseUrl(config) {
+  return DeliveryApi.parseHost(config.host) ||
+    'https://' + (MANAGEMENT_HOSTS[DeliveryApi.normalizeRegion(config.region)] || MANAGEMENT_HOSTS.NA);
+}
+
+/**
+ * Migrate every entry of the configured content types in the configured branch
+ * options: { dryRun, fetch (defaults to the global fetch), log (progress messages, defaults to none) }
+ * Resolves to the change log: { generatedAt, dryRun, branch, summary: { entries, changed,
+ * skipped, failed }, entries: [{ contentType, uid, title, locale, status, changes,
+ * warnings, problems, error }] }, listing only entries that were (or would be) changed,
+ * skipped for problems or failed to save. status is "updated", "would update", "skipped" or "failed".
+ */
+function runMigration(config, options) {
+  options = options || {};
+  var requestOptions = { fetch: options.fetch, apiName: 'Management API' };
+  var log = options.log || function() {};
+  var baseUrl = getManagementBaseUrl(config);
+  var headers = {
+    'Content-Type': 'application/json',
+    'api_key': config.apiKey,
+    'authorization': config.managementToken,
+    'branch': config.branch
+  };
+  var locales = config.locales || [null];
+  var migrationOptions = { branch: config.branch, defaultBranch: config.defaultBranch || 'main' };
+  var changeLog = {
+    generatedAt: new Date().toISOString(),
+    dryRun: !!options.dryRun,
+    branch: config.branch,
+    summary: { entries: 0, changed: 0, skipped: 0, failed: 0 },
+    entries: []
+  };
+
+  // Fields grouped by content type, so each entry is saved once
+  var fieldsByType = {};
+  config.fields.forEach(function(field) {
+    (fieldsByType[field.contentType] = fieldsByType[field.contentType] || []).push(field);
+  });
+
+  function migratePage(contentType, locale, skip) {
+    // A fixed order: the default one changes as entries are saved, which would skip or repeat entries between pages
+    var search = new URLSearchParams({ include_count: 'true', skip: String(skip), limit: String(PAGE_SIZE), asc: 'created_at' });
+    if (locale) {
+      search.append('locale', locale);
+    }
+    var url = baseUrl + '/v3/content_types/' + contentType + '/entries?' + search.toString();
+
+    return requestJson(url, { method: 'GET', headers: headers }, requestOptions).then(function(body) {
+      var entries = body.entries || [];
+      return sequence(entries, function(entry) {
+        // Entries not localized in the locale come back in the master locale, which has its own pass
+        if (locale && entry.locale && entry.locale !== locale) return;
+        return migrateOne(contentType, locale, entry);
+      }).then(function() {
+        var loaded = skip + entries.length;
+        if (entries.length > 0 && loaded < (body.count || 0)) {
+          return migratePage(contentType, locale, loaded);
+        }
+        log('Checked ' + contentType + (locale ? ' (' + locale + ')' : '') + ': ' + loaded + ' entries');
+      });
+    });
+  }
+
+  function migrateOne(contentType, locale, entry) {
+    changeLog.summary.entries++;
+    var migrated = migrateEntry(entry, fieldsByType[contentType], migrationOptions);
+    if (migrated.changes.length === 0 && migrated.problems.length === 0) return;
+
+    var record = {
+      contentType: contentType,
+      uid: entry.uid,
+      title: typeof entry.title === 'string' ? entry.title : '',
+      locale: entry.locale || locale || null,
+      status: null,
+      changes: migrated.changes,
+      warnings: migrated.warnings,
+      problems: migrated.problems
+    };
+    changeLog.entries.push(record);
+
+    if (migrated.problems.length > 0) {
+      record.status = 'skipped';
+      changeLog.summary.skipped++;
+      log('Skipped ' + contentType + '/' + entry.uid + ': ' + migrated.problems.join(' '));
+      return;
+    }
+    if (options.dryRun) {
+      record.status = 'would update';
+      changeLog.summary.changed++;
+      return;
+    }
+
+    var url = baseUrl + '/v3/content_types/' + contentType + '/entries/' + encodeURIComponent(entry.uid) +
+      (locale ? '?' + new URLSearchParams({ locale: locale }).toString() : '');
+    return requestJson(url, { method: 'PUT', headers: headers, body: JSON.stringify({ entry: migrated.entry }) }, requestOptions)
+      .then(function() {
+        record.status = 'updated';
+        changeLog.summary.changed++;
+      }, function(error) {
+        // One entry failing to save does not stop the others
+        record.status = 'failed';
+        record.error = error.message;
+        changeLog.summary.failed++;
+        log('Could not save ' + contentType + '/' + entry.uid + ': ' + error.message);
+      });
+  }
+
+  return sequence(Object.keys(fieldsByType), function(contentType) {
+    return sequence(locales, function(locale) {
+      return migratePage(contentType, locale, 0);
+    });
+  }).then(function() {
+    return changeLog;
+  });
+}
+
+/**
+ * Parse the command line: [configPath] [--dry-run] [--output path]
+ */
+function parseArguments(args) {
+  var parsed = { configPath: null, dryRun: false, output: null };
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      parsed.dryRun = true;
+    } else if (args[i] === '--output') {
+      parsed.output = args[++i];
+    } else if (args[i].indexOf('--') === 0) {
+      throw new Error('Unknown option ' + args[i] + '.');
+    } else {
+      parsed.configPath = args[i];
+    }
+  }
+  if (parsed.output === undefined) {
+    throw new Error('--output needs a path.');
+  }
+  return parsed;
+}
+
+if (require.main === module) {
+  var args;
+  var config;
+  try {
+    args = parseArguments(process.argv.slice(2));
+    config = loadConfig(path.resolve(args.configPath || path.join(__dirname, 'migration-config.json')));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  runMigration(config, { dryRun: args.dryRun, log: function(message) { console.error(message); } })
+    .then(function(changeLog) {
+      var summary = changeLog.summary;
+      var text = JSON.stringify(changeLog, null, 2) + '\n';
+      if (args.output) {
+        fs.writeFileSync(args.output, text);
+        console.error('Wrote ' + args.output);
+      } else {
+        process.stdout.write(text);
+      }
+      console.error((args.dryRun ? 'Dry run: ' + summary.changed + ' entries would change' : summary.changed + ' entries updated') +
+        ', ' + summary.skipped + ' skipped, ' + summary.failed + ' failed (of ' + summary.entries + ' checked)');
+      if (summary.failed > 0) {
+        process.exitCode = 1;
+      }
+    })
+    .catch(function(error) {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadConfig: loadConfig,
+  toExtensionValue: toExtensionValue,
+  toReferenceValue: toReferenceValue,
+  migrateEntry: migrateEntry,
+  runMigration: runMigration
+};
@@ -0,0 +1,303 @@
+/**
+ * Delivery API proxy for the Main Branch Content Selector
+ *
+ * Holds the branch-scoped delivery (and preview) tokens server-side so they never
+ * reach the browser. Point the extension's `proxyUrl` at this server; each request
+ * is checked against the branch, content type and environment allowlists and then
+ * forwarded to the Contentstack Delivery API (or the Preview API). Asset requests
+ * (source "assets") are forwarded when "contentTypes" lists "sys_assets".
+ *
+ * Usage: node proxy/delivery-proxy.js [path/to/proxy-config.json]
+ * Reads proxy-config.json next to this file by default. Needs Node 18 or later.
+ * "${NAME}" in any config value is replaced with the environment variable NAME,
+ * so tokens can stay out of the file (see proxy-config.example.json).
+ */
+
+'use strict';
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+
+// Region hosts, URL and header building shared with the extension
+var DeliveryApi = require('../extensions/delivery-api');
+var expandVariables = require('../shared/node-helpers').expandVariables;
+
+// Query parameters the extension sends; anything else is refused
+var ENTRIES_PARAMS = ['environment', 'branch', 'include_branch', 'include_count', 'skip', 'limit',
+  'query', 'asc', 'desc', 'locale', 'include_fallback', 'only[BASE][]', 'except[BASE][]'];
+var ENTRY_PARAMS = ['environment', 'branch', 'include_branch', 'locale', 'include_fallback'];
+var ASSETS_PARAMS = ['environment', 'branch', 'include_branch', 'include_count', 'include_dimension', 'skip', 'limit',
+  'query', 'asc', 'desc'];
+var ASSET_PARAMS = ['environment', 'branch', 'include_branch', 'include_dimension'];
+
+// The only parameters that may be given more than once (one field UID each)
+var REPEATABLE_PARAMS = ['only[BASE][]', 'except[BASE][]'];
+
+// Content type UID that stands for the asset library in "contentTypes"
+var ASSET_CONTENT_TYPE = 'sys_assets';
+
+// The Delivery API caps `limit` at 100
+var MAX_PAGE_SIZE = DeliveryApi.MAX_PAGE_SIZE;
+
+// Upstream requests are abandoned after this long
+var UPSTREAM_TIMEOUT_MS = 15000;
+
+var DEFAULT_PORT = 8787;
+
+/**
+ * Read and validate the proxy config
+ * Throws an Error listing every problem found
+ */
+function loadConfig(configPath) {
+  var raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  var missingVariables = [];
+  var config = expandVariables(raw, missingVariables);
+  var errors = missingVariables.map(function(name) {
+    return 'Environment variable ' + name + ' is not set.';
+  });
+
+  if (!config.apiKey) {
+    errors.push('"apiKey" is required.');
+  }
+  if (!Array.isArray(config.contentTypes) || config.contentTypes.length === 0) {
+    errors.push('"contentTypes" must list the content types the extension may read.');
+  }
+  if (!config.branches || typeof config.branches !== 'object' || Object.keys(config.branches).length === 0) {
+    errors.push('"branches" must map each branch UID to its tokens, e.g. {"main": {"deliveryToken": "${MAIN_DELIVERY_TOKEN}"}}.');
+  } else {
+    Object.keys(config.branches).forEach(function(branch) {
+      if (!config.branches[branch] || !config.branches[branch].deliveryToken) {
+        errors.push('branches.' + branch + ' needs a "deliveryToken".');
+      }
+    });
+  }
+  if (!Array.isArray(config.allowedOrigins) || config.allowedOrigins.length === 0) {
+    errors.push('"allowedOrigins" must list the origins the extension is served from (or ["*"]).');
+  }
+  if (config.environments !== undefined && !Array.isArray(config.environments)) {
+    errors.push('"environments" must be an array of environment names.');
+  }
+  if (!config.host && !DeliveryApi.API_REGIONS[DeliveryApi.normalizeRegion(config.region)]) {
+    errors.push('Unknown "region" "' + config.region + '". Use one of ' + Object.keys(DeliveryApi.API_REGIONS).join(', ') + ', or set "host".');
+  }
+
+  if (errors.length > 0) {
+    throw new Error('Invalid proxy config (' + configPath + '):\n  ' + errors.join('\n  '));
+  }
+  return config;
+}
+
+/**
+ * Base URL of the upstream Delivery API (or Preview API)
+ */
+function getUpstreamBaseUrl(config, preview) {
+  return DeliveryApi.getApiBaseUrl({
+    region: config.region,
+    host: config.host,
+    previewHost: config.previewHost,
+    preview: preview
+  });
+}
+
+/**
+ * Create the proxy's HTTP server (not yet listening)
+ * fetchImpl defaults to the global fetch
+ */
+function createProxyServer(config, fetchImpl) {
+  fetchImpl = fetchImpl || fetch;
+
+  return http.createServer(function(req, res) {
+    // Started inside a promise so a synchronous throw is answered with a 500 too
+    Promise.resolve().then(function() {
+      return handleRequest(config, fetchImpl, req, res);
+    }).catch(function(error) {
+      console.error('Proxy error:', error.message);
+      if (!res.headersSent) {
+        sendError(res, 500, 'The proxy failed to handle the request.');
+      }
+    });
+  });
+}
+
+/**
+ * Check a request against the allowlists and forward it upstream with the branch's tokens
+ */
+function handleRequest(config, fetchImpl, req, res) {
+  var origin = req.headers.origin;
+  var originAllowed = !origin || config.allowedOrigins.indexOf('*') !== -1 || config.allowedOrigins.indexOf(origin) !== -1;
+
+  if (origin && originAllowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Contentstack-Preview');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+  }
+
+  if (!originAllowed) {
+    return Promise.resolve(sendError(res, 403, 'Origin "' + origin + '" is not allowed by the proxy.'));
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return Promise.resolve();
+  }
+  if (req.method !== 'GET') {
+    return Promise.resolve(sendError(res, 405, 'Only GET requests are forwarded.'));
+  }
+
+  var url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/health') {
+    return Promise.resolve(sendJson(res, 200, { status: 'ok' }));
+  }
+
+  var match = url.pathname.match(/^\/v3\/content_types\/([^/]+)\/entries(?:\/([^/]+))?$/);
+  var assetMatch = url.pathname.match(/^\/v3\/assets(?:\/([^/]+))?$/);
+  if (!match && !assetMatch) {
+    return Promise.resolve(sendError(res, 404, 'Only entry and asset requests are forwarded.'));
+  }
+
+  var contentType;
+  if (match) {
+    try {
+      contentType = decodeURIComponent(match[1]);
+    } catch (error) {
+      // Malformed percent-encoding such as "%ZZ"
+      return Promise.resolve(sendError(res, 400, 'The content type in the path is not validly encoded.'));
+    }
+  }
+
+  var allowedParams = match
+    ? (match[2] ? ENTRY_PARAMS : ENTRIES_PARAMS)
+    : (assetMatch[1] ? ASSET_PARAMS : ASSETS_PARAMS);
+  var problem = checkRequest(config, match ? contentType : ASSET_CONTENT_TYPE, url.searchParams, allowedParams);
+  if (problem) {
+    return Promise.resolve(sendError(res, problem.status, problem.message));
+  }
+
+  var branch = config.branches[url.searchParams.get('branch')];
+  var preview = req.headers['x-contentstack-preview'] === 'true';
+  if (preview && !branch.previewToken) {
+    return Promise.resolve(sendError(res, 403, 'Preview is not enabled for branch "' + url.searchParams.get('branch') + '" on the proxy.'));
+  }
+
+  var headers = DeliveryApi.getRequestHeaders({
+    apiKey: config.apiKey,
+    deliveryToken: branch.deliveryToken,
+    previewToken: branch.previewToken,
+    preview: preview
+  });
+
+  // Only the checked parameters go upstream
+  var search = new URLSearchParams();
+  allowedParams.forEach(function(key) {
+    url.searchParams.getAll(key).forEach(function(value) {
+      search.append(key, value);
+    });
+  });
+  var query = search.toString();
+
+  return fetchImpl(getUpstreamBaseUrl(config, preview) + url.pathname + (query ? '?' + query : ''), {
+    method: 'GET',
+    headers: headers,
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+  })
+    .then(function(upstream) {
+      return upstream.text().then(function(body) {
+        var responseHeaders = { 'Content-Type': 'application/json' };
+        // Lets the extension back off as the Delivery API asks
+        var retryAfter = upstream.headers.get('Retry-After');
+        if (retryAfter) {
+          responseHeaders['Retry-After'] = retryAfter;
+        }
+        res.writeHead(upstream.status, responseHeaders);
+        res.end(body);
+        console.log(req.method + ' ' + url.pathname + ' ' + upstream.status);
+      });
+    }, function(error) {
+      console.error('Upstream request failed:', error.message);
+      sendError(res, 502, 'Could not reach the Contentstack Delivery API.');
+    });
+}
+
+/**
+ * Why a request may not be forwarded ({ status, message }), or null when it may
+ */
+function checkRequest(config, contentType, params, allowedParams) {
+  if (config.contentTypes.indexOf(contentType) === -1) {
+    return { status: 403, message: 'Content type "' + contentType + '" is not in the proxy\'s allowlist.' };
+  }
+
+  var unknown = [];
+  params.forEach(function(value, key) {
+    if (allowedParams.indexOf(key) === -1 && unknown.indexOf(key) === -1) {
+      unknown.push(key);
+    }
+  });
+  if (unknown.length > 0) {
+    return { status: 400, message: 'Query parameters not allowed by the proxy: ' + unknown.join(', ') + '.' };
+  }
+
+  // A repeated branch or environment would be checked by its first value but sent upstream with all of them
+  var repeated = allowedParams.filter(function(key) {
+    return REPEATABLE_PARAMS.indexOf(key) === -1 && params.getAll(key).length > 1;
+  });
+  if (repeated.length > 0) {
+    return { status: 400, message: 'Query parameters given more than once: ' + repeated.join(', ') + '.' };
+  }
+
+  var branch = params.get('branch');
+  if (!branch || !Object.prototype.hasOwnProperty.call(config.branches, branch)) {
+    return { status: 403, message: 'Branch "' + (branch || '') + '" is not configured on the proxy.' };
+  }
+
+  var environment = params.get('environment');
+  if (config.environments && config.environments.indexOf(environment) === -1) {
+    return { status: 403, message: 'Environment "' + (environment || '') + '" is not allowed by the proxy.' };
+  }
+
+  var limit = params.get('limit');
+  if (limit !== null && !(Number(limit) >= 1 && Number(limit) <= MAX_PAGE_SIZE)) {
+    return { status: 400, message: '"limit" must be between 1 and ' + MAX_PAGE_SIZE + '.' };
+  }
+
+  return null;
+}
+
+/**
+ * Reply with a Delivery API style error body, which the extension shows in its error banner
+ */
+function sendError(res, status, message) {
+  sendJson(res, status, { error_message: message });
+}
+
+/**
+ * Reply with a JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+  var configPath = path.resolve(process.argv[2] || path.join(__dirname, 'proxy-config.json'));
+  var config;
+  try {
+    config = loadConfig(configPath);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  var port = Number(process.env.PORT || config.port || DEFAULT_PORT);
+  createProxyServer(config).listen(port, function() {
+    console.log('Delivery API proxy listening on http://localhost:' + port +
+      ' (branches: ' + Object.keys(config.branches).join(', ') + '; content types: ' + config.contentTypes.join(', ') + ')');
+  });
+}
+
+module.exports = {
+  loadConfig: loadConfig,
+  createProxyServer: createProxyServer
+};
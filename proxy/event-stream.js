@@ -0,0 +1,347 @@
+/**
+ * Live entry events for the Main Branch Content Selector
+ *
+ * Receives Contentstack entry webhooks (publish, unpublish, delete) and relays them
+ * to the extension over Server-Sent Events, so lists that are already open pick up
+ * entries the central team publishes mid-session. Point the extension's
+ * `eventStreamUrl` at this server and add a webhook in Contentstack that posts to
+ * <server>/webhooks with an "X-Webhook-Secret" custom header set to `webhookSecret`.
+ *
+ * Events carry only UIDs (entry, content type, branch) and where the change
+ * happened; the extension fetches the entry itself, with its own tokens or proxy.
+ *
+ * Usage: node proxy/event-stream.js [path/to/event-stream-config.json]
+ * Reads event-stream-config.json next to this file by default. "${NAME}" in any config
+ * value is replaced with the environment variable NAME (see event-stream-config.example.json).
+ */
+
+'use strict';
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+var expandVariables = require('../shared/node-helpers').expandVariables;
+
+// Webhook events that change what the Delivery API returns; others are acknowledged and dropped
+var ENTRY_EVENTS = ['publish', 'unpublish', 'delete'];
+
+// Recent events kept for subscribers that reconnect with Last-Event-ID
+var MAX_BUFFERED_EVENTS = 100;
+
+// Comment lines sent this often keep idle connections open through proxies
+var KEEP_ALIVE_MS = 25000;
+
+// How long a disconnected EventSource waits before reconnecting
+var RECONNECT_DELAY_MS = 5000;
+
+// Webhook bodies larger than this are refused
+var MAX_WEBHOOK_BYTES = 1024 * 1024;
+
+var DEFAULT_PORT = 8788;
+
+/**
+ * Read and validate the server config
+ * Throws an Error listing every problem found
+ */
+function loadConfig(configPath) {
+  var raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  var missingVariables = [];
+  var config = expandVariables(raw, missingVariables);
+  var errors = missingVariables.map(function(name) {
+    return 'Environment variable ' + name + ' is not set.';
+  });
+
+  if (typeof config.webhookSecret !== 'string' || !config.webhookSecret) {
+    errors.push('"webhookSecret" is required; set the same value as the webhook\'s "X-Webhook-Secret" header.');
+  }
+  if (!Array.isArray(config.allowedOrigins) || config.allowedOrigins.length === 0) {
+    errors.push('"allowedOrigins" must list the origins the extension is served from (or ["*"]).');
+  }
+  if (config.apiKey !== undefined && typeof config.apiKey !== 'string') {
+    errors.push('"apiKey" must be the stack API key whose webhooks are relayed.');
+  }
+
+  if (errors.length > 0) {
+    throw new Error('Invalid event stream config (' + configPath + '):\n  ' + errors.join('\n  '));
+  }
+  return config;
+}
+
+/**
+ * The event relayed for a Contentstack webhook payload, or null when it is not an entry
+ * publish, unpublish or delete
+ * { type, uid, contentType, branch, aliases, environment (null for deletes), locale, triggeredAt }
+ */
+function toEntryEvent(payload) {
+  if (!payload || payload.module !== 'entry' || ENTRY_EVENTS.indexOf(payload.event) === -1) {
+    return null;
+  }
+
+  var data = payload.data || {};
+  var entry = data.entry || {};
+  var contentType = data.content_type || {};
+  if (!entry.uid || !contentType.uid) {
+    return null;
+  }
+
+  // Stacks without branches send no branch; their content is on main
+  var branch = data.branch || {};
+  return {
+    type: payload.event,
+    uid: entry.uid,
+    contentType: contentType.uid,
+    branch: branch.uid || 'main',
+    aliases: (Array.isArray(branch.alias) ? branch.alias : []).map(function(alias) {
+      return typeof alias === 'string' ? alias : alias && alias.uid;
+    }).filter(Boolean),
+    environment: data.environment ? data.environment.name : null,
+    locale: data.locale || entry.locale || null,
+    triggeredAt: payload.triggered_at || new Date().toISOString()
+  };
+}
+
+/**
+ * Create the server (not yet listening)
+ * GET /events streams events, optionally narrowed with ?content_type= (repeatable)
+ * and ?environment=; POST /webhooks takes Contentstack webhooks
+ */
+function createEventStreamServer(config) {
+  var subscribers = [];
+  var buffered = [];
+  var lastId = 0;
+
+  var server = http.createServer(function(req, res) {
+    handleRequest(req, res);
+  });
+
+  var keepAlive = setInterval(function() {
+    subscribers.forEach(function(subscriber) {
+      subscriber.res.write(': keep-alive\n\n');
+    });
+  }, KEEP_ALIVE_MS);
+  keepAlive.unref();
+  server.on('close', function() {
+    clearInterval(keepAlive);
+  });
+
+  function handleRequest(req, res) {
+    var origin = req.headers.origin;
+    var originAllowed = !origin || config.allowedOrigins.indexOf('*') !== -1 || config.allowedOrigins.indexOf(origin) !== -1;
+
+    if (origin && originAllowed) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Last-Event-ID');
+    }
+
+    var url = new URL(req.url, 'http://localhost');
+    // Webhooks come from Contentstack's servers, not the browser, so carry no Origin
+    if (url.pathname === '/webhooks' && req.method === 'POST') {
+      return receiveWebhook(req, res);
+    }
+
+    if (!originAllowed) {
+      return sendError(res, 403, 'Origin "' + origin + '" is not allowed.');
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      return sendError(res, 405, 'Only GET /events and POST /webhooks are supported.');
+    }
+    if (url.pathname === '/health') {
+      return sendJson(res, 200, { status: 'ok', subscribers: subscribers.length });
+    }
+    if (url.pathname !== '/events') {
+      return sendError(res, 404, 'Not found.');
+    }
+
+    subscribe(req, res, {
+      contentTypes: url.searchParams.getAll('content_type'),
+      environment: url.searchParams.get('environment')
+    });
+  }
+
+  /**
+   * Start streaming to a subscriber, first replaying what it missed while disconnected
+   */
+  function subscribe(req, res, filters) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: ' + RECONNECT_DELAY_MS + '\n\n');
+
+    var subscriber = { res: res, filters: filters };
+    var since = Number(req.headers['last-event-id']);
+    if (since) {
+      buffered.forEach(function(record) {
+        if (record.id > since) {
+          send(subscriber, record);
+        }
+      });
+    }
+
+    subscribers.push(subscriber);
+    req.on('close', function() {
+      subscribers.splice(subscribers.indexOf(subscriber), 1);
+    });
+  }
+
+  /**
+   * Check the secret, then relay the webhook's entry event to every interested subscriber
+   */
+  function receiveWebhook(req, res) {
+    if (!isExpectedSecret(req.headers['x-webhook-secret'], config.webhookSecret)) {
+      req.resume();
+      return sendError(res, 401, 'Missing or wrong X-Webhook-Secret header.');
+    }
+
+    readBody(req, function(error, body) {
+      if (error) {
+        return sendError(res, error.status || 400, error.message);
+      }
+
+      var payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        return sendError(res, 400, 'The webhook body is not JSON.');
+      }
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return sendError(res, 400, 'The webhook body is not a JSON object.');
+      }
+      if (config.apiKey && payload.api_key !== config.apiKey) {
+        return sendJson(res, 200, { status: 'ignored', reason: 'Webhook is for another stack.' });
+      }
+
+      var event;
+      try {
+        event = toEntryEvent(payload);
+      } catch (e) {
+        // An unexpected shape must not take down the server and every subscriber with it
+        return sendError(res, 400, 'The webhook body is not shaped like a Contentstack entry webhook.');
+      }
+      if (!event) {
+        return sendJson(res, 200, { status: 'ignored', reason: 'Not an entry publish, unpublish or delete.' });
+      }
+
+      var record = { id: ++lastId, event: event };
+      buffered.push(record);
+      if (buffered.length > MAX_BUFFERED_EVENTS) {
+        buffered.shift();
+      }
+      var delivered = 0;
+      subscribers.forEach(function(subscriber) {
+        if (send(subscriber, record)) {
+          delivered++;
+        }
+      });
+
+      console.log(event.type + ' ' + event.contentType + '/' + event.uid + ' on ' + event.branch + ' (sent to ' + delivered + ' of ' + subscribers.length + ' subscribers)');
+      sendJson(res, 202, { status: 'accepted', id: record.id });
+    });
+  }
+
+  return server;
+}
+
+/**
+ * Write an event to a subscriber if it matches the subscriber's filters
+ * Returns whether it was written
+ */
+function send(subscriber, record) {
+  var filters = subscriber.filters;
+  var event = record.event;
+  if (filters.contentTypes.length > 0 && filters.contentTypes.indexOf(event.contentType) === -1) {
+    return false;
+  }
+  // A delete removes the entry from every environment
+  if (filters.environment && event.environment && filters.environment !== event.environment) {
+    return false;
+  }
+
+  subscriber.res.write('id: ' + record.id + '\nevent: entry\ndata: ' + JSON.stringify(event) + '\n\n');
+  return true;
+}
+
+/**
+ * Compare the webhook's secret header without leaking its length or content through timing
+ */
+function isExpectedSecret(received, expected) {
+  if (typeof received !== 'string') return false;
+  var a = crypto.createHash('sha256').update(received).digest();
+  var b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Collect a request body up to MAX_WEBHOOK_BYTES
+ */
+function readBody(req, callback) {
+  var chunks = [];
+  var size = 0;
+  var failed = false;
+
+  req.on('data', function(chunk) {
+    if (failed) return;
+    size += chunk.length;
+    if (size > MAX_WEBHOOK_BYTES) {
+      failed = true;
+      var error = new Error('The webhook body is larger than ' + MAX_WEBHOOK_BYTES + ' bytes.');
+      error.status = 413;
+      callback(error);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    if (!failed) {
+      callback(null, Buffer.concat(chunks).toString('utf8'));
+    }
+  });
+}
+
+/**
+ * Reply with an error body like the Delivery API's
+ */
+function sendError(res, status, message) {
+  sendJson(res, status, { error_message: message });
+}
+
+/**
+ * Reply with a JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+  var configPath = path.resolve(process.argv[2] || path.join(__dirname, 'event-stream-config.json'));
+  var config;
+  try {
+    config = loadConfig(configPath);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  var port = Number(process.env.PORT || config.port || DEFAULT_PORT);
+  createEventStreamServer(config).listen(port, function() {
+    console.log('Entry event stream listening on http://localhost:' + port +
+      ' (webhooks: POST /webhooks, subscribers: GET /events)');
+  });
+}
+
+module.exports = {
+  loadConfig: loadConfig,
+  toEntryEvent: toEntryEvent,
+  createEventStreamServer: createEventStreamServer
+};
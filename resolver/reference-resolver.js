@@ -0,0 +1,415 @@
+/**
+ * Reference resolver for sites that read Main Branch Content Selector fields
+ *
+ * The field stores each choice as { uid, _content_type_uid, _branch }. resolveEntry
+ * takes an entry (as returned by the Delivery API) and puts the referenced entries
+ * in place of those references, each fetched from its own branch. References are
+ * fetched in batches: one $in query per branch and content type for up to 100 UIDs.
+ * With depth > 1, references inside the fetched entries are resolved as well.
+ * Assets picked with source "assets" are stored as { uid, _branch, url, filename } and
+ * are replaced by the asset from the branch's assets endpoint. Values saved before
+ * content types were recorded ({ uid, _branch }) are looked up in the content types
+ * given as `referenceTo`; without it they count as missing.
+ *
+ * Node 18+ (global fetch):
+ *   var createReferenceResolver = require('./resolver/reference-resolver').createReferenceResolver;
+ * Browser: load extensions/delivery-api.js, then this file (window.MainBranchResolver).
+ *
+ *   var resolver = createReferenceResolver({
+ *     apiKey: process.env.CONTENTSTACK_API_KEY,
+ *     deliveryToken: process.env.MAIN_DELIVERY_TOKEN,
+ *     environment: 'production',
+ *     region: 'EU',
+ *     branches: { midwest: { deliveryToken: process.env.MIDWEST_DELIVERY_TOKEN } }
+ *   });
+ *   resolver.resolveEntry(page, { depth: 2 }).then(function(hydrated) { ... });
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extensions/delivery-api'));
+  } else {
+    root.MainBranchResolver = factory(root.MainBranchDeliveryApi);
+  }
+}(typeof self !== 'undefined' ? self : this, function(DeliveryApi) {
+  'use strict';
+
+  // Levels of nested references resolved at most; each level costs at least one request per branch and content type
+  var MAX_DEPTH = 5;
+
+  // Batch requests in flight at once
+  var DEFAULT_CONCURRENCY = 4;
+
+  // Marks a missing reference for removal (onMissing: 'remove')
+  var REMOVED = {};
+
+  // Content type UID under which assets are batched and keyed
+  var ASSET_CONTENT_TYPE = 'sys_assets';
+
+  var ON_MISSING = ['keep', 'remove', 'error'];
+
+  /**
+   * Create a resolver bound to a stack, environment and endpoint
+   * options: { apiKey, deliveryToken, environment, region, host, previewHost, proxyUrl,
+   *            preview, previewToken, branches: { [branch]: { deliveryToken, previewToken } },
+   *            locale, includeFallback, concurrency, fetch }
+   * Throws an Error listing every problem with the options
+   */
+  function createReferenceResolver(options) {
+    options = options || {};
+    var errors = [];
+    var proxy = !!options.proxyUrl;
+
+    if (!options.environment) {
+      errors.push('"environment" is required.');
+    }
+    if (!proxy && !options.apiKey) {
+      errors.push('"apiKey" is required (or "proxyUrl", which holds it).');
+    }
+    ['host', 'previewHost', 'proxyUrl'].forEach(function(key) {
+      if (options[key] !== undefined && !DeliveryApi.parseHost(options[key])) {
+        errors.push('"' + key + '" must be a host name or URL, got "' + options[key] + '".');
+      }
+    });
+    if (!proxy && !options.host && !DeliveryApi.API_REGIONS[DeliveryApi.normalizeRegion(options.region)]) {
+      errors.push('Unknown "region" "' + options.region + '". Use one of ' + Object.keys(DeliveryApi.API_REGIONS).join(', ') + ', or set "host".');
+    }
+    if (options.branches !== undefined && (!options.branches || typeof options.branches !== 'object')) {
+      errors.push('"branches" must map branch UIDs to their tokens, e.g. {"midwest": {"deliveryToken": "..."}}.');
+    }
+    var fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch : null);
+    if (!fetchImpl) {
+      errors.push('No global fetch; pass "fetch" (Node 18+ has one built in).');
+    }
+    if (errors.length > 0) {
+      throw new Error('Invalid reference resolver options:\n  ' + errors.join('\n  '));
+    }
+
+    var baseUrl = DeliveryApi.getApiBaseUrl(options);
+    var branches = options.branches || {};
+    var concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+
+    /**
+     * Resolve the references in an entry (see resolveEntries)
+     */
+    function resolveEntry(entry, resolveOptions) {
+      return resolveEntries([entry], resolveOptions).then(function(results) {
+        return results[0];
+      });
+    }
+
+    /**
+     * Resolve the references in several entries, sharing the requests between them
+     * resolveOptions: { depth (default 1), onMissing: 'keep' (leave the reference, the default),
+     *                   'remove' (drop it from arrays; a single reference becomes null) or 'error'
+     *                   (reject with an Error listing the unresolved references in `missing`),
+     *                   referenceTo (content type UID, or an array of them, to look up references
+     *                   stored without _content_type_uid) }
+     * Resolves to copies of the entries; rejects with an Error carrying `status` and `body`
+     * when a Delivery API request fails
+     */
+    function resolveEntries(entries, resolveOptions) {
+      resolveOptions = resolveOptions || {};
+      var depth = resolveOptions.depth === undefined ? 1 : resolveOptions.depth;
+      var onMissing = resolveOptions.onMissing || 'keep';
+      var referenceTo = resolveOptions.referenceTo === undefined ? [] : [].concat(resolveOptions.referenceTo);
+
+      if (typeof depth !== 'number' || depth < 0 || depth > MAX_DEPTH || Math.floor(depth) !== depth) {
+        return Promise.reject(new Error('"depth" must be a whole number from 0 to ' + MAX_DEPTH + ', got ' + depth + '.'));
+      }
+      if (ON_MISSING.indexOf(onMissing) === -1) {
+        return Promise.reject(new Error('"onMissing" must be "keep", "remove" or "error", got "' + onMissing + '".'));
+      }
+      if (!referenceTo.every(function(contentType) { return typeof contentType === 'string' && contentType; })) {
+        return Promise.reject(new Error('"referenceTo" must be a content type UID or an array of them.'));
+      }
+
+      // Fetched entries by reference key; null when the Delivery API did not return one
+      var fetched = {};
+
+      function loadLevel(values, remaining) {
+        if (remaining === 0) return Promise.resolve();
+        var wanted = [];
+        values.forEach(function(value) {
+          findReferences(value).forEach(function(reference) {
+            var key = getReferenceKey(reference);
+            if (!fetched.hasOwnProperty(key)) {
+              fetched[key] = undefined;
+              wanted.push(reference);
+            }
+          });
+        });
+        if (wanted.length === 0) return Promise.resolve();
+
+        return fetchReferences(wanted, fetched, referenceTo).then(function(found) {
+          return loadLevel(found, remaining - 1);
+        });
+      }
+
+      return loadLevel(entries, depth).then(function() {
+        var missing = [];
+        var resolved = entries.map(function(entry) {
+          return hydrate(entry, depth, fetched, onMissing, missing);
+        });
+        if (onMissing === 'error' && missing.length > 0) {
+          var error = new Error(missing.length + ' reference(s) could not be resolved: ' + missing.map(function(reference) {
+            return reference._branch + '/' + (getReferenceContentType(reference) || '?') + '/' + reference.uid;
+          }).join(', '));
+          error.missing = missing;
+          throw error;
+        }
+        return resolved;
+      });
+    }
+
+    /**
+     * Fetch the entries (and assets) for a list of references into `fetched`; resolves to those found
+     * References without a content type are looked up in each of the `referenceTo` content types
+     */
+    function fetchReferences(references, fetched, referenceTo) {
+      var groups = {};
+      function addToGroup(branch, contentType, uid) {
+        var groupKey = branch + '\n' + contentType;
+        if (!groups[groupKey]) {
+          groups[groupKey] = { branch: branch, contentType: contentType, uids: [] };
+        }
+        if (groups[groupKey].uids.indexOf(uid) === -1) {
+          groups[groupKey].uids.push(uid);
+        }
+      }
+      references.forEach(function(reference) {
+        var contentType = getReferenceContentType(reference);
+        (contentType ? [contentType] : referenceTo).forEach(function(lookupType) {
+          addToGroup(reference._branch, lookupType, reference.uid);
+        });
+      });
+
+      var tasks = [];
+      Object.keys(groups).forEach(function(groupKey) {
+        var group = groups[groupKey];
+        for (var i = 0; i < group.uids.length; i += DeliveryApi.MAX_PAGE_SIZE) {
+          tasks.push(fetchBatch.bind(null, group.branch, group.contentType, group.uids.slice(i, i + DeliveryApi.MAX_PAGE_SIZE)));
+        }
+      });
+
+      return runLimited(tasks, concurrency).then(function(batches) {
+        var byKey = {};
+        batches.forEach(function(batch) {
+          batch.entries.forEach(function(entry) {
+            byKey[batch.branch + '\n' + batch.contentType + '\n' + entry.uid] = entry;
+          });
+        });
+
+        var found = [];
+        references.forEach(function(reference) {
+          var contentType = getReferenceContentType(reference);
+          var entry = null;
+          (contentType ? [contentType] : referenceTo).some(function(lookupType) {
+            entry = byKey[reference._branch + '\n' + lookupType + '\n' + reference.uid] || null;
+            return entry;
+          });
+          fetched[getReferenceKey(reference)] = entry;
+          if (entry) {
+            found.push(entry);
+          }
+        });
+        return found;
+      });
+    }
+
+    /**
+     * Fetch up to MAX_PAGE_SIZE entries of one content type (or assets) from one branch by UID
+     * Resolves to { branch, contentType, uids, entries }; entries carry _branch and _content_type_uid,
+     * assets _branch
+     */
+    function fetchBatch(branch, contentType, uids) {
+      var tokens = branches[branch] || {};
+      var deliveryToken = tokens.deliveryToken || options.deliveryToken;
+      var previewToken = tokens.previewToken || options.previewToken;
+      if (!proxy && !deliveryToken) {
+        return Promise.reject(new Error('No delivery token for branch "' + branch + '"; set "deliveryToken" or branches.' + branch + '.deliveryToken.'));
+      }
+
+      var isAssets = contentType === ASSET_CONTENT_TYPE;
+      var url = isAssets
+        ? DeliveryApi.getAssetsUrl(baseUrl, {
+          environment: options.environment,
+          branch: branch,
+          limit: DeliveryApi.MAX_PAGE_SIZE,
+          query: { uid: { '$in': uids } }
+        })
+        : DeliveryApi.getEntriesUrl(baseUrl, contentType, {
+          environment: options.environment,
+          branch: branch,
+          limit: DeliveryApi.MAX_PAGE_SIZE,
+          query: { uid: { '$in': uids } },
+          locale: options.locale,
+          includeFallback: options.includeFallback
+        });
+      var headers = DeliveryApi.getRequestHeaders({
+        apiKey: options.apiKey,
+        deliveryToken: deliveryToken,
+        previewToken: previewToken,
+        preview: options.preview,
+        proxy: proxy
+      });
+
+      return requestJson(url, headers).then(function(body) {
+        if (isAssets) {
+          var assets = (body.assets || []).map(function(asset) {
+            return Object.assign({}, asset, { _branch: asset._branch || branch });
+          });
+          return { branch: branch, contentType: contentType, uids: uids, entries: assets };
+        }
+        var entries = (body.entries || []).map(function(entry) {
+          return Object.assign({}, entry, { _branch: entry._branch || branch, _content_type_uid: contentType });
+        });
+        return { branch: branch, contentType: contentType, uids: uids, entries: entries };
+      });
+    }
+
+    /**
+     * GET a URL and resolve to the parsed JSON body
+     */
+    function requestJson(url, headers) {
+      return fetchImpl(url, { method: 'GET', headers: headers }).then(function(response) {
+        return response.json().catch(function() {
+          return null;
+        }).then(function(body) {
+          if (!response.ok) {
+            var error = new Error('Delivery API request failed (' + response.status + ')' +
+              (body && body.error_message ? ': ' + body.error_message : ''));
+            error.status = response.status;
+            error.body = body;
+            throw error;
+          }
+          return body || {};
+        });
+      });
+    }
+
+    return {
+      resolveEntry: resolveEntry,
+      resolveEntries: resolveEntries
+    };
+  }
+
+  /**
+   * Copy a value with its references replaced by the fetched entries, to `remaining` levels
+   * References that could not be resolved are added to `missing`
+   */
+  function hydrate(value, remaining, fetched, onMissing, missing) {
+    if (Array.isArray(value)) {
+      return value.map(function(item) {
+        return hydrate(item, remaining, fetched, onMissing, missing);
+      }).filter(function(item) {
+        return item !== REMOVED;
+      });
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (isReference(value) && remaining > 0) {
+      var entry = fetched[getReferenceKey(value)];
+      if (entry) {
+        return hydrate(entry, remaining - 1, fetched, onMissing, missing);
+      }
+      missing.push(value);
+      return onMissing === 'remove' ? REMOVED : value;
+    }
+
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      var item = hydrate(value[key], remaining, fetched, onMissing, missing);
+      copy[key] = item === REMOVED ? null : item;
+    });
+    return copy;
+  }
+
+  /**
+   * Every stored reference in a value, at any nesting (groups, modular blocks, arrays)
+   */
+  function findReferences(value, found) {
+    found = found || [];
+    if (Array.isArray(value)) {
+      value.forEach(function(item) { findReferences(item, found); });
+    } else if (value && typeof value === 'object') {
+      if (isReference(value)) {
+        found.push(value);
+      } else {
+        Object.keys(value).forEach(function(key) { findReferences(value[key], found); });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Whether a value has the shape the field stores: { uid, _branch } with an optional
+   * _content_type_uid (values saved before content types were recorded lack it), or
+   * { uid, _branch, url, filename } for an asset
+   * A fetched entry carries more fields, so is never mistaken for one. Bare UID strings
+   * from older versions cannot be told apart from other text, so are not references
+   */
+  function isReference(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    var optionalKeys = isAssetReference(value) ? ['url', 'filename'] : ['_content_type_uid'];
+    return typeof value.uid === 'string' && typeof value._branch === 'string' &&
+      Object.keys(value).every(function(key) {
+        return key === 'uid' || key === '_branch' || (optionalKeys.indexOf(key) !== -1 && typeof value[key] === 'string');
+      });
+  }
+
+  /**
+   * Whether a stored value is an asset's (see isReference)
+   */
+  function isAssetReference(value) {
+    return typeof value.url === 'string' && typeof value.filename === 'string';
+  }
+
+  /**
+   * Content type a reference points into: its _content_type_uid, ASSET_CONTENT_TYPE for
+   * assets, or null for values saved without one
+   */
+  function getReferenceContentType(reference) {
+    return reference._content_type_uid || (isAssetReference(reference) ? ASSET_CONTENT_TYPE : null);
+  }
+
+  /**
+   * Key identifying a reference across branches and content types
+   */
+  function getReferenceKey(reference) {
+    return reference._branch + '\n' + (getReferenceContentType(reference) || '') + '\n' + reference.uid;
+  }
+
+  /**
+   * Run promise-returning tasks, at most `limit` at a time; resolves to their results in order
+   */
+  function runLimited(tasks, limit) {
+    var results = new Array(tasks.length);
+    var next = 0;
+
+    function work() {
+      if (next >= tasks.length) return Promise.resolve();
+      var index = next++;
+      return tasks[index]().then(function(result) {
+        results[index] = result;
+        return work();
+      });
+    }
+
+    var workers = [];
+    for (var i = 0; i < Math.min(limit, tasks.length); i++) {
+      workers.push(work());
+    }
+    return Promise.all(workers).then(function() {
+      return results;
+    });
+  }
+
+  return {
+    createReferenceResolver: createReferenceResolver,
+    isReference: isReference,
+    isAssetReference: isAssetReference,
+    findReferences: findReferences
+  };
+}));
@@ -0,0 +1,114 @@
+/**
+ * Bundle the extension's modules into extensions/main-branch-selector.js
+ *
+ * The extension is written as CommonJS modules under extensions/src (plus the shared
+ * delivery-api.js and config-schema.js); the browser loads one classic script, so this
+ * wraps every module reachable from src/main.js in a function and links their require()
+ * calls. Only require('<relative path>') with a string literal is supported.
+ *
+ * Usage: node scripts/build.js          writes the bundle
+ *        node scripts/build.js --check  exits with 1 when the bundle is out of date
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var EXTENSIONS_DIR = path.join(__dirname, '..', 'extensions');
+var ENTRY = path.join(EXTENSIONS_DIR, 'src', 'main.js');
+var OUTPUT = path.join(EXTENSIONS_DIR, 'main-branch-selector.js');
+
+var REQUIRE_PATTERN = /\brequire\('(\.{1,2}\/[^']+)'\)/g;
+
+/**
+ * Build the bundle's source text
+ */
+function buildBundle() {
+  var modules = [];
+  var ids = {};
+
+  // Modules are numbered in the order they are first required, so the output is stable
+  function addModule(file) {
+    if (ids.hasOwnProperty(file)) return ids[file];
+    var id = modules.length;
+    ids[file] = id;
+    modules.push(null);
+
+    var source = fs.readFileSync(file, 'utf8');
+    var linked = source.replace(REQUIRE_PATTERN, function(match, request) {
+      var resolved = path.resolve(path.dirname(file), request);
+      if (!/\.js$/.test(resolved)) {
+        resolved += '.js';
+      }
+      if (!fs.existsSync(resolved)) {
+        throw new Error(path.relative(EXTENSIONS_DIR, file) + ': cannot find ' + request);
+      }
+      return 'require(' + addModule(resolved) + ')';
+    });
+    modules[id] = { name: path.relative(EXTENSIONS_DIR, file).split(path.sep).join('/'), source: linked };
+    return id;
+  }
+
+  addModule(ENTRY);
+
+  return [
+    '/**',
+    ' * Main Branch Content Selector (Contentstack custom field extension)',
+    ' *',
+    ' * Generated by scripts/build.js from extensions/src; do not edit. Run `npm run build`.',
+    ' */',
+    '',
+    '(function() {',
+    '  var definitions = [',
+    modules.map(function(module) {
+      return '    // ' + module.name + '\n' +
+        '    function(require, module, exports) {\n' +
+        indent(module.source.trim(), '      ') + '\n' +
+        '    }';
+    }).join(',\n'),
+    '  ];',
+    '  var cache = [];',
+    '',
+    '  function require(id) {',
+    '    if (!cache[id]) {',
+    '      cache[id] = { exports: {} };',
+    '      definitions[id].call(cache[id].exports, require, cache[id], cache[id].exports);',
+    '    }',
+    '    return cache[id].exports;',
+    '  }',
+    '',
+    '  require(0);',
+    '})();',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Indent every non-empty line
+ */
+function indent(text, prefix) {
+  return text.split('\n').map(function(line) {
+    return line ? prefix + line : line;
+  }).join('\n');
+}
+
+if (require.main === module) {
+  var bundle = buildBundle();
+  if (process.argv.indexOf('--check') !== -1) {
+    var current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+    if (current !== bundle) {
+      console.error(path.relative(process.cwd(), OUTPUT) + ' is out of date; run `npm run build`.');
+      process.exit(1);
+    }
+    console.log(path.relative(process.cwd(), OUTPUT) + ' is up to date.');
+  } else {
+    fs.writeFileSync(OUTPUT, bundle);
+    console.log('Wrote ' + path.relative(process.cwd(), OUTPUT));
+  }
+}
+
+module.exports = {
+  OUTPUT: OUTPUT,
+  buildBundle: buildBundle
+};
@@ -0,0 +1,119 @@
+/**
+ * Helpers shared by the Node tools: the Delivery API proxy, the event stream,
+ * the usage report and the reference migration
+ *
+ * Config loading ("${NAME}" expansion), JSON requests with retries, and running
+ * promise-returning tasks one at a time. Needs Node 18 or later (global fetch).
+ */
+
+'use strict';
+
+// Failed requests (rate limit, server errors, timeouts) are repeated this many times
+var MAX_RETRIES = 3;
+var RETRY_BASE_DELAY_MS = 1000;
+
+// Longest wait before a retry, whatever Retry-After asks for
+var MAX_RETRY_DELAY_MS = 60000;
+
+// Requests without a response after this long are abandoned (and retried)
+var REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Replace "${NAME}" in every string of a config with process.env.NAME
+ * Names that are not set are collected in missing
+ */
+function expandVariables(value, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, function(match, name) {
+      if (process.env[name] === undefined) {
+        missing.push(name);
+        return '';
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(function(item) { return expandVariables(item, missing); });
+  }
+  if (value && typeof value === 'object') {
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = expandVariables(value[key], missing);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Send a request and resolve to the parsed JSON body, repeating rate-limited, failed and timed-out requests
+ * options: { fetch (defaults to the global fetch), apiName (names the API in errors, e.g. "Delivery API"),
+ *            timeoutMs, maxRetryDelayMs }
+ * Rejects with an Error carrying `status` and `body` when the API answers with an error
+ */
+function requestJson(url, init, options) {
+  options = options || {};
+  var fetchImpl = options.fetch || fetch;
+  var apiName = options.apiName || 'API';
+  var timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+  var maxRetryDelayMs = options.maxRetryDelayMs === undefined ? MAX_RETRY_DELAY_MS : options.maxRetryDelayMs;
+  var description = (init.method || 'GET') + ' ' + url;
+
+  function retry(retryCount, delay) {
+    return new Promise(function(resolve) { setTimeout(resolve, Math.min(delay, maxRetryDelayMs)); }).then(function() {
+      return attempt(retryCount + 1);
+    });
+  }
+
+  function attempt(retryCount) {
+    var request = fetchImpl(url, Object.assign({}, init, { signal: AbortSignal.timeout(timeoutMs) }));
+    return request.then(function(response) {
+      return response.json().catch(function(error) {
+        // A body cut off by the timeout is retried below; one that is not JSON reads as no body
+        if (error.name === 'TimeoutError') throw error;
+        return null;
+      }).then(function(body) {
+        if (response.ok) {
+          return body || {};
+        }
+        if ((response.status === 429 || response.status >= 500) && retryCount < MAX_RETRIES) {
+          var retryAfter = response.headers.get('Retry-After');
+          return retry(retryCount, retryAfter && /^\d+$/.test(retryAfter.trim())
+            ? Number(retryAfter) * 1000
+            : RETRY_BASE_DELAY_MS * Math.pow(2, retryCount));
+        }
+        var error = new Error(apiName + ' request failed (' + response.status + ')' +
+          (body && body.error_message ? ': ' + body.error_message : '') + ' for ' + description);
+        error.status = response.status;
+        error.body = body;
+        throw error;
+      });
+    }).catch(function(error) {
+      if (error.name !== 'TimeoutError') {
+        throw error;
+      }
+      if (retryCount < MAX_RETRIES) {
+        return retry(retryCount, RETRY_BASE_DELAY_MS * Math.pow(2, retryCount));
+      }
+      throw new Error(apiName + ' request timed out after ' + (MAX_RETRIES + 1) + ' attempts of ' + timeoutMs + ' ms for ' + description);
+    });
+  }
+  return attempt(0);
+}
+
+/**
+ * Run a promise-returning function for each item, one at a time
+ */
+function sequence(items, task) {
+  return items.reduce(function(previous, item) {
+    return previous.then(function() {
+      return task(item);
+    });
+  }, Promise.resolve());
+}
+
+module.exports = {
+  expandVariables: expandVariables,
+  requestJson: requestJson,
+  sequence: sequence
+};
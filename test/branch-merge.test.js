@@ -0,0 +1,47 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var branchMerge = require('../extensions/src/branch-merge');
+
+var SOURCES = [{ branch: 'main' }, { branch: 'site' }];
+var ENTRIES = [
+  { uid: 'a', title: 'A', _branch: 'main' },
+  { uid: 'b', title: 'B', _branch: 'main' },
+  { uid: 'a', title: 'A (site)', _branch: 'site' },
+  { uid: 'c', title: 'C', _branch: 'site' }
+];
+
+test('findDuplicateUids lists the branches of each repeated UID', function() {
+  assert.deepStrictEqual(branchMerge.findDuplicateUids(ENTRIES), { a: ['main', 'site'] });
+  assert.deepStrictEqual(branchMerge.findDuplicateUids(ENTRIES.slice(0, 2)), {});
+});
+
+test('show-all keeps every copy', function() {
+  assert.strictEqual(branchMerge.resolveDuplicateEntries(ENTRIES, SOURCES, 'show-all'), ENTRIES);
+});
+
+test('prefer-child keeps the copy of the latest listed branch', function() {
+  var result = branchMerge.resolveDuplicateEntries(ENTRIES, SOURCES, 'prefer-child');
+  assert.deepStrictEqual(result.map(function(entry) { return entry.title; }), ['B', 'A (site)', 'C']);
+});
+
+test('prefer-parent and merge keep the ancestor copy in place', function() {
+  ['prefer-parent', 'merge'].forEach(function(policy) {
+    var result = branchMerge.resolveDuplicateEntries(ENTRIES, SOURCES, policy);
+    assert.deepStrictEqual(result.map(function(entry) { return entry.title; }), ['A', 'B', 'C']);
+  });
+});
+
+test('getEntryCopies orders copies like the sources', function() {
+  var copies = branchMerge.getEntryCopies(ENTRIES.slice().reverse(), SOURCES, 'a');
+  assert.deepStrictEqual(copies.map(function(entry) { return entry._branch; }), ['main', 'site']);
+});
+
+test('getChangedFields ignores metadata and system fields', function() {
+  var copies = [
+    { uid: 'a', title: 'A', body: { text: 'x' }, updated_at: '2024-01-01', _version: 1, _branch: 'main' },
+    { uid: 'a', title: 'A', body: { text: 'y' }, updated_at: '2024-02-01', _version: 3, _branch: 'site', extra: true }
+  ];
+  assert.deepStrictEqual(branchMerge.getChangedFields(copies), ['body', 'extra']);
+});
@@ -0,0 +1,11 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var build = require('../scripts/build');
+
+test('the committed bundle is built from extensions/src', function() {
+  assert.ok(build.buildBundle() === fs.readFileSync(build.OUTPUT, 'utf8'),
+    'extensions/main-branch-selector.js is out of date; run `npm run build`');
+});
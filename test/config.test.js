@@ -0,0 +1,151 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var config = require('../extensions/src/config');
+var createLogger = require('../extensions/src/logger').createLogger;
+var ConfigSchema = require('../extensions/config-schema');
+
+function resolve(fieldConfig, sdk) {
+  var logger = createLogger();
+  var settings = config.resolveConfig(fieldConfig, sdk || { stack: { apiKey: 'stack_key' } }, logger);
+  return { settings: settings, logger: logger };
+}
+
+test('the schema module matches main-branch-selector.schema.json', function() {
+  var file = path.join(__dirname, '..', 'extensions', 'main-branch-selector.schema.json');
+  assert.deepStrictEqual(ConfigSchema.SCHEMA, JSON.parse(fs.readFileSync(file, 'utf8')));
+});
+
+test('a minimal config lists Main and the branch being edited', function() {
+  var settings = resolve({ contentType: 'global_header', deliveryToken: 'tok', currentBranch: 'site-a' }).settings;
+  assert.deepStrictEqual(settings.errors, []);
+  assert.strictEqual(settings.apiKey, 'stack_key');
+  assert.strictEqual(settings.pageSize, config.DEFAULT_PAGE_SIZE);
+  assert.deepStrictEqual(settings.contentTypes, ['global_header']);
+  assert.deepStrictEqual(settings.branchList.branches.map(function(item) { return [item.branch, item.token, !!item.primary]; }),
+    [['main', 'tok', true], ['site-a', 'tok', false]]);
+});
+
+test('the current branch comes from the SDK when not configured', function() {
+  var sdk = {
+    stack: {
+      apiKey: 'stack_key',
+      getCurrentBranch: function() { return { uid: 'site-a', alias: [{ uid: 'staging' }] }; }
+    }
+  };
+  var detection = config.detectCurrentBranch({}, sdk, createLogger());
+  assert.deepStrictEqual(detection, { branch: 'site-a', aliases: ['staging'], method: 'sdk' });
+});
+
+test('$current in branches stands for the branch being edited', function() {
+  var settings = resolve({
+    contentType: 'x',
+    currentBranch: 'site-a',
+    branches: ['main', { branch: 'midwest', badgeColor: '#0066cc' }, { branch: config.CURRENT_BRANCH_PLACEHOLDER }]
+  }).settings;
+  assert.deepStrictEqual(settings.errors, []);
+  assert.deepStrictEqual(settings.branchList.branches.map(function(item) { return item.branch; }), ['main', 'midwest', 'site-a']);
+  assert.strictEqual(settings.branchList.branches[1].badgeColor, '#0066cc');
+});
+
+test('every problem is reported once', function() {
+  var settings = resolve({
+    contentType: 'x',
+    currentBranch: 'main',
+    multiple: true,
+    minItems: 3,
+    maxItems: 2,
+    duplicateEntries: 'newest',
+    unknownOption: true
+  }).settings;
+  assert.strictEqual(settings.errors.length, 3, settings.errors.join('\n'));
+  assert.ok(settings.errors.some(function(message) { return /unknownOption/.test(message); }));
+  assert.ok(settings.errors.some(function(message) { return /duplicateEntries/.test(message); }));
+  assert.ok(settings.errors.some(function(message) { return /"minItems" \(3\) cannot be greater than "maxItems" \(2\)/.test(message); }));
+});
+
+test('a missing content type is an error', function() {
+  var settings = resolve({ currentBranch: 'main' }).settings;
+  assert.ok(settings.errors.some(function(message) { return /contentType/.test(message); }));
+});
+
+test('source "assets" needs no content type and turns the folder and MIME types into a query', function() {
+  var settings = resolve({ source: 'assets', currentBranch: 'main', assetFolder: 'brand', mimeTypes: 'image/*, application/pdf' }).settings;
+  assert.deepStrictEqual(settings.errors, []);
+  assert.deepStrictEqual(settings.contentTypes, [config.ASSET_CONTENT_TYPE]);
+  assert.deepStrictEqual(settings.searchFields, ['title', 'filename']);
+  assert.strictEqual(settings.contentLocale, null);
+  assert.deepStrictEqual(settings.entryFilters.query, { '$and': [
+    { parent_uid: 'brand' },
+    { '$or': [{ content_type: { '$regex': '^image/' } }, { content_type: 'application/pdf' }] }
+  ] });
+});
+
+test('asset filters only apply to source "assets"', function() {
+  var settings = resolve({ contentType: 'x', currentBranch: 'main', assetFolder: 'brand' }).settings;
+  assert.deepStrictEqual(settings.errors, ['"assetFolder" only applies when "source" is "assets".']);
+});
+
+test('page size is clamped', function() {
+  assert.strictEqual(resolve({ contentType: 'x', currentBranch: 'main', pageSize: 10000 }).settings.pageSize, config.MAX_PAGE_SIZE);
+});
+
+test('delivery tokens are redacted from the log', function() {
+  var result = resolve({ contentType: 'x', currentBranch: 'main', deliveryToken: 'secret_token' });
+  result.logger.debug('Using secret_token', { token: 'secret_token' });
+  var logged = JSON.stringify(result.logger.getEntries());
+  assert.ok(logged.indexOf('secret_token') === -1, logged);
+});
+
+test('eventStreamUrl turns on live updates', function() {
+  assert.strictEqual(resolve({ contentType: 'x', currentBranch: 'main' }).settings.eventStreamUrl, null);
+  assert.strictEqual(resolve({ contentType: 'x', currentBranch: 'main', eventStreamUrl: 'http://localhost:8788/' }).settings.eventStreamUrl,
+    'http://localhost:8788');
+  var settings = resolve({ contentType: 'x', currentBranch: 'main', eventStreamUrl: 'ftp://events' }).settings;
+  assert.deepStrictEqual(settings.errors, ['"eventStreamUrl" must be a URL such as "https://events.example.com", got "ftp://events".']);
+});
+
+test('usageReportUrl is resolved to an absolute http(s) URL', function() {
+  assert.strictEqual(resolve({ contentType: 'x', currentBranch: 'main' }).settings.usageReportUrl, null);
+  assert.strictEqual(resolve({ contentType: 'x', currentBranch: 'main', usageReportUrl: 'https://reports.example.com/usage.json' }).settings.usageReportUrl,
+    'https://reports.example.com/usage.json');
+  var settings = resolve({ contentType: 'x', currentBranch: 'main', usageReportUrl: 'file:///tmp/usage.json' }).settings;
+  assert.deepStrictEqual(settings.errors,
+    ['"usageReportUrl" must be a URL such as "https://reports.example.com/usage-report.json", got "file:///tmp/usage.json".']);
+});
+
+test('theme defaults to the browser\'s colour scheme and sets badge colours by branch', function() {
+  var defaults = resolve({ contentType: 'x', currentBranch: 'site-a' }).settings;
+  assert.strictEqual(defaults.theme.colorScheme, 'auto');
+  assert.strictEqual(defaults.theme.density, 'comfortable');
+  assert.deepStrictEqual(defaults.branchList.branches.map(function(item) { return item.badgeColor || null; }), [null, null]);
+
+  var settings = resolve({
+    contentType: 'x',
+    currentBranch: 'site-a',
+    branches: ['main', { branch: 'midwest', badgeColor: 'teal' }, '$current'],
+    theme: { colorScheme: 'dark', density: 'compact', colors: { primary: ' #6c5ce7 ' }, badgeColors: { main: '#123456', midwest: 'red', $current: 'rgb(0, 122, 82)' } }
+  }).settings;
+  assert.deepStrictEqual(settings.errors, []);
+  assert.deepStrictEqual(settings.theme.colors, { primary: '#6c5ce7' });
+  // A badgeColor in branches wins
+  assert.deepStrictEqual(settings.branchList.branches.map(function(item) { return item.badgeColor; }), ['#123456', 'teal', 'rgb(0, 122, 82)']);
+});
+
+test('theme problems are reported once each', function() {
+  var settings = resolve({
+    contentType: 'x',
+    currentBranch: 'main',
+    theme: { colorScheme: 'sepia', colors: { accent: '#fff', text: 'url(evil)' } }
+  }).settings;
+  assert.deepStrictEqual(settings.errors, [
+    'theme.colorScheme must be one of "auto", "light", "dark", got "sepia".',
+    'theme.colors: unknown option "accent".',
+    'theme.colors.text must be a CSS colour such as "#0066cc", got "url(evil)".'
+  ]);
+  assert.deepStrictEqual(config.parseTheme({ theme: { colors: { accent: '#fff' } } }).errors,
+    ['theme.colors has no "accent" colour; use primary, text, textMuted, background, surface, surfaceMuted, border, danger, warning, success, badgeMain, badgeCurrent.']);
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var startMockDeliveryApi = require('./helpers/mock-delivery-api').startMockDeliveryApi;
+var deliveryProxy = require('../proxy/delivery-proxy');
+
+var ORIGIN = 'https://app.example.com';
+var api;
+var server;
+var baseUrl;
+
+test.before(function() {
+  return startMockDeliveryApi({
+    tokens: { main: 'main_token', midwest: 'midwest_token' },
+    entries: {
+      main: { global_header: [{ uid: 'blt_header', title: 'Header' }], secret_type: [{ uid: 'blt_secret', title: 'Secret' }] },
+      midwest: { global_header: [{ uid: 'blt_midwest', title: 'Midwest header' }] }
+    },
+    assets: { main: [{ uid: 'blt_logo', title: 'Logo', url: 'https://images.example.com/logo.png' }] }
+  }).then(function(mock) {
+    api = mock;
+    server = deliveryProxy.createProxyServer({
+      apiKey: 'test_api_key',
+      host: api.url,
+      previewHost: api.url,
+      allowedOrigins: [ORIGIN],
+      environments: ['production'],
+      contentTypes: ['global_header', 'sys_assets'],
+      branches: {
+        main: { deliveryToken: 'main_token', previewToken: 'main_preview_token' },
+        midwest: { deliveryToken: 'midwest_token' }
+      }
+    });
+    return new Promise(function(resolve) {
+      server.listen(0, '127.0.0.1', function() {
+        baseUrl = 'http://127.0.0.1:' + server.address().port;
+        resolve();
+      });
+    });
+  });
+});
+
+test.after(function() {
+  return Promise.all([
+    new Promise(function(resolve) { server.close(resolve); }),
+    api.close()
+  ]);
+});
+
+function get(path, headers) {
+  return fetch(baseUrl + path, { headers: headers || {} }).then(function(response) {
+    return response.json().catch(function() { return null; }).then(function(body) {
+      return { status: response.status, headers: response.headers, body: body };
+    });
+  });
+}
+
+test('allowed requests are forwarded with the branch\'s token', function() {
+  return get('/v3/content_types/global_header/entries?environment=production&branch=midwest&skip=0&limit=10', { Origin: ORIGIN })
+    .then(function(result) {
+      assert.strictEqual(result.status, 200);
+      assert.deepStrictEqual(result.body.entries.map(function(entry) { return entry.uid; }), ['blt_midwest']);
+      assert.strictEqual(result.headers.get('access-control-allow-origin'), ORIGIN);
+      var forwarded = api.requests[api.requests.length - 1];
+      assert.strictEqual(forwarded.headers.access_token, 'midwest_token');
+      assert.strictEqual(forwarded.headers.api_key, 'test_api_key');
+    });
+});
+
+test('asset requests are forwarded when sys_assets is allowed', function() {
+  return get('/v3/assets/blt_logo?environment=production&branch=main').then(function(result) {
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.asset.uid, 'blt_logo');
+  });
+});
+
+test('content types outside the allowlist are refused', function() {
+  var before = api.requests.length;
+  return get('/v3/content_types/secret_type/entries?environment=production&branch=main').then(function(result) {
+    assert.strictEqual(result.status, 403);
+    assert.match(result.body.error_message, /secret_type/);
+    assert.strictEqual(api.requests.length, before);
+  });
+});
+
+test('unknown query parameters, branches, environments and limits are refused', function() {
+  return Promise.all([
+    get('/v3/content_types/global_header/entries?environment=production&branch=main&include_metadata=true'),
+    get('/v3/content_types/global_header/entries/blt_header?environment=production&branch=main&skip=0'),
+    get('/v3/content_types/global_header/entries?environment=production&branch=other'),
+    get('/v3/content_types/global_header/entries?environment=staging&branch=main'),
+    get('/v3/content_types/global_header/entries?environment=production&branch=main&limit=500'),
+    get('/v3/content_types?environment=production&branch=main')
+  ]).then(function(results) {
+    assert.deepStrictEqual(results.map(function(result) { return result.status; }), [400, 400, 403, 403, 400, 404]);
+    assert.match(results[0].body.error_message, /include_metadata/);
+  });
+});
+
+test('repeated parameters are refused and only checked ones go upstream', function() {
+  var before = api.requests.length;
+  return Promise.all([
+    get('/v3/content_types/global_header/entries?environment=production&branch=midwest&branch=main'),
+    get('/v3/content_types/global_header/entries?environment=production&environment=staging&branch=main')
+  ]).then(function(results) {
+    assert.deepStrictEqual(results.map(function(result) { return result.status; }), [400, 400]);
+    assert.match(results[0].body.error_message, /branch/);
+    assert.match(results[1].body.error_message, /environment/);
+    assert.strictEqual(api.requests.length, before);
+    return get('/v3/content_types/global_header/entries?environment=production&branch=main&only[BASE][]=title&only[BASE][]=uid');
+  }).then(function(result) {
+    assert.strictEqual(result.status, 200);
+    var forwarded = api.requests[api.requests.length - 1].params;
+    assert.deepStrictEqual(forwarded.getAll('only[BASE][]'), ['title', 'uid']);
+    assert.deepStrictEqual(forwarded.getAll('branch'), ['main']);
+  });
+});
+
+test('other origins are refused and allowed ones get CORS preflight answers', function() {
+  return Promise.all([
+    get('/v3/content_types/global_header/entries?environment=production&branch=main', { Origin: 'https://elsewhere.example.com' }),
+    fetch(baseUrl + '/v3/content_types/global_header/entries', { method: 'OPTIONS', headers: { Origin: ORIGIN } }),
+    fetch(baseUrl + '/v3/content_types/global_header/entries?environment=production&branch=main', { method: 'POST' })
+  ]).then(function(results) {
+    assert.strictEqual(results[0].status, 403);
+    assert.strictEqual(results[0].headers.get('access-control-allow-origin'), null);
+    assert.strictEqual(results[1].status, 204);
+    assert.strictEqual(results[1].headers.get('access-control-allow-origin'), ORIGIN);
+    assert.match(results[1].headers.get('access-control-allow-headers'), /X-Contentstack-Preview/);
+    assert.strictEqual(results[2].status, 405);
+  });
+});
+
+test('preview requests need a preview token for the branch', function() {
+  var preview = { 'X-Contentstack-Preview': 'true' };
+  return Promise.all([
+    get('/v3/content_types/global_header/entries?environment=production&branch=midwest', preview),
+    get('/v3/content_types/global_header/entries?environment=production&branch=main', preview)
+  ]).then(function(results) {
+    assert.strictEqual(results[0].status, 403);
+    assert.match(results[0].body.error_message, /Preview is not enabled for branch "midwest"/);
+    assert.strictEqual(results[1].status, 200);
+    assert.strictEqual(api.requests[api.requests.length - 1].headers.preview_token, 'main_preview_token');
+  });
+});
+
+test('a malformed content type in the path is a 400, not a crash', function() {
+  return get('/v3/content_types/%ZZ/entries?environment=production&branch=main').then(function(result) {
+    assert.strictEqual(result.status, 400);
+    return get('/health');
+  }).then(function(result) {
+    assert.deepStrictEqual(result.body, { status: 'ok' });
+  });
+});
+
+test('upstream errors and Retry-After are passed through', function() {
+  api.fail(1, 429, { error_message: 'Too many requests' }, { 'Retry-After': '2' });
+  return get('/v3/content_types/global_header/entries?environment=production&branch=main').then(function(result) {
+    assert.strictEqual(result.status, 429);
+    assert.strictEqual(result.headers.get('retry-after'), '2');
+  });
+});
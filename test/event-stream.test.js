@@ -0,0 +1,199 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var eventStream = require('../proxy/event-stream');
+
+var SECRET = 'webhook_secret';
+var server;
+var baseUrl;
+var connections = [];
+
+test.before(function() {
+  server = eventStream.createEventStreamServer({ webhookSecret: SECRET, allowedOrigins: ['https://app.example.com'], apiKey: 'stack_key' });
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(function() {
+  connections.forEach(function(req) { req.destroy(); });
+  return new Promise(function(resolve) { server.close(resolve); });
+});
+
+function webhook(event, entryUid, extra) {
+  return Object.assign({
+    module: 'entry',
+    api_key: 'stack_key',
+    event: event,
+    triggered_at: '2024-05-01T10:00:00.000Z',
+    data: {
+      entry: { uid: entryUid, title: 'Title', locale: 'en-us' },
+      content_type: { uid: 'global_header' },
+      environment: { name: 'production' },
+      branch: { uid: 'main-2024', alias: [{ uid: 'main' }] }
+    }
+  }, extra);
+}
+
+function postWebhook(payload, secret) {
+  return fetch(baseUrl + '/webhooks', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': secret === undefined ? SECRET : secret },
+    body: JSON.stringify(payload)
+  }).then(function(response) {
+    return response.json().then(function(body) {
+      return { status: response.status, body: body };
+    });
+  });
+}
+
+/**
+ * Open /events and collect the parsed events; resolves once the stream is open
+ */
+function subscribe(query, headers) {
+  return new Promise(function(resolve) {
+    var events = [];
+    var req = http.get(baseUrl + '/events' + (query || ''), { headers: headers || {} }, function(res) {
+      var buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        buffer += chunk;
+        var messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(function(message) {
+          var event = {};
+          message.split('\n').forEach(function(line) {
+            var separator = line.indexOf(': ');
+            if (separator > 0) event[line.slice(0, separator)] = line.slice(separator + 2);
+          });
+          if (event.data) {
+            events.push({ id: Number(event.id), type: event.event, data: JSON.parse(event.data) });
+          }
+        });
+      });
+      resolve({ events: events, headers: res.headers });
+    });
+    req.on('error', function() {});
+    connections.push(req);
+  });
+}
+
+function waitForEvents(subscription, count) {
+  return new Promise(function(resolve, reject) {
+    var deadline = Date.now() + 2000;
+    (function poll() {
+      if (subscription.events.length >= count) return resolve(subscription.events);
+      if (Date.now() > deadline) return reject(new Error('Expected ' + count + ' events, got ' + subscription.events.length));
+      setTimeout(poll, 10);
+    })();
+  });
+}
+
+test('webhook payloads become entry events', function() {
+  assert.deepStrictEqual(eventStream.toEntryEvent(webhook('publish', 'blt1')), {
+    type: 'publish',
+    uid: 'blt1',
+    contentType: 'global_header',
+    branch: 'main-2024',
+    aliases: ['main'],
+    environment: 'production',
+    locale: 'en-us',
+    triggeredAt: '2024-05-01T10:00:00.000Z'
+  });
+  assert.strictEqual(eventStream.toEntryEvent(webhook('create', 'blt1')), null);
+  assert.strictEqual(eventStream.toEntryEvent({ module: 'asset', event: 'publish', data: {} }), null);
+});
+
+test('webhooks without the secret are refused', function() {
+  return postWebhook(webhook('publish', 'blt1'), 'wrong').then(function(result) {
+    assert.strictEqual(result.status, 401);
+  });
+});
+
+test('webhook bodies that are not JSON objects are refused', function() {
+  return Promise.all([null, [], 'publish', 42].map(function(payload) {
+    return postWebhook(payload);
+  })).then(function(results) {
+    assert.deepStrictEqual(results.map(function(result) { return result.status; }), [400, 400, 400, 400]);
+    return fetch(baseUrl + '/health');
+  }).then(function(response) {
+    assert.strictEqual(response.status, 200);
+  });
+});
+
+test('a branch alias that is not a list does not take the server down', function() {
+  return Promise.all(['main', { uid: 'main' }, 42].map(function(alias) {
+    var payload = webhook('publish', 'blt_alias');
+    payload.data.branch.alias = alias;
+    return postWebhook(payload);
+  })).then(function(results) {
+    assert.deepStrictEqual(results.map(function(result) { return result.status; }), [202, 202, 202]);
+    assert.strictEqual(eventStream.toEntryEvent(Object.assign(webhook('publish', 'blt_alias'), {
+      data: { entry: { uid: 'blt_alias' }, content_type: { uid: 'global_header' }, branch: { uid: 'main-2024', alias: 'main' } }
+    })).aliases.length, 0);
+    return fetch(baseUrl + '/health');
+  }).then(function(response) {
+    assert.strictEqual(response.status, 200);
+  });
+});
+
+test('webhooks of other stacks and other events are ignored', function() {
+  return Promise.all([
+    postWebhook(webhook('publish', 'blt1', { api_key: 'other_stack' })),
+    postWebhook(webhook('update', 'blt1'))
+  ]).then(function(results) {
+    assert.deepStrictEqual(results.map(function(result) { return result.body.status; }), ['ignored', 'ignored']);
+  });
+});
+
+test('events reach subscribers of their content type and environment', function() {
+  var subscriptions;
+  return Promise.all([
+    subscribe('?content_type=global_header&environment=production', { Origin: 'https://app.example.com' }),
+    subscribe('?content_type=promo_banner'),
+    subscribe('?environment=staging')
+  ]).then(function(result) {
+    subscriptions = result;
+    assert.strictEqual(subscriptions[0].headers['content-type'], 'text/event-stream');
+    assert.strictEqual(subscriptions[0].headers['access-control-allow-origin'], 'https://app.example.com');
+    return postWebhook(webhook('publish', 'blt_published'));
+  }).then(function(result) {
+    assert.strictEqual(result.status, 202);
+    // Deletes carry no environment and go to every environment
+    var deleted = webhook('delete', 'blt_deleted');
+    delete deleted.data.environment;
+    return postWebhook(deleted);
+  }).then(function() {
+    return Promise.all([waitForEvents(subscriptions[0], 2), waitForEvents(subscriptions[2], 1)]);
+  }).then(function(received) {
+    assert.deepStrictEqual(received[0].map(function(event) { return event.type + ' ' + event.data.type + ' ' + event.data.uid; }),
+      ['entry publish blt_published', 'entry delete blt_deleted']);
+    assert.deepStrictEqual(received[1].map(function(event) { return event.data.uid; }), ['blt_deleted']);
+    assert.strictEqual(subscriptions[1].events.length, 0);
+  });
+});
+
+test('a reconnecting subscriber gets the events it missed', function() {
+  var firstId;
+  return postWebhook(webhook('unpublish', 'blt_missed')).then(function(result) {
+    firstId = result.body.id;
+    return postWebhook(webhook('publish', 'blt_missed_too'));
+  }).then(function() {
+    return subscribe('', { 'Last-Event-ID': String(firstId) });
+  }).then(function(subscription) {
+    return waitForEvents(subscription, 1);
+  }).then(function(events) {
+    assert.deepStrictEqual(events.map(function(event) { return event.data.uid; }), ['blt_missed_too']);
+  });
+});
+
+test('other origins may not subscribe', function() {
+  return fetch(baseUrl + '/events', { headers: { Origin: 'https://elsewhere.example.com' } }).then(function(response) {
+    assert.strictEqual(response.status, 403);
+  });
+});
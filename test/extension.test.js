@@ -0,0 +1,482 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var startMockDeliveryApi = require('./helpers/mock-delivery-api').startMockDeliveryApi;
+var loadExtension = require('./helpers/load-extension').loadExtension;
+var FakeEventSource = require('./helpers/fake-event-source').FakeEventSource;
+
+var api;
+var page;
+// Entries served by the stub; live update tests change them and put them back
+var stackEntries = {
+  main: {
+    header: [
+      { uid: 'blt_main_header', title: 'Main header' },
+      { uid: 'blt_holiday_header', title: 'Holiday header' },
+      { uid: 'blt_summer_header', title: 'Summer header' }
+    ]
+  },
+  'site-a': {
+    header: [{ uid: 'blt_site_header', title: 'Site A header' }]
+  }
+};
+var originalMainHeaders = stackEntries.main.header.slice();
+var stackAssets = {
+  main: [
+    { uid: 'blt_logo', title: 'Logo', filename: 'logo.png', content_type: 'image/png', file_size: '2048',
+      url: 'https://images.contentstack.io/v3/assets/stack/blt_logo/logo.png' },
+    { uid: 'blt_guide', title: '', filename: 'brand-guide.pdf', content_type: 'application/pdf', file_size: '1572864',
+      url: 'https://assets.contentstack.io/v3/assets/stack/blt_guide/brand-guide.pdf' },
+    { uid: 'blt_hero', title: 'Hero', filename: 'hero.jpg', content_type: 'image/jpeg', file_size: '512',
+      url: 'https://images.contentstack.io/v3/assets/stack/blt_hero/hero.jpg' }
+  ],
+  'site-a': [
+    { uid: 'blt_site_logo', title: 'Site A logo', filename: 'site-a.png', content_type: 'image/png', file_size: '4096',
+      url: 'https://images.contentstack.io/v3/assets/stack/blt_site_logo/site-a.png' }
+  ]
+};
+
+test.before(function() {
+  return startMockDeliveryApi({ entries: stackEntries, assets: stackAssets }).then(function(server) {
+    api = server;
+  });
+});
+
+test.after(function() {
+  return api.close();
+});
+
+test.afterEach(function() {
+  if (page) {
+    page.close();
+    page = null;
+  }
+  api.requests.length = 0;
+  stackEntries.main.header = originalMainHeaders.slice();
+});
+
+function open(options) {
+  options = options || {};
+  page = loadExtension({
+    config: Object.assign({
+      contentType: 'header',
+      currentBranch: 'site-a',
+      deliveryToken: 'token',
+      host: api.url,
+      cacheTtl: 0
+    }, options.config),
+    data: options.data,
+    setUpWindow: options.setUpWindow
+  });
+  return page.waitFor(function() {
+    return page.container.querySelectorAll('.cs-extension-item').length >= 4;
+  }).then(function() {
+    return page;
+  });
+}
+
+function getOptionIds() {
+  return Array.prototype.map.call(page.container.querySelectorAll('[role="option"]'), function(option) {
+    return option.id;
+  });
+}
+
+// The field data is built in the page's realm; setDataCalls holds plain copies
+function lastSaved() {
+  return page.sdk.setDataCalls[page.sdk.setDataCalls.length - 1];
+}
+
+function press(element, key, init) {
+  element.dispatchEvent(new page.window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true }, init)));
+}
+
+function activeId() {
+  return page.document.activeElement.id;
+}
+
+test('lists the entries of Main and the branch being edited', function() {
+  return open().then(function() {
+    var groups = page.container.querySelectorAll('.cs-extension-branch-group');
+    assert.deepStrictEqual(Array.prototype.map.call(groups, function(group) { return group.getAttribute('data-branch'); }),
+      ['main', 'site-a']);
+    assert.deepStrictEqual(getOptionIds(), [
+      'main-branch-option-main-blt_main_header',
+      'main-branch-option-main-blt_holiday_header',
+      'main-branch-option-main-blt_summer_header',
+      'main-branch-option-site-a-blt_site_header'
+    ]);
+    assert.strictEqual(api.requests[0].headers.access_token, 'token');
+  });
+});
+
+test('clicking an entry stores a reference with its branch', function() {
+  return open().then(function() {
+    page.document.getElementById('main-branch-option-site-a-blt_site_header').click();
+    assert.deepStrictEqual(page.sdk.setDataCalls, [
+      { uid: 'blt_site_header', _content_type_uid: 'header', _branch: 'site-a' }
+    ]);
+    return page.waitFor(function() {
+      var selected = page.container.querySelector('[role="option"][aria-selected="true"]');
+      return selected && selected.id === 'main-branch-option-site-a-blt_site_header';
+    });
+  });
+});
+
+test('multiple mode adds and removes references', function() {
+  return open({ config: { multiple: true } }).then(function() {
+    page.document.getElementById('main-branch-option-main-blt_main_header').click();
+    page.document.getElementById('main-branch-option-site-a-blt_site_header').click();
+    page.document.getElementById('main-branch-option-main-blt_main_header').click();
+    assert.deepStrictEqual(lastSaved(), [
+      { uid: 'blt_site_header', _content_type_uid: 'header', _branch: 'site-a' }
+    ]);
+    assert.strictEqual(page.container.querySelectorAll('.cs-extension-selected-item').length, 1);
+  });
+});
+
+test('search queries the Delivery API', function() {
+  return open().then(function() {
+    var input = page.document.getElementById('main-branch-search');
+    input.value = 'summer';
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    return page.waitFor(function() {
+      return getOptionIds().length === 1;
+    });
+  }).then(function() {
+    assert.deepStrictEqual(getOptionIds(), ['main-branch-option-main-blt_summer_header']);
+    var searches = api.requests.filter(function(request) { return request.params.get('query'); });
+    assert.deepStrictEqual(JSON.parse(searches[0].params.get('query')), { title: { $regex: 'summer', $options: 'i' } });
+  });
+});
+
+test('an invalid config is reported without fetching', function() {
+  page = loadExtension({ config: { contentType: 'header', host: api.url, pageSize: 'many' } });
+  return page.waitFor(function() {
+    return page.container.querySelector('.cs-extension-config-errors');
+  }).then(function(alert) {
+    assert.match(alert.textContent, /pageSize/);
+    assert.strictEqual(api.requests.length, 0);
+  });
+});
+
+test('a stored reference to a deleted entry is flagged', function() {
+  return open({ data: { uid: 'blt_gone', _content_type_uid: 'header', _branch: 'main' } }).then(function() {
+    return page.waitFor(function() {
+      return page.container.querySelector('.cs-extension-selected-item-broken');
+    });
+  });
+});
+
+test('rich text titles are listed as plain text without loading their markup', function() {
+  stackEntries.main.header = originalMainHeaders.concat([
+    { uid: 'blt_rich_header', title: '<p>Rich <img src="x" onerror="window.xssRan = true">header</p>' }
+  ]);
+  // A live document loads images as soon as markup is parsed into it, even in a detached element
+  var unescapedMarkup = 0;
+  return open({
+    setUpWindow: function(window) {
+      var innerHTML = Object.getOwnPropertyDescriptor(window.Element.prototype, 'innerHTML');
+      Object.defineProperty(window.Element.prototype, 'innerHTML', {
+        get: innerHTML.get,
+        set: function(value) {
+          if (String(value).indexOf('<img src="x"') !== -1) unescapedMarkup++;
+          innerHTML.set.call(this, value);
+        }
+      });
+    }
+  }).then(function() {
+    var option = page.document.getElementById('main-branch-option-main-blt_rich_header');
+    assert.strictEqual(option.querySelector('.cs-extension-item-title').textContent, 'Rich header');
+    assert.strictEqual(page.container.querySelector('img[src="x"]'), null);
+    assert.strictEqual(unescapedMarkup, 0);
+  });
+});
+
+test('stored values with quotes stay inside their attributes and selectors', function() {
+  var reference = { uid: 'blt_gone" onclick="alert(1)', _content_type_uid: 'header', _branch: 'main"><img src="x">' };
+  return open({ config: { multiple: true }, data: [reference] }).then(function() {
+    return page.waitFor(function() {
+      return page.container.querySelector('.cs-extension-selected-item');
+    });
+  }).then(function(item) {
+    assert.strictEqual(item.getAttribute('data-entry-uid'), reference.uid);
+    assert.strictEqual(item.getAttribute('data-entry-branch'), reference._branch);
+    assert.strictEqual(item.getAttribute('onclick'), null);
+    assert.strictEqual(page.container.querySelector('img[src="x"]'), null);
+    page.container.querySelector('.cs-extension-remove-btn').click();
+    assert.deepStrictEqual(lastSaved(), []);
+    assert.strictEqual(page.container.querySelector('.cs-extension-selected-item'), null);
+  });
+});
+
+test('preview values are shown in the UI language', function() {
+  stackEntries.main.header = originalMainHeaders.concat([{
+    uid: 'blt_sale_header',
+    title: 'Sale header',
+    sticky: true,
+    hidden: false,
+    links: [{ uid: 'blt_a', _content_type_uid: 'link' }, { uid: 'blt_b', _content_type_uid: 'link' }],
+    footer: [{ uid: 'blt_footer', _content_type_uid: 'footer' }]
+  }]);
+  return open({ config: { uiLanguage: 'de', previewFields: ['sticky', 'hidden', 'links', 'footer'] } }).then(function() {
+    page.document.querySelector('#main-branch-option-main-blt_sale_header .cs-extension-preview-btn').click();
+    var values = Array.prototype.map.call(page.container.querySelectorAll('.cs-extension-preview-fields dd'), function(value) {
+      return value.textContent;
+    });
+    assert.deepStrictEqual(values.slice(0, 4), ['Ja', 'Nein', '2 Referenzen', '1 Referenz']);
+  });
+});
+
+test('the entry list works from the keyboard', function() {
+  return open({ config: { multiple: true } }).then(function() {
+    var first = page.document.getElementById('main-branch-option-main-blt_main_header');
+    // One tab stop for the whole list
+    assert.strictEqual(page.container.querySelectorAll('[role="option"][tabindex="0"]').length, 1);
+    first.focus();
+
+    press(first, 'ArrowDown');
+    assert.strictEqual(activeId(), 'main-branch-option-main-blt_holiday_header');
+    press(page.document.activeElement, 'End');
+    assert.strictEqual(activeId(), 'main-branch-option-site-a-blt_site_header');
+    press(page.document.activeElement, 'Home');
+    assert.strictEqual(activeId(), 'main-branch-option-main-blt_main_header');
+
+    press(page.document.activeElement, 'Enter');
+    assert.deepStrictEqual(lastSaved(), [{ uid: 'blt_main_header', _content_type_uid: 'header', _branch: 'main' }]);
+
+    // Type-ahead jumps to the next title starting with the typed text
+    press(page.document.activeElement, 's');
+    press(page.document.activeElement, 'i');
+    assert.strictEqual(activeId(), 'main-branch-option-site-a-blt_site_header');
+
+    press(page.document.activeElement, 'ArrowRight');
+    assert.ok(page.document.activeElement.closest('.cs-extension-preview'));
+    press(page.document.activeElement, 'Escape');
+    assert.strictEqual(activeId(), 'main-branch-option-site-a-blt_site_header');
+    assert.strictEqual(page.container.querySelector('.cs-extension-preview'), null);
+  });
+});
+
+/**
+ * Open the extension subscribed to live events; resolves with the fake event stream
+ */
+function openLive(options) {
+  FakeEventSource.instances.length = 0;
+  options = options || {};
+  return open({
+    config: Object.assign({ eventStreamUrl: 'https://events.example.com/', multiple: true }, options.config),
+    data: options.data,
+    setUpWindow: function(window) {
+      window.EventSource = FakeEventSource;
+    }
+  }).then(function() {
+    return page.waitFor(function() { return FakeEventSource.instances[0]; });
+  });
+}
+
+function getTitles() {
+  return Array.prototype.map.call(page.container.querySelectorAll('.cs-extension-item-title'), function(title) {
+    return title.textContent;
+  });
+}
+
+test('live updates subscribe for the field\'s content types and environment', function() {
+  return openLive({ config: { environment: 'staging' } }).then(function(stream) {
+    assert.strictEqual(stream.url, 'https://events.example.com/events?content_type=header&environment=staging');
+  });
+});
+
+test('a published entry is listed without losing the selection', function() {
+  var stream;
+  return openLive().then(function(result) {
+    stream = result;
+    page.document.getElementById('main-branch-option-site-a-blt_site_header').click();
+    var saves = page.sdk.setDataCalls.length;
+
+    stackEntries.main.header.unshift({ uid: 'blt_new_header', title: 'New header' });
+    stream.emit('entry', { type: 'publish', uid: 'blt_new_header', contentType: 'header', branch: 'main', aliases: [] });
+    return page.waitFor(function() { return getTitles().indexOf('New header') !== -1; }).then(function() {
+      assert.deepStrictEqual(getTitles(), ['New header', 'Main header', 'Holiday header', 'Summer header', 'Site A header']);
+      assert.strictEqual(page.sdk.setDataCalls.length, saves);
+      assert.strictEqual(page.document.getElementById('main-branch-option-site-a-blt_site_header').getAttribute('aria-selected'), 'true');
+      // The entry was fetched with the list's own filters
+      var probe = api.requests[api.requests.length - 1];
+      assert.deepStrictEqual(JSON.parse(probe.params.get('query')), { uid: 'blt_new_header' });
+    });
+  });
+});
+
+test('a republished entry is updated in place, matched through a branch alias', function() {
+  return openLive().then(function(stream) {
+    stackEntries.main.header[1] = { uid: 'blt_holiday_header', title: 'Winter header' };
+    stream.emit('entry', { type: 'publish', uid: 'blt_holiday_header', contentType: 'header', branch: 'main-2024', aliases: ['main'] });
+    return page.waitFor(function() { return getTitles()[1] === 'Winter header'; });
+  });
+});
+
+test('the search results follow live updates too', function() {
+  var stream;
+  return openLive().then(function(result) {
+    stream = result;
+    var input = page.document.getElementById('main-branch-search');
+    input.value = 'summer';
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    return page.waitFor(function() { return getTitles().length === 1; });
+  }).then(function() {
+    stackEntries.main.header.push({ uid: 'blt_late_summer_header', title: 'Late summer header' });
+    stream.emit('entry', { type: 'publish', uid: 'blt_late_summer_header', contentType: 'header', branch: 'main', aliases: [] });
+    return page.waitFor(function() { return getTitles().length === 2; });
+  }).then(function() {
+    assert.strictEqual(page.document.getElementById('main-branch-search').value, 'summer');
+    assert.deepStrictEqual(getTitles(), ['Late summer header', 'Summer header']);
+  });
+});
+
+test('an unpublished entry is removed and its stored reference flagged', function() {
+  var selected = { uid: 'blt_summer_header', _content_type_uid: 'header', _branch: 'main' };
+  return openLive({ data: [selected] }).then(function(stream) {
+    stackEntries.main.header = stackEntries.main.header.filter(function(entry) { return entry.uid !== 'blt_summer_header'; });
+    stream.emit('entry', { type: 'unpublish', uid: 'blt_summer_header', contentType: 'header', branch: 'main', aliases: [] });
+    return page.waitFor(function() {
+      return page.container.querySelector('.cs-extension-selected-item-broken[data-entry-uid="blt_summer_header"]');
+    });
+  }).then(function() {
+    assert.strictEqual(getTitles().indexOf('Summer header'), -1);
+    assert.strictEqual(page.sdk.setDataCalls.length, 0);
+  });
+});
+
+test('events for other content types and branches are ignored', function() {
+  return openLive().then(function(stream) {
+    var requestCount = api.requests.length;
+    stream.emit('entry', { type: 'delete', uid: 'blt_main_header', contentType: 'footer', branch: 'main', aliases: [] });
+    stream.emit('entry', { type: 'delete', uid: 'blt_main_header', contentType: 'header', branch: 'site-b', aliases: [] });
+    return new Promise(function(resolve) { setTimeout(resolve, 50); }).then(function() {
+      assert.strictEqual(api.requests.length, requestCount);
+      assert.strictEqual(getTitles()[0], 'Main header');
+    });
+  });
+});
+
+test('usage counts from the usage report are shown on entries and in the preview', function() {
+  var report = {
+    generatedAt: '2024-05-01T10:00:00.000Z',
+    usage: {
+      main: {
+        blt_main_header: {
+          contentType: 'header',
+          count: 2,
+          usedBy: [
+            { branch: 'site-a', contentType: 'page', uid: 'blt_about', title: 'About', locale: 'en-us', field: 'header' },
+            { branch: 'site-a', contentType: 'page', uid: 'blt_about', title: 'About', locale: 'de-de', field: 'header' },
+            { branch: 'site-b', contentType: 'page', uid: 'blt_home', title: 'Home', locale: 'en-us', field: 'header' }
+          ]
+        },
+        blt_holiday_header: { contentType: 'header', count: 1, usedBy: [] }
+      }
+    }
+  };
+  var reportRequests = [];
+  return open({
+    config: { usageReportUrl: 'https://reports.example.com/usage.json' },
+    setUpWindow: function(window) {
+      window.fetch = function(url, init) {
+        if (url === 'https://reports.example.com/usage.json') {
+          reportRequests.push(url);
+          return Promise.resolve(new Response(JSON.stringify(report), { headers: { 'Content-Type': 'application/json' } }));
+        }
+        return fetch(url, init);
+      };
+    }
+  }).then(function() {
+    return page.waitFor(function() { return page.container.querySelector('.cs-extension-item-usage'); });
+  }).then(function() {
+    assert.strictEqual(reportRequests.length, 1);
+    var counts = Array.prototype.map.call(page.container.querySelectorAll('.cs-extension-item-usage'), function(usage) {
+      return usage.textContent;
+    });
+    assert.deepStrictEqual(counts, ['Used in 2 entries', 'Used in 1 entry', 'Not referenced', 'Not referenced']);
+
+    page.document.querySelector('#main-branch-option-main-blt_main_header .cs-extension-preview-btn').click();
+    var usedBy = page.container.querySelector('.cs-extension-preview-usage');
+    assert.deepStrictEqual(Array.prototype.map.call(usedBy.querySelectorAll('li'), function(item) { return item.textContent; }),
+      ['About (Page, site-a)', 'Home (Page, site-b)']);
+    assert.match(usedBy.textContent, /Usage as of /);
+  });
+});
+
+test('the list works without usage counts when the report cannot be loaded', function() {
+  return open({
+    config: { usageReportUrl: 'https://reports.example.com/missing.json' },
+    setUpWindow: function(window) {
+      window.fetch = function(url, init) {
+        if (url === 'https://reports.example.com/missing.json') {
+          return Promise.resolve(new Response('Not found', { status: 404 }));
+        }
+        return fetch(url, init);
+      };
+    }
+  }).then(function() {
+    return page.waitFor(function() {
+      return page.consoleMessages.some(function(message) {
+        return message.method === 'warn' && /Could not load the usage report/.test(message.args.join(' '));
+      });
+    });
+  }).then(function() {
+    assert.strictEqual(page.container.querySelector('.cs-extension-item-usage'), null);
+  });
+});
+
+test('source "assets" lists files with thumbnails, names and sizes and stores their URL', function() {
+  return open({ config: { source: 'assets', thumbnailParams: { width: 48 } } }).then(function() {
+    assert.deepStrictEqual(api.requests.map(function(request) { return request.path; }), ['/v3/assets', '/v3/assets']);
+    assert.deepStrictEqual(getTitles(), ['Logo', 'brand-guide.pdf', 'Hero', 'Site A logo']);
+
+    var logo = page.document.getElementById('main-branch-option-main-blt_logo');
+    assert.strictEqual(logo.querySelector('img.cs-extension-item-thumb').getAttribute('src'),
+      'https://images.contentstack.io/v3/assets/stack/blt_logo/logo.png?width=48');
+    assert.strictEqual(logo.querySelector('.cs-extension-item-description').textContent, 'logo.png · 2 KB');
+
+    var guide = page.document.getElementById('main-branch-option-main-blt_guide');
+    assert.strictEqual(guide.querySelector('.cs-extension-item-thumb-empty').textContent, 'PDF');
+    assert.strictEqual(guide.querySelector('.cs-extension-item-description').textContent, 'brand-guide.pdf · 1.5 MB');
+
+    guide.click();
+    assert.deepStrictEqual(lastSaved(), {
+      uid: 'blt_guide',
+      _branch: 'main',
+      url: 'https://assets.contentstack.io/v3/assets/stack/blt_guide/brand-guide.pdf',
+      filename: 'brand-guide.pdf'
+    });
+  });
+});
+
+test('the theme follows the browser into dark mode and sets density and colours on the container', function() {
+  var scheme = { matches: false, listeners: [] };
+  return open({
+    config: { theme: { density: 'compact', colors: { primary: '#0066cc' }, darkColors: { primary: '#8fb8ff' }, badgeColors: { 'site-a': 'teal' } } },
+    setUpWindow: function(window) {
+      window.matchMedia = function(query) {
+        assert.strictEqual(query, '(prefers-color-scheme: dark)');
+        return {
+          get matches() { return scheme.matches; },
+          addEventListener: function(type, listener) { scheme.listeners.push(listener); }
+        };
+      };
+    }
+  }).then(function() {
+    var container = page.container;
+    assert.ok(container.classList.contains('cs-extension-density-compact'));
+    assert.ok(!container.classList.contains('cs-extension-theme-dark'));
+    assert.strictEqual(container.style.getPropertyValue('--cs-extension-color-primary'), '#0066cc');
+
+    var siteBadge = page.document.querySelector('#main-branch-option-site-a-blt_site_header .cs-extension-item-badge');
+    assert.strictEqual(siteBadge.style.background, 'teal');
+
+    scheme.matches = true;
+    scheme.listeners.forEach(function(listener) { listener(); });
+    assert.ok(container.classList.contains('cs-extension-theme-dark'));
+    assert.strictEqual(container.style.getPropertyValue('--cs-extension-color-primary'), '#8fb8ff');
+  });
+});
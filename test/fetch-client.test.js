@@ -0,0 +1,210 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var config = require('../extensions/src/config');
+var createLogger = require('../extensions/src/logger').createLogger;
+var fetchClient = require('../extensions/src/fetch-client');
+var startMockDeliveryApi = require('./helpers/mock-delivery-api').startMockDeliveryApi;
+
+function makeEntries(prefix, count) {
+  return Array.from({ length: count }, function(value, index) {
+    return { uid: prefix + index, title: prefix + ' entry ' + index };
+  });
+}
+
+var api;
+
+test.before(function() {
+  return startMockDeliveryApi({
+    tokens: { main: 'main_token', site: 'site_token' },
+    entries: {
+      main: { page: makeEntries('main', 5), banner: makeEntries('banner', 2) },
+      site: { page: [{ uid: 'main1', title: 'Site copy of main entry 1' }].concat(makeEntries('site', 2)) }
+    },
+    assets: {
+      main: [
+        { uid: 'logo', title: 'Logo', filename: 'logo.png', content_type: 'image/png', parent_uid: 'brand', url: 'https://images.contentstack.io/v3/assets/k/logo/logo.png' },
+        { uid: 'guide', title: 'Brand guide', filename: 'guide.pdf', content_type: 'application/pdf', parent_uid: 'brand', url: 'https://assets.contentstack.io/v3/assets/k/guide/guide.pdf' },
+        { uid: 'hero', title: 'Hero', filename: 'hero.jpg', content_type: 'image/jpeg', parent_uid: 'campaigns', url: 'https://images.contentstack.io/v3/assets/k/hero/hero.jpg' }
+      ]
+    }
+  }).then(function(server) {
+    api = server;
+  });
+});
+
+test.after(function() {
+  return api.close();
+});
+
+test.beforeEach(function() {
+  api.requests.length = 0;
+});
+
+function createClient(fieldConfig) {
+  var logger = createLogger();
+  var settings = config.resolveConfig(Object.assign({
+    contentType: 'page',
+    currentBranch: 'site',
+    mainBranchDeliveryToken: 'main_token',
+    currentBranchDeliveryToken: 'site_token',
+    environment: 'development',
+    host: api.url,
+    pageSize: 2
+  }, fieldConfig), { stack: { apiKey: 'test_api_key' } }, logger);
+  assert.deepStrictEqual(settings.errors, []);
+  // Keep expected failures out of the test output; they are still recorded
+  logger.setLevel('off');
+
+  var client = fetchClient.createFetchClient({ settings: settings, logger: logger, stack: {} });
+  return {
+    client: client,
+    settings: settings,
+    sources: settings.branchList.branches.map(function(branchInfo) {
+      return client.createBranchSource(branchInfo);
+    })
+  };
+}
+
+test('first pages combine the branches in order and tag each entry', function() {
+  var setup = createClient();
+  return setup.client.loadFirstPages(setup.sources).then(function(entries) {
+    assert.deepStrictEqual(entries.map(function(entry) { return entry._branch + '/' + entry.uid; }),
+      ['main/main0', 'main/main1', 'site/main1', 'site/site0']);
+    assert.strictEqual(entries[0]._content_type_uid, 'page');
+    assert.deepStrictEqual(setup.client.getDuplicates().uids, { main1: ['main', 'site'] });
+
+    var request = api.requests[0];
+    assert.strictEqual(request.headers.api_key, 'test_api_key');
+    assert.strictEqual(request.params.get('environment'), 'development');
+    assert.strictEqual(request.params.get('include_count'), 'true');
+  });
+});
+
+test('further pages load until the count is reached', function() {
+  var setup = createClient();
+  var main = setup.sources[0];
+  var client = setup.client;
+  return client.loadNextPage(main)
+    .then(function() { return client.loadNextPage(main); })
+    .then(function() { return client.loadNextPage(main); })
+    .then(function(entries) {
+      assert.deepStrictEqual(entries.map(function(entry) { return entry.uid; }), ['main4']);
+      assert.strictEqual(client.getLoadedCount(main), 5);
+      assert.strictEqual(client.getTotalCount(main), 5);
+      assert.strictEqual(client.hasMorePages(main), false);
+      assert.deepStrictEqual(api.requests.map(function(request) { return request.params.get('skip'); }), ['0', '2', '4']);
+    });
+});
+
+test('several content types are paged separately', function() {
+  var setup = createClient({ contentType: ['page', 'banner'], showBothBranches: false });
+  return setup.client.loadNextPage(setup.sources[0]).then(function(entries) {
+    assert.deepStrictEqual(entries.map(function(entry) { return entry._content_type_uid + '/' + entry.uid; }),
+      ['page/main0', 'page/main1', 'banner/banner0', 'banner/banner1']);
+    assert.strictEqual(setup.client.hasMorePages(setup.sources[0], 'banner'), false);
+    assert.strictEqual(setup.client.hasMorePages(setup.sources[0], 'page'), true);
+  });
+});
+
+test('server errors and rate limits are retried', function() {
+  var setup = createClient({ showBothBranches: false });
+  api.fail(1, 503);
+  api.fail(1, 429, { error_message: 'Too many requests' }, { 'Retry-After': '0' });
+  return setup.client.loadNextPage(setup.sources[0]).then(function(entries) {
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(api.requests.length, 3);
+    assert.deepStrictEqual(setup.client.getRequestLog().map(function(request) { return request.status; }), [503, 429, 200]);
+  });
+});
+
+test('failures are classified and kept on the branch', function() {
+  var setup = createClient({ branches: ['main', 'gone'], deliveryToken: 'wrong' });
+  return setup.client.loadFirstPages(setup.sources).then(function(entries) {
+    assert.deepStrictEqual(entries, []);
+    assert.strictEqual(setup.client.getSourceError(setup.sources[0]).kind, 'auth');
+    assert.strictEqual(setup.client.getSourceError(setup.sources[1]).kind, 'branch');
+    // Neither is worth repeating
+    assert.strictEqual(api.requests.length, 2);
+  });
+});
+
+test('an unknown content type fails only its own cursor', function() {
+  var setup = createClient({ contentType: ['page', 'missing_type'], showBothBranches: false });
+  var main = setup.sources[0];
+  return setup.client.loadNextPage(main).then(function(entries) {
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(setup.client.getSourceError(main, 'missing_type').kind, 'content-type');
+    assert.strictEqual(setup.client.getSourceError(main, 'page'), null);
+  });
+});
+
+test('loaded pages are served from the cache', function() {
+  var setup = createClient({ showBothBranches: false });
+  var client = setup.client;
+  var fresh = function() {
+    return [client.createBranchSource(setup.settings.branchList.branches[0])];
+  };
+  assert.strictEqual(client.hasCachedFirstPages(fresh()), false);
+  return client.loadNextPage(setup.sources[0]).then(function() {
+    assert.strictEqual(client.hasCachedFirstPages(fresh()), true);
+    return client.loadNextPage(fresh()[0]);
+  }).then(function(entries) {
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(api.requests.length, 1);
+    client.clearCache();
+    assert.strictEqual(client.hasCachedFirstPages(fresh()), false);
+  });
+});
+
+test('stored references are resolved on their branch', function() {
+  var client = createClient().client;
+  return Promise.all([
+    client.resolveReference({ uid: 'site1', _content_type_uid: 'page', _branch: 'site' }),
+    client.resolveReference({ uid: 'nope', _content_type_uid: 'page', _branch: 'main' }),
+    client.resolveReference({ uid: 'main1', _branch: 'gone' })
+  ]).then(function(results) {
+    assert.strictEqual(results[0].status, 'ok');
+    assert.strictEqual(results[0].entry.title, 'site entry 1');
+    assert.strictEqual(results[1].status, 'not-found');
+    assert.strictEqual(results[2].status, 'branch-missing');
+  });
+});
+
+test('source "assets" pages the asset library with the folder and MIME type filters', function() {
+  var setup = createClient({ source: 'assets', contentType: undefined, assetFolder: 'brand', mimeTypes: ['image/*'], showBothBranches: false });
+  // As the renderer does, the config's filters narrow every source
+  var sources = setup.settings.branchList.branches.map(function(branchInfo) {
+    return setup.client.createBranchSource(branchInfo, { query: setup.settings.entryFilters.query });
+  });
+  return setup.client.loadFirstPages(sources).then(function(assets) {
+    assert.deepStrictEqual(assets.map(function(asset) { return asset._branch + '/' + asset.uid; }), ['main/logo']);
+    assert.strictEqual(assets[0]._content_type_uid, 'sys_assets');
+    assert.strictEqual(api.requests[0].path, '/v3/assets');
+    assert.strictEqual(api.requests[0].params.get('locale'), null);
+    assert.deepStrictEqual(JSON.parse(api.requests[0].params.get('query')),
+      { '$and': [{ parent_uid: 'brand' }, { content_type: { '$regex': '^image/' } }] });
+    assert.strictEqual(setup.client.getRequestLog()[0].count, '1 of 1 assets');
+  });
+});
+
+test('stored assets are resolved through the asset endpoint', function() {
+  var client = createClient({ source: 'assets', contentType: undefined }).client;
+  return Promise.all([
+    client.resolveReference({ uid: 'guide', _branch: 'main', url: 'https://example.com/guide.pdf', filename: 'guide.pdf' }),
+    client.resolveReference({ uid: 'deleted', _branch: 'main' })
+  ]).then(function(results) {
+    assert.strictEqual(results[0].status, 'ok');
+    assert.strictEqual(results[0].entry.filename, 'guide.pdf');
+    assert.strictEqual(api.requests[0].path, '/v3/assets/guide');
+    assert.strictEqual(results[1].status, 'not-found');
+  });
+});
+
+test('Retry-After accepts seconds and HTTP dates', function() {
+  assert.strictEqual(fetchClient.parseRetryAfter('2'), 2000);
+  assert.strictEqual(fetchClient.parseRetryAfter(new Date(0).toUTCString()), 0);
+  assert.strictEqual(fetchClient.parseRetryAfter('soon'), null);
+  assert.strictEqual(fetchClient.getRetryDelay({ retryAfter: 120000 }, 0), 30000);
+});
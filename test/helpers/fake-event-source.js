@@ -0,0 +1,42 @@
+/**
+ * Stand-in for the browser's EventSource (jsdom has none)
+ *
+ * Every instance is kept in FakeEventSource.instances so a test can emit events
+ * on the stream the extension opened.
+ */
+
+'use strict';
+
+function FakeEventSource(url) {
+  this.url = url;
+  this.readyState = FakeEventSource.OPEN;
+  this.listeners = {};
+  FakeEventSource.instances.push(this);
+}
+
+FakeEventSource.CONNECTING = 0;
+FakeEventSource.OPEN = 1;
+FakeEventSource.CLOSED = 2;
+FakeEventSource.instances = [];
+
+FakeEventSource.prototype.addEventListener = function(type, listener) {
+  (this.listeners[type] = this.listeners[type] || []).push(listener);
+};
+
+FakeEventSource.prototype.close = function() {
+  this.readyState = FakeEventSource.CLOSED;
+};
+
+/**
+ * Deliver a named event; data is sent as JSON like the server does
+ */
+FakeEventSource.prototype.emit = function(type, data) {
+  var message = { type: type, data: JSON.stringify(data) };
+  (this.listeners[type] || []).forEach(function(listener) {
+    listener(message);
+  });
+};
+
+module.exports = {
+  FakeEventSource: FakeEventSource
+};
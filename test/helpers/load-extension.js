@@ -0,0 +1,80 @@
+/**
+ * Run the built extension in jsdom against the fake SDK
+ *
+ * The page is extensions/main-branch-selector.html with its own scripts left
+ * unexecuted; the bundle is evaluated after ContentstackUIExtension is set up, so
+ * the extension initializes the way it does inside Contentstack.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var jsdom = require('jsdom');
+var createMockSdk = require('./mock-sdk').createMockSdk;
+
+var EXTENSIONS_DIR = path.join(__dirname, '..', '..', 'extensions');
+var PAGE = fs.readFileSync(path.join(EXTENSIONS_DIR, 'main-branch-selector.html'), 'utf8');
+var BUNDLE = fs.readFileSync(path.join(EXTENSIONS_DIR, 'main-branch-selector.js'), 'utf8');
+
+/**
+ * options: the createMockSdk options, plus setUpWindow(window) to add browser APIs
+ * jsdom lacks before the extension runs
+ * Returns { window, document, container, sdk, consoleMessages, waitFor, close }
+ */
+function loadExtension(options) {
+  var consoleMessages = [];
+  var virtualConsole = new jsdom.VirtualConsole();
+  ['log', 'info', 'debug', 'warn', 'error'].forEach(function(method) {
+    virtualConsole.on(method, function() {
+      consoleMessages.push({ method: method, args: Array.prototype.slice.call(arguments) });
+    });
+  });
+
+  var dom = new jsdom.JSDOM(PAGE, {
+    url: 'https://app.contentstack.com/extension/',
+    runScripts: 'outside-only',
+    virtualConsole: virtualConsole
+  });
+  var window = dom.window;
+  var sdk = createMockSdk(options);
+
+  // jsdom has no fetch; Node's needs Node's AbortSignal
+  window.fetch = fetch;
+  window.AbortController = AbortController;
+  window.ContentstackUIExtension = sdk.ContentstackUIExtension;
+  if (options && options.setUpWindow) {
+    options.setUpWindow(window);
+  }
+  window.eval(BUNDLE);
+
+  return {
+    window: window,
+    document: window.document,
+    container: window.document.getElementById('main-branch-selector-container'),
+    sdk: sdk,
+    consoleMessages: consoleMessages,
+    waitFor: waitFor,
+    close: function() { window.close(); }
+  };
+}
+
+/**
+ * Resolve with the predicate's first truthy result, polling until timeoutMs
+ */
+function waitFor(predicate, timeoutMs) {
+  var deadline = Date.now() + (timeoutMs || 3000);
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      var result = predicate();
+      if (result) return resolve(result);
+      if (Date.now() > deadline) return reject(new Error('Timed out waiting for ' + predicate.toString()));
+      setTimeout(poll, 10);
+    })();
+  });
+}
+
+module.exports = {
+  loadExtension: loadExtension,
+  waitFor: waitFor
+};
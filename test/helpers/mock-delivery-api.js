@@ -0,0 +1,177 @@
+/**
+ * Local stand-in for the Contentstack Delivery API
+ *
+ * Serves GET /v3/content_types, /v3/content_types/:type/entries and /entries/:uid, and
+ * /v3/assets and /assets/:uid from an in-memory set of entries and assets per branch, with the paging (skip, limit, include_count), query
+ * ($regex, $or, $and, $in), locale and auth checks the extension relies on.
+ * Errors are shaped like the real API's: 412 for bad credentials, 422 for an
+ * unknown branch or content type, 404 with error_code 141 for a missing entry and
+ * 422 with error_code 145 for a missing asset.
+ */
+
+'use strict';
+
+var http = require('http');
+
+/**
+ * Start the stub on a free port
+ * options: { entries: { [branch]: { [contentType]: [entry] } }, assets: { [branch]: [asset] }, apiKey,
+ *            tokens: { [branch]: deliveryToken } (any token is accepted for branches not listed) }
+ * Resolves to { url, requests, fail, close }; requests lists every request received
+ * as { path, params, headers }, and fail(count, status, body, headers) answers the
+ * next count requests with that error instead
+ */
+function startMockDeliveryApi(options) {
+  var entries = options.entries || {};
+  var assets = options.assets || {};
+  var apiKey = options.apiKey || 'test_api_key';
+  var tokens = options.tokens || {};
+  var requests = [];
+  var failures = [];
+
+  var server = http.createServer(function(req, res) {
+    var url = new URL(req.url, 'http://localhost');
+    var params = url.searchParams;
+    requests.push({ path: url.pathname, params: params, headers: req.headers });
+
+    if (failures.length > 0) {
+      var failure = failures.shift();
+      return send(res, failure.status, failure.body, failure.headers);
+    }
+
+    var listingContentTypes = url.pathname === '/v3/content_types';
+    var match = url.pathname.match(/^\/v3\/content_types\/([^/]+)\/entries(?:\/([^/]+))?$/);
+    var assetMatch = url.pathname.match(/^\/v3\/assets(?:\/([^/]+))?$/);
+    if (!match && !assetMatch && !listingContentTypes) {
+      return send(res, 404, { error_message: 'Not found' });
+    }
+
+    var branch = params.get('branch') || 'main';
+    if (req.headers.api_key !== apiKey ||
+        (tokens[branch] && req.headers.access_token !== tokens[branch])) {
+      return send(res, 412, { error_message: 'Access denied. You have insufficient permissions to perform operation on this stack.', error_code: 109 });
+    }
+    if (!entries[branch] && !assets[branch]) {
+      return send(res, 422, { error_message: 'Branch not found.', errors: { branch: ['is not valid.'] } });
+    }
+
+    if (assetMatch) {
+      var assetList = (assets[branch] || []).map(function(asset) {
+        return Object.assign({ _branch: branch }, asset);
+      });
+      if (assetMatch[1]) {
+        var assetUid = decodeURIComponent(assetMatch[1]);
+        var asset = assetList.find(function(candidate) { return candidate.uid === assetUid; });
+        return asset
+          ? send(res, 200, { asset: asset })
+          : send(res, 422, { error_message: 'Asset was not found.', error_code: 145 });
+      }
+      return sendPage(res, params, assetList, 'assets');
+    }
+    var branchEntries = entries[branch] || {};
+
+    if (listingContentTypes) {
+      var contentTypes = Object.keys(branchEntries).map(function(uid) {
+        return { uid: uid, title: uid };
+      });
+      var first = Number(params.get('skip') || 0);
+      var listBody = { content_types: contentTypes.slice(first, first + Number(params.get('limit') || 100)) };
+      if (params.get('include_count') === 'true') {
+        listBody.count = contentTypes.length;
+      }
+      return send(res, 200, listBody);
+    }
+
+    var contentType = decodeURIComponent(match[1]);
+    if (!branchEntries[contentType]) {
+      return send(res, 422, { error_message: 'The Content Type \'' + contentType + '\' was not found. Please try again.', error_code: 118 });
+    }
+
+    var locale = params.get('locale');
+    var list = branchEntries[contentType].filter(function(entry) {
+      return !locale || !entry.locale || entry.locale === locale || params.get('include_fallback') === 'true';
+    }).map(function(entry) {
+      return Object.assign({ _branch: branch }, entry);
+    });
+
+    if (match[2]) {
+      var uid = decodeURIComponent(match[2]);
+      var found = list.find(function(entry) { return entry.uid === uid; });
+      return found
+        ? send(res, 200, { entry: found })
+        : send(res, 404, { error_message: 'The requested entry doesn\'t exist.', error_code: 141 });
+    }
+
+    sendPage(res, params, list, 'entries');
+  });
+
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        requests: requests,
+        fail: function(count, status, body, headers) {
+          for (var i = 0; i < count; i++) {
+            failures.push({ status: status, body: body || { error_message: 'Failed' }, headers: headers });
+          }
+        },
+        close: function() {
+          return new Promise(function(done) { server.close(done); });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Reply with the page of a list the request's query, skip and limit select, under `key`
+ */
+function sendPage(res, params, list, key) {
+  if (params.get('query')) {
+    var query = JSON.parse(params.get('query'));
+    list = list.filter(function(item) { return matchesQuery(item, query); });
+  }
+  var skip = Number(params.get('skip') || 0);
+  var limit = Number(params.get('limit') || 100);
+  var body = {};
+  body[key] = list.slice(skip, skip + limit);
+  if (params.get('include_count') === 'true') {
+    body.count = list.length;
+  }
+  send(res, 200, body);
+}
+
+/**
+ * Whether an entry matches a Delivery API query (the operators the extension sends)
+ */
+function matchesQuery(entry, query) {
+  return Object.keys(query).every(function(key) {
+    var condition = query[key];
+    if (key === '$and') {
+      return condition.every(function(part) { return matchesQuery(entry, part); });
+    }
+    if (key === '$or') {
+      return condition.some(function(part) { return matchesQuery(entry, part); });
+    }
+    var value = entry[key];
+    if (condition && typeof condition === 'object') {
+      if (condition.$regex !== undefined) {
+        return typeof value === 'string' && new RegExp(condition.$regex, condition.$options || '').test(value);
+      }
+      if (condition.$in) {
+        var values = Array.isArray(value) ? value : [value];
+        return values.some(function(item) { return condition.$in.indexOf(item) !== -1; });
+      }
+    }
+    return value === condition;
+  });
+}
+
+function send(res, status, body, headers) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(JSON.stringify(body));
+}
+
+module.exports = {
+  startMockDeliveryApi: startMockDeliveryApi
+};
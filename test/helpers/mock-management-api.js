@@ -0,0 +1,131 @@
+/**
+ * Local stand-in for the Contentstack Management API
+ *
+ * Serves GET /v3/content_types/:type/entries (paged with skip, limit and include_count,
+ * filtered by locale) and PUT /v3/content_types/:type/entries/:uid from an in-memory
+ * set of entries per branch, which PUTs change. The branch comes from the "branch"
+ * header, as the real API reads it. Without asc or desc, entries are listed least
+ * recently updated first, so a save moves an entry to the end of the listing (the real
+ * API's default order changes with saves too). Errors are shaped like the real API's: 412 for
+ * bad credentials, 422 for an unknown branch or content type and 404 with
+ * error_code 141 for a missing entry.
+ */
+
+'use strict';
+
+var http = require('http');
+
+/**
+ * Start the stub on a free port
+ * options: { entries: { [branch]: { [contentType]: [entry] } }, apiKey, managementToken }
+ * Resolves to { url, entries, requests, fail, close }; entries is the live store,
+ * requests lists every request received as { method, path, params, headers, body },
+ * and fail(count, status, body) answers the next count requests with that error instead
+ */
+function startMockManagementApi(options) {
+  var entries = options.entries || {};
+  var apiKey = options.apiKey || 'test_api_key';
+  var managementToken = options.managementToken || 'test_management_token';
+  var requests = [];
+  var failures = [];
+  // Keeps the updated_at of saves in the same millisecond apart
+  var saves = 0;
+
+  var server = http.createServer(function(req, res) {
+    var chunks = [];
+    req.on('data', function(chunk) { chunks.push(chunk); });
+    req.on('end', function() {
+      var text = Buffer.concat(chunks).toString('utf8');
+      handle(req, res, text ? JSON.parse(text) : null);
+    });
+  });
+
+  function handle(req, res, body) {
+    var url = new URL(req.url, 'http://localhost');
+    var params = url.searchParams;
+    requests.push({ method: req.method, path: url.pathname, params: params, headers: req.headers, body: body });
+
+    if (failures.length > 0) {
+      var failure = failures.shift();
+      return send(res, failure.status, failure.body);
+    }
+
+    var match = url.pathname.match(/^\/v3\/content_types\/([^/]+)\/entries(?:\/([^/]+))?$/);
+    if (!match || (req.method === 'PUT') !== !!match[2] || (req.method !== 'GET' && req.method !== 'PUT')) {
+      return send(res, 404, { error_message: 'Not found' });
+    }
+    if (req.headers.api_key !== apiKey || req.headers.authorization !== managementToken) {
+      return send(res, 412, { error_message: 'Access denied. You have insufficient permissions to perform operation on this stack.', error_code: 109 });
+    }
+
+    var branch = req.headers.branch || 'main';
+    if (!entries[branch]) {
+      return send(res, 422, { error_message: 'Branch not found.', errors: { branch: ['is not valid.'] } });
+    }
+    var contentType = decodeURIComponent(match[1]);
+    var list = entries[branch][contentType];
+    if (!list) {
+      return send(res, 422, { error_message: 'The Content Type \'' + contentType + '\' was not found. Please try again.', error_code: 118 });
+    }
+
+    var locale = params.get('locale');
+    if (match[2]) {
+      var uid = decodeURIComponent(match[2]);
+      var index = list.findIndex(function(entry) {
+        return entry.uid === uid && (!locale || !entry.locale || entry.locale === locale);
+      });
+      if (index === -1) {
+        return send(res, 404, { error_message: 'The requested entry doesn\'t exist.', error_code: 141 });
+      }
+      list[index] = Object.assign({}, body.entry, {
+        created_at: list[index].created_at,
+        updated_at: new Date(Date.now() + ++saves).toISOString(),
+        _version: (list[index]._version || 1) + 1
+      });
+      return send(res, 200, { notice: 'Entry updated successfully.', entry: list[index] });
+    }
+
+    var sortField = params.get('asc') || params.get('desc') || 'updated_at';
+    var direction = params.get('desc') ? -1 : 1;
+    var matching = list.filter(function(entry) {
+      return !locale || !entry.locale || entry.locale === locale;
+    }).sort(function(a, b) {
+      var first = String(a[sortField] || '');
+      var second = String(b[sortField] || '');
+      return first === second ? 0 : (first < second ? -direction : direction);
+    });
+    var skip = Number(params.get('skip') || 0);
+    var page = { entries: matching.slice(skip, skip + Number(params.get('limit') || 100)) };
+    if (params.get('include_count') === 'true') {
+      page.count = matching.length;
+    }
+    send(res, 200, page);
+  }
+
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        entries: entries,
+        requests: requests,
+        fail: function(count, status, body) {
+          for (var i = 0; i < count; i++) {
+            failures.push({ status: status, body: body || { error_message: 'Failed' } });
+          }
+        },
+        close: function() {
+          return new Promise(function(done) { server.close(done); });
+        }
+      });
+    });
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = {
+  startMockManagementApi: startMockManagementApi
+};
@@ -0,0 +1,55 @@
+/**
+ * Fake ContentstackUIExtension for the extension tests
+ *
+ * init() resolves to an extension object shaped like the SDK's: config, field
+ * (getData/setData/setInvalid), stack, window and entry. Every setData and
+ * setInvalid call is recorded so tests can check what would have been saved.
+ */
+
+'use strict';
+
+/**
+ * options: { config, data (the stored field value), stack (merged over { apiKey }), entry }
+ */
+function createMockSdk(options) {
+  options = options || {};
+  var data = options.data === undefined ? null : options.data;
+  var setDataCalls = [];
+  var setInvalidCalls = [];
+
+  var extension = {
+    config: options.config || {},
+    field: {
+      getData: function() { return data; },
+      setData: function(value) {
+        // The SDK stores a copy; keep one so later in-place changes are not mistaken for saves
+        data = value;
+        setDataCalls.push(JSON.parse(JSON.stringify(value)));
+        return Promise.resolve();
+      },
+      setInvalid: function(invalid, message) {
+        setInvalidCalls.push({ invalid: invalid, message: message });
+      }
+    },
+    stack: Object.assign({ apiKey: 'test_api_key' }, options.stack),
+    window: {
+      enableAutoResizing: function() {},
+      updateHeight: function() {}
+    },
+    entry: options.entry || {}
+  };
+
+  return {
+    extension: extension,
+    ContentstackUIExtension: {
+      init: function() { return Promise.resolve(extension); }
+    },
+    getData: function() { return data; },
+    setDataCalls: setDataCalls,
+    setInvalidCalls: setInvalidCalls
+  };
+}
+
+module.exports = {
+  createMockSdk: createMockSdk
+};
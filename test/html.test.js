@@ -0,0 +1,32 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var html = require('../extensions/src/html');
+var escapeHtml = html.escapeHtml;
+var cssEscape = html.cssEscape;
+
+test('escapeHtml escapes markup and both kinds of quote', function() {
+  assert.strictEqual(escapeHtml('<b title="x">Tom & Jerry\'s</b>'),
+    '&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+});
+
+test('escapeHtml output cannot end an attribute value', function() {
+  var title = 'Header" onmouseover="alert(1)';
+  var html = '<span title="' + escapeHtml(title) + '">';
+  assert.strictEqual(html.indexOf('" onmouseover'), -1);
+});
+
+test('escapeHtml turns missing values into an empty string', function() {
+  assert.strictEqual(escapeHtml(undefined), '');
+  assert.strictEqual(escapeHtml(null), '');
+  assert.strictEqual(escapeHtml(0), '0');
+  assert.strictEqual(escapeHtml(false), 'false');
+});
+
+test('cssEscape makes any value safe inside a quoted attribute selector', function() {
+  assert.strictEqual(cssEscape('blt_1-a'), 'blt_1-a');
+  assert.strictEqual(cssEscape('a"] b\\'), 'a\\22 \\5d \\20 b\\5c ');
+  assert.strictEqual(cssEscape('é'), 'é');
+  assert.strictEqual(cssEscape(undefined), '');
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var startMockManagementApi = require('./helpers/mock-management-api').startMockManagementApi;
+var migration = require('../migration/migrate-references');
+
+var EXTENSION_OPTIONS = { multiple: false, defaultBranch: 'main', referenceTo: 'header' };
+
+/**
+ * Run a migration against a fresh fake Management API holding the given site-a entries
+ */
+function withApi(entries, run) {
+  return startMockManagementApi({ entries: { 'site-a': entries } }).then(function(api) {
+    return Promise.resolve(run(api)).finally(function() {
+      return api.close();
+    });
+  });
+}
+
+function config(api, fields, extra) {
+  return Object.assign({
+    apiKey: 'test_api_key',
+    managementToken: 'test_management_token',
+    host: api.url,
+    branch: 'site-a',
+    fields: fields
+  }, extra);
+}
+
+test('native references and legacy UIDs become the field\'s values, with the default branch filled in', function() {
+  assert.deepStrictEqual(migration.toExtensionValue([{ uid: 'blt_a', _content_type_uid: 'global_header' }], EXTENSION_OPTIONS),
+    { value: { uid: 'blt_a', _content_type_uid: 'global_header', _branch: 'main' }, problems: [] });
+  assert.deepStrictEqual(migration.toExtensionValue('blt_legacy', EXTENSION_OPTIONS).value,
+    { uid: 'blt_legacy', _content_type_uid: 'header', _branch: 'main' });
+  assert.deepStrictEqual(migration.toExtensionValue(['blt_a', { uid: 'blt_b', _branch: 'site-a' }], { multiple: true, defaultBranch: 'main' }).value,
+    [{ uid: 'blt_a', _branch: 'main' }, { uid: 'blt_b', _branch: 'site-a' }]);
+  assert.deepStrictEqual(migration.toExtensionValue([], EXTENSION_OPTIONS).value, null);
+});
+
+test('a single field that holds several references is not cut down', function() {
+  var result = migration.toExtensionValue([{ uid: 'blt_a', _content_type_uid: 'header' }, { uid: 'blt_b', _content_type_uid: 'header' }], EXTENSION_OPTIONS);
+  assert.deepStrictEqual(result.problems, ['Holds 2 references, but the field stores one; set "multiple": true to keep them all.']);
+  assert.deepStrictEqual(migration.toExtensionValue([{ title: 'no uid' }], EXTENSION_OPTIONS).problems, ['{"title":"no uid"} is not a reference.']);
+});
+
+test('values go back to native references, with a warning for other branches\' entries', function() {
+  var result = migration.toReferenceValue([
+    { uid: 'blt_a', _content_type_uid: 'header', _branch: 'site-a' },
+    { uid: 'blt_b', _content_type_uid: 'header', _branch: 'main' },
+    'blt_c'
+  ], { branch: 'site-a', defaultBranch: 'main', referenceTo: 'footer' });
+
+  assert.deepStrictEqual(result.value, [
+    { uid: 'blt_a', _content_type_uid: 'header' },
+    { uid: 'blt_b', _content_type_uid: 'header' },
+    { uid: 'blt_c', _content_type_uid: 'footer' }
+  ]);
+  assert.deepStrictEqual(result.warnings, [
+    'blt_b is on branch "main"; the reference will look for it on "site-a".',
+    'blt_c is on branch "main"; the reference will look for it on "site-a".'
+  ]);
+  assert.deepStrictEqual(result.problems, []);
+
+  var unknown = migration.toReferenceValue({ uid: 'blt_d', _branch: 'site-a' }, { branch: 'site-a', defaultBranch: 'main' });
+  assert.deepStrictEqual(unknown.problems, ['blt_d does not record its content type; set "referenceTo".']);
+  var asset = migration.toReferenceValue({ uid: 'blt_logo', _branch: 'site-a', url: 'https://example.com/logo.png', filename: 'logo.png' },
+    { branch: 'site-a', defaultBranch: 'main' });
+  assert.deepStrictEqual(asset.problems, ['Asset blt_logo cannot be stored in a reference field.']);
+});
+
+test('fields in groups and blocks are found, and copied to a sibling target', function() {
+  var entry = {
+    uid: 'blt_page',
+    sections: [
+      { promo: { banners: [{ uid: 'blt_1', _content_type_uid: 'banner' }] } },
+      { text: { body: 'No banners here' } },
+      { promo: { banners: [] } }
+    ]
+  };
+  var result = migration.migrateEntry(entry, [{ field: 'sections.promo.banners', target: 'shared_banners', to: 'extension', multiple: true }],
+    { branch: 'site-a', defaultBranch: 'main' });
+
+  assert.deepStrictEqual(result.changes, [
+    { field: 'sections.0.promo.banners', target: 'sections.0.promo.shared_banners', before: null, after: [{ uid: 'blt_1', _content_type_uid: 'banner', _branch: 'main' }] },
+    { field: 'sections.2.promo.banners', target: 'sections.2.promo.shared_banners', before: null, after: [] }
+  ]);
+  assert.deepStrictEqual(result.entry.sections[0].promo.banners, [{ uid: 'blt_1', _content_type_uid: 'banner' }]);
+  assert.strictEqual(entry.sections[0].promo.shared_banners, undefined);
+});
+
+test('a dry run converts and logs without saving', function() {
+  return withApi({
+    page: [
+      { uid: 'blt_home', title: 'Home', header: [{ uid: 'blt_header', _content_type_uid: 'header' }] },
+      { uid: 'blt_about', title: 'About', header: { uid: 'blt_header', _content_type_uid: 'header', _branch: 'main' } }
+    ]
+  }, function(api) {
+    return migration.runMigration(config(api, [{ contentType: 'page', field: 'header', to: 'extension' }]), { dryRun: true })
+      .then(function(changeLog) {
+        assert.strictEqual(changeLog.dryRun, true);
+        assert.deepStrictEqual(changeLog.summary, { entries: 2, changed: 1, skipped: 0, failed: 0 });
+        assert.deepStrictEqual(changeLog.entries.map(function(record) { return [record.uid, record.status]; }), [['blt_home', 'would update']]);
+        assert.deepStrictEqual(api.requests.map(function(request) { return request.method; }), ['GET']);
+        assert.deepStrictEqual(api.entries['site-a'].page[0].header, [{ uid: 'blt_header', _content_type_uid: 'header' }]);
+      });
+  });
+});
+
+test('entries are saved in the branch once, and a second run finds nothing to change', function() {
+  return withApi({
+    page: [
+      { uid: 'blt_home', title: 'Home', locale: 'en-us', header: 'blt_legacy', footer: [{ uid: 'blt_footer', _content_type_uid: 'footer' }] },
+      { uid: 'blt_accueil', title: 'Accueil', locale: 'fr-fr', header: 'blt_legacy' }
+    ]
+  }, function(api) {
+    var migrationConfig = config(api, [
+      { contentType: 'page', field: 'header', to: 'extension', referenceTo: 'header' },
+      { contentType: 'page', field: 'footer', to: 'extension' }
+    ], { locales: ['en-us'] });
+
+    return migration.runMigration(migrationConfig).then(function(changeLog) {
+      assert.deepStrictEqual(changeLog.summary, { entries: 1, changed: 1, skipped: 0, failed: 0 });
+      assert.deepStrictEqual(changeLog.entries[0].changes.map(function(change) { return change.field; }), ['header', 'footer']);
+
+      var put = api.requests[1];
+      assert.strictEqual(put.method, 'PUT');
+      assert.strictEqual(put.path, '/v3/content_types/page/entries/blt_home');
+      assert.strictEqual(put.params.get('locale'), 'en-us');
+      assert.strictEqual(put.headers.branch, 'site-a');
+      assert.strictEqual(put.headers.authorization, 'test_management_token');
+
+      var saved = api.entries['site-a'].page[0];
+      assert.deepStrictEqual(saved.header, { uid: 'blt_legacy', _content_type_uid: 'header', _branch: 'main' });
+      assert.deepStrictEqual(saved.footer, { uid: 'blt_footer', _content_type_uid: 'footer', _branch: 'main' });
+      assert.strictEqual(saved.title, 'Home');
+      assert.strictEqual(api.entries['site-a'].page[1].header, 'blt_legacy');
+
+      return migration.runMigration(migrationConfig);
+    }).then(function(changeLog) {
+      assert.deepStrictEqual(changeLog.summary, { entries: 1, changed: 0, skipped: 0, failed: 0 });
+      assert.deepStrictEqual(changeLog.entries, []);
+    });
+  });
+});
+
+test('every entry is migrated once when saves reorder the listing', function() {
+  var pages = [];
+  for (var i = 0; i < 150; i++) {
+    pages.push({
+      uid: 'blt_page_' + i,
+      title: 'Page ' + i,
+      header: 'blt_legacy',
+      created_at: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+      updated_at: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString()
+    });
+  }
+  return withApi({ page: pages }, function(api) {
+    return migration.runMigration(config(api, [{ contentType: 'page', field: 'header', to: 'extension', referenceTo: 'header' }]))
+      .then(function(changeLog) {
+        assert.deepStrictEqual(changeLog.summary, { entries: 150, changed: 150, skipped: 0, failed: 0 });
+        var saved = api.requests.filter(function(request) { return request.method === 'PUT'; }).map(function(request) { return request.path; });
+        assert.strictEqual(new Set(saved).size, 150);
+        assert.ok(api.entries['site-a'].page.every(function(entry) { return entry.header && entry.header._branch === 'main'; }));
+      });
+  });
+});
+
+test('entries with problems are skipped and failed saves do not stop the rest', function() {
+  return withApi({
+    page: [
+      { uid: 'blt_multi', title: 'Multi', header: [{ uid: 'blt_a', _content_type_uid: 'header' }, { uid: 'blt_b', _content_type_uid: 'header' }] },
+      { uid: 'blt_locked', title: 'Locked', header: [{ uid: 'blt_a', _content_type_uid: 'header' }] },
+      { uid: 'blt_fine', title: 'Fine', header: [{ uid: 'blt_a', _content_type_uid: 'header' }] }
+    ]
+  }, function(api) {
+    var failingFetch = function(url, init) {
+      if (init.method === 'PUT' && url.indexOf('blt_locked') !== -1) {
+        return Promise.resolve(new Response(JSON.stringify({ error_message: 'Entry is locked by another user.', error_code: 161 }), { status: 422 }));
+      }
+      return fetch(url, init);
+    };
+
+    return migration.runMigration(config(api, [{ contentType: 'page', field: 'header', to: 'extension' }]), { fetch: failingFetch })
+      .then(function(changeLog) {
+        assert.deepStrictEqual(changeLog.summary, { entries: 3, changed: 1, skipped: 1, failed: 1 });
+        var byUid = {};
+        changeLog.entries.forEach(function(record) { byUid[record.uid] = record; });
+        assert.deepStrictEqual(byUid.blt_multi.problems, ['header: Holds 2 references, but the field stores one; set "multiple": true to keep them all.']);
+        assert.match(byUid.blt_locked.error, /Management API request failed \(422\): Entry is locked by another user\./);
+        assert.strictEqual(byUid.blt_fine.status, 'updated');
+        assert.deepStrictEqual(api.requests.filter(function(request) { return request.method === 'PUT'; }).map(function(request) { return request.path; }),
+          ['/v3/content_types/page/entries/blt_fine']);
+      });
+  });
+});
+
+test('the config is checked for every problem at once', function() {
+  var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-'));
+  var configPath = path.join(directory, 'migration-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ apiKey: 'key', branch: 'site-a', fields: [{ contentType: 'page', field: 'header', to: 'native' }] }));
+  try {
+    assert.throws(function() { migration.loadConfig(configPath); }, function(error) {
+      assert.match(error.message, /"managementToken" is required/);
+      assert.match(error.message, /fields\[0\]: "to" must be one of extension, reference\./);
+      return true;
+    });
+  } finally {
+    fs.rmSync(directory, { recursive: true });
+  }
+});
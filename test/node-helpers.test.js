@@ -0,0 +1,83 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('../shared/node-helpers');
+
+function jsonResponse(status, body, headers) {
+  return new Response(JSON.stringify(body), { status: status, headers: Object.assign({ 'Content-Type': 'application/json' }, headers) });
+}
+
+/**
+ * A fetch that answers with the given responses in turn; a null response never arrives
+ * (until the request's signal aborts it)
+ */
+function scriptedFetch(responses) {
+  var calls = [];
+  function fetchImpl(url, init) {
+    calls.push({ url: url, init: init });
+    var response = responses.shift();
+    if (response) return Promise.resolve(response);
+    return new Promise(function(resolve, reject) {
+      // The timeout's own timer does not keep Node running, as an open socket would
+      var pending = setTimeout(function() {}, 10000);
+      init.signal.addEventListener('abort', function() {
+        clearTimeout(pending);
+        reject(init.signal.reason);
+      });
+    });
+  }
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+test('expandVariables fills in environment variables and lists the missing ones', function() {
+  process.env.NODE_HELPERS_TEST_TOKEN = 'secret';
+  var missing = [];
+  assert.deepStrictEqual(helpers.expandVariables({ token: '${NODE_HELPERS_TEST_TOKEN}', list: ['${NODE_HELPERS_TEST_UNSET}'], port: 80 }, missing),
+    { token: 'secret', list: [''], port: 80 });
+  assert.deepStrictEqual(missing, ['NODE_HELPERS_TEST_UNSET']);
+  delete process.env.NODE_HELPERS_TEST_TOKEN;
+});
+
+test('requestJson waits no longer than the cap whatever Retry-After asks for', function() {
+  var fetchImpl = scriptedFetch([jsonResponse(429, { error_message: 'Slow down' }, { 'Retry-After': '86400' }), jsonResponse(200, { ok: true })]);
+  var started = Date.now();
+  return helpers.requestJson('https://api.example.com/v3/x', { method: 'GET' }, { fetch: fetchImpl, maxRetryDelayMs: 20 }).then(function(body) {
+    assert.deepStrictEqual(body, { ok: true });
+    assert.strictEqual(fetchImpl.calls.length, 2);
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+test('requestJson abandons a request without a response and retries it', function() {
+  var fetchImpl = scriptedFetch([null, jsonResponse(200, { entries: [] })]);
+  return helpers.requestJson('https://api.example.com/v3/x', { method: 'GET' }, { fetch: fetchImpl, timeoutMs: 20 }).then(function(body) {
+    assert.deepStrictEqual(body, { entries: [] });
+    assert.strictEqual(fetchImpl.calls.length, 2);
+  });
+});
+
+test('requestJson rejects with the API\'s message for errors it does not retry', function() {
+  var fetchImpl = scriptedFetch([jsonResponse(422, { error_message: 'Entry is locked.' })]);
+  return assert.rejects(
+    helpers.requestJson('https://api.example.com/v3/x', { method: 'PUT' }, { fetch: fetchImpl, apiName: 'Management API' }),
+    function(error) {
+      assert.strictEqual(error.message, 'Management API request failed (422): Entry is locked. for PUT https://api.example.com/v3/x');
+      assert.strictEqual(error.status, 422);
+      return true;
+    }
+  );
+});
+
+test('sequence runs the tasks one after another', function() {
+  var order = [];
+  return helpers.sequence([30, 10, 20], function(delay) {
+    order.push('start ' + delay);
+    return new Promise(function(resolve) { setTimeout(resolve, delay); }).then(function() {
+      order.push('end ' + delay);
+    });
+  }).then(function() {
+    assert.deepStrictEqual(order, ['start 30', 'end 30', 'start 10', 'end 10', 'start 20', 'end 20']);
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var startMockDeliveryApi = require('./helpers/mock-delivery-api').startMockDeliveryApi;
+var createReferenceResolver = require('../resolver/reference-resolver').createReferenceResolver;
+
+var api;
+
+function ref(uid, contentType, branch) {
+  return { uid: uid, _content_type_uid: contentType, _branch: branch || 'main' };
+}
+
+// 150 banners, more than one batch's 100
+var banners = [];
+for (var i = 0; i < 150; i++) {
+  banners.push({ uid: 'blt_banner_' + i, title: 'Banner ' + i });
+}
+
+test.before(function() {
+  return startMockDeliveryApi({
+    tokens: { main: 'main_token', midwest: 'midwest_token' },
+    entries: {
+      main: {
+        banner: banners,
+        header: [
+          { uid: 'blt_header', title: 'Header', logo_banner: ref('blt_banner_0', 'banner') },
+          // A and B reference each other
+          { uid: 'blt_cycle_a', title: 'Cycle A', next: ref('blt_cycle_b', 'header') },
+          { uid: 'blt_cycle_b', title: 'Cycle B', next: ref('blt_cycle_a', 'header') }
+        ],
+        menu: [
+          { uid: 'blt_menu', title: 'Menu', header: ref('blt_header', 'header') }
+        ]
+      },
+      midwest: {
+        header: [{ uid: 'blt_midwest_header', title: 'Midwest header' }]
+      }
+    },
+    assets: {
+      main: [{ uid: 'blt_logo', title: 'Logo', filename: 'logo.png', content_type: 'image/png',
+        url: 'https://images.contentstack.io/v3/assets/k/blt_logo/logo.png' }]
+    }
+  }).then(function(server) {
+    api = server;
+  });
+});
+
+test.after(function() {
+  return api.close();
+});
+
+test.beforeEach(function() {
+  api.requests.length = 0;
+});
+
+function createResolver() {
+  return createReferenceResolver({
+    apiKey: 'test_api_key',
+    deliveryToken: 'main_token',
+    environment: 'production',
+    host: api.url,
+    branches: { midwest: { deliveryToken: 'midwest_token' } }
+  });
+}
+
+test('references are replaced by their entries, each fetched from its own branch', function() {
+  var page = { uid: 'blt_page', header: ref('blt_header', 'header'), regional: [ref('blt_midwest_header', 'header', 'midwest')] };
+  return createResolver().resolveEntry(page).then(function(resolved) {
+    assert.strictEqual(resolved.header.title, 'Header');
+    assert.strictEqual(resolved.header._branch, 'main');
+    assert.strictEqual(resolved.regional[0].title, 'Midwest header');
+    // One level only: the header's own reference is left as stored
+    assert.deepStrictEqual(resolved.header.logo_banner, ref('blt_banner_0', 'banner'));
+    assert.deepStrictEqual(page.header, ref('blt_header', 'header'));
+    var tokens = api.requests.map(function(request) { return request.params.get('branch') + ' ' + request.headers.access_token; }).sort();
+    assert.deepStrictEqual(tokens, ['main main_token', 'midwest midwest_token']);
+  });
+});
+
+test('more references than a batch holds are split into several $in requests', function() {
+  var page = { uid: 'blt_page', banners: banners.map(function(banner) { return ref(banner.uid, 'banner'); }) };
+  return createResolver().resolveEntry(page).then(function(resolved) {
+    assert.strictEqual(api.requests.length, 2);
+    assert.deepStrictEqual(api.requests.map(function(request) {
+      return JSON.parse(request.params.get('query')).uid.$in.length;
+    }), [100, 50]);
+    assert.strictEqual(resolved.banners.length, 150);
+    assert.strictEqual(resolved.banners[149].title, 'Banner 149');
+  });
+});
+
+test('depth sets how many levels of nested references are resolved', function() {
+  var page = { uid: 'blt_page', menu: ref('blt_menu', 'menu') };
+  var resolver = createResolver();
+  return resolver.resolveEntry(page, { depth: 2 }).then(function(resolved) {
+    assert.strictEqual(resolved.menu.header.title, 'Header');
+    assert.deepStrictEqual(resolved.menu.header.logo_banner, ref('blt_banner_0', 'banner'));
+    assert.strictEqual(api.requests.length, 2);
+    return resolver.resolveEntry(page, { depth: 0 });
+  }).then(function(resolved) {
+    assert.deepStrictEqual(resolved, page);
+    assert.strictEqual(api.requests.length, 2);
+    return resolver.resolveEntry(page, { depth: 6 }).then(function() {
+      assert.fail('depth 6 should be refused');
+    }, function(error) {
+      assert.match(error.message, /"depth" must be a whole number from 0 to 5/);
+    });
+  });
+});
+
+test('onMissing keeps missing references by default, or removes them or fails on request', function() {
+  var page = {
+    uid: 'blt_page',
+    header: ref('blt_deleted', 'header'),
+    banners: [ref('blt_banner_1', 'banner'), ref('blt_deleted', 'banner')]
+  };
+  var resolver = createResolver();
+  return resolver.resolveEntry(page).then(function(kept) {
+    assert.deepStrictEqual(kept.header, ref('blt_deleted', 'header'));
+    assert.deepStrictEqual(kept.banners.map(function(banner) { return banner.title || banner.uid; }), ['Banner 1', 'blt_deleted']);
+    return resolver.resolveEntry(page, { onMissing: 'remove' });
+  }).then(function(removed) {
+    assert.strictEqual(removed.header, null);
+    assert.deepStrictEqual(removed.banners.map(function(banner) { return banner.title; }), ['Banner 1']);
+    return resolver.resolveEntry(page, { onMissing: 'error' }).then(function() {
+      assert.fail('missing references should reject with onMissing "error"');
+    }, function(error) {
+      assert.match(error.message, /2 reference\(s\) could not be resolved: main\/header\/blt_deleted, main\/banner\/blt_deleted/);
+      assert.deepStrictEqual(error.missing, [ref('blt_deleted', 'header'), ref('blt_deleted', 'banner')]);
+      return resolver.resolveEntry(page, { onMissing: 'ignore' });
+    }).then(function() {
+      assert.fail('an unknown onMissing should be refused');
+    }, function(error) {
+      assert.match(error.message, /"onMissing" must be "keep", "remove" or "error"/);
+    });
+  });
+});
+
+test('stored assets are replaced by the asset from their branch', function() {
+  var logo = { uid: 'blt_logo', _branch: 'main', url: 'https://images.contentstack.io/v3/assets/k/blt_logo/logo.png', filename: 'logo.png' };
+  var gone = { uid: 'blt_gone', _branch: 'main', url: 'https://images.contentstack.io/v3/assets/k/blt_gone/gone.png', filename: 'gone.png' };
+  return createResolver().resolveEntry({ uid: 'blt_page', logo: logo, gallery: [gone] }, { onMissing: 'remove' }).then(function(resolved) {
+    assert.strictEqual(api.requests.length, 1);
+    assert.strictEqual(api.requests[0].path, '/v3/assets');
+    assert.strictEqual(resolved.logo.title, 'Logo');
+    assert.strictEqual(resolved.logo.content_type, 'image/png');
+    assert.strictEqual(resolved.logo._branch, 'main');
+    assert.deepStrictEqual(resolved.gallery, []);
+  });
+});
+
+test('references stored without a content type are looked up in referenceTo, else count as missing', function() {
+  var page = { uid: 'blt_page', header: { uid: 'blt_header', _branch: 'main' }, regional: [{ uid: 'blt_midwest_header', _branch: 'midwest' }] };
+  var resolver = createResolver();
+  return resolver.resolveEntry({ uid: 'blt_page', header: page.header }, { referenceTo: ['banner', 'header'] }).then(function(resolved) {
+    assert.strictEqual(resolved.header.title, 'Header');
+    assert.strictEqual(resolved.header._content_type_uid, 'header');
+    return resolver.resolveEntry(page, { referenceTo: 'header' });
+  }).then(function(resolved) {
+    assert.strictEqual(resolved.header.title, 'Header');
+    assert.strictEqual(resolved.regional[0].title, 'Midwest header');
+    return resolver.resolveEntry(page, { onMissing: 'error' });
+  }).then(function() {
+    assert.fail('references without a content type cannot be resolved without referenceTo');
+  }, function(error) {
+    assert.deepStrictEqual(error.missing, [page.header, page.regional[0]]);
+    assert.match(error.message, /main\/\?\/blt_header/);
+  });
+});
+
+test('a reference cycle is fetched once per entry and stops at the depth', function() {
+  var page = { uid: 'blt_page', start: ref('blt_cycle_a', 'header') };
+  return createResolver().resolveEntry(page, { depth: 5 }).then(function(resolved) {
+    // A and B come back in the first two requests; later levels find nothing new to fetch
+    assert.strictEqual(api.requests.length, 2);
+    var titles = [];
+    var value = resolved.start;
+    while (value && value.title) {
+      titles.push(value.title);
+      value = value.next;
+    }
+    assert.deepStrictEqual(titles, ['Cycle A', 'Cycle B', 'Cycle A', 'Cycle B', 'Cycle A']);
+    assert.deepStrictEqual(value, ref('blt_cycle_b', 'header'));
+  });
+});
+
+test('a failed request rejects with its status and body', function() {
+  api.fail(1, 412, { error_message: 'Access denied.', error_code: 109 });
+  return createResolver().resolveEntry({ uid: 'blt_page', header: ref('blt_header', 'header') }).then(function() {
+    assert.fail('the request failure should reject');
+  }, function(error) {
+    assert.strictEqual(error.status, 412);
+    assert.strictEqual(error.body.error_code, 109);
+  });
+});
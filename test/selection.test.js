@@ -0,0 +1,107 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var selection = require('../extensions/src/selection');
+
+function createField(data) {
+  var field = {
+    saved: [],
+    getData: function() { return data; },
+    setData: function(value) {
+      data = value;
+      field.saved.push(JSON.parse(JSON.stringify(value)));
+    }
+  };
+  return field;
+}
+
+var MAIN_A = { uid: 'a', _content_type_uid: 'page', _branch: 'main' };
+var MAIN_B = { uid: 'b', _content_type_uid: 'page', _branch: 'main' };
+var SITE_A = { uid: 'a', _content_type_uid: 'page', _branch: 'site' };
+
+test('legacy UID strings are read as Main branch references', function() {
+  assert.deepStrictEqual(selection.getStoredReferences(['a', { uid: 'b', _branch: 'site' }, null]), [
+    { uid: 'a', _branch: 'main' },
+    { uid: 'b', _content_type_uid: undefined, _branch: 'site' }
+  ]);
+  assert.ok(selection.isSameReference('a', MAIN_A));
+  assert.ok(!selection.isSameReference('a', SITE_A));
+});
+
+test('a single selection stores one reference', function() {
+  var field = createField(null);
+  var state = selection.createSelectionState({ field: field, multiple: false });
+  state.selectSingle(Object.assign({ title: 'A' }, SITE_A));
+
+  assert.deepStrictEqual(field.saved, [SITE_A]);
+  assert.ok(state.isSelected(SITE_A));
+  assert.ok(!state.isSelected(MAIN_A));
+  assert.strictEqual(state.getReferenceState(SITE_A).status, 'ok');
+
+  state.remove(SITE_A);
+  assert.strictEqual(field.getData(), null);
+});
+
+test('assets are stored with their URL and file name', function() {
+  var field = createField(null);
+  var state = selection.createSelectionState({ field: field, multiple: false });
+  state.selectSingle({
+    uid: 'logo',
+    _branch: 'main',
+    _content_type_uid: 'sys_assets',
+    title: 'Logo',
+    filename: 'logo.png',
+    url: 'https://images.contentstack.io/v3/assets/k/logo/logo.png',
+    file_size: '2048'
+  });
+
+  assert.deepStrictEqual(field.saved, [
+    { uid: 'logo', _branch: 'main', url: 'https://images.contentstack.io/v3/assets/k/logo/logo.png', filename: 'logo.png' }
+  ]);
+  assert.ok(state.isSelected({ uid: 'logo', _branch: 'main' }));
+});
+
+test('toggle adds and removes references of the same UID per branch', function() {
+  var field = createField(null);
+  var state = selection.createSelectionState({ field: field, multiple: true });
+  assert.ok(state.toggle(MAIN_A));
+  assert.ok(state.toggle(SITE_A));
+  assert.deepStrictEqual(field.getData(), [MAIN_A, SITE_A]);
+
+  assert.ok(state.toggle(MAIN_A));
+  assert.deepStrictEqual(field.getData(), [SITE_A]);
+});
+
+test('toggle refuses to add past maxItems', function() {
+  var field = createField([MAIN_A]);
+  var state = selection.createSelectionState({ field: field, multiple: true, maxItems: 1 });
+  assert.strictEqual(state.toggle(MAIN_B), false);
+  assert.strictEqual(field.saved.length, 0);
+  // Removing is still allowed
+  assert.ok(state.toggle(MAIN_A));
+  assert.deepStrictEqual(field.getData(), []);
+});
+
+test('replace swaps a reference in place', function() {
+  var field = createField([MAIN_A, MAIN_B]);
+  var state = selection.createSelectionState({ field: field, multiple: true });
+  state.setPendingReplacement(MAIN_A);
+  state.replace(MAIN_A, SITE_A);
+  assert.deepStrictEqual(field.getData(), [SITE_A, MAIN_B]);
+  assert.strictEqual(state.getPendingReplacement(), null);
+
+  // Picking an entry that is already selected drops the replaced reference
+  state.replace(SITE_A, MAIN_B);
+  assert.deepStrictEqual(field.getData(), [MAIN_B]);
+});
+
+test('move reorders and indexOf finds legacy values', function() {
+  var field = createField(['a', MAIN_B]);
+  var state = selection.createSelectionState({ field: field, multiple: true });
+  assert.strictEqual(state.indexOf(MAIN_A), 0);
+  assert.ok(state.move(0, 1));
+  assert.deepStrictEqual(field.getData(), [MAIN_B, 'a']);
+  assert.strictEqual(state.move(1, 2), false);
+  assert.strictEqual(state.move(1, 1), false);
+});
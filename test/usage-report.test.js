@@ -0,0 +1,132 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var startMockDeliveryApi = require('./helpers/mock-delivery-api').startMockDeliveryApi;
+var usageReport = require('../usage-report/usage-report');
+
+var api;
+
+test.before(function() {
+  return startMockDeliveryApi({
+    tokens: { main: 'main_token', 'site-a': 'site_token' },
+    entries: {
+      main: {
+        header: [
+          { uid: 'blt_main_header', title: 'Main header' },
+          { uid: 'blt_holiday_header', title: 'Holiday header' }
+        ],
+        page: [
+          { uid: 'blt_home', title: 'Home', header: { uid: 'blt_main_header', _content_type_uid: 'header', _branch: 'main' } }
+        ]
+      },
+      'site-a': {
+        header: [{ uid: 'blt_site_header', title: 'Site A header' }],
+        page: [
+          { uid: 'blt_about', title: 'About, us', header: { uid: 'blt_main_header', _content_type_uid: 'header', _branch: 'main' } },
+          {
+            uid: 'blt_contact',
+            title: 'Contact',
+            headers: [
+              { uid: 'blt_main_header', _branch: 'main' },
+              { uid: 'blt_site_header', _content_type_uid: 'header', _branch: 'site-a' }
+            ],
+            footer: { uid: 'blt_main_header', _branch: 'main' }
+          }
+        ]
+      }
+    }
+  }).then(function(server) {
+    api = server;
+  });
+});
+
+test.after(function() {
+  return api.close();
+});
+
+function config(extra) {
+  return Object.assign({
+    apiKey: 'test_api_key',
+    host: api.url,
+    environment: 'production',
+    branches: { main: { deliveryToken: 'main_token' }, 'site-a': { deliveryToken: 'site_token' } }
+  }, extra);
+}
+
+test('findStoredReferences finds stored values in groups and lists, and nothing else', function() {
+  var found = usageReport.findStoredReferences({
+    uid: 'blt_page',
+    _metadata: { uid: 'x', _branch: 'main' },
+    header: { uid: 'blt_a', _branch: 'main' },
+    sections: [{ banner: [{ uid: 'blt_b', _content_type_uid: 'banner', _branch: 'site-a' }] }],
+    link: { uid: 'blt_c', _branch: 'main', title: 'Not a stored value' },
+    text: 'blt_d'
+  });
+  assert.deepStrictEqual(found, [
+    { field: 'header', reference: { uid: 'blt_a', _branch: 'main' } },
+    { field: 'sections.banner', reference: { uid: 'blt_b', _content_type_uid: 'banner', _branch: 'site-a' } }
+  ]);
+});
+
+test('stored assets are found as well', function() {
+  var asset = { uid: 'blt_logo', _branch: 'main', url: 'https://images.contentstack.io/v3/assets/k/blt_logo/logo.png', filename: 'logo.png' };
+  assert.deepStrictEqual(usageReport.findStoredReferences({ uid: 'blt_page', logo: asset, file: { uid: 'x', _branch: 'main', url: 'https://example.com/x' } }),
+    [{ field: 'logo', reference: asset }]);
+});
+
+test('the report indexes every branch\'s entries by the entry they reference', function() {
+  return usageReport.buildUsageReport(config()).then(function(report) {
+    assert.deepStrictEqual(report.scanned, {
+      branches: ['main', 'site-a'],
+      contentTypes: { main: ['header', 'page'], 'site-a': ['header', 'page'] },
+      entries: 6
+    });
+    assert.deepStrictEqual(Object.keys(report.usage).sort(), ['main', 'site-a']);
+
+    var mainHeader = report.usage.main.blt_main_header;
+    assert.strictEqual(mainHeader.contentType, 'header');
+    // blt_contact uses it in two fields but counts once
+    assert.strictEqual(mainHeader.count, 3);
+    assert.deepStrictEqual(mainHeader.usedBy.map(function(user) { return [user.branch, user.uid, user.field]; }), [
+      ['main', 'blt_home', 'header'],
+      ['site-a', 'blt_about', 'header'],
+      ['site-a', 'blt_contact', 'headers'],
+      ['site-a', 'blt_contact', 'footer']
+    ]);
+    assert.strictEqual(report.usage['site-a'].blt_site_header.count, 1);
+    assert.strictEqual(report.usage.main.blt_holiday_header, undefined);
+  });
+});
+
+test('configured content types are scanned without listing the stack\'s', function() {
+  api.requests.length = 0;
+  return usageReport.buildUsageReport(config({ contentTypes: ['page'], branches: { main: { deliveryToken: 'main_token' } } }))
+    .then(function(report) {
+      assert.deepStrictEqual(api.requests.map(function(request) { return request.path; }), ['/v3/content_types/page/entries']);
+      assert.strictEqual(api.requests[0].headers.access_token, 'main_token');
+      assert.strictEqual(api.requests[0].params.get('environment'), 'production');
+      assert.strictEqual(report.usage.main.blt_main_header.count, 1);
+    });
+});
+
+test('a rejected token fails the report with the Delivery API\'s message', function() {
+  return assert.rejects(
+    usageReport.buildUsageReport(config({ branches: { main: { deliveryToken: 'wrong' } } })),
+    /Delivery API request failed \(412\): Access denied/
+  );
+});
+
+test('the CSV has a row per referencing entry and field, quoted where needed', function() {
+  return usageReport.buildUsageReport(config({ contentTypes: ['page'] })).then(function(report) {
+    var lines = usageReport.toCsv(report).trim().split('\n');
+    assert.strictEqual(lines[0], 'referenced_branch,referenced_content_type,referenced_uid,branch,content_type,uid,title,locale,field');
+    assert.deepStrictEqual(lines.slice(1), [
+      'main,header,blt_main_header,main,page,blt_home,Home,,header',
+      'main,header,blt_main_header,site-a,page,blt_about,"About, us",,header',
+      'main,header,blt_main_header,site-a,page,blt_contact,Contact,,headers',
+      'main,header,blt_main_header,site-a,page,blt_contact,Contact,,footer',
+      'site-a,header,blt_site_header,site-a,page,blt_contact,Contact,,headers'
+    ]);
+  });
+});
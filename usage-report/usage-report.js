@@ -0,0 +1,319 @@
+/**
+ * Cross-branch usage report for the Main Branch Content Selector
+ *
+ * Scans the published entries of the configured branches for values the field
+ * stores ({ uid, _content_type_uid, _branch }) and builds a reverse index: for each
+ * referenced entry (e.g. a main branch header), the entries in any branch that use
+ * it. Run it before editing or deleting a shared entry, or host the JSON output and
+ * set the field's `usageReportUrl` to show usage counts in the extension.
+ *
+ * Usage: node usage-report/usage-report.js [path/to/usage-report-config.json]
+ *          [--format json|csv] [--output path]
+ * Reads usage-report-config.json next to this file by default and writes to stdout
+ * unless --output is given. "${NAME}" in any config value is replaced with the
+ * environment variable NAME (see usage-report-config.example.json). Needs Node 18 or later.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var DeliveryApi = require('../extensions/delivery-api');
+
+// The stored value's shape, shared with the resolver so both read the same values
+var ReferenceResolver = require('../resolver/reference-resolver');
+var isStoredReference = ReferenceResolver.isReference;
+var isAssetReference = ReferenceResolver.isAssetReference;
+
+var helpers = require('../shared/node-helpers');
+var expandVariables = helpers.expandVariables;
+var requestJson = helpers.requestJson;
+var sequence = helpers.sequence;
+
+// Columns of the CSV output, one row per referencing entry and field
+var CSV_COLUMNS = ['referenced_branch', 'referenced_content_type', 'referenced_uid',
+  'branch', 'content_type', 'uid', 'title', 'locale', 'field'];
+
+var FORMATS = ['json', 'csv'];
+
+// Content type recorded for assets, as Contentstack names them in references
+var ASSET_CONTENT_TYPE = 'sys_assets';
+
+/**
+ * Read and validate the report config
+ * Throws an Error listing every problem found
+ */
+function loadConfig(configPath) {
+  var raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  var missingVariables = [];
+  var config = expandVariables(raw, missingVariables);
+  var errors = missingVariables.map(function(name) {
+    return 'Environment variable ' + name + ' is not set.';
+  });
+
+  if (!config.apiKey) {
+    errors.push('"apiKey" is required.');
+  }
+  if (!config.environment) {
+    errors.push('"environment" is required.');
+  }
+  if (!config.branches || typeof config.branches !== 'object' || Object.keys(config.branches).length === 0) {
+    errors.push('"branches" must map each branch to scan to its delivery token, e.g. {"site-a": {"deliveryToken": "${SITE_A_DELIVERY_TOKEN}"}}.');
+  } else {
+    Object.keys(config.branches).forEach(function(branch) {
+      if (!config.branches[branch] || !config.branches[branch].deliveryToken) {
+        errors.push('branches.' + branch + ' needs a "deliveryToken".');
+      }
+    });
+  }
+  ['contentTypes', 'locales'].forEach(function(key) {
+    if (config[key] !== undefined && !(Array.isArray(config[key]) && config[key].length > 0)) {
+      errors.push('"' + key + '" must be a non-empty array when set.');
+    }
+  });
+  if (config.host !== undefined && !DeliveryApi.parseHost(config.host)) {
+    errors.push('"host" must be a host name or URL, got "' + config.host + '".');
+  }
+  if (!config.host && !DeliveryApi.API_REGIONS[DeliveryApi.normalizeRegion(config.region)]) {
+    errors.push('Unknown "region" "' + config.region + '". Use one of ' + Object.keys(DeliveryApi.API_REGIONS).join(', ') + ', or set "host".');
+  }
+
+  if (errors.length > 0) {
+    throw new Error('Invalid usage report config (' + configPath + '):\n  ' + errors.join('\n  '));
+  }
+  return config;
+}
+
+/**
+ * Every stored reference in an entry, with the dot path of the field holding it
+ * (array positions are left out, so every reference in a multiple field shares its path)
+ */
+function findStoredReferences(entry) {
+  var found = [];
+
+  function walk(value, fieldPath) {
+    if (Array.isArray(value)) {
+      value.forEach(function(item) { walk(item, fieldPath); });
+    } else if (isStoredReference(value)) {
+      found.push({ field: fieldPath, reference: value });
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(function(key) {
+        // System fields (_version, _metadata, ...) never hold the field's value
+        if (key.charAt(0) === '_' && fieldPath === '') return;
+        walk(value[key], fieldPath ? fieldPath + '.' + key : key);
+      });
+    }
+  }
+
+  walk(entry, '');
+  return found;
+}
+
+/**
+ * Scan the configured branches and build the report
+ * options: { fetch (defaults to the global fetch), log (progress messages, defaults to none) }
+ * Resolves to { generatedAt, environment, scanned: { branches, contentTypes, entries },
+ *               usage: { [referencedBranch]: { [uid]: { contentType, count, usedBy } } } }
+ * where usedBy lists { branch, contentType, uid, title, locale, field } and count is the
+ * number of distinct entries (any locale) using the referenced entry
+ */
+function buildUsageReport(config, options) {
+  options = options || {};
+  var requestOptions = { fetch: options.fetch, apiName: 'Delivery API' };
+  var log = options.log || function() {};
+  var baseUrl = DeliveryApi.getApiBaseUrl({ region: config.region, host: config.host });
+  var locales = config.locales || [null];
+  var usage = {};
+  var scanned = { branches: Object.keys(config.branches), contentTypes: {}, entries: 0 };
+
+  function scanBranch(branch) {
+    var headers = DeliveryApi.getRequestHeaders({ apiKey: config.apiKey, deliveryToken: config.branches[branch].deliveryToken });
+
+    return listContentTypes(branch, headers).then(function(contentTypes) {
+      scanned.contentTypes[branch] = contentTypes;
+      return sequence(contentTypes, function(contentType) {
+        return sequence(locales, function(locale) {
+          return scanEntries(branch, contentType, locale, headers, 0);
+        });
+      });
+    });
+  }
+
+  /**
+   * Content types to scan: the configured ones, else every content type of the branch
+   */
+  function listContentTypes(branch, headers) {
+    if (config.contentTypes) {
+      return Promise.resolve(config.contentTypes.slice());
+    }
+
+    var contentTypes = [];
+    function loadPage(skip) {
+      var url = baseUrl + '/v3/content_types?' + new URLSearchParams({
+        branch: branch,
+        include_count: 'true',
+        skip: String(skip),
+        limit: String(DeliveryApi.MAX_PAGE_SIZE)
+      }).toString();
+      return requestJson(url, { method: 'GET', headers: headers }, requestOptions).then(function(body) {
+        (body.content_types || []).forEach(function(contentType) {
+          contentTypes.push(contentType.uid);
+        });
+        var loaded = skip + (body.content_types || []).length;
+        return loaded < (body.count || 0) && (body.content_types || []).length > 0 ? loadPage(loaded) : contentTypes;
+      });
+    }
+    return loadPage(0);
+  }
+
+  function scanEntries(branch, contentType, locale, headers, skip) {
+    var url = DeliveryApi.getEntriesUrl(baseUrl, contentType, {
+      environment: config.environment,
+      branch: branch,
+      skip: skip,
+      limit: DeliveryApi.MAX_PAGE_SIZE,
+      locale: locale
+    });
+
+    return requestJson(url, { method: 'GET', headers: headers }, requestOptions).then(function(body) {
+      var entries = body.entries || [];
+      entries.forEach(function(entry) {
+        indexEntry(branch, contentType, entry);
+      });
+      scanned.entries += entries.length;
+
+      var loaded = skip + entries.length;
+      if (entries.length > 0 && loaded < (body.count || 0)) {
+        return scanEntries(branch, contentType, locale, headers, loaded);
+      }
+      log('Scanned ' + branch + '/' + contentType + (locale ? ' (' + locale + ')' : '') + ': ' + loaded + ' entries');
+    });
+  }
+
+  function indexEntry(branch, contentType, entry) {
+    findStoredReferences(entry).forEach(function(found) {
+      var reference = found.reference;
+      var byUid = usage[reference._branch] = usage[reference._branch] || {};
+      var record = byUid[reference.uid] = byUid[reference.uid] || { contentType: null, count: 0, usedBy: [] };
+      record.contentType = record.contentType || reference._content_type_uid ||
+        (isAssetReference(reference) ? ASSET_CONTENT_TYPE : null);
+
+      var user = {
+        branch: branch,
+        contentType: contentType,
+        uid: entry.uid,
+        title: typeof entry.title === 'string' ? entry.title : '',
+        locale: entry.locale || null,
+        field: found.field
+      };
+      var sameEntry = function(other) {
+        return other.branch === user.branch && other.contentType === user.contentType && other.uid === user.uid;
+      };
+      if (!record.usedBy.some(sameEntry)) {
+        record.count++;
+      }
+      var duplicate = record.usedBy.some(function(other) {
+        return sameEntry(other) && other.locale === user.locale && other.field === user.field;
+      });
+      if (!duplicate) {
+        record.usedBy.push(user);
+      }
+    });
+  }
+
+  return sequence(scanned.branches, scanBranch).then(function() {
+    return {
+      generatedAt: new Date().toISOString(),
+      environment: config.environment,
+      scanned: scanned,
+      usage: usage
+    };
+  });
+}
+
+/**
+ * The report as CSV, one row per referencing entry, locale and field
+ */
+function toCsv(report) {
+  var rows = [CSV_COLUMNS.join(',')];
+  Object.keys(report.usage).sort().forEach(function(referencedBranch) {
+    var byUid = report.usage[referencedBranch];
+    Object.keys(byUid).sort().forEach(function(uid) {
+      var record = byUid[uid];
+      record.usedBy.forEach(function(user) {
+        rows.push([referencedBranch, record.contentType || '', uid, user.branch, user.contentType,
+          user.uid, user.title, user.locale || '', user.field].map(toCsvField).join(','));
+      });
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ */
+function toCsvField(value) {
+  var text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Parse the command line: [configPath] [--format json|csv] [--output path]
+ */
+function parseArguments(args) {
+  var parsed = { configPath: null, format: 'json', output: null };
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--format') {
+      parsed.format = args[++i];
+    } else if (args[i] === '--output') {
+      parsed.output = args[++i];
+    } else if (args[i].indexOf('--') === 0) {
+      throw new Error('Unknown option ' + args[i] + '.');
+    } else {
+      parsed.configPath = args[i];
+    }
+  }
+  if (FORMATS.indexOf(parsed.format) === -1) {
+    throw new Error('--format must be one of ' + FORMATS.join(', ') + '.');
+  }
+  if (parsed.output === undefined) {
+    throw new Error('--output needs a path.');
+  }
+  return parsed;
+}
+
+if (require.main === module) {
+  var args;
+  var config;
+  try {
+    args = parseArguments(process.argv.slice(2));
+    config = loadConfig(path.resolve(args.configPath || path.join(__dirname, 'usage-report-config.json')));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  buildUsageReport(config, { log: function(message) { console.error(message); } })
+    .then(function(report) {
+      var text = args.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+      if (args.output) {
+        fs.writeFileSync(args.output, text);
+        console.error('Wrote ' + args.output);
+      } else {
+        process.stdout.write(text);
+      }
+    })
+    .catch(function(error) {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadConfig: loadConfig,
+  isStoredReference: isStoredReference,
+  findStoredReferences: findStoredReferences,
+  buildUsageReport: buildUsageReport,
+  toCsv: toCsv
+};